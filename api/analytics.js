@@ -0,0 +1,106 @@
+// api/analytics.js
+// Analytics for public/modules/analytics-dashboard.js. Routed as /api/analytics/<kind>
+// (rewritten to ?kind= in vercel.json):
+//   POST events | errors | performance   a batch from the browser: { <kind>: [...] }, an
+//                                         array, or a single item; sign-in optional
+//   GET  data?range=1h|24h|7d|30d|90d    time-bucketed metrics (admins only)
+// Ingestion answers 202 and is rate limited per client; see lib/analytics.js for what is kept.
+
+import { verifyUser, isAdminUser, getBearerToken } from '../lib/verify-user.js';
+import { recordAnalytics, getAnalyticsReport, ANALYTICS_KINDS } from '../lib/analytics.js';
+import {
+  setCorsHeaders,
+  sendJSON,
+  sendError,
+  asyncHandler,
+  withTimeout,
+  logRequest,
+  parseJSONBody,
+  handleOptions,
+  createSuccessResponse
+} from '../lib/api-utils.js';
+import { enforceRateLimit } from '../lib/rate-limit.js';
+
+// ?kind= from the rewrite, or the path itself when called without it
+function parseKind(req) {
+  const query = req.query || {};
+  if (query.kind) return String(query.kind);
+  const path = new URL(req.url, 'http://localhost').pathname;
+  return path.replace(/^\/api\/analytics\/?/, '').split('/').filter(Boolean)[0] || '';
+}
+
+// Beacons arrive as text/plain, so the body may still be a JSON string
+function readBatch(body, kind) {
+  const parsed = parseJSONBody(body);
+  if (Array.isArray(parsed)) return parsed;
+  return parsed[kind] !== undefined ? parsed[kind] : parsed;
+}
+
+async function handleIngest(req, res, kind) {
+  try {
+    await enforceRateLimit(req, res, { route: 'analytics', limit: 120 });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  // Events are attributed to the signed-in user when the token checks out; otherwise anonymous
+  let userId = null;
+  if (getBearerToken(req)) {
+    try {
+      userId = (await verifyUser(req)).id;
+    } catch (e) {
+      console.warn('[analytics] Ignoring invalid token:', e?.message || e);
+    }
+  }
+
+  const result = await recordAnalytics(kind, readBatch(req.body, kind), {
+    userId,
+    userAgent: req.headers['user-agent'] || null
+  });
+  return sendJSON(res, 202, createSuccessResponse(result));
+}
+
+async function handleData(req, res) {
+  try {
+    await enforceRateLimit(req, res, { route: 'analytics-data', limit: 30 });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  let user;
+  try {
+    user = await verifyUser(req);
+  } catch (e) {
+    console.error('[analytics] Auth failed:', e?.message || e);
+    return sendError(res, {
+      statusCode: 401,
+      message: 'Invalid or expired authentication token'
+    });
+  }
+
+  if (!isAdminUser(user)) {
+    return sendError(res, { statusCode: 403, message: 'Admin access required' });
+  }
+
+  const report = await getAnalyticsReport((req.query || {}).range || '24h');
+  return sendJSON(res, 200, createSuccessResponse(report));
+}
+
+export default asyncHandler(async function handler(req, res) {
+  withTimeout(req, res, 15000);
+  setCorsHeaders(req, res);
+
+  if (handleOptions(req, res)) return;
+
+  const kind = parseKind(req);
+  logRequest(req, { endpoint: 'analytics', kind });
+
+  if (req.method === 'GET' && kind === 'data') return handleData(req, res);
+  if (req.method === 'POST' && ANALYTICS_KINDS.includes(kind)) return handleIngest(req, res, kind);
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, POST');
+    return sendError(res, { statusCode: 405, message: 'Method not allowed' });
+  }
+  return sendError(res, { statusCode: 404, message: `Unknown analytics action: ${kind || '(none)'}` });
+});
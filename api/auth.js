@@ -10,15 +10,15 @@ import {
   logRequest,
   parseJSONBody,
   handleOptions,
-  validateMethod,
-  getClientIP
+  validateMethod
 } from '../lib/api-utils.js';
 import {
   isValidEmail,
   isValidPassword,
-  validateRequiredFields,
-  checkRateLimit
+  validateRequiredFields
 } from '../lib/validation.js';
+import { enforceRateLimit } from '../lib/rate-limit.js';
+import { normalizeStartupProfile } from '../lib/prompt-template.js';
 
 /* ---------- Cookie helpers ---------- */
 function setSessionCookies(res, session) {
@@ -100,9 +100,8 @@ export default asyncHandler(async function handler(req, res) {
   const { action, email, password } = body;
 
   // Rate limiting by IP
-  const clientIP = getClientIP(req);
   try {
-    checkRateLimit(`auth:${clientIP}`, 20, 60000); // 20 requests per minute
+    await enforceRateLimit(req, res, { route: 'auth', limit: 20 }); // 20 requests per minute
   } catch (error) {
     return sendError(res, error);
   }
@@ -312,6 +311,59 @@ export default asyncHandler(async function handler(req, res) {
       });
     }
 
+    if (action === 'profile') {
+      // Save the startup profile that fills the persona prompts (lib/prompt-template.js)
+      const authHeader = req.headers.authorization;
+      const token = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+      if (!token) {
+        return sendError(res, {
+          statusCode: 401,
+          message: 'No authentication token provided'
+        });
+      }
+
+      const supabaseAdmin = getSupabaseAdmin();
+      if (!supabaseAdmin) {
+        return sendError(res, {
+          statusCode: 500,
+          message: 'Database not configured properly'
+        });
+      }
+
+      const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+      if (error || !user) {
+        return sendError(res, {
+          statusCode: 401,
+          message: 'Invalid or expired token'
+        });
+      }
+
+      let startupProfile;
+      try {
+        startupProfile = normalizeStartupProfile(body.startupProfile);
+      } catch (validationError) {
+        return sendError(res, validationError);
+      }
+
+      const { data: updated, error: updateError } = await supabaseAdmin.auth.admin.updateUserById(user.id, {
+        user_metadata: { ...(user.user_metadata || {}), startupProfile }
+      });
+      if (updateError) {
+        console.error('Profile update error:', updateError);
+        return sendError(res, {
+          statusCode: 500,
+          message: 'Failed to save profile'
+        });
+      }
+
+      return sendJSON(res, 200, {
+        ok: true,
+        user: updated.user,
+        startupProfile
+      });
+    }
+
     return sendError(res, {
       statusCode: 400,
       message: `Unknown action: ${action}`
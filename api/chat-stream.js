@@ -1,15 +1,20 @@
 // Server-Sent Events streaming endpoint for real-time AI responses
-import { GoogleGenerativeAI } from '@ai-sdk/google';
-import { streamText } from 'ai';
-import { supabase } from '../lib/supabase.js';
-import { validateApiRequest } from '../lib/validation.js';
-import { performSafetyCheck } from '../lib/prompt-guard.js';
+import { getSupabaseAdmin } from '../lib/supabase.js';
+import { verifyUser } from '../lib/verify-user.js';
+import { validateRequiredFields, isValidUUID } from '../lib/validation.js';
+import { guardPromptLeak, protectSystemPrompt } from '../lib/prompt-guard.js';
+import { parseJSONBody, getClientIP } from '../lib/api-utils.js';
+import { getProvider } from '../lib/llm-provider.js';
+import { MODES, getMode, getGroupDefaultMode } from '../lib/modes.js';
+import { enforceRateLimit, enforceMessageQuota } from '../lib/rate-limit.js';
+import { requireConversationAccess, enforceModeAllowance } from '../lib/entitlements.js';
 
 export default async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -21,35 +26,53 @@ export default async function handler(req, res) {
 
   try {
     // Validate request
-    const validation = await validateApiRequest(req, ['message', 'mode']);
-    if (!validation.isValid) {
-      return res.status(400).json({ error: validation.error });
+    const body = parseJSONBody(req.body);
+    try {
+      validateRequiredFields(body, ['message']);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
 
-    const { message, mode = 'learning', conversationId } = req.body;
+    const { message, mode = 'learning', conversationId } = body;
+
+    // Resolve UI mode ('learning' | 'startup' | 'agent') or persona id via the registry
+    const modeDef = getGroupDefaultMode(mode) || getMode(mode) || MODES.default;
 
     // Get user session
-    const authHeader = req.headers.authorization;
-    if (!authHeader?.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    let user;
+    try {
+      user = await verifyUser(req);
+    } catch (authErr) {
+      return res.status(401).json({ error: 'Invalid session' });
     }
 
-    const token = authHeader.slice(7);
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
-
-    if (authError || !user) {
-      return res.status(401).json({ error: 'Invalid session' });
+    // Same limits as /api/chat: requests per minute, the plan's entitlements (history window,
+    // daily Investor replies), then the plan's daily messages
+    try {
+      await enforceRateLimit(req, res, { route: 'chat', limit: 20, userId: user.id });
+      if (isValidUUID(conversationId)) await requireConversationAccess(user, conversationId);
+      await enforceModeAllowance(user, modeDef.id);
+      await enforceMessageQuota(req, res, user);
+    } catch (limitErr) {
+      return res.status(limitErr.statusCode || 429).json({
+        error: limitErr.message,
+        code: limitErr.code,
+        retryAfter: limitErr.retryAfter,
+        upgrade: limitErr.upgrade
+      });
     }
 
     // Perform safety check
-    const safetyCheck = await performSafetyCheck(message);
-    if (!safetyCheck.safe) {
+    const guard = guardPromptLeak(message, modeDef.id, user.id, getClientIP(req));
+    if (!guard.allowed) {
       return res.status(400).json({
         error: 'Message blocked for safety reasons',
-        reason: safetyCheck.reason
+        reason: 'prompt_leak_blocked'
       });
     }
 
+    const supabase = getSupabaseAdmin();
+
     // Set up SSE headers
     res.writeHead(200, {
       'Content-Type': 'text/event-stream',
@@ -61,29 +84,22 @@ export default async function handler(req, res) {
     res.write('event: connected\n');
     res.write('data: {"status": "connected"}\n\n');
 
-    // Initialize AI model
-    const google = new GoogleGenerativeAI({
-      apiKey: process.env.GOOGLE_API_KEY
-    });
-
-    const model = google('gemini-2.0-flash-exp');
-
-    // Get system prompt based on mode
-    const systemPrompts = {
-      learning: `You are a learning assistant focused on structured, framework-based teaching.
-                Break down complex topics into digestible parts with clear frameworks.`,
-      startup: `You are an experienced startup mentor providing practical, actionable advice
-                for entrepreneurs. Share real-world insights and strategies.`,
-      agent: `You are an AI agent creator helping users design custom AI assistants.
-              Focus on clear specifications and practical implementations.`
-    };
-
     // Stream the response
-    const stream = await streamText({
-      model,
-      system: systemPrompts[mode],
-      prompt: message,
-      temperature: 0.7,
+    const provider = getProvider(modeDef.id, {
+      model: modeDef.model,
+      meter: {
+        userId: user.id,
+        conversationId: isValidUUID(conversationId) ? conversationId : null,
+        mode: modeDef.id,
+        endpoint: 'chat-stream'
+      }
+    });
+    const stream = provider.stream({
+      messages: [
+        { role: 'system', content: protectSystemPrompt(modeDef.systemPrompt) },
+        { role: 'user', content: message }
+      ],
+      temperature: typeof modeDef.temperature === 'number' ? modeDef.temperature : 0.7,
       maxTokens: 2000,
     });
 
@@ -91,7 +107,9 @@ export default async function handler(req, res) {
     let chunkCount = 0;
 
     // Process stream chunks
-    for await (const chunk of stream.textStream) {
+    for await (const event of stream) {
+      if (event.type !== 'delta') continue;
+      const chunk = event.text;
       fullResponse += chunk;
       chunkCount++;
 
@@ -112,7 +130,7 @@ export default async function handler(req, res) {
     }
 
     // Save conversation to database if logged in
-    if (user && fullResponse) {
+    if (user && supabase && fullResponse) {
       try {
         let finalConversationId = conversationId;
 
@@ -152,12 +170,14 @@ export default async function handler(req, res) {
               conversation_id: finalConversationId,
               role: 'user',
               content: message,
+              ai_mode: modeDef.id,
               created_at: new Date().toISOString()
             },
             {
               conversation_id: finalConversationId,
               role: 'assistant',
               content: fullResponse,
+              ai_mode: modeDef.id,
               created_at: new Date().toISOString()
             }
           ];
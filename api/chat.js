@@ -1,10 +1,9 @@
 // api/chat.js
-// Vercel serverless (Node) - streams via AI SDK data stream with advanced role classification
+// Vercel serverless (Node) - 启明 learning mode; JSON by default, SSE token stream with ?stream=1
 import formidable from 'formidable';
 import fs from 'fs/promises';
 import os from 'os';
 import path from 'path';
-import { createRequire } from 'module';
 
 import { verifyUser } from '../lib/verify-user.js';
 import {
@@ -19,29 +18,25 @@ import {
   protectSystemPrompt
 } from '../lib/prompt-guard.js';
 import { getClientIP } from '../lib/api-utils.js';
-
-// Removed AI SDK imports - using direct fetch calls instead
+import { getProvider, generateTitle } from '../lib/llm-provider.js';
+import { MODES, isFileTypeAllowed } from '../lib/modes.js';
+import { collectRequestDocuments, parseDocumentIds } from '../lib/documents.js';
+import { retrieveRelevantChunks, formatRetrievedChunks } from '../lib/rag.js';
+import { buildContextMessages } from '../lib/context-window.js';
+import { enforceRateLimit, enforceMessageQuota } from '../lib/rate-limit.js';
+import { requireConversationAccess, requireStorage } from '../lib/entitlements.js';
+import { isValidUUID } from '../lib/validation.js';
 
 export const runtime = 'nodejs';
 // 禁用 Next 默认 body parser，避免和 formidable 冲突
-export const config = { api: { bodyParser: false } };
-
-const SYSTEM_PROMPTS = {
-  default: `【专属AI伙伴召唤仪式 · 启明】
-你将扮演我的专属AI导师，名为"启明"。你的核心使命是引导我快速学习并理解任何新领域。在我们的所有互动中，你必须严格遵守以下原则：
-
-核心身份： 你是一位循循善诱的AI导师。你的语气专业、温和且充满启发性。
-
-框架先行原则 (Framework First): 这是你最重要的教学方法。在深入任何细节之前，你必须首先为我呈现一个关于该主题的宏观"知识地图"或"思维框架"。这个框架需要结构清晰，并尽可能激发用户的好奇心。
+// Per-file character budget; longer files are compressed page by page
+const FILE_CHAR_BUDGET = 10000;
 
-启发式提问 (Socratic Questioning): 在呈现框架后，你不会直接开始讲解。相反，你会用一个开放性的问题来引导我，比如"看完了这张地图，你觉得我们从哪个部分开始探索最能勾起你的好奇心？"或"你认为理解这个体系的关键入口在哪里？"。
+// Requests per minute, per client IP and per signed-in user
+const RATE_LIMIT_PER_IP = 60;
+const RATE_LIMIT_PER_USER = 20;
 
-语言风格： 你的语言必须清晰、简洁、略带学术感。同时，为了让信息更结构化、更生动，你需要熟练运用Markdown格式（如加粗、列表）来辅助表达。
-
-互动流程： 我们的对话将遵循"我提问 -> 你构建框架 -> 你启发式提问 -> 我回答 -> 我们共同深入探索"的模式。**你的回答尽量不超过350字**`
-};
-
-// Using direct Gemini API calls
+export const config = { api: { bodyParser: false } };
 
 /* ---------- utils ---------- */
 function setCors(req, res) {
@@ -51,7 +46,7 @@ function setCors(req, res) {
   res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Cookie');
   // allow client JS to read our custom header
-  res.setHeader('Access-Control-Expose-Headers', 'X-Conversation-Id');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Conversation-Id, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After');
 }
 
 function sendJSON(res, code, obj) {
@@ -59,6 +54,31 @@ function sendJSON(res, code, obj) {
   res.end(JSON.stringify(obj));
 }
 
+// 429 from lib/rate-limit.js (RateLimit-* and Retry-After headers are already set),
+// 403/429 from lib/entitlements.js with the upgrade details for the UI
+function sendLimitError(res, err) {
+  return sendJSON(res, err.statusCode || 429, { error: err.message, code: err.code, retryAfter: err.retryAfter, upgrade: err.upgrade });
+}
+
+// Open an SSE response; the conversation id is also exposed as a header
+function startSSE(res, conversationId) {
+  const headers = {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable proxy buffering
+  };
+  if (conversationId) headers['X-Conversation-Id'] = conversationId;
+  res.writeHead(200, headers);
+}
+
+// Write one SSE event ({ type: 'content' | 'metadata' | 'done' | 'error', ... })
+function writeSSE(res, payload) {
+  if (res.writableEnded) return;
+  res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  res.flush?.();
+}
+
 async function parseForm(req) {
   const uploadDir = os.tmpdir();
   const form = formidable({
@@ -87,198 +107,188 @@ async function parseForm(req) {
   });
 }
 
-async function getPdfParser() {
-  try {
-    // Use createRequire to import CommonJS modules in ES modules
-    const require = createRequire(import.meta.url);
-    const pdfparse = require('pdf-parse');
-    return pdfparse;
-  } catch (error) {
-    console.error('Failed to load pdf-parse:', error.message);
-    return null;
-  }
-}
-
-async function extractTextFromFile(filePath, mime = '', name = '') {
-  if (!filePath) {
-    console.warn('extractTextFromFile: No file path provided');
-    return '';
-  }
+/**
+ * Store uploads in the document library, load documents attached by id and
+ * build the files context. Files over the budget are searched for `query`
+ * instead of being truncated. Returns { filesContext, retrievedContext, documents }.
+ */
+async function buildFilesContext(userId, uploaded = [], documentIds = [], query = '') {
+  if (!uploaded.length && !documentIds.length) return { filesContext: '', retrievedContext: '', documents: [] };
   
-  try {
-    // Check if file exists and is readable
-    await fs.access(filePath, fs.constants.R_OK);
-    
-    const lower = (mime || '').toLowerCase();
-    const lowerName = (name || '').toLowerCase();
+  const parts = [];
+  const unique = [];
+  const processedFiles = new Set(); // Prevent duplicate processing
+  
+  for (const f of uploaded) {
+    const p = f.filepath || f.path;
+    const mime = f.mimetype || f.type || '';
+    const originalName = f.originalFilename || f.newFilename || '';
+    const name = originalName || (p ? path.basename(p) : 'unknown_file');
     
-    // Text files
-    if (lower.includes('text/') || lowerName.endsWith('.txt') || lowerName.endsWith('.md')) {
-      try {
-        const stats = await fs.stat(filePath);
-        if (stats.size > 1024 * 1024 * 5) { // 5MB limit for text files
-          console.warn(`Text file too large: ${stats.size} bytes`);
-          return 'File too large to process';
-        }
-        return await fs.readFile(filePath, 'utf-8');
-      } catch (e) {
-        console.error('Error reading text file:', e.message);
-        return '';
-      }
+    // Avoid processing the same file multiple times
+    const fileKey = `${name}_${f.size || 0}_${mime}`;
+    if (processedFiles.has(fileKey)) {
+      console.warn(`Skipping duplicate file: ${name}`);
+      continue;
     }
+    processedFiles.add(fileKey);
     
-    // PDF files
-    if (lower.includes('pdf') || lowerName.endsWith('.pdf')) {
-      const pdfparse = await getPdfParser();
-      if (!pdfparse) {
-        console.warn('PDF parser not available');
-        return 'PDF parser not available';
-      }
-      
-      try {
-        const stats = await fs.stat(filePath);
-        if (stats.size > 1024 * 1024 * 20) { // 20MB limit for PDFs
-          console.warn(`PDF file too large: ${stats.size} bytes`);
-          return 'PDF file too large to process';
-        }
-        
-        console.log('Reading PDF file from:', filePath);
-        const buf = await fs.readFile(filePath);
-        console.log('PDF buffer size:', buf.length);
-        const out = await pdfparse(buf, { version: 'v1.10.100' });
-        const extractedText = out?.text || '';
-        console.log('Extracted text length:', extractedText.length);
-        return extractedText || 'No text content found in PDF';
-      } catch (e) {
-        console.error('Error parsing PDF:', e.message, e.stack);
-        return `Error parsing PDF file: ${e.message}`;
-      }
+    // Validate file name
+    if (!name || name.length > 255) {
+      console.warn(`Invalid file name: ${name}`);
+      parts.push(`【文件：invalid_filename】(文件名无效)`);
+      continue;
     }
-    
-    console.warn(`Unsupported file type: ${mime} / ${name}`);
-    return 'Unsupported file type';
+    if (!p) {
+      console.warn(`No file path for: ${name}`);
+      parts.push(`【文件：${name}】(无法提取文本内容)`);
+      continue;
+    }
+    unique.push(f);
+  }
+
+  let documents = [];
+  try {
+    documents = await collectRequestDocuments(userId, unique, documentIds, { budget: FILE_CHAR_BUDGET });
   } catch (e) {
-    console.error('Error accessing file:', e.message);
-    return 'Error accessing file';
+    console.error(`Error processing files:`, e.message);
+    parts.push(`【文件：处理失败】(${e.message})`);
   }
-}
 
-async function buildFilesContext(uploaded = []) {
-  if (!uploaded.length) return '';
-  
-  const parts = [];
-  const processedFiles = new Set(); // Prevent duplicate processing
-  
-  for (const f of uploaded) {
+  // Large documents: only the chunks relevant to the question go into the prompt
+  const large = query.trim() ? documents.filter(d => d.fullText.length > FILE_CHAR_BUDGET) : [];
+  let retrievedContext = '';
+  if (large.length) {
     try {
-      const p = f.filepath || f.path;
-      const mime = f.mimetype || f.type || '';
-      const originalName = f.originalFilename || f.newFilename || '';
-      const name = originalName || (p ? path.basename(p) : 'unknown_file');
-      
-      // Avoid processing the same file multiple times
-      const fileKey = `${name}_${f.size || 0}_${mime}`;
-      if (processedFiles.has(fileKey)) {
-        console.warn(`Skipping duplicate file: ${name}`);
-        continue;
-      }
-      processedFiles.add(fileKey);
-      
-      // Validate file name
-      if (!name || name.length > 255) {
-        console.warn(`Invalid file name: ${name}`);
-        parts.push(`【文件：invalid_filename】(文件名无效)`);
-        continue;
-      }
-      
-      // Extract text content
-      let text = '';
-      if (p) {
-        text = await extractTextFromFile(p, mime, name);
-      } else {
-        console.warn(`No file path for: ${name}`);
-      }
-      
-      // Sanitize and limit text content
-      if (text && typeof text === 'string') {
-        // Remove potentially harmful content
-        text = text.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, ''); // Remove control characters
-        text = text.slice(0, 10000); // Limit to 10KB per file
-        
-        parts.push(`【文件：${name}】\n${text}`);
-      } else {
-        parts.push(`【文件：${name}】(无法提取文本内容)`);
-      }
+      const chunks = await retrieveRelevantChunks({
+        userId,
+        documents: large.map(d => ({ id: d.id, name: d.name, text: d.fullText })),
+        query
+      });
+      retrievedContext = formatRetrievedChunks(chunks);
+      console.log(`[RAG] ${chunks.length} chunks retrieved from ${large.length} document(s)`);
     } catch (e) {
-      console.error(`Error processing file:`, e.message);
-      parts.push(`【文件：处理失败】(${e.message})`);
+      console.error('[RAG] Retrieval failed, falling back to compressed text:', e.message);
+    }
+  }
+
+  for (const doc of documents) {
+    if (retrievedContext && large.includes(doc)) {
+      parts.push(`【文件：${doc.name}】(共 ${doc.fullText.length} 字，已按问题检索相关片段，见【相关文档片段】)`);
+      continue;
+    }
+    let text = doc.text;
+    // Sanitize and limit text content
+    if (text && typeof text === 'string') {
+      // Remove potentially harmful content
+      text = text.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, ''); // Remove control characters
+      text = text.slice(0, FILE_CHAR_BUDGET + 500); // Extraction already fits the budget; hard stop
+      
+      parts.push(`【文件：${doc.name}】\n${text}`);
+    } else {
+      parts.push(`【文件：${doc.name}】(无法提取文本内容)`);
     }
   }
   
-  return parts.join('\n\n');
+  return { filesContext: parts.join('\n\n'), retrievedContext, documents };
 }
 
-function buildFinalMessages({ systemPrompt, filesContext, history, userMessage }) {
-  const msgs = [];
-
-  // system persona
-  msgs.push({ role: 'system', content: systemPrompt });
+// System prompt, files, retrieved chunks, then the conversation within the token budget
+// (older turns are replaced by the conversation's rolling summary, see lib/context-window.js)
+async function buildFinalMessages({ conversationId, modeId, systemPrompt, filesContext, retrievedContext, history, userMessage, meter }) {
+  const context = [];
 
   // optional files context (as system so it's hidden from user replies)
   if (filesContext) {
-    msgs.push({ role: 'system', content: `【文件上下文】\n${filesContext}` });
+    context.push({ role: 'system', content: `【文件上下文】\n${filesContext}` });
   }
 
-  // last up to 6 turns from history
-  if (Array.isArray(history) && history.length) {
-    const trimmed = history.slice(-12); // up to 6 user/assistant pairs
-    for (const m of trimmed) {
-      if (m?.role === 'user' || m?.role === 'assistant') {
-        msgs.push({ role: m.role, content: (m.content || '').toString() });
-      }
-    }
+  // retrieved chunks of large documents, each labelled with its citation
+  if (retrievedContext) {
+    context.push({
+      role: 'system',
+      content: `【相关文档片段】\n以下是与用户问题最相关的文档片段。回答时请在引用处标注来源，格式为 [文件名:页码]。\n\n${retrievedContext}`
+    });
   }
 
-  // current user
-  if (userMessage) msgs.push({ role: 'user', content: userMessage });
-
-  return msgs;
+  const built = await buildContextMessages({
+    conversationId,
+    modeId,
+    system: [{ role: 'system', content: systemPrompt }],
+    context,
+    history,
+    userMessage,
+    meter
+  });
+  if (built.summarized || built.dropped || built.trimmedContext) {
+    console.log('[Context]', { tokens: built.tokens, summarized: built.summarized, dropped: built.dropped, trimmedContext: built.trimmedContext });
+  }
+  return built.messages;
 }
 
+// Stream the assistant reply as SSE, then persist it
+async function streamReply(res, { mode, messages, message, userId, conversationId, isNewConversation, meter }) {
+  const role = mode.id;
+  startSSE(res, conversationId);
+  writeSSE(res, { type: 'metadata', conversationId: conversationId || null, role, isNewConversation });
 
-// Generate conversation title using Gemini
-async function generateTitle(message, reply) {
-  const apiKey = process.env.GOOGLE_GENERATIVE_AI_API_KEY;
-  if (!apiKey) return null;
+  // Stop generating when the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
 
-  const titlePayload = {
-    contents: [{
-      role: 'user',
-      parts: [{
-        text: `基于以下对话生成一个言简意赅、精准概括的标题（不超过20个字符）：用户消息: ${message.slice(0, 100)}AI回复: ${reply.slice(0, 100)}只输出标题文本，不要任何其他内容。`
-      }]
-    }]
-  };
+  let text = '';
+  let chunkCount = 0;
 
   try {
-    const titleRes = await fetch(
-      `https://generativelanguage.googleapis.com/v1/models/gemini-2.5-pro:generateContent?key=${apiKey}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(titlePayload)
+    const provider = getProvider(role, { model: mode.model, meter });
+    console.log(`Streaming request to ${provider.name}:${provider.model}`);
+
+    const streamOptions = { messages, signal: controller.signal };
+    if (typeof mode.temperature === 'number') streamOptions.temperature = mode.temperature;
+
+    for await (const event of provider.stream(streamOptions)) {
+      if (event.type !== 'delta') continue;
+      text += event.text;
+      chunkCount++;
+      writeSSE(res, { type: 'content', content: event.text, chunkIndex: chunkCount, timestamp: Date.now() });
+    }
+
+    if (!text.trim()) throw new Error('AI service returned empty response');
+  } catch (err) {
+    if (controller.signal.aborted) {
+      console.log('Client disconnected during stream, chunks sent:', chunkCount);
+    } else {
+      console.error('Chat stream error:', err);
+      writeSSE(res, { type: 'error', error: err?.message || 'AI response generation failed' });
+      return res.end();
+    }
+  }
+
+  // Persist whatever was generated, including partial replies from aborted streams
+  let title = null;
+  if (conversationId && text.trim()) {
+    const saved = await addMessage(conversationId, userId, 'assistant', text, [], role).catch(err => {
+      console.error('Failed to save assistant message:', err);
+      return null;
+    });
+
+    if (isNewConversation && message && !controller.signal.aborted) {
+      title = await generateTitle(message, text, meter);
+      if (title) {
+        await updateConversationTitle(conversationId, userId, title).catch(err =>
+          console.warn('Title update failed:', err?.message || err)
+        );
       }
-    );
-    
-    const titleJson = await titleRes.json();
-    const title = titleJson.candidates?.[0]?.content?.parts?.[0]?.text || '';
-    return title.trim().slice(0, 50); // Limit to 50 chars max
-  } catch (error) {
-    console.error('Title generation failed:', error);
-    return null;
+    }
+
+    writeSSE(res, { type: 'metadata', conversationId, messageId: saved?.message?.id || null, title });
   }
-}
 
+  writeSSE(res, { type: 'done', totalChunks: chunkCount, totalLength: text.length, conversationId: conversationId || null });
+  res.end();
+}
 
 export default async function handler(req, res) {
   setCors(req, res);
@@ -286,23 +296,36 @@ export default async function handler(req, res) {
   if (req.method !== 'POST') return sendJSON(res, 405, { error: 'Method Not Allowed' });
 
   const url = new URL(req.url, `http://${req.headers.host}`);
-  const stream = false; // Streaming disabled for 启明 mode
+  const stream = url.searchParams.get('stream') === '1';
+  const mode = MODES.default; // 启明 learning mode
+  const role = mode.id;
 
   console.log('Environment check:', {
     hasUrl: !!process.env.SUPABASE_URL,
     hasAnonKey: !!process.env.SUPABASE_ANON_KEY,
     hasServiceKey: !!process.env.SUPABASE_SERVICE_ROLE_KEY,
     hasGoogleKey: !!process.env.GOOGLE_GENERATIVE_AI_API_KEY,
+    llmProvider: process.env.LLM_PROVIDER || 'gemini',
   });
 
-  // 1) auth
+  // 1) auth (rate limited per IP first, then per user)
   let user;
+  try {
+    await enforceRateLimit(req, res, { route: 'chat', limit: RATE_LIMIT_PER_IP });
+  } catch (limitErr) {
+    return sendLimitError(res, limitErr);
+  }
   try {
     user = await verifyUser(req);
   } catch (authErr) {
     console.error('Authentication failed in chat:', authErr);
     return sendJSON(res, 401, { error: 'Invalid or expired token' });
   }
+  try {
+    await enforceRateLimit(req, res, { route: 'chat', limit: RATE_LIMIT_PER_USER, userId: user.id });
+  } catch (limitErr) {
+    return sendLimitError(res, limitErr);
+  }
 
   // 2) parse form (text + optional files)
   let fields, files;
@@ -316,6 +339,18 @@ export default async function handler(req, res) {
     });
   }
 
+  // Formidable's temp files are removed however the request ends (uploads are kept in the
+  // document library, not on this instance's disk)
+  try {
+    return await handleChat(req, res, { user, fields, files, stream, mode, role });
+  } finally {
+    for (const f of Object.values(files || {}).flat()) {
+      try { await fs.unlink(f.filepath || f.path); } catch {}
+    }
+  }
+}
+
+async function handleChat(req, res, { user, fields, files, stream, mode, role }) {
   // Safely extract and validate form fields
   const message = (() => {
     try {
@@ -362,6 +397,12 @@ export default async function handler(req, res) {
           return false;
         }
         
+        const fileName = file.originalFilename || file.newFilename || '';
+        if (!isFileTypeAllowed(mode, fileName)) {
+          console.warn(`File type not allowed in ${role} mode: ${fileName}`);
+          return false;
+        }
+        
         // Check file size (already handled by formidable, but double-check)
         const size = file.size || 0;
         if (size > 50 * 1024 * 1024) { // 50MB
@@ -382,21 +423,47 @@ export default async function handler(req, res) {
     }
   })();
 
-  const filesContext = await buildFilesContext(uploaded);
-  const fileNames = uploaded.map(
-    f => f.originalFilename || f.newFilename || path.basename(f.filepath || f.path || '')
-  );
+  if (message.length > mode.maxLength) {
+    return sendJSON(res, 400, { error: `Message too long (max ${mode.maxLength} characters)` });
+  }
+
+  // Plan entitlements: only conversations within the history window can be continued,
+  // and uploads must fit the document storage
+  try {
+    if (isValidUUID(conversationId)) await requireConversationAccess(user, conversationId);
+    await requireStorage(user, uploaded.reduce((sum, f) => sum + (f.size || 0), 0));
+  } catch (planErr) {
+    return sendLimitError(res, planErr);
+  }
+
+  // Documents from the library attached by id (JSON array, comma list or repeated field)
+  const documentIds = parseDocumentIds(fields.documentIds);
+
+  const { filesContext, retrievedContext, documents } = await buildFilesContext(user.id, uploaded, documentIds, message);
+  const fileNames = documents.length
+    ? documents.map(d => d.name)
+    : uploaded.map(f => f.originalFilename || f.newFilename || path.basename(f.filepath || f.path || ''));
+  const documentMetadata = documents.some(d => d.id)
+    ? { documentIds: documents.filter(d => d.id).map(d => d.id) }
+    : null;
 
   // SECURITY: Check for prompt leak attempts
   if (message && message.trim()) {
     const clientIP = getClientIP(req);
-    const guard = guardPromptLeak(message, 'default', user.id, clientIP);
+    const guard = guardPromptLeak(message, role, user.id, clientIP);
 
     if (!guard.allowed) {
       // High-confidence leak attempt detected - return deflection response
       console.warn('[SECURITY] Blocked prompt leak attempt from user:', user.id);
+      if (stream) {
+        startSSE(res, conversationId);
+        writeSSE(res, { type: 'metadata', conversationId: conversationId || null, role });
+        writeSSE(res, { type: 'content', content: guard.response, chunkIndex: 1 });
+        writeSSE(res, { type: 'done', totalChunks: 1, totalLength: guard.response.length, _security: 'prompt_leak_blocked' });
+        return res.end();
+      }
       return sendJSON(res, 200, {
-        role: 'default',
+        role,
         reply: guard.response,
         conversationId: conversationId || null,
         _security: 'prompt_leak_blocked'
@@ -404,6 +471,14 @@ export default async function handler(req, res) {
     }
   }
 
+  // Daily message quota of the user's plan; counted before anything is saved or generated
+  try {
+    await enforceMessageQuota(req, res, user);
+  } catch (limitErr) {
+    console.warn('[RateLimit] Message quota reached for user:', user.id);
+    return sendLimitError(res, limitErr);
+  }
+
   // 3) history + maybe create conversation
   let history = [];
   let currentConversationId = conversationId;
@@ -411,7 +486,7 @@ export default async function handler(req, res) {
   
   if (currentConversationId) {
     const r = await getConversationMessages(currentConversationId, user.id).catch(() => ({ success: false }));
-    if (r?.success) history = (r.messages || []).map(m => ({ role: m.role, content: m.content || '' }));
+    if (r?.success) history = (r.messages || []).map(m => ({ id: m.id, role: m.role, content: m.content || '' }));
   } else {
     const created = await createConversation(user.id).catch(() => null);
     if (created?.success && created.conversation?.id) {
@@ -420,21 +495,18 @@ export default async function handler(req, res) {
     }
   }
 
-  // 4) persist user turn
+  // 4) persist user turn (history holds the earlier turns only)
+  const uploadNote = !message && fileNames.length ? `📎 上传文件: ${fileNames.join(', ')}` : '';
   if (currentConversationId) {
     if (message) {
-      await addMessage(currentConversationId, user.id, 'user', message, fileNames, 'Dean').catch(() => {});
-      history.push({ role: 'user', content: message });
-    } else if (fileNames.length) {
-      const note = `📎 上传文件: ${fileNames.join(', ')}`;
-      await addMessage(currentConversationId, user.id, 'user', note, fileNames, 'Dean').catch(() => {});
-      history.push({ role: 'user', content: note });
+      await addMessage(currentConversationId, user.id, 'user', message, fileNames, role, documentMetadata).catch(() => {});
+    } else if (uploadNote) {
+      await addMessage(currentConversationId, user.id, 'user', uploadNote, fileNames, role, documentMetadata).catch(() => {});
     }
   }
 
   // Use only the default 启明 prompt with protection
-  const systemPrompt = protectSystemPrompt(SYSTEM_PROMPTS.default);
-  const role = 'default';
+  const systemPrompt = protectSystemPrompt(mode.systemPrompt);
 
   console.log('Using default 启明 role with prompt protection');
 
@@ -442,150 +514,40 @@ export default async function handler(req, res) {
   const sanitizedMessage = message ? sanitizeUserMessage(message) : '';
 
   // 6) stream or non-stream
-  const messages = buildFinalMessages({ systemPrompt, filesContext, history, userMessage: sanitizedMessage });
+  // Model calls for this reply are metered against the user, conversation and mode
+  const meter = { userId: user.id, conversationId: currentConversationId, mode: role, endpoint: 'chat' };
+  const messages = await buildFinalMessages({
+    conversationId: isNewConversation ? null : currentConversationId,
+    modeId: role,
+    systemPrompt,
+    filesContext,
+    retrievedContext,
+    history,
+    userMessage: sanitizedMessage || uploadNote,
+    meter
+  });
 
   if (stream) {
-    // Streaming temporarily disabled - using non-stream fallback
-    console.log('Streaming requested but disabled, using non-stream fallback');
+    return streamReply(res, {
+      mode,
+      messages,
+      message,
+      userId: user.id,
+      conversationId: currentConversationId,
+      isNewConversation,
+      meter
+    });
   }
 
   // Non-stream fallback (JSON)
   try {
-    const apiKey = process.env.GOOGLE_GENERATIVE_AI_API_KEY;
-    if (!apiKey) throw new Error('缺少 GOOGLE_GENERATIVE_AI_API_KEY');
-
-    // Convert messages to Gemini format
-    const contents = [];
-    
-    for (const msg of messages) {
-      if (msg.role === 'system') {
-        // Add system content as the first user message instead
-        contents.unshift({
-          role: 'user',
-          parts: [{ text: msg.content }]
-        });
-      } else if (msg.role === 'user' || msg.role === 'assistant') {
-        contents.push({
-          role: msg.role === 'assistant' ? 'model' : 'user',
-          parts: [{ text: msg.content }]
-        });
-      }
-    }
+    const provider = getProvider(role, { model: mode.model, meter });
+    console.log(`Sending request to ${provider.name}:${provider.model}`);
 
-    const chatPayload = {
-      contents
-    };
-
-    console.log('Sending request to Gemini API');
-    
-    // Add timeout and proper error handling
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
-    
-    const chatRes = await fetch(
-      `https://generativelanguage.googleapis.com/v1/models/gemini-2.5-pro:generateContent?key=${apiKey}`,
-      {
-        method: 'POST',
-        headers: { 
-          'Content-Type': 'application/json',
-          'User-Agent': 'StudyAgent/1.0'
-        },
-        body: JSON.stringify(chatPayload),
-        signal: controller.signal
-      }
-    );
-    
-    clearTimeout(timeoutId);
-    
-    console.log('Gemini API response status:', chatRes.status, chatRes.statusText);
-    
-    if (!chatRes.ok) {
-      let errorText = 'Unknown error';
-      try {
-        errorText = await chatRes.text();
-      } catch (e) {
-        console.warn('Failed to read error response:', e.message);
-      }
-      
-      console.error('Gemini API error response:', {
-        status: chatRes.status,
-        statusText: chatRes.statusText,
-        error: errorText
-      });
-      
-      // Provide more specific error messages
-      if (chatRes.status === 401) {
-        throw new Error('Invalid or expired API key');
-      } else if (chatRes.status === 429) {
-        throw new Error('API rate limit exceeded, please try again later');
-      } else if (chatRes.status === 400) {
-        throw new Error('Invalid request format or content');
-      } else if (chatRes.status >= 500) {
-        throw new Error('AI service temporarily unavailable');
-      } else {
-        throw new Error(`AI service error (${chatRes.status}): ${errorText}`);
-      }
-    }
-    
-    let chatJson;
-    try {
-      chatJson = await chatRes.json();
-    } catch (e) {
-      console.error('Failed to parse API response as JSON:', e.message);
-      throw new Error('Invalid response format from AI service');
-    }
-    
-    console.log('Gemini API response received, processing...');
-    
-    // Validate response structure with detailed error messages
-    if (!chatJson || typeof chatJson !== 'object') {
-      console.error('API response is not a valid object');
-      throw new Error('Invalid response structure from AI service');
-    }
-    
-    if (!chatJson.candidates || !Array.isArray(chatJson.candidates)) {
-      console.error('API response missing candidates array');
-      throw new Error('AI service returned no response candidates');
-    }
-    
-    if (chatJson.candidates.length === 0) {
-      console.error('API response has empty candidates array');
-      throw new Error('AI service returned no content');
-    }
-    
-    const candidate = chatJson.candidates[0];
-    if (!candidate || typeof candidate !== 'object') {
-      console.error('First candidate is invalid');
-      throw new Error('AI service returned invalid response format');
-    }
-    
-    // Check for blocked content or safety issues
-    if (candidate.finishReason === 'SAFETY') {
-      throw new Error('Content was blocked due to safety policies');
-    }
-    
-    if (!candidate.content || typeof candidate.content !== 'object') {
-      console.error('Candidate missing content object');
-      throw new Error('AI service returned incomplete response');
-    }
-    
-    if (!candidate.content.parts || !Array.isArray(candidate.content.parts)) {
-      console.error('Candidate content missing parts array');
-      throw new Error('AI service returned malformed content');
-    }
-    
-    if (candidate.content.parts.length === 0) {
-      console.error('Candidate content has empty parts array');
-      throw new Error('AI service returned empty content');
-    }
-    
-    const firstPart = candidate.content.parts[0];
-    if (!firstPart || typeof firstPart !== 'object' || typeof firstPart.text !== 'string') {
-      console.error('First content part is invalid or missing text');
-      throw new Error('AI service returned invalid text content');
-    }
-    
-    const text = firstPart.text.trim();
+    const generateOptions = { messages };
+    if (typeof mode.temperature === 'number') generateOptions.temperature = mode.temperature;
+    const result = await provider.generate(generateOptions);
+    const text = result.text;
     if (!text) {
       console.error('AI service returned empty text content');
       throw new Error('AI service returned empty response');
@@ -601,7 +563,7 @@ export default async function handler(req, res) {
       
       // Generate and update title for new conversations
       if (isNewConversation && message) {
-        const title = await generateTitle(message, text);
+        const title = await generateTitle(message, text, meter);
         if (title) {
           await updateConversationTitle(currentConversationId, user.id, title).catch(err =>
             console.warn('Title update failed:', err?.message || err)
@@ -619,7 +581,10 @@ export default async function handler(req, res) {
     let statusCode = 500;
     let errorMessage = 'AI response generation failed';
     
-    if (err?.message?.includes('API key') || err?.message?.includes('GOOGLE_GENERATIVE_AI_API_KEY')) {
+    if (err?.code === 'LLM_RATE_LIMIT' || err?.code === 'LLM_SAFETY') {
+      statusCode = err.statusCode;
+      errorMessage = err.message;
+    } else if (err?.code === 'LLM_CONFIG' || err?.message?.includes('API key') || err?.message?.includes('GOOGLE_GENERATIVE_AI_API_KEY')) {
       statusCode = 500;
       errorMessage = 'AI service configuration error';
     } else if (err?.message?.includes('401') || err?.message?.includes('unauthorized')) {
@@ -6,7 +6,29 @@ import {
   getUserConversations,
   getConversationMessages,
   deleteConversation,
+  updateConversationOrganization,
+  listFolders,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  listDeletedConversations,
+  restoreConversation,
+  purgeConversation,
+  purgeExpiredConversations,
+  getTrashRetentionDays,
+  listBranches,
+  createBranch,
+  switchBranch,
+  updateBranch,
+  deleteBranch,
+  getBranchMessages,
+  compareBranches,
+  listCheckpoints,
+  createCheckpoint,
+  deleteCheckpoint,
+  restoreCheckpoint,
 } from '../lib/database.js';
+import { createShare, listShares, revokeShare } from '../lib/shares.js';
 import {
   setCorsHeaders,
   sendJSON,
@@ -17,13 +39,406 @@ import {
   parseJSONBody,
   handleOptions,
   validateMethod,
-  getClientIP,
   createSuccessResponse
 } from '../lib/api-utils.js';
 import {
   validateConversationId,
-  checkRateLimit
+  validateTags,
+  validateFolderName,
+  validateBranchName,
+  createValidationError,
+  isValidUUID
 } from '../lib/validation.js';
+import { enforceRateLimit } from '../lib/rate-limit.js';
+import { getHistoryCutoff, requireConversationAccess, requireBranchAccess } from '../lib/entitlements.js';
+
+// Messages returned per window when the client does not ask for a size
+const DEFAULT_MESSAGE_WINDOW = 50;
+
+// Routes that open a conversation given as ?conversationId= or { conversationId }
+const CONVERSATION_RESOURCES = ['branches', 'checkpoints', 'shares'];
+
+// Map lib/database.js error messages to HTTP status codes
+function statusForError(message = '') {
+  if (message.includes('already exists')) return 409;
+  if (message.includes('not found')) return 404;
+  if (message.startsWith('Invalid')) return 400;
+  return 500;
+}
+
+function parseBoolean(value) {
+  if (value === true || value === 'true' || value === '1') return true;
+  if (value === false || value === 'false' || value === '0') return false;
+  return undefined;
+}
+
+// normalize message shape for frontend
+function normalizeMessage(m) {
+  return {
+    id: m.id,
+    role: m.role,
+    content: m.content || '',
+    created_at: m.created_at,
+    ai_mode: m.ai_mode,
+    metadata: m.metadata || null,
+    turn_id: m.turn_id || m.id,
+    parent_message_id: m.parent_message_id || null,
+    version: m.version || 1,
+    versionCount: m.version_count || 1
+  };
+}
+
+/**
+ * Trash routes: /api/conversations?resource=trash
+ *   GET     list trashed conversations (expired ones are purged first)
+ *   POST    { conversationId }                restore
+ *   DELETE  { conversationId } | { all: true } delete permanently
+ */
+async function handleTrash(req, res, user) {
+  if (req.method === 'GET') {
+    const expired = await purgeExpiredConversations({ userId: user.id });
+    if (!expired?.success) {
+      console.warn('[conversations] Trash purge failed:', expired?.error);
+    }
+
+    const r = await listDeletedConversations(user.id);
+    if (!r?.success) {
+      return sendError(res, { statusCode: 500, message: r?.error || 'Failed to fetch trash' });
+    }
+    return sendJSON(res, 200, createSuccessResponse({
+      conversations: r.conversations,
+      retentionDays: getTrashRetentionDays()
+    }));
+  }
+
+  if (req.method !== 'POST' && req.method !== 'DELETE') {
+    res.setHeader('Allow', 'GET, POST, DELETE');
+    return sendError(res, { statusCode: 405, message: 'Method not allowed' });
+  }
+
+  const body = parseJSONBody(req.body);
+  const emptyAll = req.method === 'DELETE' && body.all === true;
+  if (!emptyAll) {
+    try {
+      validateConversationId(body.conversationId);
+    } catch (error) {
+      return sendError(res, { statusCode: 400, message: error.message, field: 'conversationId' });
+    }
+  }
+
+  if (req.method === 'POST') {
+    const r = await restoreConversation(body.conversationId, user.id);
+    if (!r?.success) {
+      return sendError(res, { statusCode: statusForError(r?.error), message: r?.error || 'Failed to restore conversation' });
+    }
+    return sendJSON(res, 200, createSuccessResponse({ conversation: r.conversation }, 'Conversation restored'));
+  }
+
+  const r = await purgeConversation(emptyAll ? null : body.conversationId, user.id);
+  if (!r?.success) {
+    return sendError(res, { statusCode: statusForError(r?.error), message: r?.error || 'Failed to purge conversation' });
+  }
+  return sendJSON(res, 200, createSuccessResponse({ purged: r.purged }, 'Conversation permanently deleted'));
+}
+
+/**
+ * Folder routes: /api/conversations?resource=folders
+ *   GET     list folders
+ *   POST    { name, color?, position? }             create
+ *   PATCH   { folderId, name?, color?, position? }  update
+ *   DELETE  { folderId }                            delete (conversations become unfiled)
+ */
+async function handleFolders(req, res, user) {
+  const body = req.method === 'GET' ? {} : parseJSONBody(req.body);
+
+  if (req.method === 'GET') {
+    const r = await listFolders(user.id);
+    if (!r?.success) {
+      return sendError(res, { statusCode: 500, message: r?.error || 'Failed to fetch folders' });
+    }
+    return sendJSON(res, 200, createSuccessResponse({ folders: r.folders }));
+  }
+
+  if (req.method !== 'POST' && !isValidUUID(body.folderId)) {
+    return sendError(res, { statusCode: 400, message: 'Invalid folder ID format', field: 'folderId' });
+  }
+
+  let r;
+  try {
+    if (req.method === 'POST') {
+      r = await createFolder(user.id, {
+        name: validateFolderName(body.name),
+        color: typeof body.color === 'string' ? body.color.slice(0, 20) : null,
+        position: Number.isInteger(body.position) ? body.position : 0
+      });
+    } else if (req.method === 'PATCH') {
+      r = await updateFolder(body.folderId, user.id, {
+        name: body.name !== undefined ? validateFolderName(body.name) : undefined,
+        color: typeof body.color === 'string' ? body.color.slice(0, 20) : undefined,
+        position: Number.isInteger(body.position) ? body.position : undefined
+      });
+    } else if (req.method === 'DELETE') {
+      r = await deleteFolder(body.folderId, user.id);
+    } else {
+      res.setHeader('Allow', 'GET, POST, PATCH, DELETE');
+      return sendError(res, { statusCode: 405, message: 'Method not allowed' });
+    }
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  if (!r?.success) {
+    return sendError(res, { statusCode: statusForError(r?.error), message: r?.error || 'Folder update failed' });
+  }
+  if (req.method === 'DELETE') {
+    return sendJSON(res, 200, createSuccessResponse({ deleted: true }, 'Folder deleted successfully'));
+  }
+  return sendJSON(res, req.method === 'POST' ? 201 : 200, createSuccessResponse({ folder: r.folder }));
+}
+
+/**
+ * Branch routes: /api/conversations?resource=branches
+ *   GET     ?conversationId=                      list branches
+ *   GET     ?branchId=&limit=&before=             messages on a branch (same window as POST /)
+ *   GET     ?branchId=&compareWith=               messages after the common ancestor on each side
+ *   POST    { conversationId, name, description?, fromMessageId?, switchTo? }  create (fork)
+ *   POST    { action: 'switch', conversationId, branchId }                     make active
+ *   PATCH   { branchId, name?, description? }     rename
+ *   DELETE  { branchId }                          delete (not main or the active branch)
+ */
+async function handleBranches(req, res, user) {
+  const query = req.query || {};
+
+  if (req.method === 'GET') {
+    if (query.branchId) {
+      if (!isValidUUID(query.branchId)) {
+        return sendError(res, { statusCode: 400, message: 'Invalid branch ID format', field: 'branchId' });
+      }
+
+      if (query.compareWith) {
+        if (!isValidUUID(query.compareWith)) {
+          return sendError(res, { statusCode: 400, message: 'Invalid branch ID format', field: 'compareWith' });
+        }
+        const r = await compareBranches(query.branchId, query.compareWith, user.id);
+        if (!r?.success) {
+          return sendError(res, { statusCode: statusForError(r?.error), message: r?.error || 'Failed to compare branches' });
+        }
+        const side = s => ({ branch: s.branch, messages: s.messages.map(normalizeMessage) });
+        return sendJSON(res, 200, createSuccessResponse({
+          commonMessageId: r.commonMessageId,
+          shared: r.shared,
+          left: side(r.left),
+          right: side(r.right)
+        }));
+      }
+
+      const r = await getBranchMessages(query.branchId, user.id, {
+        limit: query.limit ? parseInt(query.limit, 10) : DEFAULT_MESSAGE_WINDOW,
+        before: query.before || null
+      });
+      if (!r?.success) {
+        const badCursor = r?.error === 'Invalid cursor';
+        return sendError(res, {
+          statusCode: badCursor ? 400 : statusForError(r?.error),
+          message: r?.error || 'Failed to fetch branch messages',
+          field: badCursor ? 'before' : undefined
+        });
+      }
+      return sendJSON(res, 200, createSuccessResponse({
+        branch: r.branch,
+        messages: r.messages.map(normalizeMessage),
+        total: r.total,
+        hasMore: r.hasMore,
+        nextCursor: r.nextCursor
+      }));
+    }
+
+    try {
+      validateConversationId(query.conversationId);
+    } catch (error) {
+      return sendError(res, { statusCode: 400, message: error.message, field: 'conversationId' });
+    }
+    const r = await listBranches(query.conversationId, user.id);
+    if (!r?.success) {
+      return sendError(res, { statusCode: statusForError(r?.error), message: r?.error || 'Failed to fetch branches' });
+    }
+    return sendJSON(res, 200, createSuccessResponse({ branches: r.branches, activeBranchId: r.activeBranchId }));
+  }
+
+  const body = parseJSONBody(req.body);
+  let r;
+  try {
+    if (req.method === 'POST') {
+      validateConversationId(body.conversationId);
+      if (body.action === 'switch') {
+        if (!isValidUUID(body.branchId)) throw createValidationError('Invalid branch ID format', 'branchId');
+        r = await switchBranch(body.conversationId, user.id, body.branchId);
+      } else {
+        if (body.fromMessageId && !isValidUUID(body.fromMessageId)) {
+          throw createValidationError('Invalid message ID format', 'fromMessageId');
+        }
+        r = await createBranch(body.conversationId, user.id, {
+          name: validateBranchName(body.name),
+          description: typeof body.description === 'string' ? body.description.slice(0, 500) : null,
+          fromMessageId: body.fromMessageId || null,
+          switchTo: body.switchTo !== false
+        });
+      }
+    } else if (req.method === 'PATCH' || req.method === 'DELETE') {
+      if (!isValidUUID(body.branchId)) throw createValidationError('Invalid branch ID format', 'branchId');
+      r = req.method === 'PATCH'
+        ? await updateBranch(body.branchId, user.id, {
+          name: body.name !== undefined ? validateBranchName(body.name) : undefined,
+          description: typeof body.description === 'string' ? body.description.slice(0, 500) : undefined
+        })
+        : await deleteBranch(body.branchId, user.id);
+    } else {
+      res.setHeader('Allow', 'GET, POST, PATCH, DELETE');
+      return sendError(res, { statusCode: 405, message: 'Method not allowed' });
+    }
+  } catch (error) {
+    if (!error.statusCode) error.statusCode = 400;
+    return sendError(res, error);
+  }
+
+  if (!r?.success) {
+    return sendError(res, { statusCode: statusForError(r?.error), message: r?.error || 'Branch update failed' });
+  }
+  if (req.method === 'DELETE') {
+    return sendJSON(res, 200, createSuccessResponse({ deleted: true }, 'Branch deleted successfully'));
+  }
+  const created = req.method === 'POST' && body.action !== 'switch';
+  return sendJSON(res, created ? 201 : 200, createSuccessResponse({ branch: r.branch }));
+}
+
+/**
+ * Checkpoint routes: /api/conversations?resource=checkpoints
+ *   GET     ?conversationId=                                list checkpoints
+ *   POST    { conversationId, name, description?, messageId? }  create (default: latest message)
+ *   POST    { action: 'restore', checkpointId, name? }      fork a new active branch at the checkpoint
+ *   DELETE  { checkpointId }                                delete
+ */
+async function handleCheckpoints(req, res, user) {
+  if (req.method === 'GET') {
+    const { conversationId } = req.query || {};
+    try {
+      validateConversationId(conversationId);
+    } catch (error) {
+      return sendError(res, { statusCode: 400, message: error.message, field: 'conversationId' });
+    }
+    const r = await listCheckpoints(conversationId, user.id);
+    if (!r?.success) {
+      return sendError(res, { statusCode: statusForError(r?.error), message: r?.error || 'Failed to fetch checkpoints' });
+    }
+    return sendJSON(res, 200, createSuccessResponse({ checkpoints: r.checkpoints }));
+  }
+
+  const body = parseJSONBody(req.body);
+  let r;
+  try {
+    if (req.method === 'POST' && body.action === 'restore') {
+      if (!isValidUUID(body.checkpointId)) throw createValidationError('Invalid checkpoint ID format', 'checkpointId');
+      r = await restoreCheckpoint(body.checkpointId, user.id, {
+        name: body.name ? validateBranchName(body.name) : null
+      });
+    } else if (req.method === 'POST') {
+      validateConversationId(body.conversationId);
+      if (body.messageId && !isValidUUID(body.messageId)) {
+        throw createValidationError('Invalid message ID format', 'messageId');
+      }
+      r = await createCheckpoint(body.conversationId, user.id, {
+        name: validateBranchName(body.name, 'Checkpoint'),
+        description: typeof body.description === 'string' ? body.description.slice(0, 500) : null,
+        messageId: body.messageId || null
+      });
+    } else if (req.method === 'DELETE') {
+      if (!isValidUUID(body.checkpointId)) throw createValidationError('Invalid checkpoint ID format', 'checkpointId');
+      r = await deleteCheckpoint(body.checkpointId, user.id);
+    } else {
+      res.setHeader('Allow', 'GET, POST, DELETE');
+      return sendError(res, { statusCode: 405, message: 'Method not allowed' });
+    }
+  } catch (error) {
+    if (!error.statusCode) error.statusCode = 400;
+    return sendError(res, error);
+  }
+
+  if (!r?.success) {
+    return sendError(res, { statusCode: statusForError(r?.error), message: r?.error || 'Checkpoint update failed' });
+  }
+  if (req.method === 'DELETE') {
+    return sendJSON(res, 200, createSuccessResponse({ deleted: true }, 'Checkpoint deleted successfully'));
+  }
+  if (body.action === 'restore') {
+    return sendJSON(res, 201, createSuccessResponse({ branch: r.branch, checkpoint: r.checkpoint }, 'Checkpoint restored'));
+  }
+  return sendJSON(res, 201, createSuccessResponse({ checkpoint: r.checkpoint }));
+}
+
+/**
+ * Share link routes: /api/conversations?resource=shares
+ *   GET     ?conversationId=                                         list links
+ *   POST    { conversationId, expiresInDays?, password?, redactFiles? }  create; the token is
+ *           only returned here, as `path` (/s/<token>)
+ *   DELETE  { shareId }                                              revoke
+ */
+async function handleShares(req, res, user) {
+  if (req.method === 'GET') {
+    const { conversationId } = req.query || {};
+    try {
+      validateConversationId(conversationId);
+    } catch (error) {
+      return sendError(res, { statusCode: 400, message: error.message, field: 'conversationId' });
+    }
+    const r = await listShares(conversationId, user.id);
+    if (!r?.success) {
+      return sendError(res, { statusCode: 500, message: r?.error || 'Failed to fetch shares' });
+    }
+    return sendJSON(res, 200, createSuccessResponse({ shares: r.shares }));
+  }
+
+  const body = parseJSONBody(req.body);
+
+  if (req.method === 'POST') {
+    try {
+      validateConversationId(body.conversationId);
+    } catch (error) {
+      return sendError(res, { statusCode: 400, message: error.message, field: 'conversationId' });
+    }
+    if (body.password !== undefined && body.password !== null &&
+        (typeof body.password !== 'string' || body.password.length < 4 || body.password.length > 128)) {
+      return sendError(res, { statusCode: 400, message: 'Password must be 4-128 characters', field: 'password' });
+    }
+
+    const r = await createShare(body.conversationId, user.id, {
+      password: body.password || null,
+      expiresInDays: body.expiresInDays ?? null,
+      redactFiles: body.redactFiles === true
+    });
+    if (!r?.success) {
+      return sendError(res, {
+        statusCode: statusForError(r?.error),
+        message: r?.error || 'Failed to create share',
+        field: r?.error?.startsWith('Invalid expiry') ? 'expiresInDays' : undefined
+      });
+    }
+    return sendJSON(res, 201, createSuccessResponse({ share: r.share, path: `/s/${r.token}` }, 'Share link created'));
+  }
+
+  if (req.method === 'DELETE') {
+    if (!isValidUUID(body.shareId)) {
+      return sendError(res, { statusCode: 400, message: 'Invalid share ID format', field: 'shareId' });
+    }
+    const r = await revokeShare(body.shareId, user.id);
+    if (!r?.success) {
+      return sendError(res, { statusCode: statusForError(r?.error), message: r?.error || 'Failed to revoke share' });
+    }
+    return sendJSON(res, 200, createSuccessResponse({ share: r.share }, 'Share link revoked'));
+  }
+
+  res.setHeader('Allow', 'GET, POST, DELETE');
+  return sendError(res, { statusCode: 405, message: 'Method not allowed' });
+}
 
 export default asyncHandler(async function handler(req, res) {
   // Set timeout
@@ -39,9 +454,8 @@ export default asyncHandler(async function handler(req, res) {
   logRequest(req, { endpoint: 'conversations' });
 
   // Rate limiting
-  const clientIP = getClientIP(req);
   try {
-    checkRateLimit(`conversations:${clientIP}`, 100, 60000); // 100 req/min
+    await enforceRateLimit(req, res, { route: 'conversations', limit: 100 }); // 100 req/min
   } catch (error) {
     return sendError(res, error);
   }
@@ -58,23 +472,141 @@ export default asyncHandler(async function handler(req, res) {
     });
   }
 
+  // Conversations outside the plan's history window cannot be opened (HISTORY_LIMIT);
+  // the trash, PATCH and DELETE still reach them
+  const resource = (req.query || {}).resource;
+  if (CONVERSATION_RESOURCES.includes(resource) || (!resource && req.method === 'POST')) {
+    try {
+      const { conversationId } = req.method === 'GET' ? req.query : parseJSONBody(req.body);
+      if (isValidUUID(conversationId)) await requireConversationAccess(user, conversationId);
+      // Branch reads name only the branch (and the one compared with it)
+      if (resource === 'branches' && req.method === 'GET') {
+        const { branchId, compareWith } = req.query;
+        await requireBranchAccess(user, [branchId, compareWith].filter(isValidUUID));
+      }
+    } catch (error) {
+      return sendError(res, error);
+    }
+  }
+
+  if ((req.query || {}).resource === 'folders') {
+    return handleFolders(req, res, user);
+  }
+
+  if ((req.query || {}).resource === 'trash') {
+    return handleTrash(req, res, user);
+  }
+
+  if ((req.query || {}).resource === 'branches') {
+    return handleBranches(req, res, user);
+  }
+
+  if ((req.query || {}).resource === 'checkpoints') {
+    return handleCheckpoints(req, res, user);
+  }
+
+  if ((req.query || {}).resource === 'shares') {
+    return handleShares(req, res, user);
+  }
+
   if (req.method === 'GET') {
-    const r = await getUserConversations(user.id);
+    // Cursor pagination: ?limit=30&cursor=<nextCursor from the previous page>
+    // Filters: folderId (uuid | 'none'), tag, archived=true, pinned=true|false
+    // Only conversations active within the plan's history window are listed
+    const query = req.query || {};
+    const folderId = query.folderId === 'none' || isValidUUID(query.folderId) ? query.folderId : undefined;
+    const historyCutoff = getHistoryCutoff(user);
+    const filters = {
+      folderId,
+      tag: typeof query.tag === 'string' && query.tag.trim() ? query.tag.trim().toLowerCase() : undefined,
+      archived: parseBoolean(query.archived) === true,
+      pinned: parseBoolean(query.pinned),
+      since: historyCutoff || undefined
+    };
+
+    // The unfiltered first page also carries the pinned conversations, listed above the pages
+    const withPinned = !query.cursor && filters.pinned === undefined && !filters.archived &&
+      !filters.folderId && !filters.tag;
+    if (withPinned) filters.pinned = false;
+
+    const [r, pinned] = await Promise.all([
+      getUserConversations(user.id, {
+        limit: query.limit ? parseInt(query.limit, 10) : undefined,
+        cursor: query.cursor || null,
+        ...filters
+      }),
+      withPinned ? getUserConversations(user.id, { limit: 100, pinned: true, since: filters.since }) : null
+    ]);
     if (!r?.success) {
       return sendError(res, {
-        statusCode: 500,
-        message: r?.error || 'Failed to fetch conversations'
+        statusCode: r?.error === 'Invalid cursor' ? 400 : 500,
+        message: r?.error || 'Failed to fetch conversations',
+        field: r?.error === 'Invalid cursor' ? 'cursor' : undefined
       });
     }
-    return sendJSON(res, 200, createSuccessResponse({
-      conversations: r.conversations || []
-    }));
+    if (pinned && !pinned.success) {
+      console.warn('[conversations] Pinned list unavailable:', pinned.error);
+    }
+
+    const response = {
+      conversations: r.conversations || [],
+      total: r.total,
+      hasMore: r.hasMore,
+      nextCursor: r.nextCursor,
+      historyCutoff
+    };
+    if (withPinned) {
+      response.pinned = (pinned?.conversations || [])
+        .sort((a, b) => new Date(b.pinned_at) - new Date(a.pinned_at));
+    }
+    return sendJSON(res, 200, createSuccessResponse(response));
   }
 
-  if (req.method === 'POST') {
+  if (req.method === 'PATCH') {
+    // { conversationId, folderId?: uuid|null, tags?: string[], pinned?: bool, archived?: bool }
     const body = parseJSONBody(req.body);
     const { conversationId } = body;
 
+    try {
+      validateConversationId(conversationId);
+    } catch (error) {
+      return sendError(res, {
+        statusCode: 400,
+        message: error.message,
+        field: 'conversationId'
+      });
+    }
+
+    const changes = {};
+    try {
+      if (body.folderId !== undefined) {
+        if (body.folderId !== null && !isValidUUID(body.folderId)) {
+          return sendError(res, { statusCode: 400, message: 'Invalid folder ID format', field: 'folderId' });
+        }
+        changes.folderId = body.folderId;
+      }
+      if (body.tags !== undefined) changes.tags = validateTags(body.tags);
+      if (body.pinned !== undefined) changes.pinned = !!body.pinned;
+      if (body.archived !== undefined) changes.archived = !!body.archived;
+    } catch (error) {
+      return sendError(res, error);
+    }
+
+    const r = await updateConversationOrganization(conversationId, user.id, changes);
+    if (!r?.success) {
+      return sendError(res, {
+        statusCode: statusForError(r?.error),
+        message: r?.error || 'Failed to update conversation'
+      });
+    }
+    return sendJSON(res, 200, createSuccessResponse({ conversation: r.conversation }));
+  }
+
+  if (req.method === 'POST') {
+    const body = parseJSONBody(req.body);
+    // limit: latest N messages; before: nextCursor of the previous window (older messages)
+    const { conversationId, limit = DEFAULT_MESSAGE_WINDOW, before = null } = body;
+
     if (!conversationId) {
       return sendError(res, {
         statusCode: 400,
@@ -94,23 +626,23 @@ export default asyncHandler(async function handler(req, res) {
       });
     }
 
-    const r = await getConversationMessages(conversationId, user.id);
+    const r = await getConversationMessages(conversationId, user.id, { limit, before });
     if (!r?.success) {
+      const badCursor = r?.error === 'Invalid cursor';
       return sendError(res, {
-        statusCode: r?.error?.includes('not found') ? 404 : 500,
-        message: r?.error || 'Failed to fetch messages'
+        statusCode: badCursor ? 400 : r?.error?.includes('not found') ? 404 : 500,
+        message: r?.error || 'Failed to fetch messages',
+        field: badCursor ? 'before' : undefined
       });
     }
 
-    // normalize shape for frontend
-    const messages = (r.messages || []).map(m => ({
-      role: m.role,
-      content: m.content || '',
-      created_at: m.created_at,
-      ai_mode: m.ai_mode
+    return sendJSON(res, 200, createSuccessResponse({
+      messages: (r.messages || []).map(normalizeMessage),
+      total: r.total,
+      hasMore: r.hasMore,
+      nextCursor: r.nextCursor,
+      activeBranchId: r.activeBranchId
     }));
-
-    return sendJSON(res, 200, createSuccessResponse({ messages }));
   }
 
   if (req.method === 'DELETE') {
@@ -136,6 +668,7 @@ export default asyncHandler(async function handler(req, res) {
       });
     }
 
+    // Soft delete: the conversation moves to the trash and can be restored until it is purged
     const r = await deleteConversation(conversationId, user.id);
     if (!r?.success) {
       return sendError(res, {
@@ -145,13 +678,13 @@ export default asyncHandler(async function handler(req, res) {
     }
 
     return sendJSON(res, 200, createSuccessResponse(
-      { deleted: true },
-      'Conversation deleted successfully'
+      { deleted: true, deletedAt: r.deletedAt, retentionDays: getTrashRetentionDays() },
+      'Conversation moved to trash'
     ));
   }
 
   // Invalid method
-  res.setHeader('Allow', 'GET, POST, DELETE');
+  res.setHeader('Allow', 'GET, POST, PATCH, DELETE');
   return sendError(res, {
     statusCode: 405,
     message: 'Method not allowed'
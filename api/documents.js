@@ -0,0 +1,96 @@
+// api/documents.js
+// Document library: list, fetch and delete documents saved from earlier uploads
+
+import { verifyUser } from '../lib/verify-user.js';
+import { listDocuments, getDocument, deleteDocument } from '../lib/documents.js';
+import {
+  setCorsHeaders,
+  sendJSON,
+  sendError,
+  asyncHandler,
+  withTimeout,
+  logRequest,
+  parseJSONBody,
+  handleOptions,
+  createSuccessResponse
+} from '../lib/api-utils.js';
+import { isValidUUID } from '../lib/validation.js';
+import { enforceRateLimit } from '../lib/rate-limit.js';
+
+function requireDocumentId(res, documentId) {
+  if (!documentId || !isValidUUID(documentId)) {
+    sendError(res, {
+      statusCode: 400,
+      message: 'Invalid or missing document id',
+      field: 'id'
+    });
+    return false;
+  }
+  return true;
+}
+
+export default asyncHandler(async function handler(req, res) {
+  withTimeout(req, res, 15000);
+  setCorsHeaders(req, res);
+
+  if (handleOptions(req, res)) return;
+
+  logRequest(req, { endpoint: 'documents' });
+
+  try {
+    await enforceRateLimit(req, res, { route: 'documents', limit: 100 });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  let user;
+  try {
+    user = await verifyUser(req);
+  } catch (e) {
+    console.error('[documents] Auth failed:', e?.message || e);
+    return sendError(res, {
+      statusCode: 401,
+      message: 'Invalid or expired authentication token'
+    });
+  }
+
+  const query = req.query || {};
+
+  if (req.method === 'GET') {
+    if (query.id) {
+      if (!requireDocumentId(res, query.id)) return;
+      const r = await getDocument(query.id, user.id, { includeText: query.includeText === 'true' });
+      if (!r?.success) {
+        return sendError(res, {
+          statusCode: r?.error?.includes('not found') ? 404 : 500,
+          message: r?.error || 'Failed to fetch document'
+        });
+      }
+      return sendJSON(res, 200, createSuccessResponse({ document: r.document }));
+    }
+
+    const r = await listDocuments(user.id, { limit: query.limit, offset: query.offset });
+    if (!r?.success) {
+      return sendError(res, { statusCode: 500, message: r?.error || 'Failed to fetch documents' });
+    }
+    return sendJSON(res, 200, createSuccessResponse({ documents: r.documents, total: r.total }));
+  }
+
+  if (req.method === 'DELETE') {
+    const body = parseJSONBody(req.body);
+    const documentId = body.id || query.id;
+    if (!requireDocumentId(res, documentId)) return;
+
+    const r = await deleteDocument(documentId, user.id);
+    if (!r?.success) {
+      return sendError(res, {
+        statusCode: r?.error?.includes('not found') ? 404 : 500,
+        message: r?.error || 'Failed to delete document'
+      });
+    }
+    return sendJSON(res, 200, createSuccessResponse({ deleted: true }, 'Document deleted successfully'));
+  }
+
+  res.setHeader('Allow', 'GET, DELETE');
+  return sendError(res, { statusCode: 405, message: 'Method not allowed' });
+});
@@ -0,0 +1,141 @@
+// api/experts.js
+// Admin CRUD for the expert directory used by Expert_match
+
+import { verifyUser, isAdminUser } from '../lib/verify-user.js';
+import {
+  listExperts,
+  getExpert,
+  createExpert,
+  updateExpert,
+  deleteExpert
+} from '../lib/experts.js';
+import {
+  setCorsHeaders,
+  sendJSON,
+  sendError,
+  asyncHandler,
+  withTimeout,
+  logRequest,
+  parseJSONBody,
+  handleOptions,
+  createSuccessResponse
+} from '../lib/api-utils.js';
+import { isValidUUID } from '../lib/validation.js';
+import { enforceRateLimit } from '../lib/rate-limit.js';
+
+function statusFor(r, fallback = 500) {
+  if (r?.field || r?.error?.startsWith('Invalid')) return 400;
+  if (r?.error?.includes('not found')) return 404;
+  return fallback;
+}
+
+function requireExpertId(res, expertId) {
+  if (!expertId || !isValidUUID(expertId)) {
+    sendError(res, {
+      statusCode: 400,
+      message: 'Invalid or missing expert id',
+      field: 'id'
+    });
+    return false;
+  }
+  return true;
+}
+
+export default asyncHandler(async function handler(req, res) {
+  withTimeout(req, res, 15000);
+  setCorsHeaders(req, res);
+
+  if (handleOptions(req, res)) return;
+
+  logRequest(req, { endpoint: 'experts' });
+
+  try {
+    await enforceRateLimit(req, res, { route: 'experts', limit: 60 });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  let user;
+  try {
+    user = await verifyUser(req);
+  } catch (e) {
+    console.error('[experts] Auth failed:', e?.message || e);
+    return sendError(res, {
+      statusCode: 401,
+      message: 'Invalid or expired authentication token'
+    });
+  }
+
+  if (!isAdminUser(user)) {
+    return sendError(res, { statusCode: 403, message: 'Admin access required' });
+  }
+
+  const query = req.query || {};
+
+  if (req.method === 'GET') {
+    if (query.id) {
+      if (!requireExpertId(res, query.id)) return;
+      const r = await getExpert(query.id);
+      if (!r?.success) {
+        return sendError(res, { statusCode: statusFor(r), message: r?.error || 'Failed to fetch expert' });
+      }
+      return sendJSON(res, 200, createSuccessResponse({ expert: r.expert }));
+    }
+
+    const r = await listExperts({
+      query: query.q,
+      onlyAvailable: query.available === 'true',
+      limit: query.limit,
+      offset: query.offset
+    });
+    if (!r?.success) {
+      return sendError(res, { statusCode: 500, message: r?.error || 'Failed to fetch experts' });
+    }
+    return sendJSON(res, 200, createSuccessResponse({ experts: r.experts, total: r.total }));
+  }
+
+  if (req.method === 'POST') {
+    const body = parseJSONBody(req.body);
+    const r = await createExpert(body);
+    if (!r?.success) {
+      return sendError(res, {
+        statusCode: statusFor(r),
+        message: r?.error || 'Failed to create expert',
+        field: r?.field
+      });
+    }
+    return sendJSON(res, 201, createSuccessResponse({ expert: r.expert }, 'Expert created'));
+  }
+
+  if (req.method === 'PUT' || req.method === 'PATCH') {
+    const body = parseJSONBody(req.body);
+    const expertId = body.id || query.id;
+    if (!requireExpertId(res, expertId)) return;
+
+    const { id, created_at, updated_at, ...changes } = body;
+    const r = await updateExpert(expertId, changes);
+    if (!r?.success) {
+      return sendError(res, {
+        statusCode: statusFor(r),
+        message: r?.error || 'Failed to update expert',
+        field: r?.field
+      });
+    }
+    return sendJSON(res, 200, createSuccessResponse({ expert: r.expert }, 'Expert updated'));
+  }
+
+  if (req.method === 'DELETE') {
+    const body = parseJSONBody(req.body);
+    const expertId = body.id || query.id;
+    if (!requireExpertId(res, expertId)) return;
+
+    const r = await deleteExpert(expertId);
+    if (!r?.success) {
+      return sendError(res, { statusCode: statusFor(r), message: r?.error || 'Failed to delete expert' });
+    }
+    return sendJSON(res, 200, createSuccessResponse({ deleted: true }, 'Expert deleted'));
+  }
+
+  res.setHeader('Allow', 'GET, POST, PUT, PATCH, DELETE');
+  return sendError(res, { statusCode: 405, message: 'Method not allowed' });
+});
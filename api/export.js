@@ -0,0 +1,128 @@
+// api/export.js
+// Conversation export as a file download: DOCX, PDF (embedded Chinese font), Markdown, JSON
+//   GET  ?format=docx&conversationId=<id>
+//   GET  ?format=pdf&folderId=&tag=&archived=true&pinned=true|false&since=&until=
+//   POST { format, conversationIds: [...] | filters: {...}, title? }
+// One conversation, an explicit list, or everything matching the sidebar filters
+// (newest first, at most 50 conversations). DOCX and PDF need a paid plan, and only
+// conversations within the plan's history window are exported (lib/entitlements.js).
+
+import { verifyUser } from '../lib/verify-user.js';
+import { exportConversations, EXPORT_FORMATS, MAX_EXPORT_CONVERSATIONS } from '../lib/export.js';
+import {
+  setCorsHeaders,
+  sendError,
+  asyncHandler,
+  withTimeout,
+  logRequest,
+  parseJSONBody,
+  handleOptions
+} from '../lib/api-utils.js';
+import { isValidUUID, createValidationError, sanitizeString } from '../lib/validation.js';
+import { enforceRateLimit } from '../lib/rate-limit.js';
+import { requireExportFormat, requireConversationAccess, limitHistorySince } from '../lib/entitlements.js';
+
+function parseDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw createValidationError(`Invalid ${field}: expected a date`, field);
+  return date.toISOString();
+}
+
+function parseBoolean(value) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return undefined;
+}
+
+function parseIds(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const ids = Array.isArray(value) ? value : String(value).split(',');
+  const clean = [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+  if (!clean.length || clean.some(id => !isValidUUID(id))) {
+    throw createValidationError('Invalid conversation id', 'conversationIds');
+  }
+  if (clean.length > MAX_EXPORT_CONVERSATIONS) {
+    throw createValidationError(`Too many conversations: at most ${MAX_EXPORT_CONVERSATIONS} per export`, 'conversationIds');
+  }
+  return clean;
+}
+
+function parseFilters(source = {}) {
+  const { folderId, tag } = source;
+  if (folderId && folderId !== 'none' && !isValidUUID(folderId)) {
+    throw createValidationError('Invalid folder id', 'folderId');
+  }
+  return {
+    folderId: folderId || undefined,
+    tag: tag ? sanitizeString(String(tag), 50) : undefined,
+    archived: parseBoolean(source.archived) === true,
+    pinned: parseBoolean(source.pinned),
+    since: parseDate(source.since, 'since'),
+    until: parseDate(source.until, 'until')
+  };
+}
+
+function sendFile(res, { body, contentType, filename }) {
+  const ascii = filename.replace(/[^\x20-\x7e]/g, '_').replace(/"/g, '');
+  res.status(200);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.end(body);
+}
+
+export default asyncHandler(async function handler(req, res) {
+  withTimeout(req, res, 60000);
+  setCorsHeaders(req, res);
+
+  if (handleOptions(req, res)) return;
+
+  logRequest(req, { endpoint: 'export' });
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    return sendError(res, { statusCode: 405, message: 'Method not allowed' });
+  }
+
+  try {
+    // Rendering is expensive; exports are limited much harder than reads
+    await enforceRateLimit(req, res, { route: 'export', limit: 20 });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  let user;
+  try {
+    user = await verifyUser(req);
+  } catch (e) {
+    console.error('[export] Auth failed:', e?.message || e);
+    return sendError(res, {
+      statusCode: 401,
+      message: 'Invalid or expired authentication token'
+    });
+  }
+
+  const input = req.method === 'POST' ? parseJSONBody(req.body) : (req.query || {});
+  const format = String(input.format || '').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return sendError(res, createValidationError(`Invalid format: must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`, 'format'));
+  }
+
+  let conversationIds;
+  let filters;
+  try {
+    requireExportFormat(user, format);
+    conversationIds = parseIds(input.conversationIds ?? input.conversationId);
+    filters = parseFilters(req.method === 'POST' ? input.filters : input);
+    if (conversationIds) await requireConversationAccess(user, conversationIds);
+    filters.since = limitHistorySince(user, filters.since);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const title = input.title ? sanitizeString(String(input.title), 200) : null;
+  const file = await exportConversations({ userId: user.id, format, conversationIds, filters, title });
+  return sendFile(res, file);
+});
@@ -0,0 +1,93 @@
+// api/import.js
+// Conversation import from a file's text:
+//   POST { content, filename?, format?: 'beta'|'chatgpt'|'markdown', folderId?, dryRun? }
+// Accepts our own JSON export, ChatGPT's conversations.json and Markdown transcripts (the format
+// is detected when omitted), at most 100 conversations per request; the browser splits larger
+// ChatGPT exports. Responds with what was imported, the duplicates and the skipped entries.
+// Imported conversations keep their original times; those older than the plan's history
+// window are flagged outsideHistory, as the plan does not list or open them.
+
+import { verifyUser } from '../lib/verify-user.js';
+import { importConversations } from '../lib/import.js';
+import { IMPORT_FORMATS } from '../lib/import-formats.js';
+import {
+  setCorsHeaders,
+  sendError,
+  sendJSON,
+  createSuccessResponse,
+  asyncHandler,
+  withTimeout,
+  logRequest,
+  parseJSONBody,
+  handleOptions
+} from '../lib/api-utils.js';
+import { isValidUUID, createValidationError } from '../lib/validation.js';
+import { enforceRateLimit } from '../lib/rate-limit.js';
+import { getHistoryCutoff } from '../lib/entitlements.js';
+
+// Vercel rejects request bodies over 4.5MB; the file text must fit below that
+const MAX_IMPORT_LENGTH = 4 * 1024 * 1024;
+
+export default asyncHandler(async function handler(req, res) {
+  withTimeout(req, res, 60000);
+  setCorsHeaders(req, res);
+
+  if (handleOptions(req, res)) return;
+
+  logRequest(req, { endpoint: 'import' });
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return sendError(res, { statusCode: 405, message: 'Method not allowed' });
+  }
+
+  try {
+    await enforceRateLimit(req, res, { route: 'import', limit: 20 });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  let user;
+  try {
+    user = await verifyUser(req);
+  } catch (e) {
+    console.error('[import] Auth failed:', e?.message || e);
+    return sendError(res, {
+      statusCode: 401,
+      message: 'Invalid or expired authentication token'
+    });
+  }
+
+  const body = parseJSONBody(req.body);
+  const { content, filename = '', format = null, folderId = null, dryRun = false } = body;
+
+  if (typeof content !== 'string' || !content.trim()) {
+    return sendError(res, createValidationError('File content is required', 'content'));
+  }
+  if (content.length > MAX_IMPORT_LENGTH) {
+    return sendError(res, { statusCode: 413, message: 'File too large: split it into smaller parts', field: 'content' });
+  }
+  if (format && !IMPORT_FORMATS.includes(format)) {
+    return sendError(res, createValidationError(`Invalid format: must be one of ${IMPORT_FORMATS.join(', ')}`, 'format'));
+  }
+  if (folderId && !isValidUUID(folderId)) {
+    return sendError(res, createValidationError('Invalid folder id', 'folderId'));
+  }
+
+  const report = await importConversations({
+    userId: user.id,
+    content,
+    filename: String(filename).slice(0, 255),
+    format: format || null,
+    folderId: folderId || null,
+    dryRun: dryRun === true,
+    historyCutoff: getHistoryCutoff(user)
+  });
+
+  const hidden = report.imported.filter(c => c.outsideHistory).length;
+  const message = (report.dryRun
+    ? `${report.imported.length} conversations would be imported`
+    : `Imported ${report.imported.length} conversations`) +
+    (hidden ? `; ${hidden} are older than the plan's history window and will not be shown` : '');
+  return sendJSON(res, 200, createSuccessResponse(report, message));
+});
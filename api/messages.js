@@ -0,0 +1,177 @@
+// api/messages.js
+// Message versions: list the versions of a turn, edit a user message, regenerate a reply
+// and switch which version of a turn is shown
+
+import { verifyUser } from '../lib/verify-user.js';
+import { listMessageVersions, activateMessageVersion } from '../lib/database.js';
+import { editUserMessage, regenerateReply } from '../lib/message-versions.js';
+import { guardPromptLeak } from '../lib/prompt-guard.js';
+import { getMode } from '../lib/modes.js';
+import {
+  setCorsHeaders,
+  sendJSON,
+  sendError,
+  asyncHandler,
+  withTimeout,
+  logRequest,
+  parseJSONBody,
+  handleOptions,
+  getClientIP,
+  createSuccessResponse
+} from '../lib/api-utils.js';
+import { isValidUUID, validateMessageContent } from '../lib/validation.js';
+import { enforceRateLimit, enforceMessageQuota } from '../lib/rate-limit.js';
+import { requireMessageAccess } from '../lib/entitlements.js';
+
+function requireUUID(res, value, field) {
+  if (!value || !isValidUUID(value)) {
+    sendError(res, {
+      statusCode: 400,
+      message: `Invalid or missing ${field}`,
+      field
+    });
+    return false;
+  }
+  return true;
+}
+
+function requireMode(res, modeId) {
+  if (modeId && !getMode(modeId)) {
+    sendError(res, { statusCode: 400, message: `Unknown mode: ${modeId}`, field: 'mode' });
+    return false;
+  }
+  return true;
+}
+
+function normalizeMessage(m) {
+  return m && {
+    id: m.id,
+    conversation_id: m.conversation_id,
+    turn_id: m.turn_id || m.id,
+    version: m.version || 1,
+    active: m.active !== false,
+    role: m.role,
+    content: m.content || '',
+    ai_mode: m.ai_mode,
+    metadata: m.metadata || null,
+    created_at: m.created_at,
+    version_created_at: m.version_created_at || m.created_at
+  };
+}
+
+export default asyncHandler(async function handler(req, res) {
+  // Regeneration waits on the model
+  withTimeout(req, res, 60000);
+  setCorsHeaders(req, res);
+
+  if (handleOptions(req, res)) return;
+
+  logRequest(req, { endpoint: 'messages' });
+
+  const clientIP = getClientIP(req);
+  try {
+    // Each edit/regenerate is a model call, so keep writes well below the read limit
+    await enforceRateLimit(req, res, { route: 'messages', limit: 100 });
+    if (req.method !== 'GET') await enforceRateLimit(req, res, { route: 'messages-generate', limit: 20 });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  let user;
+  try {
+    user = await verifyUser(req);
+  } catch (e) {
+    console.error('[messages] Auth failed:', e?.message || e);
+    return sendError(res, {
+      statusCode: 401,
+      message: 'Invalid or expired authentication token'
+    });
+  }
+
+  const query = req.query || {};
+
+  if (req.method === 'GET') {
+    if (!requireUUID(res, query.turnId, 'turnId')) return;
+    await requireMessageAccess(user, query.turnId);
+
+    const r = await listMessageVersions(query.turnId, user.id);
+    if (!r?.success) {
+      return sendError(res, {
+        statusCode: r?.error?.includes('not found') ? 404 : 500,
+        message: r?.error || 'Failed to fetch versions'
+      });
+    }
+    return sendJSON(res, 200, createSuccessResponse({ versions: r.versions.map(normalizeMessage) }));
+  }
+
+  const body = parseJSONBody(req.body);
+
+  if (req.method === 'PATCH') {
+    const { messageId, mode = null, regenerate = true } = body;
+    if (!requireUUID(res, messageId, 'messageId')) return;
+    if (!requireMode(res, mode)) return;
+    await requireMessageAccess(user, messageId);
+
+    let content;
+    try {
+      content = validateMessageContent(body.content);
+    } catch (error) {
+      return sendError(res, { statusCode: 400, message: error.message, field: 'content' });
+    }
+
+    // SECURITY: an edit reaches the model just like a new message
+    const guard = guardPromptLeak(content, mode || 'default', user.id, clientIP);
+    if (!guard.allowed) {
+      console.warn('[SECURITY] Blocked prompt leak attempt in edit from user:', user.id);
+      return sendError(res, { statusCode: 400, message: guard.response, field: 'content' });
+    }
+
+    // A regenerated reply counts against the daily message quota
+    if (regenerate !== false) await enforceMessageQuota(req, res, user);
+
+    const { message, reply } = await editUserMessage({
+      user,
+      messageId,
+      content,
+      regenerate: regenerate !== false,
+      modeId: mode
+    });
+    return sendJSON(res, 200, createSuccessResponse({
+      message: normalizeMessage(message),
+      reply: normalizeMessage(reply)
+    }, 'Message updated'));
+  }
+
+  if (req.method === 'POST') {
+    const { action, messageId, mode = null } = body;
+    if (!requireUUID(res, messageId, 'messageId')) return;
+    await requireMessageAccess(user, messageId);
+
+    if (action === 'regenerate') {
+      if (!requireMode(res, mode)) return;
+      await enforceMessageQuota(req, res, user);
+      const message = await regenerateReply({ user, messageId, modeId: mode });
+      return sendJSON(res, 200, createSuccessResponse({ message: normalizeMessage(message) }));
+    }
+
+    if (action === 'activate') {
+      const r = await activateMessageVersion(messageId, user.id);
+      if (!r?.success) {
+        return sendError(res, {
+          statusCode: r?.error?.includes('not found') ? 404 : 500,
+          message: r?.error || 'Failed to switch version'
+        });
+      }
+      return sendJSON(res, 200, createSuccessResponse({ message: normalizeMessage(r.message) }));
+    }
+
+    return sendError(res, {
+      statusCode: 400,
+      message: 'Invalid action. Must be "regenerate" or "activate"',
+      field: 'action'
+    });
+  }
+
+  res.setHeader('Allow', 'GET, POST, PATCH');
+  return sendError(res, { statusCode: 405, message: 'Method not allowed' });
+});
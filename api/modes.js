@@ -0,0 +1,24 @@
+// api/modes.js
+// Public mode registry for the frontend mode selector (no system prompts)
+
+import { getPublicModes } from '../lib/modes.js';
+import {
+  setCorsHeaders,
+  sendJSON,
+  asyncHandler,
+  handleOptions,
+  validateMethod,
+  createSuccessResponse
+} from '../lib/api-utils.js';
+
+export default asyncHandler(async function handler(req, res) {
+  setCorsHeaders(req, res);
+
+  if (handleOptions(req, res)) return;
+  if (!validateMethod(req, res, ['GET'])) return;
+
+  // Registry only changes on deploy
+  res.setHeader('Cache-Control', 'public, max-age=300');
+
+  return sendJSON(res, 200, createSuccessResponse(getPublicModes()));
+});
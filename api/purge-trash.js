@@ -0,0 +1,31 @@
+// api/purge-trash.js
+// Scheduled purge of conversations that have been in the trash longer than
+// TRASH_RETENTION_DAYS (default 30). Invoked daily by the Vercel cron in vercel.json,
+// which sends "Authorization: Bearer <CRON_SECRET>".
+
+import { purgeExpiredConversations, getTrashRetentionDays } from '../lib/database.js';
+import {
+  sendJSON,
+  sendError,
+  asyncHandler,
+  validateMethod,
+  createSuccessResponse
+} from '../lib/api-utils.js';
+
+export default asyncHandler(async function handler(req, res) {
+  if (!validateMethod(req, res, ['GET'])) return;
+
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return sendError(res, { statusCode: 401, message: 'Unauthorized' });
+  }
+
+  const retentionDays = getTrashRetentionDays();
+  const r = await purgeExpiredConversations({ retentionDays });
+  if (!r?.success) {
+    return sendError(res, { statusCode: 500, message: r?.error || 'Failed to purge trash' });
+  }
+
+  console.log(`[purge-trash] Purged ${r.purged} conversation(s) older than ${retentionDays} days`);
+  return sendJSON(res, 200, createSuccessResponse({ purged: r.purged, retentionDays }));
+});
@@ -1,7 +1,9 @@
 // api/search.js
 // Full-text search endpoint for conversations and messages
 import { verifyUser } from '../lib/verify-user.js';
-import { supabase } from '../lib/supabase.js';
+import { getSupabaseAdmin } from '../lib/supabase.js';
+import { isValidUUID } from '../lib/validation.js';
+import { getHistoryCutoff } from '../lib/entitlements.js';
 
 export const runtime = 'nodejs';
 export const config = { api: { bodyParser: true } };
@@ -40,7 +42,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { query, ai_mode, start_date, end_date } = req.query;
+    const { query, ai_mode, start_date, end_date, folder_id, tag, include_archived } = req.query;
 
     // Validate query
     if (!query || typeof query !== 'string' || query.trim().length === 0) {
@@ -51,6 +53,10 @@ export default async function handler(req, res) {
       return sendJSON(res, 400, { error: 'Search query too long (max 500 characters)' });
     }
 
+    if (folder_id && !isValidUUID(folder_id)) {
+      return sendJSON(res, 400, { error: 'Invalid folder ID format' });
+    }
+
     // Build parameters for the search function
     const params = {
       p_user_id: user.id,
@@ -58,12 +64,20 @@ export default async function handler(req, res) {
       p_ai_mode: ai_mode || null,
       p_start_date: start_date || null,
       p_end_date: end_date || null,
+      p_folder_id: folder_id || null,
+      p_tag: typeof tag === 'string' && tag.trim() ? tag.trim().toLowerCase() : null,
+      p_include_archived: include_archived === 'true',
     };
 
     console.log('Search params:', params);
 
-    // Call the PostgreSQL search function
-    const { data, error } = await supabase.rpc('search_conversations', params);
+    // Call the PostgreSQL search function (executable by the service role only; it is
+    // scoped to p_user_id, the verified user)
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      return sendJSON(res, 500, { error: 'Database connection not available' });
+    }
+    const { data, error } = await supabaseAdmin.rpc('search_conversations', params);
 
     if (error) {
       console.error('Search error:', error);
@@ -83,6 +97,10 @@ export default async function handler(req, res) {
           title: row.conversation_title,
           created_at: row.conversation_created_at,
           updated_at: row.conversation_updated_at,
+          folder_id: row.conversation_folder_id,
+          tags: row.conversation_tags || [],
+          pinned_at: row.conversation_pinned_at,
+          archived_at: row.conversation_archived_at,
           matches: []
         });
       }
@@ -97,13 +115,17 @@ export default async function handler(req, res) {
       });
     }
 
-    const results = Array.from(conversationMap.values());
+    // Conversations outside the plan's history window are left out
+    const historyCutoff = getHistoryCutoff(user);
+    const results = Array.from(conversationMap.values())
+      .filter(c => !historyCutoff || new Date(c.updated_at) >= new Date(historyCutoff));
 
     return sendJSON(res, 200, {
       success: true,
       query: query.trim(),
       results,
-      total: results.length
+      total: results.length,
+      historyCutoff
     });
 
   } catch (err) {
@@ -0,0 +1,65 @@
+// api/share.js
+// Public, read-only page for a shared conversation: GET /s/<token> (rewritten to
+// /api/share?token=<token>). Password-protected links POST the password from the page form.
+// Links are created and revoked through /api/conversations?resource=shares.
+import { openShare } from '../lib/shares.js';
+import { renderSharePage, renderShareStatusPage } from '../lib/share-page.js';
+import { enforceRateLimit } from '../lib/rate-limit.js';
+
+export const runtime = 'nodejs';
+export const config = { api: { bodyParser: true } };
+
+const STATUS_CODES = {
+  not_found: 404,
+  expired: 410,
+  password_required: 401,
+  invalid_password: 401
+};
+
+function sendHTML(res, code, html) {
+  res.status(code);
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  // Shared pages are private to whoever has the link: never cached, indexed or leaked via Referer
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  res.setHeader('Referrer-Policy', 'no-referrer');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'; frame-ancestors 'none'");
+  res.end(html);
+}
+
+function readPassword(body) {
+  if (!body) return null;
+  if (typeof body === 'object') return typeof body.password === 'string' ? body.password : null;
+  return new URLSearchParams(String(body)).get('password');
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    return sendHTML(res, 405, renderShareStatusPage('not_found'));
+  }
+
+  try {
+    await enforceRateLimit(req, res, { route: 'share', limit: 60 });
+    // Password guesses are limited much harder than page views
+    if (req.method === 'POST') await enforceRateLimit(req, res, { route: 'share-password', limit: 10 });
+  } catch (error) {
+    return sendHTML(res, 429, renderShareStatusPage('not_found'));
+  }
+
+  const token = typeof req.query?.token === 'string' ? req.query.token : '';
+  const password = req.method === 'POST' ? readPassword(req.body) : null;
+
+  const r = await openShare(token, password);
+  if (!r.success) {
+    console.error('Share page error:', r.error);
+    return sendHTML(res, 500, renderShareStatusPage('not_found'));
+  }
+
+  if (r.status !== 'ok') {
+    return sendHTML(res, STATUS_CODES[r.status] || 404, renderShareStatusPage(r.status));
+  }
+
+  return sendHTML(res, 200, renderSharePage(r));
+}
@@ -0,0 +1,266 @@
+// api/subscriptions.js
+// Subscriptions and billing for public/modules/subscription-system.js. Routed as
+// /api/subscriptions/<action>[/<id>] (rewritten to ?action=&id= in vercel.json):
+//   GET  customer | invoices?limit=&before= | download-invoice/<id> | usage-stats | entitlements
+//   POST customer | create-checkout | update-subscription | cancel-subscription |
+//        resume-subscription | add-payment-method | remove-payment-method |
+//        create-payment-intent | customer-portal | track-usage
+//   POST webhook   payment provider events (signature checked, no user auth)
+// The body is read raw because webhook signatures cover the exact bytes sent.
+
+import { verifyUser } from '../lib/verify-user.js';
+import {
+  getBillingAccount,
+  createCheckout,
+  updateSubscription,
+  cancelSubscription,
+  resumeSubscription,
+  addPaymentMethod,
+  removePaymentMethod,
+  createPaymentIntent,
+  createPortalSession,
+  listInvoices,
+  getInvoicePdf,
+  handleWebhook
+} from '../lib/subscriptions.js';
+import { getUserPlan } from '../lib/plans.js';
+import { getEntitlements } from '../lib/entitlements.js';
+import {
+  setCorsHeaders,
+  sendJSON,
+  sendError,
+  asyncHandler,
+  withTimeout,
+  logRequest,
+  parseJSONBody,
+  handleOptions,
+  createSuccessResponse
+} from '../lib/api-utils.js';
+import { createValidationError } from '../lib/validation.js';
+import { enforceRateLimit, getMessageQuota } from '../lib/rate-limit.js';
+
+export const config = { api: { bodyParser: false } };
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const GET_ACTIONS = ['customer', 'invoices', 'download-invoice', 'usage-stats', 'entitlements'];
+const POST_ACTIONS = [
+  'customer', 'create-checkout', 'update-subscription', 'cancel-subscription', 'resume-subscription',
+  'add-payment-method', 'remove-payment-method', 'create-payment-intent', 'customer-portal', 'track-usage', 'webhook'
+];
+
+async function readRawBody(req) {
+  if (typeof req.body === 'string') return req.body;
+  if (Buffer.isBuffer(req.body)) return req.body.toString('utf8');
+  if (req.body && typeof req.body === 'object') return JSON.stringify(req.body);
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      const error = new Error('Request body too large');
+      error.statusCode = 413;
+      throw error;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// ?action=&id= from the rewrite, or the path itself when called without it
+function parseRoute(req) {
+  const query = req.query || {};
+  if (query.action) return { action: String(query.action), id: query.id ? String(query.id) : null };
+  const path = new URL(req.url, 'http://localhost').pathname;
+  const [action = '', id = null] = path.replace(/^\/api\/subscriptions\/?/, '').split('/').filter(Boolean);
+  return { action, id };
+}
+
+// Checkout and portal only send users back to this site
+function validateReturnUrl(req, value, field) {
+  const host = req.headers.host;
+  const allowed = [req.headers.origin, host && `https://${host}`, host && `http://${host}`].filter(Boolean);
+  if (value === undefined || value === null || value === '') {
+    if (!allowed.length) throw createValidationError(`Missing ${field}`, field);
+    return `${allowed[0]}/`;
+  }
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (e) {
+    throw createValidationError(`Invalid ${field}`, field);
+  }
+  if (!allowed.includes(url.origin)) throw createValidationError(`${field} must point to this site`, field);
+  return url.toString();
+}
+
+function requireString(value, field) {
+  if (typeof value !== 'string' || !value.trim() || value.length > 255) {
+    throw createValidationError(`Invalid or missing ${field}`, field);
+  }
+  return value.trim();
+}
+
+function sendPdf(res, { body, filename }) {
+  res.status(200);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.end(body);
+}
+
+async function handleGet(req, res, user, { action, id }) {
+  const query = req.query || {};
+
+  if (action === 'customer') {
+    return sendJSON(res, 200, createSuccessResponse(await getBillingAccount(user)));
+  }
+
+  if (action === 'invoices') {
+    const invoices = await listInvoices(user.id, { limit: query.limit, before: query.before || null });
+    return sendJSON(res, 200, createSuccessResponse({ invoices }));
+  }
+
+  if (action === 'download-invoice') {
+    return sendPdf(res, await getInvoicePdf(user.id, id || query.invoiceId));
+  }
+
+  // What the plan allows, as enforced by lib/entitlements.js
+  if (action === 'entitlements') {
+    return sendJSON(res, 200, createSuccessResponse(getEntitlements(user)));
+  }
+
+  // usage-stats: what the server meters (today's AI messages) against the plan's limits
+  const quota = await getMessageQuota(user);
+  const plan = getUserPlan(user);
+  return sendJSON(res, 200, createSuccessResponse({
+    period: 'day',
+    plan: plan.id,
+    limits: plan.limits,
+    messagesPerDay: quota.used,
+    remaining: { messagesPerDay: quota.remaining },
+    resetSeconds: quota.resetSeconds
+  }));
+}
+
+async function handlePost(req, res, user, { action }, body) {
+  switch (action) {
+    case 'customer':
+      return sendJSON(res, 200, createSuccessResponse(await getBillingAccount(user, { create: true })));
+
+    case 'create-checkout': {
+      const session = await createCheckout(user, {
+        priceId: body.priceId || null,
+        planId: body.planId || null,
+        quantity: body.quantity,
+        successUrl: validateReturnUrl(req, body.successUrl, 'successUrl'),
+        cancelUrl: validateReturnUrl(req, body.cancelUrl, 'cancelUrl'),
+        metadata: body.metadata
+      });
+      return sendJSON(res, 200, createSuccessResponse(session));
+    }
+
+    case 'update-subscription': {
+      const subscription = await updateSubscription(user, body.subscriptionId, {
+        priceId: body.priceId || null,
+        planId: body.planId || null,
+        quantity: body.quantity,
+        prorationBehavior: body.prorationBehavior
+      });
+      return sendJSON(res, 200, createSuccessResponse({ subscription }, 'Subscription updated'));
+    }
+
+    case 'cancel-subscription': {
+      const subscription = await cancelSubscription(user, body.subscriptionId, {
+        atPeriodEnd: body.cancelAtPeriodEnd !== false,
+        feedback: body.feedback
+      });
+      return sendJSON(res, 200, createSuccessResponse({ subscription }, 'Subscription canceled'));
+    }
+
+    case 'resume-subscription': {
+      const subscription = await resumeSubscription(user, body.subscriptionId);
+      return sendJSON(res, 200, createSuccessResponse({ subscription }, 'Subscription resumed'));
+    }
+
+    case 'add-payment-method': {
+      const paymentMethods = await addPaymentMethod(user, requireString(body.paymentMethodId, 'paymentMethodId'), {
+        setAsDefault: body.setAsDefault === true
+      });
+      return sendJSON(res, 200, createSuccessResponse({ paymentMethods }));
+    }
+
+    case 'remove-payment-method': {
+      const paymentMethods = await removePaymentMethod(user, requireString(body.paymentMethodId, 'paymentMethodId'));
+      return sendJSON(res, 200, createSuccessResponse({ paymentMethods }));
+    }
+
+    case 'create-payment-intent': {
+      const intent = await createPaymentIntent(user, {
+        amount: body.amount,
+        currency: body.currency,
+        metadata: body.metadata
+      });
+      return sendJSON(res, 200, createSuccessResponse(intent));
+    }
+
+    case 'customer-portal': {
+      const portal = await createPortalSession(user, validateReturnUrl(req, body.returnUrl, 'returnUrl'));
+      return sendJSON(res, 200, createSuccessResponse({ url: portal.url }));
+    }
+
+    // Usage is metered on the server; client-side counts are not trusted or stored
+    case 'track-usage':
+      return sendJSON(res, 202, createSuccessResponse({ recorded: false }));
+  }
+}
+
+export default asyncHandler(async function handler(req, res) {
+  withTimeout(req, res, 30000);
+  setCorsHeaders(req, res);
+
+  if (handleOptions(req, res)) return;
+
+  const route = parseRoute(req);
+  logRequest(req, { endpoint: 'subscriptions', action: route.action });
+
+  const actions = req.method === 'GET' ? GET_ACTIONS : req.method === 'POST' ? POST_ACTIONS : null;
+  if (!actions) {
+    res.setHeader('Allow', 'GET, POST');
+    return sendError(res, { statusCode: 405, message: 'Method not allowed' });
+  }
+  if (!actions.includes(route.action)) {
+    return sendError(res, { statusCode: 404, message: `Unknown subscriptions action: ${route.action || '(none)'}` });
+  }
+
+  const raw = req.method === 'POST' ? await readRawBody(req) : '';
+
+  // Provider webhooks: authenticated by their signature
+  if (route.action === 'webhook') {
+    const result = await handleWebhook(raw, req.headers['stripe-signature']);
+    if (result.duplicate) console.log('[subscriptions] Duplicate webhook event ignored:', result.type);
+    return sendJSON(res, 200, { received: true, duplicate: result.duplicate });
+  }
+
+  try {
+    await enforceRateLimit(req, res, { route: 'subscriptions', limit: 30 });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  let user;
+  try {
+    user = await verifyUser(req);
+  } catch (e) {
+    console.error('[subscriptions] Auth failed:', e?.message || e);
+    return sendError(res, {
+      statusCode: 401,
+      message: 'Invalid or expired authentication token'
+    });
+  }
+
+  if (req.method === 'GET') return handleGet(req, res, user, route);
+  return handlePost(req, res, user, route, parseJSONBody(raw));
+});
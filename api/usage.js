@@ -0,0 +1,130 @@
+// api/usage.js
+// Token usage and estimated cost of model calls (lib/usage.js)
+//   GET  ?range=7d|30d|90d&groupBy=mode|model|purpose|endpoint|day
+//   GET  ?from=&to=&groupBy=...
+// Users see their own usage. Admins may add scope=all for everyone, or userId=<id> for one
+// user, and group by user. The default is the last 30 days grouped by mode.
+
+import { verifyUser, isAdminUser } from '../lib/verify-user.js';
+import { getUsageReport, USAGE_GROUPS } from '../lib/usage.js';
+import {
+  setCorsHeaders,
+  sendJSON,
+  sendError,
+  asyncHandler,
+  withTimeout,
+  logRequest,
+  handleOptions,
+  createSuccessResponse
+} from '../lib/api-utils.js';
+import { isValidUUID, createValidationError } from '../lib/validation.js';
+import { enforceRateLimit } from '../lib/rate-limit.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RANGES = { '7d': 7, '30d': 30, '90d': 90 };
+const MAX_RANGE_DAYS = 366;
+
+function parseDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw createValidationError(`Invalid ${field}: expected a date`, field);
+  return date;
+}
+
+// from/to when given, otherwise the named range ending now
+function parsePeriod(query) {
+  const to = parseDate(query.to, 'to') || new Date();
+  let from = parseDate(query.from, 'from');
+  if (!from) {
+    const range = query.range || '30d';
+    if (!RANGES[range]) {
+      throw createValidationError(`Invalid range: must be one of ${Object.keys(RANGES).join(', ')}`, 'range');
+    }
+    from = new Date(to.getTime() - RANGES[range] * DAY_MS);
+  }
+  if (from >= to) throw createValidationError('from must be before to', 'from');
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    throw createValidationError(`Range too long (max ${MAX_RANGE_DAYS} days)`, 'from');
+  }
+  return { from: from.toISOString(), to: to.toISOString() };
+}
+
+function createForbiddenError() {
+  const error = new Error('Admin access required');
+  error.statusCode = 403;
+  return error;
+}
+
+// Whose usage: the caller's own, unless an admin asks for everyone or another user
+function parseScope(query, user) {
+  const admin = isAdminUser(user);
+  if (query.userId) {
+    if (!isValidUUID(query.userId)) throw createValidationError('Invalid userId', 'userId');
+    if (query.userId !== user.id && !admin) {
+      throw createForbiddenError();
+    }
+    return query.userId;
+  }
+  if (query.scope === 'all') {
+    if (!admin) throw createForbiddenError();
+    return null;
+  }
+  return user.id;
+}
+
+export default asyncHandler(async function handler(req, res) {
+  withTimeout(req, res, 15000);
+  setCorsHeaders(req, res);
+
+  if (handleOptions(req, res)) return;
+
+  logRequest(req, { endpoint: 'usage' });
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return sendError(res, { statusCode: 405, message: 'Method not allowed' });
+  }
+
+  try {
+    await enforceRateLimit(req, res, { route: 'usage', limit: 30 });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  let user;
+  try {
+    user = await verifyUser(req);
+  } catch (e) {
+    console.error('[usage] Auth failed:', e?.message || e);
+    return sendError(res, {
+      statusCode: 401,
+      message: 'Invalid or expired authentication token'
+    });
+  }
+
+  const query = req.query || {};
+  const groupBy = query.groupBy || 'mode';
+  if (!USAGE_GROUPS.includes(groupBy)) {
+    return sendError(res, {
+      statusCode: 400,
+      message: `Invalid groupBy: must be one of ${USAGE_GROUPS.join(', ')}`,
+      field: 'groupBy'
+    });
+  }
+
+  const { from, to } = parsePeriod(query);
+  const userId = parseScope(query, user);
+  if (groupBy === 'user' && !isAdminUser(user)) {
+    return sendError(res, { statusCode: 403, message: 'Admin access required', field: 'groupBy' });
+  }
+
+  const report = await getUsageReport({ userId, from, to, groupBy });
+  return sendJSON(res, 200, createSuccessResponse({
+    from,
+    to,
+    groupBy,
+    scope: userId ? 'user' : 'all',
+    userId,
+    ...report
+  }));
+});
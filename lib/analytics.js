@@ -0,0 +1,322 @@
+// lib/analytics.js
+// Storage and aggregation for the analytics dashboard (public/modules/analytics-dashboard.js).
+//   recordAnalytics()     store a batch of browser events, errors or performance samples
+//   getAnalyticsReport()  time-bucketed metrics for one of the dashboard's ranges
+//
+// Browser input is untrusted: batches are capped, fields are trimmed to size, and a client
+// timestamp is only kept when it is recent. The signed-in user, when there is one, comes
+// from the request's token, never from the body; the client's own id is kept as visitor_id.
+//
+// The report combines the browser data with user messages (messages per mode, active users)
+// and the AI replies metered in usage_events (response time and error rate, lib/usage.js).
+import { getSupabaseAdmin } from './supabase.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+export const ANALYTICS_KINDS = ['events', 'errors', 'performance'];
+export const MAX_BATCH_SIZE = 50;
+
+// Dashboard ranges and the bucket size of each
+export const ANALYTICS_RANGES = {
+  '1h': { ms: HOUR_MS, bucket: '5m', bucketMs: 5 * MINUTE_MS },
+  '24h': { ms: DAY_MS, bucket: '1h', bucketMs: HOUR_MS },
+  '7d': { ms: 7 * DAY_MS, bucket: '1d', bucketMs: DAY_MS },
+  '30d': { ms: 30 * DAY_MS, bucket: '1d', bucketMs: DAY_MS },
+  '90d': { ms: 90 * DAY_MS, bucket: '1d', bucketMs: DAY_MS }
+};
+
+// Buckets start at midnight China time, as in analytics_series()
+const BUCKET_ORIGIN = Date.parse('2000-01-01T00:00:00+08:00');
+
+// Client timestamps outside this window are replaced by the time of receipt
+const MAX_CLIENT_AGE_MS = DAY_MS;
+const MAX_CLIENT_SKEW_MS = 5 * MINUTE_MS;
+
+const MAX_PROPERTIES_BYTES = 4096;
+const DEFAULT_RETENTION_DAYS = 90;
+
+export const ERROR_TYPES = ['javascript', 'network', 'api', 'other'];
+
+// The measurement each performance sample type is summarized by
+const PERFORMANCE_VALUES = {
+  navigation: data => data.domInteractive,
+  slow_resource: data => data.duration,
+  long_task: data => data.duration,
+  memory: data => data.usedJSHeapSize
+};
+
+const TABLES = {
+  events: 'analytics_events',
+  errors: 'analytics_errors',
+  performance: 'analytics_performance'
+};
+
+function getClient() {
+  const supabaseAdmin = getSupabaseAdmin();
+  if (!supabaseAdmin) {
+    throw createAnalyticsError('Database connection not available', 500);
+  }
+  return supabaseAdmin;
+}
+
+function createAnalyticsError(message, statusCode = 400, field = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.field = field;
+  return error;
+}
+
+export function getAnalyticsRetentionDays() {
+  const days = parseInt(process.env.ANALYTICS_RETENTION_DAYS, 10);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+function text(value, max) {
+  if (value === undefined || value === null) return null;
+  const s = String(value).trim();
+  return s ? s.slice(0, max) : null;
+}
+
+function integer(value) {
+  const n = Number(value);
+  return Number.isInteger(n) ? n : null;
+}
+
+function occurredAt(timestamp, now) {
+  const t = Number(timestamp);
+  return Number.isFinite(t) && t > now - MAX_CLIENT_AGE_MS && t < now + MAX_CLIENT_SKEW_MS
+    ? new Date(t).toISOString()
+    : new Date(now).toISOString();
+}
+
+// Plain JSON objects within the size cap; anything else is dropped
+function jsonObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  try {
+    const json = JSON.stringify(value);
+    return Buffer.byteLength(json) <= MAX_PROPERTIES_BYTES ? JSON.parse(json) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sort a browser error into the dashboard's categories
+ */
+export function classifyError(error) {
+  const type = String(error.type || '').toLowerCase();
+  if (ERROR_TYPES.includes(type)) return type;
+  const message = String(error.message || '');
+  if (/failed to fetch|networkerror|load failed|network request failed|timeout/i.test(message)) return 'network';
+  if (/\bapi\b|\b(?:status(?: code)?|HTTP):? ?[45]\d{2}\b/i.test(message)) return 'api';
+  if (error.source || error.stack || type === 'unhandled_rejection') return 'javascript';
+  return 'other';
+}
+
+function toRow(kind, item, { userId, userAgent, now }) {
+  if (!item || typeof item !== 'object') return null;
+  const common = {
+    user_id: userId,
+    session_id: text(item.sessionId, 64),
+    occurred_at: occurredAt(item.timestamp, now)
+  };
+
+  if (kind === 'events') {
+    const name = text(item.name, 100);
+    if (!name) return null;
+    return {
+      ...common,
+      visitor_id: text(item.userId, 64),
+      name,
+      page: text(item.page, 500),
+      properties: jsonObject(item.properties),
+      user_agent: text(userAgent || item.userAgent, 500)
+    };
+  }
+
+  if (kind === 'errors') {
+    const message = text(typeof item.message === 'string' ? item.message : JSON.stringify(item.message ?? ''), 1000);
+    if (!message) return null;
+    return {
+      ...common,
+      visitor_id: text(item.userId, 64),
+      type: classifyError(item),
+      message,
+      source: text(item.source, 500),
+      line: integer(item.line),
+      col: integer(item.column),
+      stack: text(item.stack, 4000),
+      page: text(item.page, 500),
+      user_agent: text(userAgent || item.userAgent, 500)
+    };
+  }
+
+  const type = text(item.type, 50);
+  if (!type) return null;
+  const data = jsonObject(item.data) || {};
+  const value = Number((PERFORMANCE_VALUES[type] || (d => d.duration ?? d.value))(data));
+  return {
+    ...common,
+    type,
+    value: Number.isFinite(value) ? value : null,
+    data
+  };
+}
+
+// Old rows are cleared now and then instead of by a scheduled job
+async function purgeExpired(supabaseAdmin, table) {
+  const cutoff = new Date(Date.now() - getAnalyticsRetentionDays() * DAY_MS).toISOString();
+  const { error } = await supabaseAdmin.from(table).delete().lt('occurred_at', cutoff);
+  if (error) console.warn('[Analytics] Failed to purge old rows:', error.message);
+}
+
+/**
+ * Store a batch of one kind ('events', 'errors' or 'performance'). `items` is one item or an
+ * array of at most MAX_BATCH_SIZE; malformed items are skipped.
+ * Returns { accepted, dropped }.
+ */
+export async function recordAnalytics(kind, items, { userId = null, userAgent = null } = {}) {
+  if (!ANALYTICS_KINDS.includes(kind)) {
+    throw createAnalyticsError(`Unknown analytics kind: ${kind}`, 404);
+  }
+  const batch = Array.isArray(items) ? items : [items];
+  if (batch.length > MAX_BATCH_SIZE) {
+    throw createAnalyticsError(`Too many items in one batch (max ${MAX_BATCH_SIZE})`, 413);
+  }
+
+  const now = Date.now();
+  const rows = batch.map(item => toRow(kind, item, { userId, userAgent, now })).filter(Boolean);
+  const result = { accepted: rows.length, dropped: batch.length - rows.length };
+  if (!rows.length) return result;
+
+  const supabaseAdmin = getClient();
+  const { error } = await supabaseAdmin.from(TABLES[kind]).insert(rows);
+  if (error) throw createAnalyticsError(`Failed to store analytics: ${error.message}`, 500);
+
+  if (Math.random() < 0.01) await purgeExpired(supabaseAdmin, TABLES[kind]);
+  return result;
+}
+
+function bucketStart(time, bucketMs) {
+  return BUCKET_ORIGIN + Math.floor((time - BUCKET_ORIGIN) / bucketMs) * bucketMs;
+}
+
+function percent(part, whole) {
+  return whole ? Math.round((part / whole) * 10000) / 100 : null;
+}
+
+function round(value) {
+  return value === null || value === undefined ? null : Math.round(value);
+}
+
+/**
+ * Metrics for a dashboard range ending at `now`:
+ *   summary   totals over the range (distinct counts are over the whole range)
+ *   buckets   start of each bucket; every series has one value per bucket
+ *   series    pageViews, visitors, activeUsers (daily active users for day buckets),
+ *             messages (total) and messagesByMode, replies, replyErrors, errorRate (% of
+ *             replies that failed), responseP50 and responseP95 (ms to generate a reply)
+ *   messagesByMode, errorsByType, performance (p50/p95 per sample type) over the range
+ */
+export async function getAnalyticsReport(range = '24h', now = Date.now()) {
+  const config = ANALYTICS_RANGES[range];
+  if (!config) {
+    throw createAnalyticsError(`Invalid range: must be one of ${Object.keys(ANALYTICS_RANGES).join(', ')}`, 400, 'range');
+  }
+  const from = new Date(now - config.ms).toISOString();
+  const to = new Date(now).toISOString();
+  const supabaseAdmin = getClient();
+
+  const [bucketed, totals] = await Promise.all([
+    supabaseAdmin.rpc('analytics_series', { p_from: from, p_to: to, p_bucket: `${config.bucketMs / 1000} seconds` }),
+    supabaseAdmin.rpc('analytics_series', { p_from: from, p_to: to, p_bucket: null })
+  ]);
+  const failed = bucketed.error || totals.error;
+  if (failed) throw createAnalyticsError(`Failed to load analytics: ${failed.message}`, 500);
+
+  const buckets = [];
+  for (let t = bucketStart(now - config.ms, config.bucketMs); t < now; t += config.bucketMs) buckets.push(t);
+  const index = new Map(buckets.map((t, i) => [t, i]));
+  const empty = () => buckets.map(() => 0);
+
+  const series = {
+    pageViews: empty(),
+    visitors: empty(),
+    activeUsers: empty(),
+    messages: empty(),
+    messagesByMode: {},
+    replies: empty(),
+    replyErrors: empty(),
+    responseP50: buckets.map(() => null),
+    responseP95: buckets.map(() => null)
+  };
+  const SERIES = {
+    page_views: 'pageViews',
+    visitors: 'visitors',
+    active_users: 'activeUsers',
+    replies: 'replies',
+    reply_errors: 'replyErrors',
+    response_p50: 'responseP50',
+    response_p95: 'responseP95'
+  };
+
+  for (const row of bucketed.data || []) {
+    const i = index.get(new Date(row.bucket).getTime());
+    if (i === undefined) continue;
+    const value = Number(row.value);
+    if (SERIES[row.metric]) {
+      series[SERIES[row.metric]][i] = row.metric.startsWith('response_') ? round(value) : value;
+    } else if (row.metric === 'messages') {
+      series.messages[i] += value;
+      (series.messagesByMode[row.key] ||= empty())[i] = value;
+    }
+  }
+  series.errorRate = buckets.map((_, i) => percent(series.replyErrors[i], series.replies[i]));
+
+  const summary = {
+    pageViews: 0,
+    visitors: 0,
+    activeUsers: 0,
+    messages: 0,
+    replies: 0,
+    replyErrors: 0,
+    errorRate: null,
+    responseP50: null,
+    responseP95: null,
+    errors: 0
+  };
+  const messagesByMode = {};
+  const errorsByType = Object.fromEntries(ERROR_TYPES.map(type => [type, 0]));
+  const performance = {};
+
+  for (const row of totals.data || []) {
+    const value = Number(row.value);
+    if (SERIES[row.metric]) {
+      summary[SERIES[row.metric]] = row.metric.startsWith('response_') ? round(value) : value;
+    } else if (row.metric === 'messages') {
+      messagesByMode[row.key] = value;
+      summary.messages += value;
+    } else if (row.metric === 'errors') {
+      errorsByType[row.key] = value;
+      summary.errors += value;
+    } else if (row.metric === 'perf_p50' || row.metric === 'perf_p95') {
+      (performance[row.key] ||= { p50: null, p95: null })[row.metric.slice(5)] = round(value);
+    }
+  }
+  summary.errorRate = percent(summary.replyErrors, summary.replies);
+
+  return {
+    range,
+    from,
+    to,
+    bucket: config.bucket,
+    buckets: buckets.map(t => new Date(t).toISOString()),
+    summary,
+    series,
+    messagesByMode,
+    errorsByType,
+    performance
+  };
+}
@@ -8,8 +8,9 @@ export function setCorsHeaders(req, res) {
   res.setHeader('Access-Control-Allow-Credentials', 'true');
   res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
   res.setHeader('Vary', 'Origin');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Cookie');
+  res.setHeader('Access-Control-Expose-Headers', 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After');
 }
 
 /**
@@ -42,7 +43,9 @@ export function sendError(res, error, defaultMessage = 'Internal server error')
   const response = {
     error: message,
     code: error?.code,
-    field: error?.field
+    field: error?.field,
+    retryAfter: error?.retryAfter,
+    upgrade: error?.upgrade
   };
 
   // Include details in development mode only
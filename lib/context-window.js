@@ -0,0 +1,242 @@
+// lib/context-window.js
+// Token budgeting for the messages sent to the model (/api/chat, /api/startup-mentor).
+// The system prompt and the current message are always sent in full; file and retrieved
+// context get the room that is left (trimmed if they would crowd out the conversation);
+// recent turns go in verbatim, newest first, as far as the budget allows; turns older than
+// that are replaced by a rolling summary stored per conversation (conversation_summaries).
+//
+//   CONTEXT_TOKEN_BUDGET=32000        tokens per request, prompt and reply together
+//   CONTEXT_TOKEN_BUDGET_<MODE>=...   per-mode override, e.g. CONTEXT_TOKEN_BUDGET_INVESTOR=64000
+//   CONTEXT_REPLY_TOKENS=4096         part of the budget kept free for the reply
+//
+// Token counts are estimates (no tokenizer here): one token per CJK character, one per four
+// other characters, plus a few per message. They err on the high side for both providers.
+import crypto from 'crypto';
+import { getConversationSummary, saveConversationSummary } from './database.js';
+import { getProvider } from './llm-provider.js';
+
+const DEFAULT_BUDGET = 32000;
+const DEFAULT_REPLY_TOKENS = 4096;
+const MESSAGE_OVERHEAD = 4;
+
+// Longest summary we ask for, and the most conversation text summarized in one call
+const SUMMARY_MAX_TOKENS = 1024;
+const SUMMARY_INPUT_TOKENS = 12000;
+
+// Share of the room for context blocks that is kept for the conversation itself
+const MIN_HISTORY_SHARE = 0.25;
+
+const TRUNCATION_NOTE = '\n…（内容过长，已截断）';
+
+const WIDE = /[\u1100-\u11ff\u2e80-\u9fff\ua960-\ua97f\uac00-\ud7ff\uf900-\ufaff\ufe30-\ufe4f\uff00-\uffef]/g;
+
+/**
+ * Estimated tokens of a piece of text
+ */
+export function estimateTokens(text) {
+  const value = String(text || '');
+  if (!value) return 0;
+  const wide = (value.match(WIDE) || []).length;
+  return wide + Math.ceil((value.length - wide) / 4);
+}
+
+export function estimateMessageTokens(message) {
+  return estimateTokens(message?.content) + MESSAGE_OVERHEAD;
+}
+
+function envInt(name) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Budget for a mode: { total, reply, prompt } in tokens (prompt = total - reply)
+ */
+export function getContextBudget(modeId = 'default') {
+  const key = String(modeId || 'default').replace(/[^a-z0-9]+/gi, '_').toUpperCase();
+  const total = envInt(`CONTEXT_TOKEN_BUDGET_${key}`) || envInt('CONTEXT_TOKEN_BUDGET') || DEFAULT_BUDGET;
+  const reply = Math.min(envInt('CONTEXT_REPLY_TOKENS') || DEFAULT_REPLY_TOKENS, Math.floor(total / 2));
+  return { total, reply, prompt: total - reply };
+}
+
+// Cut text down to about `tokens` tokens
+function truncateToTokens(text, tokens) {
+  const total = estimateTokens(text);
+  if (total <= tokens) return text;
+  const room = tokens - estimateTokens(TRUNCATION_NOTE);
+  if (room <= 0) return '';
+  let end = Math.floor(text.length * room / total);
+  while (end > 0 && estimateTokens(text.slice(0, end)) > room) end = Math.floor(end * 0.9);
+  return text.slice(0, end) + TRUNCATION_NOTE;
+}
+
+export function summaryMessage(summary) {
+  return { role: 'system', content: `【早先对话摘要】\n以下是本次对话较早部分的摘要，较近的对话原文在后面。\n\n${summary}` };
+}
+
+/**
+ * Fit one request into `budget` prompt tokens. Pure: no summaries are made here.
+ *   system        system messages sent in full (the protected persona prompt)
+ *   context       optional system messages that may be trimmed (files, retrieved chunks), in
+ *                 priority order; the last one is trimmed first
+ *   history       earlier messages, oldest first
+ *   summary       summary text standing in for turns before `history`, if any
+ *   summaryTokens room to keep free for a summary that is still to be written
+ *   userMessage   the current message, sent in full
+ * Returns { messages, older, trimmedContext, historyRoom, tokens }: `older` are the history
+ * messages that did not fit (oldest first) and must be summarized or dropped; `historyRoom` is
+ * what was available for history.
+ */
+export function fitContext({ system = [], context = [], history = [], summary = null, summaryTokens = 0, userMessage = null, budget }) {
+  const systemMessages = system.filter(m => m?.content);
+  const current = userMessage ? { role: 'user', content: userMessage } : null;
+  const summaryMsg = summary ? summaryMessage(summary) : null;
+
+  let fixed = systemMessages.reduce((sum, m) => sum + estimateMessageTokens(m), 0) +
+    (current ? estimateMessageTokens(current) : 0) +
+    (summaryMsg ? estimateMessageTokens(summaryMsg) : summaryTokens);
+
+  // Context blocks: whatever is left after a minimum share for the conversation
+  const turns = history.filter(m => (m?.role === 'user' || m?.role === 'assistant') && m.content);
+  const historyTokens = turns.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+  const free = Math.max(budget - fixed, 0);
+  let contextRoom = free - Math.min(historyTokens, Math.floor(free * MIN_HISTORY_SHARE));
+
+  const contextMessages = context.filter(m => m?.content).map(m => ({ role: 'system', content: m.content }));
+  const contextTokens = contextMessages.map(estimateMessageTokens);
+  let trimmedContext = false;
+  for (let i = contextMessages.length - 1; i >= 0; i--) {
+    const before = contextTokens.slice(0, i).reduce((a, b) => a + b, 0);
+    const allowed = contextRoom - before;
+    if (contextTokens[i] <= allowed) break;
+    trimmedContext = true;
+    contextMessages[i].content = truncateToTokens(contextMessages[i].content, allowed - MESSAGE_OVERHEAD);
+    contextTokens[i] = contextMessages[i].content ? estimateMessageTokens(contextMessages[i]) : 0;
+  }
+  fixed += contextTokens.reduce((a, b) => a + b, 0);
+
+  // Conversation: newest first, while it fits
+  const historyRoom = Math.max(budget - fixed, 0);
+  let room = historyRoom;
+  let start = turns.length;
+  while (start > 0 && estimateMessageTokens(turns[start - 1]) <= room) {
+    room -= estimateMessageTokens(turns[start - 1]);
+    start--;
+  }
+  const recent = turns.slice(start).map(m => ({ role: m.role, content: m.content }));
+
+  const messages = [
+    ...systemMessages.map(m => ({ role: 'system', content: m.content })),
+    ...contextMessages.filter(m => m.content),
+    ...(summaryMsg ? [summaryMsg] : []),
+    ...recent,
+    ...(current ? [current] : [])
+  ];
+  return { messages, older: turns.slice(0, start), trimmedContext, historyRoom, tokens: budget - room };
+}
+
+/**
+ * SHA-256 of the ids of the messages a summary covers
+ */
+export function coversHash(messages) {
+  return crypto.createHash('sha256').update(messages.map(m => m.id || '').join(',')).digest('hex');
+}
+
+function transcript(messages) {
+  return messages.map(m => `${m.role === 'user' ? '用户' : '助手'}：${m.content}`).join('\n\n');
+}
+
+/**
+ * Fold `messages` into `previous` (the summary so far), in pieces of at most
+ * SUMMARY_INPUT_TOKENS. `meter` attributes the model calls (see lib/llm-provider.js).
+ * Returns { summary, model }.
+ */
+export async function summarizeMessages(previous, messages, meter = null) {
+  const provider = getProvider('summary', { meter });
+  let summary = previous || '';
+
+  let index = 0;
+  while (index < messages.length) {
+    const chunk = [];
+    let size = 0;
+    while (index < messages.length) {
+      const text = truncateToTokens(messages[index].content, SUMMARY_INPUT_TOKENS / 2);
+      const tokens = estimateTokens(text) + MESSAGE_OVERHEAD;
+      if (chunk.length && size + tokens > SUMMARY_INPUT_TOKENS) break;
+      chunk.push({ role: messages[index].role, content: text });
+      size += tokens;
+      index++;
+    }
+
+    const { text } = await provider.generate({
+      messages: [{
+        role: 'user',
+        content: '你在为一段创业辅导对话维护摘要，供之后继续对话时参考。' +
+          '请把【已有摘要】和【新增对话】合并成一份新的摘要：保留用户的项目与背景、关键数字、提出的问题、' +
+          '给出的建议和结论、尚未解决的事项；删去寒暄和重复内容；用第三人称中文书写，不超过 600 字。' +
+          '只输出摘要正文。\n\n' +
+          `【已有摘要】\n${summary || '（无）'}\n\n【新增对话】\n${transcript(chunk)}`
+      }],
+      temperature: 0.2,
+      maxTokens: SUMMARY_MAX_TOKENS
+    });
+    if (!text || !text.trim()) throw new Error('Summary model returned no text');
+    summary = truncateToTokens(text.trim(), SUMMARY_MAX_TOKENS);
+  }
+
+  return { summary, model: provider.model };
+}
+
+/**
+ * Messages for one reply: fitContext plus the conversation's rolling summary.
+ * When older turns no longer fit, the stored summary is reused if it still covers exactly
+ * the start of this history; otherwise it is extended (or rebuilt) and saved. A new summary
+ * covers enough turns to leave half the room for verbatim history, so it is not rewritten
+ * on every message. If summarizing fails, the older turns are dropped and the reply goes on.
+ * Returns { messages, summarized, dropped, trimmedContext, tokens }.
+ */
+export async function buildContextMessages({ conversationId = null, modeId = 'default', system, context = [], history = [], userMessage, meter = null }) {
+  const budget = getContextBudget(modeId).prompt;
+  const turns = history.filter(m => (m?.role === 'user' || m?.role === 'assistant') && m.content);
+  const base = { system, context, userMessage, budget };
+
+  const plain = fitContext({ ...base, history: turns });
+  if (!plain.older.length) return { ...plain, summarized: 0, dropped: 0 };
+
+  const plan = fitContext({ ...base, history: turns, summaryTokens: SUMMARY_MAX_TOKENS });
+  const stored = conversationId ? await getConversationSummary(conversationId) : { success: false };
+  const existing = stored.success && stored.summary &&
+    stored.summary.message_count <= turns.length &&
+    stored.summary.covers_hash === coversHash(turns.slice(0, stored.summary.message_count))
+    ? stored.summary
+    : null;
+
+  let summary = existing?.summary || null;
+  let covered = existing?.message_count || 0;
+
+  if (covered < plan.older.length) {
+    // Summarize down to half the room for history, so the next turns fit without a rewrite
+    const target = fitContext({ ...base, history: turns, summaryTokens: SUMMARY_MAX_TOKENS + Math.floor(plan.historyRoom / 2) });
+    const upTo = Math.max(target.older.length, plan.older.length);
+    try {
+      const result = await summarizeMessages(summary, turns.slice(covered, upTo), meter);
+      summary = result.summary;
+      covered = upTo;
+      if (conversationId) {
+        const saved = await saveConversationSummary(conversationId, {
+          summary,
+          messageCount: covered,
+          coversHash: coversHash(turns.slice(0, covered)),
+          model: result.model
+        });
+        if (!saved.success) console.warn('[Context] Summary not saved:', saved.error);
+      }
+    } catch (error) {
+      console.warn('[Context] Summarization failed, dropping older turns:', error?.message || error);
+      return { ...plain, summarized: 0, dropped: plain.older.length };
+    }
+  }
+
+  const final = fitContext({ ...base, history: turns.slice(covered), summary });
+  return { ...final, summarized: covered, dropped: final.older.length };
+}
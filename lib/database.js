@@ -1,9 +1,10 @@
+import crypto from 'crypto';
 import { getSupabaseAdmin } from './supabase.js';
 
 /**
  * Retry database operation with exponential backoff
  */
-async function retryOperation(operation, maxRetries = 2) {
+export async function retryOperation(operation, maxRetries = 2) {
   let lastError;
 
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
@@ -92,56 +93,146 @@ export async function createConversation(userId, title = '新对话') {
   });
 }
 
-// 获取用户的所有会话
-export async function getUserConversations(userId, limit = 50) {
+/**
+ * Opaque keyset cursor: base64url JSON of the sort values of the last row returned
+ */
+export function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor; throws on anything malformed
+ */
+export function decodeCursor(cursor, keys) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+  if (!values || typeof values !== 'object' || keys.some(k => typeof values[k] !== 'string' || !values[k])) {
+    throw new Error('Invalid cursor');
+  }
+  return values;
+}
+
+// "older than (ts, id)" in PostgREST or() syntax; values are quoted so timestamps stay intact
+function olderThanFilter(column, ts, id) {
+  const quote = v => `"${String(v).replace(/["\\]/g, '')}"`;
+  return `${column}.lt.${quote(ts)},and(${column}.eq.${quote(ts)},id.lt.${quote(id)})`;
+}
+
+function clampLimit(limit, fallback, max) {
+  const n = Number(limit);
+  return Number.isInteger(n) && n >= 1 && n <= max ? n : fallback;
+}
+
+const CONVERSATION_FIELDS = 'id, title, created_at, updated_at, folder_id, tags, pinned_at, archived_at';
+
+// Sidebar filters shared by the page query and its count
+function applyConversationFilters(query, { folderId, tag, archived = false, pinned, since, until } = {}) {
+  let q = query.is('deleted_at', null);
+  q = archived ? q.not('archived_at', 'is', null) : q.is('archived_at', null);
+  if (folderId === 'none') q = q.is('folder_id', null);
+  else if (folderId) q = q.eq('folder_id', folderId);
+  if (tag) q = q.contains('tags', [tag]);
+  if (pinned === true) q = q.not('pinned_at', 'is', null);
+  if (pinned === false) q = q.is('pinned_at', null);
+  if (since) q = q.gte('updated_at', since);
+  if (until) q = q.lt('updated_at', until);
+  return q;
+}
+
+// 获取用户的会话（按 updated_at/id 游标分页）
+// 筛选：folderId（'none' 表示未归入文件夹）、tag、archived、pinned、since/until（updated_at 范围）
+export async function getUserConversations(userId, options = {}) {
   return retryOperation(async () => {
     try {
     // Validate inputs
     if (!userId || typeof userId !== 'string' || userId.trim().length === 0) {
       throw new Error('Invalid user ID provided');
     }
-    
-    // Validate and sanitize limit
-    const maxLimit = 100;
-    if (typeof limit !== 'number' || limit < 1 || limit > maxLimit) {
-      limit = 50;
-    }
-    
+
+    // Older callers pass the limit directly
+    const { limit: rawLimit, cursor = null, ...filters } = typeof options === 'number' ? { limit: options } : (options || {});
+    const limit = clampLimit(rawLimit, 50, 100);
+    const after = cursor ? decodeCursor(cursor, ['u', 'i']) : null;
+
     const supabaseAdmin = getSupabaseAdmin();
     if (!supabaseAdmin) {
       throw new Error('Database connection not available');
     }
 
-    const { data, error } = await supabaseAdmin
+    let query = applyConversationFilters(supabaseAdmin
       .from('conversations')
-      .select(`
-        id,
-        title,
-        created_at,
-        updated_at,
-        messages (
-          id,
-          role,
-          content,
-          created_at,
-          ai_mode
-        )
-      `)
-      .eq('user_id', userId.trim())
+      .select(CONVERSATION_FIELDS)
+      .eq('user_id', userId.trim()), filters)
       .order('updated_at', { ascending: false })
-      .limit(limit);
+      .order('id', { ascending: false })
+      .limit(limit + 1); // one extra row tells us whether another page exists
+
+    if (after) {
+      query = query.or(olderThanFilter('updated_at', after.u, after.i));
+    }
+
+    const [{ data, error }, { count, error: countError }] = await Promise.all([
+      query,
+      applyConversationFilters(supabaseAdmin
+        .from('conversations')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId.trim()), filters)
+    ]);
 
     if (error) {
       console.error('Database error fetching conversations:', error);
       throw new Error(`Failed to fetch conversations: ${error.message}`);
     }
-    
+    if (countError) {
+      console.warn('Conversation count failed:', countError.message);
+    }
+
     // Validate response data
     if (!Array.isArray(data)) {
       console.warn('Unexpected data format from database');
-      return { success: true, conversations: [] };
+      return { success: true, conversations: [], total: 0, hasMore: false, nextCursor: null };
     }
-    
+
+    const hasMore = data.length > limit;
+    const conversations = data.slice(0, limit);
+    const last = conversations[conversations.length - 1];
+
+      return {
+        success: true,
+        conversations,
+        total: count ?? null,
+        hasMore,
+        nextCursor: hasMore && last ? encodeCursor({ u: last.updated_at, i: last.id }) : null
+      };
+    } catch (error) {
+      console.error('获取会话失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to fetch conversations' };
+    }
+  });
+}
+
+// 按 id 获取用户的会话（不在回收站中的），按 updated_at 倒序
+export async function getConversationsByIds(userId, conversationIds) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('conversations')
+      .select(CONVERSATION_FIELDS)
+      .eq('user_id', userId)
+      .in('id', conversationIds)
+      .is('deleted_at', null)
+      .order('updated_at', { ascending: false });
+
+    if (error) throw new Error(`Failed to fetch conversations: ${error.message}`);
       return { success: true, conversations: data || [] };
     } catch (error) {
       console.error('获取会话失败:', error.message || error);
@@ -150,8 +241,50 @@ export async function getUserConversations(userId, limit = 50) {
   });
 }
 
-// 获取会话的所有消息
-export async function getConversationMessages(conversationId, userId) {
+// Active messages on the path from the root to `head`, newest first (see get_message_path)
+async function fetchMessagePath(supabaseAdmin, head, { limit = 1000, older = null } = {}) {
+  if (!head) return { messages: [], total: 0 };
+  const { data, error } = await supabaseAdmin.rpc('get_message_path', {
+    p_head: head,
+    p_limit: limit,
+    p_before_created_at: older ? older.c : null,
+    p_before_id: older ? older.i : null
+  });
+  if (error) throw new Error(`Failed to fetch branch messages: ${error.message}`);
+  const rows = data || [];
+  return { messages: rows.map(r => r.message), total: rows.length ? Number(rows[0].path_total) : 0 };
+}
+
+// Active branch of a conversation and its head turn ({ branchId: null } while linear)
+async function fetchActiveBranch(supabaseAdmin, conversationId) {
+  const { data: conversation, error } = await supabaseAdmin
+    .from('conversations')
+    .select('active_branch_id')
+    .eq('id', conversationId)
+    .single();
+  if (error) throw new Error(`Failed to fetch conversation: ${error.message}`);
+  if (!conversation.active_branch_id) return { branchId: null, head: null };
+
+  const { data: branch, error: branchError } = await supabaseAdmin
+    .from('conversation_branches')
+    .select('head_message_id')
+    .eq('id', conversation.active_branch_id)
+    .single();
+  if (branchError) throw new Error(`Failed to fetch branch: ${branchError.message}`);
+  return { branchId: conversation.active_branch_id, head: branch.head_message_id };
+}
+
+// Turn ids on the path from the root to `head`
+async function fetchPathTurns(supabaseAdmin, head) {
+  const { data, error } = await supabaseAdmin.rpc('get_message_path_turns', { p_head: head });
+  if (error) throw new Error(`Failed to fetch branch path: ${error.message}`);
+  return (data || []).map(r => (typeof r === 'string' ? r : r.get_message_path_turns));
+}
+
+// 获取会话的消息
+// 不传 limit 时返回整个会话（最多 1000 条，供生成回复时使用）；
+// 传 limit 时返回最新的 limit 条，before 游标用于继续加载更早的消息
+export async function getConversationMessages(conversationId, userId, { limit = null, before = null } = {}) {
   return retryOperation(async () => {
     try{
     // Validate inputs
@@ -162,6 +295,10 @@ export async function getConversationMessages(conversationId, userId) {
     if (!userId || typeof userId !== 'string' || userId.trim().length === 0) {
       throw new Error('Invalid user ID provided');
     }
+
+    const windowed = limit !== null || before !== null;
+    const pageSize = clampLimit(limit, 50, 200);
+    const older = before ? decodeCursor(before, ['c', 'i']) : null;
     
     const supabaseAdmin = getSupabaseAdmin();
     if (!supabaseAdmin) {
@@ -171,9 +308,10 @@ export async function getConversationMessages(conversationId, userId) {
     // 验证会话属于该用户
     const { data: conversation, error: convError } = await supabaseAdmin
       .from('conversations')
-      .select('id')
+      .select('id, active_branch_id')
       .eq('id', conversationId.trim())
       .eq('user_id', userId.trim())
+      .is('deleted_at', null)
       .single();
 
     if (convError) {
@@ -188,19 +326,112 @@ export async function getConversationMessages(conversationId, userId) {
       throw new Error('Conversation not found or access denied');
     }
 
-    const { data, error } = await supabaseAdmin
-      .from('messages')
-      .select('*')
-      .eq('conversation_id', conversationId.trim())
-      .order('created_at', { ascending: true })
-      .limit(1000); // Prevent huge result sets
+    // Branched conversations show the path to the head of the active branch
+    const activeBranchId = conversation.active_branch_id || null;
+    let branchHead = null;
+    if (activeBranchId) {
+      const { data: branch, error: branchError } = await supabaseAdmin
+        .from('conversation_branches')
+        .select('head_message_id')
+        .eq('id', activeBranchId)
+        .single();
+      if (branchError) throw new Error(`Failed to fetch branch: ${branchError.message}`);
+      branchHead = branch.head_message_id;
+    }
 
-    if (error) {
-      console.error('Database error fetching messages:', error);
-      throw new Error(`Failed to fetch messages: ${error.message}`);
+    if (!windowed) {
+      if (activeBranchId) {
+        const path = await fetchMessagePath(supabaseAdmin, branchHead, { limit: 1000 });
+        return { success: true, messages: path.messages.reverse(), activeBranchId };
+      }
+
+      // The latest 1000 (newest first, then flipped), so long conversations keep their recent turns
+      const { data, error } = await supabaseAdmin
+        .from('messages')
+        .select('*')
+        .eq('conversation_id', conversationId.trim())
+        .eq('active', true)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(1000); // Prevent huge result sets
+
+      if (error) {
+        console.error('Database error fetching messages:', error);
+        throw new Error(`Failed to fetch messages: ${error.message}`);
+      }
+
+      return { success: true, messages: (data || []).reverse(), activeBranchId };
     }
-    
-      return { success: true, messages: data || [] };
+
+    // Newest first so the window ends at the latest message, then flip for display
+    let rows;
+    let count = null;
+    if (activeBranchId) {
+      const path = await fetchMessagePath(supabaseAdmin, branchHead, { limit: pageSize + 1, older });
+      rows = path.messages;
+      count = path.total;
+    } else {
+      let query = supabaseAdmin
+        .from('messages')
+        .select('*')
+        .eq('conversation_id', conversationId.trim())
+        .eq('active', true)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(pageSize + 1);
+
+      if (older) {
+        query = query.or(olderThanFilter('created_at', older.c, older.i));
+      }
+
+      const [{ data, error }, { count: total, error: countError }] = await Promise.all([
+        query,
+        supabaseAdmin
+          .from('messages')
+          .select('id', { count: 'exact', head: true })
+          .eq('conversation_id', conversationId.trim())
+          .eq('active', true)
+      ]);
+
+      if (error) {
+        console.error('Database error fetching messages:', error);
+        throw new Error(`Failed to fetch messages: ${error.message}`);
+      }
+      if (countError) {
+        console.warn('Message count failed:', countError.message);
+      }
+      rows = data || [];
+      count = total;
+    }
+
+    const hasMore = rows.length > pageSize;
+    const messages = rows.slice(0, pageSize).reverse();
+    const oldest = messages[0];
+
+    // Number of versions per turn, for the "2/3" switcher
+    const turnIds = [...new Set(messages.map(m => m.turn_id).filter(Boolean))];
+    if (turnIds.length) {
+      const { data: versions, error: versionError } = await supabaseAdmin
+        .from('messages')
+        .select('turn_id')
+        .in('turn_id', turnIds);
+      if (versionError) {
+        console.warn('Version count failed:', versionError.message);
+      } else {
+        const counts = new Map();
+        for (const v of versions || []) counts.set(v.turn_id, (counts.get(v.turn_id) || 0) + 1);
+        for (const m of messages) m.version_count = counts.get(m.turn_id) || 1;
+      }
+    }
+
+      return {
+        success: true,
+        messages,
+        total: count ?? null,
+        hasMore,
+        nextCursor: hasMore && oldest ? encodeCursor({ c: oldest.created_at, i: oldest.id }) : null,
+        activeBranchId
+      };
     } catch (error) {
       console.error('获取消息失败:', error.message || error);
       return { success: false, error: error.message || 'Failed to fetch messages' };
@@ -209,7 +440,7 @@ export async function getConversationMessages(conversationId, userId) {
 }
 
 // 添加消息到会话
-export async function addMessage(conversationId, userId, role, content, files = [], aiMode = 'default') {
+export async function addMessage(conversationId, userId, role, content, files = [], aiMode = 'default', metadata = null) {
   return retryOperation(async () => {
     try {
     // Validate inputs
@@ -254,6 +485,11 @@ export async function addMessage(conversationId, userId, role, content, files =
       aiMode = 'default';
     }
     aiMode = aiMode.trim().slice(0, 50);
+
+    // Structured output (e.g. deck review) stored alongside the content
+    if (metadata !== null && (typeof metadata !== 'object' || Array.isArray(metadata))) {
+      throw new Error('Invalid metadata provided');
+    }
     
     const supabaseAdmin = getSupabaseAdmin();
     if (!supabaseAdmin) {
@@ -266,6 +502,7 @@ export async function addMessage(conversationId, userId, role, content, files =
       .select('id')
       .eq('id', conversationId.trim())
       .eq('user_id', userId.trim())
+      .is('deleted_at', null)
       .single();
 
     if (convError) {
@@ -280,17 +517,18 @@ export async function addMessage(conversationId, userId, role, content, files =
       throw new Error('Conversation not found or access denied');
     }
 
+    const row = {
+      conversation_id: conversationId.trim(),
+      role: role,
+      content: content,
+      files: files,
+      ai_mode: aiMode
+    };
+    if (metadata) row.metadata = metadata;
+
     const { data, error } = await supabaseAdmin
       .from('messages')
-      .insert([
-        {
-          conversation_id: conversationId.trim(),
-          role: role,
-          content: content,
-          files: files,
-          ai_mode: aiMode
-        }
-      ])
+      .insert([row])
       .select()
       .single();
 
@@ -325,6 +563,7 @@ export async function updateConversationTitle(conversationId, userId, newTitle)
       .update({ title: newTitle })
       .eq('id', conversationId)
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .select()
       .single();
 
@@ -337,7 +576,7 @@ export async function updateConversationTitle(conversationId, userId, newTitle)
   });
 }
 
-// 删除会话
+// 删除会话（移入回收站，保留期内可恢复）
 export async function deleteConversation(conversationId, userId) {
   return retryOperation(async () => {
     try {
@@ -346,14 +585,17 @@ export async function deleteConversation(conversationId, userId) {
       throw new Error('Database connection not available');
     }
     
-    const { error } = await supabaseAdmin
+    const { data, error } = await supabaseAdmin
       .from('conversations')
-      .delete()
+      .update({ deleted_at: new Date().toISOString() })
       .eq('id', conversationId)
-      .eq('user_id', userId);
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .select('id, deleted_at');
 
       if (error) throw error;
-      return { success: true };
+      if (!data?.length) throw new Error('Conversation not found or access denied');
+      return { success: true, deletedAt: data[0].deleted_at };
     } catch (error) {
       console.error('删除会话失败:', error);
       return { success: false, error: error.message };
@@ -361,6 +603,1080 @@ export async function deleteConversation(conversationId, userId) {
   });
 }
 
+/**
+ * Days a trashed conversation is kept before it is purged (TRASH_RETENTION_DAYS, default 30)
+ */
+export function getTrashRetentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : 30;
+}
+
+// 获取回收站中的会话
+export async function listDeletedConversations(userId, limit = 100) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('conversations')
+      .select('id, title, created_at, updated_at, deleted_at')
+      .eq('user_id', userId)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false })
+      .limit(clampLimit(limit, 100, 200));
+
+    if (error) throw new Error(`Failed to fetch trash: ${error.message}`);
+
+    const retentionMs = getTrashRetentionDays() * 24 * 60 * 60 * 1000;
+    const conversations = (data || []).map(c => ({
+      ...c,
+      purge_at: new Date(new Date(c.deleted_at).getTime() + retentionMs).toISOString()
+    }));
+      return { success: true, conversations };
+    } catch (error) {
+      console.error('获取回收站失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to fetch trash' };
+    }
+  });
+}
+
+// 从回收站恢复会话
+export async function restoreConversation(conversationId, userId) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('conversations')
+      .update({ deleted_at: null })
+      .eq('id', conversationId)
+      .eq('user_id', userId)
+      .not('deleted_at', 'is', null)
+      .select(CONVERSATION_FIELDS)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to restore conversation: ${error.message}`);
+    if (!data) throw new Error('Conversation not found in trash');
+      return { success: true, conversation: data };
+    } catch (error) {
+      console.error('恢复会话失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to restore conversation' };
+    }
+  });
+}
+
+// 永久删除回收站中的会话（消息和反馈随 ON DELETE CASCADE 一并删除）
+// conversationId 为空时清空该用户的回收站
+export async function purgeConversation(conversationId, userId) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    let query = supabaseAdmin
+      .from('conversations')
+      .delete()
+      .eq('user_id', userId)
+      .not('deleted_at', 'is', null);
+    if (conversationId) query = query.eq('id', conversationId);
+
+    const { data, error } = await query.select('id');
+    if (error) throw new Error(`Failed to purge conversation: ${error.message}`);
+    if (conversationId && !data?.length) throw new Error('Conversation not found in trash');
+      return { success: true, purged: (data || []).length };
+    } catch (error) {
+      console.error('永久删除会话失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to purge conversation' };
+    }
+  });
+}
+
+// 清理超过保留期的已删除会话（userId 为空时清理所有用户）
+export async function purgeExpiredConversations({ userId = null, retentionDays = getTrashRetentionDays() } = {}) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    let query = supabaseAdmin
+      .from('conversations')
+      .delete()
+      .lt('deleted_at', cutoff);
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data, error } = await query.select('id');
+    if (error) throw new Error(`Failed to purge trash: ${error.message}`);
+      return { success: true, purged: (data || []).length };
+    } catch (error) {
+      console.error('清理回收站失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to purge trash' };
+    }
+  });
+}
+
+// 更新会话的整理信息（文件夹、标签、置顶、归档）
+export async function updateConversationOrganization(conversationId, userId, changes = {}) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const update = {};
+    if (changes.folderId !== undefined) {
+      if (changes.folderId) {
+        // The folder must belong to the same user
+        const { data: folder, error: folderError } = await supabaseAdmin
+          .from('conversation_folders')
+          .select('id')
+          .eq('id', changes.folderId)
+          .eq('user_id', userId)
+          .maybeSingle();
+        if (folderError) throw new Error(`Failed to verify folder: ${folderError.message}`);
+        if (!folder) throw new Error('Folder not found or access denied');
+      }
+      update.folder_id = changes.folderId || null;
+    }
+    if (changes.tags !== undefined) update.tags = changes.tags;
+    if (changes.pinned !== undefined) update.pinned_at = changes.pinned ? new Date().toISOString() : null;
+    if (changes.archived !== undefined) {
+      update.archived_at = changes.archived ? new Date().toISOString() : null;
+      // Archiving also unpins so the pinned section only shows active work
+      if (changes.archived) update.pinned_at = null;
+    }
+    if (!Object.keys(update).length) {
+      throw new Error('Invalid update: nothing to change');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('conversations')
+      .update(update)
+      .eq('id', conversationId)
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .select(CONVERSATION_FIELDS)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') throw new Error('Conversation not found or access denied');
+      throw new Error(`Failed to update conversation: ${error.message}`);
+    }
+      return { success: true, conversation: data };
+    } catch (error) {
+      console.error('更新会话整理信息失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to update conversation' };
+    }
+  });
+}
+
+// 获取用户的文件夹
+export async function listFolders(userId) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('conversation_folders')
+      .select('id, name, color, position, created_at')
+      .eq('user_id', userId)
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(`Failed to fetch folders: ${error.message}`);
+      return { success: true, folders: data || [] };
+    } catch (error) {
+      console.error('获取文件夹失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to fetch folders' };
+    }
+  });
+}
+
+// 创建文件夹
+export async function createFolder(userId, { name, color = null, position = 0 }) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('conversation_folders')
+      .insert([{ user_id: userId, name, color, position }])
+      .select('id, name, color, position, created_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') throw new Error('Invalid folder: a folder with this name already exists');
+      throw new Error(`Failed to create folder: ${error.message}`);
+    }
+      return { success: true, folder: data };
+    } catch (error) {
+      console.error('创建文件夹失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to create folder' };
+    }
+  });
+}
+
+// 更新文件夹（名称、颜色、排序）
+export async function updateFolder(folderId, userId, changes = {}) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const update = {};
+    for (const key of ['name', 'color', 'position']) {
+      if (changes[key] !== undefined) update[key] = changes[key];
+    }
+    if (!Object.keys(update).length) {
+      throw new Error('Invalid update: nothing to change');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('conversation_folders')
+      .update(update)
+      .eq('id', folderId)
+      .eq('user_id', userId)
+      .select('id, name, color, position, created_at')
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') throw new Error('Folder not found or access denied');
+      if (error.code === '23505') throw new Error('Invalid folder: a folder with this name already exists');
+      throw new Error(`Failed to update folder: ${error.message}`);
+    }
+      return { success: true, folder: data };
+    } catch (error) {
+      console.error('更新文件夹失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to update folder' };
+    }
+  });
+}
+
+// 删除文件夹（其中的会话变为未分类）
+export async function deleteFolder(folderId, userId) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('conversation_folders')
+      .delete()
+      .eq('id', folderId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) throw new Error(`Failed to delete folder: ${error.message}`);
+    if (!data?.length) throw new Error('Folder not found or access denied');
+      return { success: true };
+    } catch (error) {
+      console.error('删除文件夹失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to delete folder' };
+    }
+  });
+}
+
+// 获取消息（验证会话属于该用户）
+export async function getOwnedMessage(messageId, userId) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('messages')
+      .select('*, conversations!inner(user_id, deleted_at)')
+      .eq('id', messageId)
+      .eq('conversations.user_id', userId)
+      .is('conversations.deleted_at', null)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to fetch message: ${error.message}`);
+    if (!data) throw new Error('Message not found or access denied');
+    const { conversations, ...message } = data;
+      return { success: true, message };
+    } catch (error) {
+      console.error('获取消息失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to fetch message' };
+    }
+  });
+}
+
+// 获取某一轮对话的所有版本
+export async function listMessageVersions(turnId, userId) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('messages')
+      .select('id, conversation_id, turn_id, version, active, role, content, ai_mode, metadata, created_at, version_created_at, conversations!inner(user_id, deleted_at)')
+      .eq('turn_id', turnId)
+      .eq('conversations.user_id', userId)
+      .is('conversations.deleted_at', null)
+      .order('version', { ascending: true });
+
+    if (error) throw new Error(`Failed to fetch versions: ${error.message}`);
+    if (!data?.length) throw new Error('Message not found or access denied');
+    const versions = data.map(({ conversations, ...v }) => v);
+      return { success: true, versions };
+    } catch (error) {
+      console.error('获取消息版本失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to fetch versions' };
+    }
+  });
+}
+
+// 获取某条消息之前的有效消息（沿消息树向上，用于重新生成时的上下文；最多 1000 条）
+export async function getMessagesBefore(message, limit = 12) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const path = await fetchMessagePath(supabaseAdmin, message.parent_message_id, {
+      limit: clampLimit(limit, 12, 1000)
+    });
+      return { success: true, messages: path.messages.reverse() };
+    } catch (error) {
+      console.error('获取上下文消息失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to fetch messages' };
+    }
+  });
+}
+
+// 获取某条消息之后的有效消息（有多个分支时取当前分支上的那条）
+export async function getNextMessage(message) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('messages')
+      .select('*')
+      .eq('parent_message_id', message.turn_id || message.id)
+      .eq('active', true)
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(`Failed to fetch message: ${error.message}`);
+    const children = data || [];
+    if (children.length < 2) return { success: true, message: children[0] || null };
+
+    const { head } = await fetchActiveBranch(supabaseAdmin, message.conversation_id);
+    const onPath = new Set(head ? await fetchPathTurns(supabaseAdmin, head) : []);
+      return { success: true, message: children.find(c => onPath.has(c.turn_id)) || children[0] };
+    } catch (error) {
+      console.error('获取下一条消息失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to fetch message' };
+    }
+  });
+}
+
+// 为某一轮对话添加新版本并设为当前版本（created_at 与原消息一致以保持顺序）
+export async function addMessageVersion(original, { content, aiMode = null, metadata = null }) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    if (!content || typeof content !== 'string' || !content.trim()) {
+      throw new Error('Message content cannot be empty');
+    }
+
+    const turnId = original.turn_id || original.id;
+    const { data: latest, error: latestError } = await supabaseAdmin
+      .from('messages')
+      .select('version')
+      .eq('turn_id', turnId)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (latestError) throw new Error(`Failed to fetch versions: ${latestError.message}`);
+
+    // Inserted inactive, then switched in one transaction so the turn never shows two versions
+    const { data, error } = await supabaseAdmin
+      .from('messages')
+      .insert([{
+        conversation_id: original.conversation_id,
+        turn_id: turnId,
+        version: (latest?.version || 1) + 1,
+        active: false,
+        role: original.role,
+        content: content.trim().slice(0, 50000),
+        files: original.files || [],
+        ai_mode: aiMode || original.ai_mode,
+        metadata,
+        created_at: original.created_at
+      }])
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to add version: ${error.message}`);
+
+    const { error: activateError } = await supabaseAdmin.rpc('activate_message_version', {
+      p_message_id: data.id
+    });
+    if (activateError) throw new Error(`Failed to activate version: ${activateError.message}`);
+      return { success: true, message: { ...data, active: true } };
+    } catch (error) {
+      console.error('添加消息版本失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to add version' };
+    }
+  });
+}
+
+// 切换某一轮对话的当前版本
+export async function activateMessageVersion(messageId, userId) {
+  const owned = await getOwnedMessage(messageId, userId);
+  if (!owned.success) return owned;
+
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const { error } = await supabaseAdmin.rpc('activate_message_version', {
+      p_message_id: messageId
+    });
+    if (error) throw new Error(`Failed to activate version: ${error.message}`);
+      return { success: true, message: { ...owned.message, active: true } };
+    } catch (error) {
+      console.error('切换消息版本失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to activate version' };
+    }
+  });
+}
+
+const BRANCH_FIELDS = 'id, conversation_id, name, description, parent_branch_id, fork_message_id, head_message_id, is_main, created_at, updated_at';
+const CHECKPOINT_FIELDS = 'id, conversation_id, branch_id, message_id, name, description, created_at';
+
+// Conversation owned by the user (not in the trash)
+async function fetchOwnedConversation(supabaseAdmin, conversationId, userId) {
+  const { data, error } = await supabaseAdmin
+    .from('conversations')
+    .select('id, active_branch_id')
+    .eq('id', conversationId)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to verify conversation: ${error.message}`);
+  if (!data) throw new Error('Conversation not found or access denied');
+  return data;
+}
+
+// Turn of a message in the conversation
+async function resolveTurn(supabaseAdmin, conversationId, messageId) {
+  const { data, error } = await supabaseAdmin
+    .from('messages')
+    .select('turn_id')
+    .eq('id', messageId)
+    .eq('conversation_id', conversationId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch message: ${error.message}`);
+  if (!data) throw new Error('Message not found in this conversation');
+  return data.turn_id;
+}
+
+// Latest turn of a conversation that has no branches yet
+async function fetchLatestTurn(supabaseAdmin, conversationId) {
+  const { data, error } = await supabaseAdmin
+    .from('messages')
+    .select('turn_id')
+    .eq('conversation_id', conversationId)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch messages: ${error.message}`);
+  return data?.turn_id || null;
+}
+
+// 获取会话的分支
+export async function listBranches(conversationId, userId) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const conversation = await fetchOwnedConversation(supabaseAdmin, conversationId, userId);
+    const { data, error } = await supabaseAdmin
+      .from('conversation_branches')
+      .select(BRANCH_FIELDS)
+      .eq('conversation_id', conversationId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(`Failed to fetch branches: ${error.message}`);
+    const branches = (data || []).map(b => ({ ...b, active: b.id === conversation.active_branch_id }));
+      return { success: true, branches, activeBranchId: conversation.active_branch_id || null };
+    } catch (error) {
+      console.error('获取分支失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to fetch branches' };
+    }
+  });
+}
+
+// 创建分支（从 fromMessageId 之后分叉，默认从当前分支末尾）
+// 会话第一次分叉时，原有的线性对话成为 main 分支
+export async function createBranch(conversationId, userId, { name, description = null, fromMessageId = null, switchTo = true }) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const conversation = await fetchOwnedConversation(supabaseAdmin, conversationId, userId);
+    const forkTurn = fromMessageId ? await resolveTurn(supabaseAdmin, conversationId, fromMessageId) : null;
+
+    let parentBranchId = conversation.active_branch_id;
+    let head;
+    if (parentBranchId) {
+      head = (await fetchActiveBranch(supabaseAdmin, conversationId)).head;
+    } else {
+      head = await fetchLatestTurn(supabaseAdmin, conversationId);
+      if (!head) throw new Error('Invalid branch: the conversation has no messages yet');
+
+      const { data: main, error: mainError } = await supabaseAdmin
+        .from('conversation_branches')
+        .insert([{
+          conversation_id: conversationId,
+          user_id: userId,
+          name: 'main',
+          description: 'Main conversation thread',
+          head_message_id: head,
+          is_main: true
+        }])
+        .select('id')
+        .single();
+      if (mainError) throw new Error(`Failed to create main branch: ${mainError.message}`);
+      parentBranchId = main.id;
+
+      const { error: activeError } = await supabaseAdmin
+        .from('conversations')
+        .update({ active_branch_id: main.id })
+        .eq('id', conversationId);
+      if (activeError) throw new Error(`Failed to activate main branch: ${activeError.message}`);
+    }
+
+    const forkPoint = forkTurn || head;
+    const { data, error } = await supabaseAdmin
+      .from('conversation_branches')
+      .insert([{
+        conversation_id: conversationId,
+        user_id: userId,
+        name,
+        description,
+        parent_branch_id: parentBranchId,
+        fork_message_id: forkPoint,
+        head_message_id: forkPoint
+      }])
+      .select(BRANCH_FIELDS)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') throw new Error('Invalid branch: a branch with this name already exists');
+      throw new Error(`Failed to create branch: ${error.message}`);
+    }
+
+    if (switchTo) {
+      const { error: switchError } = await supabaseAdmin
+        .from('conversations')
+        .update({ active_branch_id: data.id })
+        .eq('id', conversationId);
+      if (switchError) throw new Error(`Failed to switch branch: ${switchError.message}`);
+    }
+      return { success: true, branch: { ...data, active: !!switchTo } };
+    } catch (error) {
+      console.error('创建分支失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to create branch' };
+    }
+  });
+}
+
+// 切换会话的当前分支
+export async function switchBranch(conversationId, userId, branchId) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    await fetchOwnedConversation(supabaseAdmin, conversationId, userId);
+    const { data: branch, error: branchError } = await supabaseAdmin
+      .from('conversation_branches')
+      .select(BRANCH_FIELDS)
+      .eq('id', branchId)
+      .eq('conversation_id', conversationId)
+      .maybeSingle();
+    if (branchError) throw new Error(`Failed to fetch branch: ${branchError.message}`);
+    if (!branch) throw new Error('Branch not found or access denied');
+
+    const { error } = await supabaseAdmin
+      .from('conversations')
+      .update({ active_branch_id: branchId })
+      .eq('id', conversationId);
+    if (error) throw new Error(`Failed to switch branch: ${error.message}`);
+      return { success: true, branch: { ...branch, active: true } };
+    } catch (error) {
+      console.error('切换分支失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to switch branch' };
+    }
+  });
+}
+
+// 更新分支（名称、描述）
+export async function updateBranch(branchId, userId, changes = {}) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const update = {};
+    for (const key of ['name', 'description']) {
+      if (changes[key] !== undefined) update[key] = changes[key];
+    }
+    if (!Object.keys(update).length) {
+      throw new Error('Invalid update: nothing to change');
+    }
+    update.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabaseAdmin
+      .from('conversation_branches')
+      .update(update)
+      .eq('id', branchId)
+      .eq('user_id', userId)
+      .select(BRANCH_FIELDS)
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === '23505') throw new Error('Invalid branch: a branch with this name already exists');
+      throw new Error(`Failed to update branch: ${error.message}`);
+    }
+    if (!data) throw new Error('Branch not found or access denied');
+      return { success: true, branch: data };
+    } catch (error) {
+      console.error('更新分支失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to update branch' };
+    }
+  });
+}
+
+// 删除分支（main 分支和当前分支不能删除；消息保留在消息树中）
+export async function deleteBranch(branchId, userId) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const { data: branch, error: branchError } = await supabaseAdmin
+      .from('conversation_branches')
+      .select('id, conversation_id, is_main')
+      .eq('id', branchId)
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (branchError) throw new Error(`Failed to fetch branch: ${branchError.message}`);
+    if (!branch) throw new Error('Branch not found or access denied');
+    if (branch.is_main) throw new Error('Invalid branch: the main branch cannot be deleted');
+
+    const { branchId: activeBranchId } = await fetchActiveBranch(supabaseAdmin, branch.conversation_id);
+    if (activeBranchId === branchId) {
+      throw new Error('Invalid branch: switch to another branch before deleting this one');
+    }
+
+    const { error } = await supabaseAdmin
+      .from('conversation_branches')
+      .delete()
+      .eq('id', branchId)
+      .eq('user_id', userId);
+    if (error) throw new Error(`Failed to delete branch: ${error.message}`);
+      return { success: true };
+    } catch (error) {
+      console.error('删除分支失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to delete branch' };
+    }
+  });
+}
+
+// 获取任意分支上的消息（分页方式与 getConversationMessages 相同）
+export async function getBranchMessages(branchId, userId, { limit = 50, before = null } = {}) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const { data: branch, error: branchError } = await supabaseAdmin
+      .from('conversation_branches')
+      .select(BRANCH_FIELDS)
+      .eq('id', branchId)
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (branchError) throw new Error(`Failed to fetch branch: ${branchError.message}`);
+    if (!branch) throw new Error('Branch not found or access denied');
+    await fetchOwnedConversation(supabaseAdmin, branch.conversation_id, userId);
+
+    const pageSize = clampLimit(limit, 50, 200);
+    const older = before ? decodeCursor(before, ['c', 'i']) : null;
+    const path = await fetchMessagePath(supabaseAdmin, branch.head_message_id, { limit: pageSize + 1, older });
+
+    const hasMore = path.messages.length > pageSize;
+    const messages = path.messages.slice(0, pageSize).reverse();
+    const oldest = messages[0];
+      return {
+        success: true,
+        branch,
+        messages,
+        total: path.total,
+        hasMore,
+        nextCursor: hasMore && oldest ? encodeCursor({ c: oldest.created_at, i: oldest.id }) : null
+      };
+    } catch (error) {
+      console.error('获取分支消息失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to fetch branch messages' };
+    }
+  });
+}
+
+// 比较两个分支：共同祖先之后各自的消息
+export async function compareBranches(branchId, otherBranchId, userId) {
+  const [left, right] = await Promise.all([
+    getBranchMessages(branchId, userId, { limit: 200 }),
+    getBranchMessages(otherBranchId, userId, { limit: 200 })
+  ]);
+  if (!left.success) return left;
+  if (!right.success) return right;
+  if (left.branch.conversation_id !== right.branch.conversation_id) {
+    return { success: false, error: 'Invalid comparison: branches belong to different conversations' };
+  }
+
+  const leftTurns = new Set(left.messages.map(m => m.turn_id));
+  const rightTurns = new Set(right.messages.map(m => m.turn_id));
+  const shared = left.messages.filter(m => rightTurns.has(m.turn_id));
+  return {
+    success: true,
+    commonMessageId: shared.length ? shared[shared.length - 1].id : null,
+    shared: shared.length,
+    left: { branch: left.branch, messages: left.messages.filter(m => !rightTurns.has(m.turn_id)) },
+    right: { branch: right.branch, messages: right.messages.filter(m => !leftTurns.has(m.turn_id)) }
+  };
+}
+
+// 获取会话的检查点
+export async function listCheckpoints(conversationId, userId) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    await fetchOwnedConversation(supabaseAdmin, conversationId, userId);
+    const { data, error } = await supabaseAdmin
+      .from('conversation_checkpoints')
+      .select(CHECKPOINT_FIELDS)
+      .eq('conversation_id', conversationId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw new Error(`Failed to fetch checkpoints: ${error.message}`);
+      return { success: true, checkpoints: data || [] };
+    } catch (error) {
+      console.error('获取检查点失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to fetch checkpoints' };
+    }
+  });
+}
+
+// 创建检查点（默认为当前分支的最新消息）
+export async function createCheckpoint(conversationId, userId, { name, description = null, messageId = null }) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const conversation = await fetchOwnedConversation(supabaseAdmin, conversationId, userId);
+    let turn = messageId ? await resolveTurn(supabaseAdmin, conversationId, messageId) : null;
+    if (!turn) {
+      turn = conversation.active_branch_id
+        ? (await fetchActiveBranch(supabaseAdmin, conversationId)).head
+        : await fetchLatestTurn(supabaseAdmin, conversationId);
+    }
+    if (!turn) throw new Error('Invalid checkpoint: the conversation has no messages yet');
+
+    const { data, error } = await supabaseAdmin
+      .from('conversation_checkpoints')
+      .insert([{
+        conversation_id: conversationId,
+        user_id: userId,
+        branch_id: conversation.active_branch_id || null,
+        message_id: turn,
+        name,
+        description
+      }])
+      .select(CHECKPOINT_FIELDS)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') throw new Error('Invalid checkpoint: a checkpoint with this name already exists');
+      throw new Error(`Failed to create checkpoint: ${error.message}`);
+    }
+      return { success: true, checkpoint: data };
+    } catch (error) {
+      console.error('创建检查点失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to create checkpoint' };
+    }
+  });
+}
+
+// 删除检查点
+export async function deleteCheckpoint(checkpointId, userId) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('conversation_checkpoints')
+      .delete()
+      .eq('id', checkpointId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) throw new Error(`Failed to delete checkpoint: ${error.message}`);
+    if (!data?.length) throw new Error('Checkpoint not found or access denied');
+      return { success: true };
+    } catch (error) {
+      console.error('删除检查点失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to delete checkpoint' };
+    }
+  });
+}
+
+// 从检查点恢复：在检查点处创建新分支并切换过去
+export async function restoreCheckpoint(checkpointId, userId, { name = null } = {}) {
+  const supabaseAdmin = getSupabaseAdmin();
+  if (!supabaseAdmin) {
+    return { success: false, error: 'Database connection not available' };
+  }
+
+  const { data: checkpoint, error } = await supabaseAdmin
+    .from('conversation_checkpoints')
+    .select(CHECKPOINT_FIELDS)
+    .eq('id', checkpointId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) return { success: false, error: `Failed to fetch checkpoint: ${error.message}` };
+  if (!checkpoint) return { success: false, error: 'Checkpoint not found or access denied' };
+
+  const restored = await createBranch(checkpoint.conversation_id, userId, {
+    name: name || `${checkpoint.name} (${new Date().toISOString().slice(0, 16).replace('T', ' ')})`.slice(0, 60),
+    description: `Restored from checkpoint "${checkpoint.name}"`,
+    fromMessageId: checkpoint.message_id
+  });
+  return restored.success ? { ...restored, checkpoint } : restored;
+}
+
+// 获取会话的滚动摘要（没有时为 null）
+export async function getConversationSummary(conversationId) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('conversation_summaries')
+      .select('summary, message_count, covers_hash, model, updated_at')
+      .eq('conversation_id', conversationId)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to fetch summary: ${error.message}`);
+      return { success: true, summary: data || null };
+    } catch (error) {
+      console.error('获取会话摘要失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to fetch summary' };
+    }
+  });
+}
+
+// 保存会话的滚动摘要（替换原有摘要）
+export async function saveConversationSummary(conversationId, { summary, messageCount, coversHash, model = null }) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+
+    const { error } = await supabaseAdmin
+      .from('conversation_summaries')
+      .upsert({
+        conversation_id: conversationId,
+        summary,
+        message_count: messageCount,
+        covers_hash: coversHash,
+        model,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'conversation_id' });
+
+    if (error) throw new Error(`Failed to save summary: ${error.message}`);
+      return { success: true };
+    } catch (error) {
+      console.error('保存会话摘要失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to save summary' };
+    }
+  });
+}
+
+// 查找已导入的会话（按导入指纹），包括回收站中的
+export async function findImportedConversations(userId, importKeys) {
+  return retryOperation(async () => {
+    try {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) {
+      throw new Error('Database connection not available');
+    }
+    if (!importKeys.length) return { success: true, conversations: [] };
+
+    const { data, error } = await supabaseAdmin
+      .from('conversations')
+      .select('id, title, import_key, deleted_at')
+      .eq('user_id', userId)
+      .in('import_key', importKeys);
+
+    if (error) throw new Error(`Failed to fetch imported conversations: ${error.message}`);
+      return { success: true, conversations: data || [] };
+    } catch (error) {
+      console.error('获取已导入会话失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to fetch imported conversations' };
+    }
+  });
+}
+
+// 导入一个会话及其消息，保留原始时间
+// messages 按时间顺序排列：[{ role, content, createdAt, aiMode, files, metadata }]
+// 消息的 id 和父消息在这里指定，不依赖插入顺序；失败时删除已创建的会话
+export async function importConversation(userId, { title, createdAt, updatedAt, tags = [], folderId = null, importSource, importKey, messages }) {
+  const supabaseAdmin = getSupabaseAdmin();
+  if (!supabaseAdmin) {
+    return { success: false, error: 'Database connection not available' };
+  }
+
+  const { data: conversation, error } = await supabaseAdmin
+    .from('conversations')
+    .insert([{
+      user_id: userId,
+      title: String(title || '').trim().slice(0, 255) || '导入的对话',
+      created_at: createdAt,
+      updated_at: updatedAt,
+      tags,
+      folder_id: folderId,
+      import_source: importSource,
+      import_key: importKey,
+      imported_at: new Date().toISOString()
+    }])
+    .select(CONVERSATION_FIELDS)
+    .single();
+
+  if (error) {
+    // Unique (user_id, import_key): imported concurrently by another request
+    if (error.code === '23505') return { success: false, duplicate: true, error: 'Conversation already imported' };
+    console.error('导入会话失败:', error.message || error);
+    return { success: false, error: `Failed to import conversation: ${error.message}` };
+  }
+
+  let parentId = null;
+  const rows = messages.map(message => {
+    const id = crypto.randomUUID();
+    const row = {
+      id,
+      conversation_id: conversation.id,
+      turn_id: id,
+      parent_message_id: parentId,
+      role: message.role,
+      content: message.content.slice(0, 50000),
+      files: message.files || [],
+      ai_mode: message.aiMode || 'default',
+      metadata: message.metadata || null,
+      created_at: message.createdAt,
+      version_created_at: message.createdAt
+    };
+    parentId = id;
+    return row;
+  });
+
+  try {
+    for (let i = 0; i < rows.length; i += 500) {
+      const { error: insertError } = await supabaseAdmin.from('messages').insert(rows.slice(i, i + 500));
+      if (insertError) throw new Error(`Failed to import messages: ${insertError.message}`);
+    }
+
+    // Inserting messages bumps updated_at to now; put the original back
+    const { error: touchError } = await supabaseAdmin
+      .from('conversations')
+      .update({ updated_at: updatedAt })
+      .eq('id', conversation.id);
+    if (touchError) throw new Error(`Failed to set conversation time: ${touchError.message}`);
+  } catch (importError) {
+    console.error('导入消息失败:', importError.message || importError);
+    await supabaseAdmin.from('conversations').delete().eq('id', conversation.id);
+    return { success: false, error: importError.message };
+  }
+
+  return {
+    success: true,
+    conversation: { ...conversation, updated_at: updatedAt },
+    messageCount: rows.length
+  };
+}
+
 // 根据消息内容自动生成会话标题
 export function generateConversationTitle(firstMessage) {
   const content = firstMessage.trim();
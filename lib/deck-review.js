@@ -0,0 +1,108 @@
+// lib/deck-review.js
+// Structured Investor-mode deck review: JSON schema, validation and markdown rendering.
+//
+// Shape stored with the assistant message (messages.metadata.deckReview):
+//   {
+//     version: 1,
+//     slides: [{ slide, impression, fatalIssue, question }],
+//     finalLevel: 'L1' | 'L2' | 'L3',
+//     rationale: string
+//   }
+import { parseJSONObject } from './llm-provider.js';
+
+export const DECK_REVIEW_SCHEMA_VERSION = 1;
+
+export const DECK_REVIEW_LEVELS = {
+  L3: '愿意投',
+  L2: '愿意聊',
+  L1: '聊都不愿意'
+};
+
+const MAX_SLIDES = 200;
+const MAX_FIELD_LENGTH = 300;
+
+/**
+ * Output instructions appended to the Investor prompt
+ */
+export const DECK_REVIEW_OUTPUT_INSTRUCTIONS = `【输出格式】只输出一个 JSON 对象，不要任何 Markdown、反引号或额外文字：
+{"slides":[{"slide":<页码,整数>,"impression":"<一句话印象>","fatalIssue":"<致命问题>","question":"<你要回答我>"}],"finalLevel":"<L1|L2|L3>","rationale":"<作出该评价的原因>"}
+slides 按页码顺序覆盖PPT的每一页（页码以文件内容中的 --- Page N --- / --- Slide N --- 标记为准），每个字段不超过50字。`;
+
+function cleanText(value) {
+  if (typeof value !== 'string') return '';
+  return value.replace(/\s+/g, ' ').trim().slice(0, MAX_FIELD_LENGTH);
+}
+
+/**
+ * Validate a parsed review object against the schema.
+ * Returns { valid: true, review } with a normalized copy, or { valid: false, errors }.
+ */
+export function validateDeckReview(input) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: ['review must be a JSON object'] };
+  }
+
+  if (!Array.isArray(input.slides) || input.slides.length === 0) {
+    errors.push('slides must be a non-empty array');
+  }
+
+  const slides = (Array.isArray(input.slides) ? input.slides : []).slice(0, MAX_SLIDES).map((s, i) => {
+    const slide = Number(s?.slide ?? s?.page);
+    const entry = {
+      slide: Number.isInteger(slide) && slide > 0 ? slide : i + 1,
+      impression: cleanText(s?.impression),
+      fatalIssue: cleanText(s?.fatalIssue),
+      question: cleanText(s?.question)
+    };
+    if (!entry.impression && !entry.fatalIssue && !entry.question) {
+      errors.push(`slides[${i}] has no content`);
+    }
+    return entry;
+  });
+
+  const finalLevel = String(input.finalLevel || '').trim().toUpperCase();
+  if (!DECK_REVIEW_LEVELS[finalLevel]) {
+    errors.push('finalLevel must be one of L1, L2, L3');
+  }
+
+  const rationale = cleanText(input.rationale);
+  if (!rationale) errors.push('rationale is required');
+
+  if (errors.length) return { valid: false, errors };
+
+  return {
+    valid: true,
+    review: {
+      version: DECK_REVIEW_SCHEMA_VERSION,
+      slides: slides.sort((a, b) => a.slide - b.slide),
+      finalLevel,
+      rationale
+    }
+  };
+}
+
+/**
+ * Parse raw model output into a validated review
+ */
+export function parseDeckReview(raw) {
+  const parsed = parseJSONObject(raw);
+  if (!parsed) return { valid: false, errors: ['output is not a JSON object'] };
+  return validateDeckReview(parsed);
+}
+
+/**
+ * Render a review as the markdown the persona used to produce, used as the message
+ * content so history, search and older clients keep working
+ */
+export function formatDeckReviewMarkdown(review) {
+  const slides = review.slides.map(s => [
+    `- **第${s.slide}页**`,
+    `- **一句话印象**: ${s.impression || '—'}`,
+    `- **致命问题**: ${s.fatalIssue || '—'}`,
+    `- **你要回答我**: ${s.question || '—'}`
+  ].join('\n'));
+
+  return `${slides.join('\n\n')}\n\n**最终评价**：${DECK_REVIEW_LEVELS[review.finalLevel]}（${review.finalLevel}）\n${review.rationale}`;
+}
@@ -0,0 +1,281 @@
+// lib/documents.js
+// Persistent document library: uploads are stored once per user (deduplicated by content
+// hash), their extracted text is cached with them, and they can be attached to later messages
+// by id. The cache is per user, and files whose extraction failed are stored without text.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { getSupabaseAdmin } from './supabase.js';
+import { retryOperation } from './database.js';
+import { getStorage } from './storage.js';
+import { extractTextFromFile, extractDocumentText, fitExtractedText } from './file-extract.js';
+import { isValidUUID } from './validation.js';
+import { removeDocumentIndex } from './rag.js';
+
+const DOCUMENT_FIELDS = 'id, name, mime_type, size_bytes, content_hash, created_at, last_used_at';
+// Cached text is kept whole (up to this size); callers fit it to their own budget
+const MAX_CACHED_TEXT = 500000;
+const MAX_ATTACHED_DOCUMENTS = 10;
+
+function getClient() {
+  const supabaseAdmin = getSupabaseAdmin();
+  if (!supabaseAdmin) {
+    throw new Error('Database connection not available');
+  }
+  return supabaseAdmin;
+}
+
+/**
+ * SHA-256 of a buffer, hex encoded
+ */
+export function hashContent(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function storageKey(userId, hash, name) {
+  const ext = path.extname(name || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return `${userId}/${hash}${ext}`;
+}
+
+// 保存上传文件到文档库
+export async function saveUploadedDocument(userId, file) {
+  return retryOperation(async () => {
+    try {
+      const supabaseAdmin = getClient();
+      const filePath = file.filepath || file.path;
+      const name = (file.originalFilename || file.newFilename || path.basename(filePath || '')).slice(0, 255);
+      const mime = file.mimetype || file.type || '';
+
+      const buffer = await fs.readFile(filePath);
+      const hash = hashContent(buffer);
+
+      // Same bytes uploaded again by this user: reuse the existing entry
+      const { data: existing, error: findError } = await supabaseAdmin
+        .from('documents')
+        .select(`${DOCUMENT_FIELDS}, extracted_text`)
+        .eq('user_id', userId)
+        .eq('content_hash', hash)
+        .maybeSingle();
+      if (findError) throw new Error(`Failed to look up document: ${findError.message}`);
+
+      if (existing?.extracted_text) {
+        await supabaseAdmin
+          .from('documents')
+          .update({ last_used_at: new Date().toISOString() })
+          .eq('id', existing.id);
+        return { success: true, document: existing, reused: true };
+      }
+
+      // Only text that was actually extracted is stored; a failure note is passed on for this
+      // request alone, and the file is extracted again the next time it is uploaded
+      const extraction = await extractDocumentText(filePath, name, mime, { budget: MAX_CACHED_TEXT });
+      const extractedText = extraction.ok ? extraction.text : '';
+
+      if (existing) {
+        const { error: updateError } = await supabaseAdmin
+          .from('documents')
+          .update({ extracted_text: extractedText, last_used_at: new Date().toISOString() })
+          .eq('id', existing.id);
+        if (updateError) throw new Error(`Failed to update document: ${updateError.message}`);
+        return { success: true, document: { ...existing, extracted_text: extraction.text }, reused: true };
+      }
+
+      const key = storageKey(userId, hash, name);
+      await getStorage().put(key, buffer, mime || 'application/octet-stream');
+
+      const { data, error } = await supabaseAdmin
+        .from('documents')
+        .insert([{
+          user_id: userId,
+          name,
+          mime_type: mime.slice(0, 255),
+          size_bytes: buffer.length,
+          content_hash: hash,
+          storage_path: key,
+          extracted_text: extractedText
+        }])
+        .select(`${DOCUMENT_FIELDS}, extracted_text`)
+        .single();
+
+      if (error) throw new Error(`Failed to save document: ${error.message}`);
+      return { success: true, document: { ...data, extracted_text: extraction.text }, reused: false };
+    } catch (error) {
+      console.error('保存文档失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to save document' };
+    }
+  });
+}
+
+// 获取用户文档列表
+export async function listDocuments(userId, { limit = 50, offset = 0 } = {}) {
+  return retryOperation(async () => {
+    try {
+      const safeLimit = Math.min(Math.max(Number(limit) || 50, 1), 200);
+      const safeOffset = Math.max(Number(offset) || 0, 0);
+
+      const { data, error, count } = await getClient()
+        .from('documents')
+        .select(DOCUMENT_FIELDS, { count: 'exact' })
+        .eq('user_id', userId)
+        .order('last_used_at', { ascending: false })
+        .range(safeOffset, safeOffset + safeLimit - 1);
+
+      if (error) throw new Error(`Failed to fetch documents: ${error.message}`);
+      return { success: true, documents: data || [], total: count ?? (data || []).length };
+    } catch (error) {
+      console.error('获取文档列表失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to fetch documents' };
+    }
+  });
+}
+
+// 获取单个文档
+export async function getDocument(documentId, userId, { includeText = false } = {}) {
+  return retryOperation(async () => {
+    try {
+      const fields = includeText ? `${DOCUMENT_FIELDS}, extracted_text` : DOCUMENT_FIELDS;
+      const { data, error } = await getClient()
+        .from('documents')
+        .select(fields)
+        .eq('id', documentId)
+        .eq('user_id', userId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') throw new Error('Document not found or access denied');
+        throw new Error(`Failed to fetch document: ${error.message}`);
+      }
+      return { success: true, document: data };
+    } catch (error) {
+      console.error('获取文档失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to fetch document' };
+    }
+  });
+}
+
+// 获取要附加到消息的文档（按给定顺序，忽略无权访问的 id）
+export async function getDocumentsForContext(documentIds, userId) {
+  return retryOperation(async () => {
+    try {
+      const ids = [...new Set((documentIds || []).filter(isValidUUID))].slice(0, MAX_ATTACHED_DOCUMENTS);
+      if (!ids.length) return { success: true, documents: [] };
+
+      const supabaseAdmin = getClient();
+      const { data, error } = await supabaseAdmin
+        .from('documents')
+        .select(`${DOCUMENT_FIELDS}, extracted_text`)
+        .eq('user_id', userId)
+        .in('id', ids);
+
+      if (error) throw new Error(`Failed to fetch documents: ${error.message}`);
+
+      await supabaseAdmin
+        .from('documents')
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .in('id', ids);
+
+      const byId = new Map((data || []).map(d => [d.id, d]));
+      return { success: true, documents: ids.map(id => byId.get(id)).filter(Boolean) };
+    } catch (error) {
+      console.error('获取附加文档失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to fetch documents' };
+    }
+  });
+}
+
+// 删除文档（同时删除存储中的原文件）
+export async function deleteDocument(documentId, userId) {
+  return retryOperation(async () => {
+    try {
+      const supabaseAdmin = getClient();
+      const { data: doc, error: findError } = await supabaseAdmin
+        .from('documents')
+        .select('id, storage_path')
+        .eq('id', documentId)
+        .eq('user_id', userId)
+        .single();
+
+      if (findError) {
+        if (findError.code === 'PGRST116') throw new Error('Document not found or access denied');
+        throw new Error(`Failed to fetch document: ${findError.message}`);
+      }
+
+      const { error } = await supabaseAdmin
+        .from('documents')
+        .delete()
+        .eq('id', documentId)
+        .eq('user_id', userId);
+      if (error) throw new Error(`Failed to delete document: ${error.message}`);
+
+      await getStorage().remove(doc.storage_path).catch(err =>
+        console.warn('Stored file cleanup failed:', err?.message || err)
+      );
+      await removeDocumentIndex(documentId).catch(err =>
+        console.warn('Chunk index cleanup failed:', err?.message || err)
+      );
+      return { success: true };
+    } catch (error) {
+      console.error('删除文档失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to delete document' };
+    }
+  });
+}
+
+/**
+ * Store every uploaded file in the library and load the documents attached by id.
+ * Returns [{ id, name, text, fullText, reused, persisted }] in upload-then-attachment order:
+ * `text` is fitted to `budget`, `fullText` is the whole extraction (for retrieval). Uploads
+ * that cannot be persisted are still extracted from the temp file so the request never loses them.
+ */
+export async function collectRequestDocuments(userId, uploaded = [], documentIds = [], { budget } = {}) {
+  const docs = [];
+  const add = (doc, fullText) => docs.push({
+    ...doc,
+    fullText: fullText || '',
+    text: budget ? fitExtractedText(fullText || '', budget) : fullText || ''
+  });
+
+  for (const f of uploaded) {
+    const name = f.originalFilename || f.newFilename || '';
+    const saved = userId ? await saveUploadedDocument(userId, f) : { success: false };
+    if (saved.success) {
+      add({ id: saved.document.id, name, reused: saved.reused, persisted: true }, saved.document.extracted_text);
+    } else {
+      const fullText = await extractTextFromFile(f.filepath || f.path, name, f.mimetype || '', { budget: MAX_CACHED_TEXT });
+      add({ id: null, name, reused: false, persisted: false }, fullText);
+    }
+  }
+
+  if (documentIds.length && userId) {
+    const attached = await getDocumentsForContext(documentIds, userId);
+    if (!attached.success) {
+      console.warn('[Documents] Attachments unavailable:', attached.error);
+    }
+    for (const d of attached.documents || []) {
+      if (docs.some(x => x.id === d.id)) continue;
+      add({ id: d.id, name: d.name, reused: true, persisted: true }, d.extracted_text || `[文件: ${d.name}] (无法提取文本内容)`);
+    }
+  }
+
+  return docs;
+}
+
+/**
+ * Read document ids sent with a request: a JSON array string, a comma list or repeated fields
+ */
+export function parseDocumentIds(raw) {
+  const values = Array.isArray(raw) ? raw : raw ? [raw] : [];
+  return values
+    .flatMap(v => {
+      if (typeof v !== 'string') return [];
+      const trimmed = v.trim();
+      if (trimmed.startsWith('[')) {
+        try { return JSON.parse(trimmed); } catch { return []; }
+      }
+      return trimmed.split(',');
+    })
+    .map(v => String(v).trim())
+    .filter(isValidUUID);
+}
@@ -0,0 +1,246 @@
+// lib/entitlements.js
+// What a user's plan (lib/plans.js) allows, checked by the API handlers. The browser gates the
+// same features in subscription-system.js, but only to decide what to show; these checks are
+// the ones that count.
+//
+// Requests outside the plan fail with a code the UI turns into an upgrade prompt, and the
+// error body carries `upgrade: { code, feature, plan, requiredPlan }`:
+//   UPGRADE_REQUIRED    403  the feature is not in the plan (DOCX/PDF export on Free)
+//   HISTORY_LIMIT       403  the conversation was last active before the plan's history window
+//   PLAN_LIMIT_REACHED  429  a daily allowance is used up (Investor replies on Free)
+//                       403  document storage is full
+// Listings are degraded instead: conversation lists, search and filtered exports leave out
+// conversations outside the history window.
+import { getSupabaseAdmin } from './supabase.js';
+import { PLANS, PLAN_ORDER, getUserPlan } from './plans.js';
+import { consumeDailyLimit } from './rate-limit.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GB = 1024 * 1024 * 1024;
+
+// Text formats come with every plan; DOCX and PDF need export_all
+const EXPORT_FEATURES = { md: 'export_limited', json: 'export_limited', docx: 'export_all', pdf: 'export_all' };
+
+// Modes with a daily allowance: the plan limit that sets it
+const MODE_ALLOWANCES = {
+  Investor: { limit: 'investorRepliesPerDay', feature: 'investor_mode' }
+};
+
+function getClient() {
+  const supabaseAdmin = getSupabaseAdmin();
+  if (!supabaseAdmin) {
+    throw new Error('Database connection not available');
+  }
+  return supabaseAdmin;
+}
+
+function createEntitlementError(message, { code = 'UPGRADE_REQUIRED', statusCode = 403, feature, plan, requiredPlan, retryAfter }) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  error.upgrade = { code, feature, plan: plan.id, requiredPlan };
+  if (retryAfter) error.retryAfter = retryAfter;
+  return error;
+}
+
+function createCheckError(message) {
+  const error = new Error(message);
+  error.statusCode = 500;
+  return error;
+}
+
+function planHasFeature(plan, feature) {
+  return plan.features.includes(feature) || plan.features.includes('all_features');
+}
+
+// null is unlimited
+function limitAbove(plan, name, value) {
+  const limit = plan.limits[name];
+  return limit === null || limit === undefined || limit > value;
+}
+
+// Lowest plan passing `test` (enterprise when none does)
+function lowestPlan(test) {
+  return PLAN_ORDER.map(id => PLANS[id]).find(test)?.id || 'enterprise';
+}
+
+/**
+ * The user's plan with its features and limits, for the UI:
+ * { plan, features, limits, exportFormats }
+ */
+export function getEntitlements(user) {
+  const plan = getUserPlan(user);
+  const features = plan.features.includes('all_features')
+    ? [...new Set(PLAN_ORDER.flatMap(id => PLANS[id].features))]
+    : plan.features;
+  return {
+    plan: plan.id,
+    features,
+    limits: plan.limits,
+    exportFormats: Object.keys(EXPORT_FEATURES).filter(format => planHasFeature(plan, EXPORT_FEATURES[format]))
+  };
+}
+
+/**
+ * Whether the user's plan includes a feature (ids as in getDefaultPlans())
+ */
+export function hasFeature(user, feature) {
+  return planHasFeature(getUserPlan(user), feature);
+}
+
+/**
+ * Throw UPGRADE_REQUIRED unless the user's plan includes `feature`
+ */
+export function requireFeature(user, feature, message = null) {
+  const plan = getUserPlan(user);
+  if (planHasFeature(plan, feature)) return;
+  throw createEntitlementError(message || `The ${plan.name} plan does not include ${feature}`, {
+    feature,
+    plan,
+    requiredPlan: lowestPlan(p => planHasFeature(p, feature))
+  });
+}
+
+/**
+ * Throw UPGRADE_REQUIRED for export formats outside the user's plan
+ * (unknown formats are left for the caller to reject)
+ */
+export function requireExportFormat(user, format) {
+  const feature = EXPORT_FEATURES[format];
+  if (!feature) return;
+  requireFeature(user, feature, `${format.toUpperCase()} export is not included in the ${getUserPlan(user).name} plan`);
+}
+
+/**
+ * Start of the user's history window as an ISO timestamp, or null when history is unlimited
+ */
+export function getHistoryCutoff(user, now = Date.now()) {
+  const days = getUserPlan(user).limits.historyDays;
+  return days ? new Date(now - days * DAY_MS).toISOString() : null;
+}
+
+/**
+ * The later of a requested `since` and the start of the user's history window
+ */
+export function limitHistorySince(user, since = null) {
+  const cutoff = getHistoryCutoff(user);
+  if (!cutoff) return since || null;
+  return since && new Date(since) > new Date(cutoff) ? since : cutoff;
+}
+
+/**
+ * Throw HISTORY_LIMIT if any of the conversations was last active before the user's history
+ * window. Ids that are not the user's are ignored; callers report those as not found.
+ */
+export async function requireConversationAccess(user, conversationIds) {
+  const cutoff = getHistoryCutoff(user);
+  const ids = [].concat(conversationIds || []).filter(Boolean);
+  if (!cutoff || !ids.length) return;
+
+  const { data, error } = await getClient()
+    .from('conversations')
+    .select('id, updated_at')
+    .eq('user_id', user.id)
+    .in('id', ids)
+    .lt('updated_at', cutoff)
+    .order('updated_at', { ascending: true })
+    .limit(1);
+  if (error) throw createCheckError(`Failed to check conversation history: ${error.message}`);
+  if (!data?.length) return;
+
+  const plan = getUserPlan(user);
+  const ageDays = Math.ceil((Date.now() - new Date(data[0].updated_at).getTime()) / DAY_MS);
+  throw createEntitlementError(
+    `Conversations older than ${plan.limits.historyDays} days are not available on the ${plan.name} plan`,
+    {
+      code: 'HISTORY_LIMIT',
+      feature: 'history',
+      plan,
+      requiredPlan: lowestPlan(p => limitAbove(p, 'historyDays', ageDays - 1))
+    }
+  );
+}
+
+/**
+ * requireConversationAccess() for the conversation a message belongs to
+ */
+export async function requireMessageAccess(user, messageId) {
+  if (!getHistoryCutoff(user) || !messageId) return;
+  const { data, error } = await getClient()
+    .from('messages')
+    .select('conversation_id')
+    .eq('id', messageId)
+    .maybeSingle();
+  if (error) throw createCheckError(`Failed to check conversation history: ${error.message}`);
+  await requireConversationAccess(user, data?.conversation_id);
+}
+
+/**
+ * requireConversationAccess() for the conversations the branches belong to
+ */
+export async function requireBranchAccess(user, branchIds) {
+  const ids = [].concat(branchIds || []).filter(Boolean);
+  if (!getHistoryCutoff(user) || !ids.length) return;
+  const { data, error } = await getClient()
+    .from('conversation_branches')
+    .select('conversation_id')
+    .in('id', ids);
+  if (error) throw createCheckError(`Failed to check conversation history: ${error.message}`);
+  await requireConversationAccess(user, (data || []).map(b => b.conversation_id));
+}
+
+/**
+ * Count one reply against the daily allowance of a limited mode (Investor on Free).
+ * Throws PLAN_LIMIT_REACHED (429) once the day's replies in that mode are used up;
+ * other modes and plans without the limit pass without counting.
+ */
+export async function enforceModeAllowance(user, modeId) {
+  const allowance = MODE_ALLOWANCES[modeId];
+  if (!allowance) return null;
+  const plan = getUserPlan(user);
+  const limit = plan.limits[allowance.limit];
+  if (limit === null || limit === undefined) return null;
+
+  const result = await consumeDailyLimit(`allowance:${modeId}:${user.id}`, limit, 1);
+  if (!result.allowed) {
+    throw createEntitlementError(
+      `Daily ${modeId} limit reached (${limit} per day on the ${plan.name} plan); it resets at midnight (UTC+8)`,
+      {
+        code: 'PLAN_LIMIT_REACHED',
+        statusCode: 429,
+        feature: allowance.feature,
+        plan,
+        requiredPlan: lowestPlan(p => limitAbove(p, allowance.limit, limit)),
+        retryAfter: result.retryAfter
+      }
+    );
+  }
+  return result;
+}
+
+/**
+ * Throw PLAN_LIMIT_REACHED if storing `bytes` more would take the user's document library
+ * past the plan's storageGB. A re-upload of a stored file counts again, which only matters
+ * when the library is nearly full.
+ */
+export async function requireStorage(user, bytes) {
+  const plan = getUserPlan(user);
+  const limitGB = plan.limits.storageGB;
+  if (!bytes || limitGB === null || limitGB === undefined) return;
+
+  const { data, error } = await getClient()
+    .from('documents')
+    .select('size_bytes')
+    .eq('user_id', user.id);
+  if (error) throw createCheckError(`Failed to check document storage: ${error.message}`);
+
+  const used = (data || []).reduce((sum, d) => sum + (Number(d.size_bytes) || 0), 0);
+  if (used + bytes > limitGB * GB) {
+    throw createEntitlementError(`Document storage is full (${limitGB} GB on the ${plan.name} plan)`, {
+      code: 'PLAN_LIMIT_REACHED',
+      feature: 'storage',
+      plan,
+      requiredPlan: lowestPlan(p => limitAbove(p, 'storageGB', limitGB))
+    });
+  }
+}
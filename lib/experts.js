@@ -0,0 +1,231 @@
+// lib/experts.js
+// Expert directory: CRUD for admins and track-based candidate retrieval for Expert_match
+import { getSupabaseAdmin } from './supabase.js';
+import { retryOperation } from './database.js';
+import { sanitizeString } from './validation.js';
+
+const EXPERT_FIELDS = 'id, name, title, bio, domains, tags, available, availability_note, homepage, created_at, updated_at';
+const MAX_CANDIDATES = 15;
+
+function getClient() {
+  const supabaseAdmin = getSupabaseAdmin();
+  if (!supabaseAdmin) {
+    throw new Error('Database connection not available');
+  }
+  return supabaseAdmin;
+}
+
+function sanitizeList(list, maxItems = 30) {
+  if (!Array.isArray(list)) return [];
+  return [...new Set(list.map(v => sanitizeString(v, 50)).filter(Boolean))].slice(0, maxItems);
+}
+
+/**
+ * Validate and normalize an expert payload. `partial` allows updates with a subset of fields.
+ */
+export function normalizeExpertInput(input = {}, { partial = false } = {}) {
+  const expert = {};
+
+  if (!partial || input.name !== undefined) {
+    const name = sanitizeString(input.name, 100);
+    if (!name) {
+      const error = new Error('Expert name is required');
+      error.statusCode = 400;
+      error.field = 'name';
+      throw error;
+    }
+    expert.name = name;
+  }
+
+  if (input.title !== undefined) expert.title = sanitizeString(input.title, 255);
+  if (input.bio !== undefined) expert.bio = sanitizeString(input.bio, 2000);
+  if (input.domains !== undefined) expert.domains = sanitizeList(input.domains);
+  if (input.tags !== undefined) expert.tags = sanitizeList(input.tags);
+  if (input.available !== undefined) expert.available = Boolean(input.available);
+  if (input.availability_note !== undefined) expert.availability_note = sanitizeString(input.availability_note, 255);
+  if (input.homepage !== undefined) expert.homepage = sanitizeString(input.homepage, 500);
+
+  return expert;
+}
+
+// 列出专家
+export async function listExperts({ query = '', onlyAvailable = false, limit = 100, offset = 0 } = {}) {
+  return retryOperation(async () => {
+    try {
+      const supabaseAdmin = getClient();
+      const safeLimit = Math.min(Math.max(Number(limit) || 100, 1), 500);
+      const safeOffset = Math.max(Number(offset) || 0, 0);
+
+      let q = supabaseAdmin
+        .from('experts')
+        .select(EXPERT_FIELDS, { count: 'exact' })
+        .order('name', { ascending: true })
+        .range(safeOffset, safeOffset + safeLimit - 1);
+
+      if (onlyAvailable) q = q.eq('available', true);
+
+      const term = sanitizeString(query, 100).replace(/[%,()]/g, '');
+      if (term) q = q.or(`name.ilike.%${term}%,bio.ilike.%${term}%,title.ilike.%${term}%`);
+
+      const { data, error, count } = await q;
+      if (error) throw new Error(`Failed to fetch experts: ${error.message}`);
+
+      return { success: true, experts: data || [], total: count ?? (data || []).length };
+    } catch (error) {
+      console.error('获取专家列表失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to fetch experts' };
+    }
+  });
+}
+
+// 获取单个专家
+export async function getExpert(expertId) {
+  return retryOperation(async () => {
+    try {
+      const { data, error } = await getClient()
+        .from('experts')
+        .select(EXPERT_FIELDS)
+        .eq('id', expertId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') throw new Error('Expert not found');
+        throw new Error(`Failed to fetch expert: ${error.message}`);
+      }
+      return { success: true, expert: data };
+    } catch (error) {
+      console.error('获取专家失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to fetch expert' };
+    }
+  });
+}
+
+// 创建专家
+export async function createExpert(input) {
+  return retryOperation(async () => {
+    try {
+      const expert = normalizeExpertInput(input);
+      const { data, error } = await getClient()
+        .from('experts')
+        .insert([expert])
+        .select(EXPERT_FIELDS)
+        .single();
+
+      if (error) throw new Error(`Failed to create expert: ${error.message}`);
+      return { success: true, expert: data };
+    } catch (error) {
+      console.error('创建专家失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to create expert', field: error.field };
+    }
+  });
+}
+
+// 更新专家
+export async function updateExpert(expertId, input) {
+  return retryOperation(async () => {
+    try {
+      const changes = normalizeExpertInput(input, { partial: true });
+      if (!Object.keys(changes).length) throw new Error('Invalid update: no fields provided');
+
+      const { data, error } = await getClient()
+        .from('experts')
+        .update(changes)
+        .eq('id', expertId)
+        .select(EXPERT_FIELDS)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') throw new Error('Expert not found');
+        throw new Error(`Failed to update expert: ${error.message}`);
+      }
+      return { success: true, expert: data };
+    } catch (error) {
+      console.error('更新专家失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to update expert', field: error.field };
+    }
+  });
+}
+
+// 删除专家
+export async function deleteExpert(expertId) {
+  return retryOperation(async () => {
+    try {
+      const { error } = await getClient()
+        .from('experts')
+        .delete()
+        .eq('id', expertId);
+
+      if (error) throw new Error(`Failed to delete expert: ${error.message}`);
+      return { success: true };
+    } catch (error) {
+      console.error('删除专家失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to delete expert' };
+    }
+  });
+}
+
+/**
+ * Split domain/tag terms into those matching the track (either one contains the other) and
+ * those mentioned in the founder's message; case-insensitive, terms under 2 characters ignored.
+ * Returns { trackTerms, messageTerms } with the terms as stored.
+ */
+export function matchExpertTerms(terms, { track = '', message = '' } = {}) {
+  const trackText = track.toLowerCase();
+  const messageText = message.toLowerCase();
+  const trackTerms = [];
+  const messageTerms = [];
+
+  for (const term of new Set(terms)) {
+    const text = String(term).toLowerCase();
+    if (text.length < 2) continue;
+    if (trackText && (trackText.includes(text) || text.includes(trackText))) trackTerms.push(term);
+    if (messageText.includes(text)) messageTerms.push(term);
+  }
+  return { trackTerms, messageTerms };
+}
+
+/**
+ * Available experts relevant to a founder's track and message, most relevant first.
+ * The terms that match are picked from the directory's vocabulary (expert_terms()); only
+ * experts carrying one of them are read and ranked (match_experts()).
+ */
+export async function findExpertCandidates({ track = '', message = '' } = {}, limit = MAX_CANDIDATES) {
+  return retryOperation(async () => {
+    try {
+      const supabaseAdmin = getClient();
+      const { data: terms, error: termsError } = await supabaseAdmin.rpc('expert_terms');
+      if (termsError) throw new Error(`Failed to fetch expert terms: ${termsError.message}`);
+
+      const { trackTerms, messageTerms } = matchExpertTerms((terms || []).map(r => r.term), { track, message });
+      if (!trackTerms.length && !messageTerms.length) return { success: true, experts: [] };
+
+      const { data, error } = await supabaseAdmin.rpc('match_experts', {
+        track_terms: trackTerms,
+        message_terms: messageTerms,
+        match_count: limit
+      });
+      if (error) throw new Error(`Failed to match experts: ${error.message}`);
+
+      return { success: true, experts: data || [] };
+    } catch (error) {
+      console.error('匹配专家失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to match experts' };
+    }
+  });
+}
+
+/**
+ * Render candidates as the numbered list the Expert_match prompt expects
+ */
+export function formatExpertList(experts = []) {
+  if (!experts.length) {
+    return '（目录中暂无与该赛道强相关的专家。请直接告知用户暂无合适人选，并建议补充项目赛道信息。）';
+  }
+  return experts
+    .map((e, i) => {
+      const availability = e.availability_note ? `（${e.availability_note}）` : '';
+      const homepage = e.homepage ? ` 主页：${e.homepage}` : '';
+      return `${i + 1}. ${e.name}：${e.bio || e.title || ''}${availability}${homepage}`;
+    })
+    .join('\n');
+}
@@ -0,0 +1,313 @@
+// lib/export-document.js
+// Format-neutral model for conversation exports (/api/export). Message content is the
+// markdown the assistants write; it is parsed once into blocks that the DOCX and PDF
+// renderers lay out:
+//   { type: 'heading', level, inlines }      { type: 'paragraph', inlines }
+//   { type: 'list', items: [{ level, ordered, number, inlines }] }
+//   { type: 'code', language, text }         { type: 'quote', inlines }
+//   { type: 'table', header: [inlines], rows: [[inlines]] }
+//   { type: 'rule' }
+// Inlines are runs: { text, bold?, italic?, code?, link? }; "\n" inside a run is a line break.
+// Markdown and JSON exports are produced here directly.
+import { resolveMode } from './modes.js';
+import { DECK_REVIEW_LEVELS } from './deck-review.js';
+
+export const EXPORT_FORMAT_VERSION = 1;
+
+const FENCE = /^\s*(```|~~~)\s*([\w+#.-]*)\s*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>\s?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+•]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const INLINE = /`([^`\n]+)`|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s](?:[^*]*?[^*\s])?)\*|\[([^\]\n]+)\]\((https?:\/\/[^)\s]+)\)/g;
+
+/**
+ * Parse inline markdown (code spans, bold, italic, links) into runs
+ */
+export function parseInline(text, style = {}) {
+  const source = String(text ?? '').replace(/<br\s*\/?>/gi, '\n');
+  const runs = [];
+  const push = run => {
+    if (!run.text) return;
+    const prev = runs[runs.length - 1];
+    const sameStyle = prev && ['bold', 'italic', 'code', 'link'].every(k => prev[k] === run[k]);
+    if (sameStyle) prev.text += run.text;
+    else runs.push(run);
+  };
+
+  let last = 0;
+  for (const match of source.matchAll(INLINE)) {
+    if (match.index > last) push({ ...style, text: source.slice(last, match.index) });
+    const [, code, bold, boldAlt, italic, linkText, href] = match;
+    if (code !== undefined) push({ ...style, code: true, text: code });
+    else if (bold !== undefined || boldAlt !== undefined) parseInline(bold ?? boldAlt, { ...style, bold: true }).forEach(push);
+    else if (italic !== undefined) parseInline(italic, { ...style, italic: true }).forEach(push);
+    else parseInline(linkText, { ...style, link: href }).forEach(push);
+    last = match.index + match[0].length;
+  }
+  if (last < source.length) push({ ...style, text: source.slice(last) });
+  return runs;
+}
+
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+  return row.split(/(?<!\\)\|/).map(cell => parseInline(cell.trim().replace(/\\\|/g, '|')));
+}
+
+function isBlockStart(line, next) {
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line)
+    || LIST_ITEM.test(line) || (line.includes('|') && TABLE_DIVIDER.test(next || ''));
+}
+
+/**
+ * Parse message markdown into blocks
+ */
+export function parseMarkdown(text) {
+  const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+
+  const flush = () => {
+    if (paragraph.length) blocks.push({ type: 'paragraph', inlines: parseInline(paragraph.join('\n')) });
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      flush();
+      const body = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) body.push(lines[i]);
+      blocks.push({ type: 'code', language: fence[2] || '', text: body.join('\n') });
+      continue;
+    }
+
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, inlines: parseInline(heading[2]) });
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      flush();
+      blocks.push({ type: 'rule' });
+      continue;
+    }
+
+    if (line.includes('|') && TABLE_DIVIDER.test(lines[i + 1] || '')) {
+      flush();
+      const header = splitTableRow(line);
+      const rows = [];
+      for (i += 2; i < lines.length && lines[i].trim() && lines[i].includes('|'); i++) {
+        const row = splitTableRow(lines[i]);
+        while (row.length < header.length) row.push([]);
+        rows.push(row.slice(0, header.length));
+      }
+      i--;
+      blocks.push({ type: 'table', header, rows });
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      flush();
+      const quoted = [];
+      for (; i < lines.length && QUOTE.test(lines[i]); i++) quoted.push(lines[i].match(QUOTE)[1]);
+      i--;
+      blocks.push({ type: 'quote', inlines: parseInline(quoted.join('\n')) });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      flush();
+      const items = [];
+      const indents = [];
+      for (; i < lines.length; i++) {
+        const item = lines[i].match(LIST_ITEM);
+        if (item) {
+          const indent = item[1].replace(/\t/g, '    ').length;
+          while (indents.length && indent < indents[indents.length - 1]) indents.pop();
+          if (!indents.length || indent > indents[indents.length - 1]) indents.push(indent);
+          const ordered = /\d/.test(item[2]);
+          items.push({
+            level: Math.min(indents.length - 1, 5),
+            ordered,
+            number: ordered ? parseInt(item[2], 10) : null,
+            text: item[3]
+          });
+          continue;
+        }
+        // Indented lines continue the previous item; anything else ends the list
+        if (lines[i].trim() && /^\s+/.test(lines[i]) && !isBlockStart(lines[i].trim(), lines[i + 1])) {
+          items[items.length - 1].text += '\n' + lines[i].trim();
+          continue;
+        }
+        break;
+      }
+      i--;
+      blocks.push({
+        type: 'list',
+        items: items.map(({ text: itemText, ...item }) => ({ ...item, inlines: parseInline(itemText) }))
+      });
+      continue;
+    }
+
+    if (paragraph.length && isBlockStart(line, lines[i + 1])) flush();
+    paragraph.push(line);
+  }
+
+  flush();
+  return blocks;
+}
+
+/**
+ * Plain text of a list of runs
+ */
+export function inlineText(inlines) {
+  return (inlines || []).map(run => run.text).join('');
+}
+
+// Investor deck reviews are stored as structured data; export them as a table
+function deckReviewBlocks(review) {
+  const cell = text => (text ? [{ text: String(text) }] : []);
+  return [
+    {
+      type: 'table',
+      header: ['', '一句话印象', '致命问题', '你要回答我'].map(cell),
+      rows: review.slides.map(s => [
+        cell(`第${s.slide}页`),
+        cell(s.impression || '—'),
+        cell(s.fatalIssue || '—'),
+        cell(s.question || '—')
+      ])
+    },
+    {
+      type: 'paragraph',
+      inlines: [
+        { text: `最终评价：${DECK_REVIEW_LEVELS[review.finalLevel] || review.finalLevel}（${review.finalLevel}）`, bold: true },
+        ...(review.rationale ? [{ text: `\n${review.rationale}` }] : [])
+      ]
+    }
+  ];
+}
+
+function messageBlocks(message) {
+  const review = message.role !== 'user' && message.metadata?.deckReview;
+  if (review && Array.isArray(review.slides)) return deckReviewBlocks(review);
+  return parseMarkdown(message.content);
+}
+
+/**
+ * Build the export model from conversations as loaded by lib/export.js:
+ * [{ id, title, created_at, updated_at, folder, tags, messages: [...] }]
+ */
+export function buildExportDocument(conversations, { title = null } = {}) {
+  const defaultTitle = conversations.length === 1
+    ? conversations[0].title || '对话记录'
+    : `对话导出（${conversations.length} 个对话）`;
+
+  return {
+    title: title || defaultTitle,
+    exportedAt: new Date().toISOString(),
+    conversations: conversations.map(conversation => ({
+      ...conversation,
+      messages: conversation.messages.map(message => ({
+        ...message,
+        sender: message.role === 'user' ? '用户' : resolveMode(message.ai_mode).assistantName,
+        blocks: messageBlocks(message)
+      }))
+    }))
+  };
+}
+
+/**
+ * Timestamp as shown in exports (China time, matching the app)
+ */
+export function formatExportDate(value) {
+  if (!value) return '';
+  return new Date(value).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai', hour12: false });
+}
+
+/**
+ * Short description line for a conversation: dates, folder, tags, message count
+ */
+export function describeConversation(conversation) {
+  const parts = [`更新于 ${formatExportDate(conversation.updated_at || conversation.created_at)}`];
+  if (conversation.folder) parts.push(`文件夹：${conversation.folder}`);
+  if (conversation.tags?.length) parts.push(`标签：${conversation.tags.join('、')}`);
+  parts.push(`${conversation.messages.length} 条消息`);
+  return parts.join(' · ');
+}
+
+/**
+ * Markdown export. Message content is kept as written; deck reviews become tables.
+ */
+export function renderMarkdownExport(doc) {
+  const escapeCell = text => text.replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+  const out = [`# ${doc.title}`, '', `导出时间：${formatExportDate(doc.exportedAt)}`, ''];
+
+  for (const conversation of doc.conversations) {
+    out.push('---', '', `## ${conversation.title || '对话记录'}`, '', `*${describeConversation(conversation)}*`, '');
+    for (const message of conversation.messages) {
+      const time = message.created_at ? ` · ${formatExportDate(message.created_at)}` : '';
+      out.push(`### ${message.role === 'user' ? '👤' : '🤖'} ${message.sender}${time}`, '');
+      if (message.files?.length) out.push(`📎 ${message.files.join('、')}`, '');
+
+      const review = message.role !== 'user' && message.metadata?.deckReview;
+      if (review && Array.isArray(review.slides)) {
+        const [table, verdict] = deckReviewBlocks(review);
+        out.push(`| ${table.header.map(c => escapeCell(inlineText(c))).join(' | ')} |`);
+        out.push(`| ${table.header.map(() => '---').join(' | ')} |`);
+        table.rows.forEach(row => out.push(`| ${row.map(c => escapeCell(inlineText(c))).join(' | ')} |`));
+        out.push('', `**${verdict.inlines[0].text}**`);
+        if (review.rationale) out.push(review.rationale);
+      } else {
+        out.push(message.content || '');
+      }
+      out.push('');
+    }
+  }
+
+  return out.join('\n');
+}
+
+/**
+ * JSON export: a versioned, self-describing dump of the conversations (no internal ids
+ * beyond the conversation and message ids, no user ids)
+ */
+export function renderJsonExport(doc) {
+  return JSON.stringify({
+    format: 'beta-conversations',
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: doc.exportedAt,
+    conversations: doc.conversations.map(c => ({
+      id: c.id,
+      title: c.title,
+      createdAt: c.created_at,
+      updatedAt: c.updated_at,
+      folder: c.folder || null,
+      tags: c.tags || [],
+      pinned: !!c.pinned_at,
+      archived: !!c.archived_at,
+      messages: c.messages.map(m => ({
+        id: m.id,
+        role: m.role,
+        content: m.content,
+        aiMode: m.ai_mode || null,
+        files: m.files || [],
+        metadata: m.metadata || null,
+        createdAt: m.created_at
+      }))
+    }))
+  }, null, 2);
+}
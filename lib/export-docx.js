@@ -0,0 +1,361 @@
+// lib/export-docx.js
+// Word (.docx, Office Open XML) rendering of an export document (lib/export-document.js).
+// A .docx is a ZIP of XML parts; like the reader in lib/file-extract.js it is written with
+// zlib only. Chinese text gets its own East Asian font slot (Microsoft YaHei) so Word and
+// WPS pick a CJK font instead of substituting one glyph at a time.
+// Child elements follow the order the OOXML schema requires; Word rejects files that don't.
+import zlib from 'zlib';
+import { describeConversation, formatExportDate } from './export-document.js';
+
+const PAGE_WIDTH = 11906;          // A4, twentieths of a point
+const PAGE_HEIGHT = 16838;
+const PAGE_MARGIN = 1440;
+const TEXT_WIDTH = PAGE_WIDTH - 2 * PAGE_MARGIN;
+const BRAND_COLOR = '0A381F';
+const BULLET_NUM_ID = 1;
+const MAX_LIST_LEVEL = 5;
+
+/* ---------- ZIP ---------- */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Minimal ZIP writer (deflated entries, no ZIP64): [{ name, data }] -> Buffer
+ */
+export function createZipArchive(files, date = new Date()) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);      // UTF-8 names
+    local.writeUInt16LE(8, 8);           // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralSize = centrals.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+/* ---------- XML ---------- */
+
+function escapeXml(text) {
+  return String(text ?? '')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function textXml(text) {
+  return String(text).split('\n')
+    .map(part => `<w:t xml:space="preserve">${escapeXml(part.replace(/\t/g, '    '))}</w:t>`)
+    .join('<w:br/>');
+}
+
+function runXml(run) {
+  let props = '';
+  if (run.code) props += '<w:rStyle w:val="CodeChar"/>';
+  else if (run.link) props += '<w:rStyle w:val="Hyperlink"/>';
+  if (run.bold) props += '<w:b/><w:bCs/>';
+  if (run.italic) props += '<w:i/><w:iCs/>';
+  return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${textXml(run.text)}</w:r>`;
+}
+
+// Renders one document; hyperlinks and numbered lists need per-document ids
+class DocxBuilder {
+  constructor() {
+    this.links = [];
+    this.orderedLists = [];
+  }
+
+  inlines(runs, bold = false) {
+    return (runs || []).map(run => {
+      const xml = runXml(bold ? { ...run, bold: true } : run);
+      if (!run.link) return xml;
+      this.links.push(run.link);
+      return `<w:hyperlink r:id="rIdLink${this.links.length}">${xml}</w:hyperlink>`;
+    }).join('');
+  }
+
+  paragraph(runs, { style = null, props = '', bold = false } = {}) {
+    const pPr = `${style ? `<w:pStyle w:val="${style}"/>` : ''}${props}`;
+    return `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}${this.inlines(runs, bold)}</w:p>`;
+  }
+
+  list(block) {
+    // Each ordered list restarts its numbering from the first item's number
+    let orderedNumId = null;
+    return block.items.map(item => {
+      let numId = BULLET_NUM_ID;
+      if (item.ordered) {
+        if (!orderedNumId) {
+          this.orderedLists.push(item.number || 1);
+          orderedNumId = BULLET_NUM_ID + this.orderedLists.length;
+        }
+        numId = orderedNumId;
+      }
+      const level = Math.min(item.level, MAX_LIST_LEVEL);
+      return this.paragraph(item.inlines, {
+        style: 'ListParagraph',
+        props: `<w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="${numId}"/></w:numPr>`
+      });
+    }).join('');
+  }
+
+  table(block) {
+    const columns = Math.max(block.header.length, 1);
+    const width = Math.floor(TEXT_WIDTH / columns);
+    const cell = (runs, header) => `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${header ? '<w:shd w:val="clear" w:color="auto" w:fill="F3F4F6"/>' : ''}</w:tcPr>${
+      this.paragraph(runs, { style: 'TableText', bold: header })
+    }</w:tc>`;
+    const row = (cells, header = false) => `<w:tr>${header ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${
+      Array.from({ length: columns }, (_, i) => cell(cells[i] || [], header)).join('')
+    }</w:tr>`;
+
+    return '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/><w:tblLayout w:type="fixed"/></w:tblPr>'
+      + `<w:tblGrid>${`<w:gridCol w:w="${width}"/>`.repeat(columns)}</w:tblGrid>`
+      + row(block.header, true)
+      + block.rows.map(cells => row(cells)).join('')
+      + '</w:tbl>'
+      // Word merges adjacent tables; keep an empty paragraph between them
+      + '<w:p><w:pPr><w:spacing w:after="0"/></w:pPr></w:p>';
+  }
+
+  block(block) {
+    switch (block.type) {
+      case 'heading':
+        return this.paragraph(block.inlines, { style: `Heading${Math.min(block.level + 1, 4)}` });
+      case 'list':
+        return this.list(block);
+      case 'code':
+        return this.paragraph([{ text: block.text || ' ' }], { style: 'Code' });
+      case 'quote':
+        return this.paragraph(block.inlines, { style: 'Quote' });
+      case 'table':
+        return this.table(block);
+      case 'rule':
+        return '<w:p><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="D1D5DB"/></w:pBdr></w:pPr></w:p>';
+      default:
+        return this.paragraph(block.inlines);
+    }
+  }
+
+  body(doc) {
+    const parts = [
+      this.paragraph([{ text: doc.title }], { style: 'Title' }),
+      this.paragraph([{ text: `导出时间：${formatExportDate(doc.exportedAt)}` }], { style: 'Meta' })
+    ];
+
+    doc.conversations.forEach((conversation, index) => {
+      parts.push(this.paragraph([{ text: conversation.title || '对话记录' }], {
+        style: 'Heading1',
+        props: index > 0 ? '<w:pageBreakBefore/>' : ''
+      }));
+      parts.push(this.paragraph([{ text: describeConversation(conversation) }], { style: 'Meta' }));
+
+      for (const message of conversation.messages) {
+        const time = message.created_at ? `  ${formatExportDate(message.created_at)}` : '';
+        parts.push(this.paragraph([
+          { text: message.sender, bold: true },
+          { text: time }
+        ], { style: message.role === 'user' ? 'SenderUser' : 'Sender' }));
+        if (message.files?.length) {
+          parts.push(this.paragraph([{ text: `📎 ${message.files.join('、')}` }], { style: 'Meta' }));
+        }
+        parts.push(...message.blocks.map(block => this.block(block)));
+      }
+    });
+
+    return parts.join('');
+  }
+}
+
+const NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" '
+  + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+function documentXml(body) {
+  return `${XML_HEADER}<w:document ${NS}><w:body>${body}`
+    + '<w:sectPr><w:headerReference w:type="default" r:id="rIdHeader"/><w:footerReference w:type="default" r:id="rIdFooter"/>'
+    + `<w:pgSz w:w="${PAGE_WIDTH}" w:h="${PAGE_HEIGHT}"/>`
+    + `<w:pgMar w:top="${PAGE_MARGIN}" w:right="${PAGE_MARGIN}" w:bottom="${PAGE_MARGIN}" w:left="${PAGE_MARGIN}" w:header="720" w:footer="720" w:gutter="0"/>`
+    + '</w:sectPr></w:body></w:document>';
+}
+
+function headerXml(title) {
+  return `${XML_HEADER}<w:hdr ${NS}><w:p><w:pPr><w:pStyle w:val="Header"/></w:pPr>`
+    + `<w:r><w:t xml:space="preserve">${escapeXml(title)}</w:t></w:r></w:p></w:hdr>`;
+}
+
+function footerXml() {
+  const field = instr => `<w:fldSimple w:instr=" ${instr} "><w:r><w:t>1</w:t></w:r></w:fldSimple>`;
+  return `${XML_HEADER}<w:ftr ${NS}><w:p><w:pPr><w:pStyle w:val="Footer"/></w:pPr>`
+    + `<w:r><w:t xml:space="preserve">第 </w:t></w:r>${field('PAGE')}<w:r><w:t xml:space="preserve"> 页 / 共 </w:t></w:r>`
+    + `${field('NUMPAGES')}<w:r><w:t xml:space="preserve"> 页</w:t></w:r></w:p></w:ftr>`;
+}
+
+function stylesXml() {
+  const fonts = '<w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Microsoft YaHei" w:cs="Arial"/>';
+  const mono = '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:eastAsia="Microsoft YaHei" w:cs="Consolas"/>';
+  const paragraphStyle = (id, name, pPr, rPr, extra = '') => `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/>`
+    + `<w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>${extra}<w:pPr>${pPr}</w:pPr><w:rPr>${rPr}</w:rPr></w:style>`;
+  const heading = (level, size) => paragraphStyle(`Heading${level}`, `heading ${level}`,
+    `<w:keepNext/><w:spacing w:before="${level === 1 ? 360 : 240}" w:after="120"/><w:outlineLvl w:val="${level - 1}"/>`,
+    `<w:b/><w:bCs/><w:color w:val="${BRAND_COLOR}"/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/>`);
+  const senderProps = '<w:keepNext/><w:pBdr><w:top w:val="single" w:sz="4" w:space="6" w:color="E5E7EB"/></w:pBdr><w:spacing w:before="240" w:after="80"/>';
+
+  return `${XML_HEADER}<w:styles ${NS}>`
+    + `<w:docDefaults><w:rPrDefault><w:rPr>${fonts}<w:sz w:val="21"/><w:szCs w:val="21"/><w:lang w:val="en-US" w:eastAsia="zh-CN"/></w:rPr></w:rPrDefault>`
+    + '<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="300" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>'
+    + '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>'
+    + paragraphStyle('Title', 'Title', '<w:spacing w:after="60"/>', `<w:b/><w:bCs/><w:color w:val="${BRAND_COLOR}"/><w:sz w:val="40"/><w:szCs w:val="40"/>`)
+    + heading(1, 32) + heading(2, 28) + heading(3, 24) + heading(4, 22)
+    + paragraphStyle('Meta', 'Export Meta', '<w:spacing w:after="160"/>', '<w:color w:val="6B7280"/><w:sz w:val="18"/><w:szCs w:val="18"/>')
+    + paragraphStyle('Sender', 'Message Sender', senderProps, `<w:color w:val="${BRAND_COLOR}"/>`)
+    + paragraphStyle('SenderUser', 'Message Sender (User)', senderProps, '<w:color w:val="4F46E5"/>')
+    + paragraphStyle('Quote', 'Quote', '<w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="D1D5DB"/></w:pBdr><w:ind w:left="360"/>', '<w:color w:val="4B5563"/>')
+    + paragraphStyle('Code', 'Code', '<w:shd w:val="clear" w:color="auto" w:fill="F3F4F6"/><w:spacing w:after="120" w:line="260" w:lineRule="auto"/><w:ind w:left="120" w:right="120"/>',
+      `${mono}<w:sz w:val="18"/><w:szCs w:val="18"/>`)
+    + paragraphStyle('ListParagraph', 'List Paragraph', '<w:spacing w:after="60"/><w:contextualSpacing/>', '')
+    + paragraphStyle('TableText', 'Table Text', '<w:spacing w:after="0" w:line="260" w:lineRule="auto"/>', '<w:sz w:val="19"/><w:szCs w:val="19"/>')
+    + paragraphStyle('Header', 'header', '<w:spacing w:after="0"/><w:jc w:val="right"/>', '<w:color w:val="9CA3AF"/><w:sz w:val="16"/><w:szCs w:val="16"/>')
+    + paragraphStyle('Footer', 'footer', '<w:spacing w:after="0"/><w:jc w:val="center"/>', '<w:color w:val="9CA3AF"/><w:sz w:val="16"/><w:szCs w:val="16"/>')
+    + `<w:style w:type="character" w:styleId="CodeChar"><w:name w:val="Code Char"/><w:rPr>${mono}<w:sz w:val="19"/><w:shd w:val="clear" w:color="auto" w:fill="F3F4F6"/></w:rPr></w:style>`
+    + '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>'
+    + '<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders>'
+    + ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="D1D5DB"/>`).join('')
+    + '</w:tblBorders><w:tblCellMar><w:top w:w="60" w:type="dxa"/><w:left w:w="100" w:type="dxa"/><w:bottom w:w="60" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>'
+    + '</w:styles>';
+}
+
+function numberingXml(orderedStarts) {
+  const BULLETS = ['•', '◦', '▪'];
+  const level = (ilvl, format, text) => `<w:lvl w:ilvl="${ilvl}"><w:start w:val="1"/><w:numFmt w:val="${format}"/>`
+    + `<w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${420 * (ilvl + 1)}" w:hanging="420"/></w:pPr></w:lvl>`;
+  const levels = fn => Array.from({ length: MAX_LIST_LEVEL + 1 }, (_, i) => fn(i)).join('');
+
+  return `${XML_HEADER}<w:numbering ${NS}>`
+    + `<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels(i => level(i, 'bullet', BULLETS[i % BULLETS.length]))}</w:abstractNum>`
+    + `<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels(i => level(i, i % 2 ? 'lowerLetter' : 'decimal', `%${i + 1}.`))}</w:abstractNum>`
+    + `<w:num w:numId="${BULLET_NUM_ID}"><w:abstractNumId w:val="0"/></w:num>`
+    + orderedStarts.map((start, i) => `<w:num w:numId="${BULLET_NUM_ID + i + 1}"><w:abstractNumId w:val="1"/>`
+      + `<w:lvlOverride w:ilvl="0"><w:startOverride w:val="${start}"/></w:lvlOverride></w:num>`).join('')
+    + '</w:numbering>';
+}
+
+function relationshipsXml(relationships) {
+  return `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + relationships.map(({ id, type, target, external }) => `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/${type}" Target="${escapeXml(target)}"${external ? ' TargetMode="External"' : ''}/>`).join('')
+    + '</Relationships>';
+}
+
+function coreXml(doc) {
+  return `${XML_HEADER}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" `
+    + 'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+    + `<dc:title>${escapeXml(doc.title)}</dc:title><dc:creator>Beta AI</dc:creator><dc:language>zh-CN</dc:language>`
+    + `<dcterms:created xsi:type="dcterms:W3CDTF">${doc.exportedAt}</dcterms:created></cp:coreProperties>`;
+}
+
+const CONTENT_TYPES = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+  + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+  + '<Default Extension="xml" ContentType="application/xml"/>'
+  + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+  + '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>'
+  + '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>'
+  + '<Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>'
+  + '<Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>'
+  + '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>'
+  + '</Types>';
+
+/**
+ * Render an export document as a .docx file (Buffer)
+ */
+export function renderDocx(doc) {
+  const builder = new DocxBuilder();
+  const body = builder.body(doc);
+
+  const documentRels = [
+    { id: 'rIdStyles', type: 'officeDocument/2006/relationships/styles', target: 'styles.xml' },
+    { id: 'rIdNumbering', type: 'officeDocument/2006/relationships/numbering', target: 'numbering.xml' },
+    { id: 'rIdHeader', type: 'officeDocument/2006/relationships/header', target: 'header1.xml' },
+    { id: 'rIdFooter', type: 'officeDocument/2006/relationships/footer', target: 'footer1.xml' },
+    ...builder.links.map((href, i) => ({
+      id: `rIdLink${i + 1}`,
+      type: 'officeDocument/2006/relationships/hyperlink',
+      target: href,
+      external: true
+    }))
+  ];
+
+  return createZipArchive([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES },
+    {
+      name: '_rels/.rels',
+      data: relationshipsXml([
+        { id: 'rId1', type: 'officeDocument/2006/relationships/officeDocument', target: 'word/document.xml' },
+        { id: 'rId2', type: 'package/2006/relationships/metadata/core-properties', target: 'docProps/core.xml' }
+      ])
+    },
+    { name: 'docProps/core.xml', data: coreXml(doc) },
+    { name: 'word/document.xml', data: documentXml(body) },
+    { name: 'word/styles.xml', data: stylesXml() },
+    { name: 'word/numbering.xml', data: numberingXml(builder.orderedLists) },
+    { name: 'word/header1.xml', data: headerXml(doc.title) },
+    { name: 'word/footer1.xml', data: footerXml() },
+    { name: 'word/_rels/document.xml.rels', data: relationshipsXml(documentRels) }
+  ], new Date(doc.exportedAt));
+}
+
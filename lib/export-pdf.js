@@ -0,0 +1,593 @@
+// lib/export-pdf.js
+// PDF rendering of an export document (lib/export-document.js), written without a PDF
+// library. Text uses a TrueType CJK font embedded as a subset (Identity-H, with a ToUnicode
+// map so text can be searched and copied); set EXPORT_PDF_FONT to the .ttf to use
+// (default fonts/NotoSansSC-Regular.ttf). Without a usable font, PDFs use the non-embedded
+// Adobe STSong-Light, which viewers substitute with a local Chinese font; the build warns
+// about it (scripts/check-export-font.js) and each process logs an error once.
+// EXPORT_PDF_FONT=builtin selects that fallback on purpose, without the warnings.
+// Pages are A4 with the document title in the header and page numbers in the footer.
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { parseTrueType } from './truetype.js';
+import { describeConversation, formatExportDate } from './export-document.js';
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN_X = 56;
+const MARGIN_TOP = 72;
+const MARGIN_BOTTOM = 64;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN_X;
+const LINE_HEIGHT = 1.55;
+
+const COLORS = {
+  text: [0.12, 0.16, 0.22],
+  muted: [0.42, 0.45, 0.5],
+  light: [0.61, 0.64, 0.69],
+  brand: [0.04, 0.22, 0.12],
+  user: [0.31, 0.27, 0.9],
+  link: [0.02, 0.39, 0.76],
+  border: [0.82, 0.84, 0.86],
+  codeBackground: [0.953, 0.957, 0.965]
+};
+
+const SIZES = { title: 20, heading: [15, 13, 12, 11], body: 10.5, meta: 8.5, code: 9, table: 9.5, sender: 10.5 };
+
+// Punctuation that must not start a line; it is allowed to hang past the right margin
+const NO_LINE_START = new Set([...'，。、；：？！）》」』】〕〉”’,.;:?!)]}%…—～·']);
+const IGNORABLE = /[\uFE00-\uFE0F\u200B-\u200D\u2060]/u;
+const PICTOGRAPHIC = /\p{Extended_Pictographic}/u;
+
+// EXPORT_PDF_FONT value that selects the non-embedded fallback on purpose
+const BUILTIN_FONT = 'builtin';
+
+let fontCache = null;
+
+function defaultFontPath() {
+  return process.env.EXPORT_PDF_FONT || path.join(process.cwd(), 'fonts', 'NotoSansSC-Regular.ttf');
+}
+
+async function readFont(fontPath) {
+  const ttf = parseTrueType(await fs.readFile(fontPath));
+  if (!ttf.glyphFor('中'.codePointAt(0))) throw new Error('the font has no Chinese glyphs');
+  return ttf;
+}
+
+/**
+ * Check that the PDF font can be embedded. Throws with the reason when it cannot; returns
+ * the font's name, or null when EXPORT_PDF_FONT=builtin.
+ */
+export async function checkPdfFont(fontPath = defaultFontPath()) {
+  if (fontPath === BUILTIN_FONT) return null;
+  return (await readFont(fontPath)).name;
+}
+
+async function loadFontFile(fontPath) {
+  if (fontPath === BUILTIN_FONT) return null;
+  if (fontCache?.path === fontPath) return fontCache.font;
+  let font = null;
+  try {
+    font = await readFont(fontPath);
+  } catch (error) {
+    console.error(`[Export] PDF font unusable (${fontPath}): ${error.message}; PDFs fall back to non-embedded STSong-Light`);
+  }
+  fontCache = { path: fontPath, font };
+  return font;
+}
+
+function hex4(n) {
+  return n.toString(16).padStart(4, '0');
+}
+
+function utf16Hex(text) {
+  return [...Buffer.from(text, 'utf16le').swap16()].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function pdfNumber(n) {
+  return Number.isInteger(n) ? String(n) : n.toFixed(2).replace(/\.?0+$/, '');
+}
+
+/* ---------- Fonts ---------- */
+
+// Subset of a TrueType font, written as glyph ids
+class EmbeddedFont {
+  constructor(ttf) {
+    this.ttf = ttf;
+    this.scale = 1000 / ttf.unitsPerEm;
+    this.used = new Map();   // glyph id -> text it stands for
+  }
+
+  glyph(char) {
+    return this.ttf.glyphFor(char.codePointAt(0));
+  }
+
+  has(char) {
+    return this.glyph(char) !== 0;
+  }
+
+  // Emoji and invisible joiners have no glyph in a text font; drop them instead of drawing boxes
+  visible(char) {
+    return !IGNORABLE.test(char) && (this.has(char) || !PICTOGRAPHIC.test(char));
+  }
+
+  charWidth(char) {
+    return this.visible(char) ? this.ttf.advance(this.glyph(char)) * this.scale : 0;
+  }
+
+  encode(text) {
+    let out = '';
+    for (const char of text) {
+      if (!this.visible(char)) continue;
+      const gid = this.glyph(char);
+      if (!this.used.has(gid)) this.used.set(gid, char);
+      out += hex4(gid);
+    }
+    return out;
+  }
+
+  write(pdf) {
+    const gids = [...this.used.keys()].sort((a, b) => a - b);
+    const tag = crypto.createHash('md5').update(gids.join(',')).digest()
+      .subarray(0, 6).reduce((s, b) => s + String.fromCharCode(65 + (b % 26)), '');
+    const name = `${tag}+${this.ttf.name}`;
+    const scaled = v => Math.round(v * this.scale);
+
+    const fontFile = this.ttf.subset(gids);
+    const fileRef = pdf.stream(fontFile, { Length1: fontFile.length });
+    const descriptor = pdf.object(`<< /Type /FontDescriptor /FontName /${name} /Flags 4 /FontBBox [${this.ttf.bbox.map(scaled).join(' ')}] /ItalicAngle 0 `
+      + `/Ascent ${scaled(this.ttf.ascent)} /Descent ${scaled(this.ttf.descent)} /CapHeight ${scaled(this.ttf.capHeight)} /StemV 80 /FontFile2 ${fileRef} >>`);
+
+    const widths = gids.map(gid => `${gid} [${scaled(this.ttf.advance(gid))}]`).join(' ');
+    const cidFont = pdf.object(`<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${name} `
+      + '/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> '
+      + `/FontDescriptor ${descriptor} /DW 1000 /W [${widths}] /CIDToGIDMap /Identity >>`);
+
+    const mappings = gids.filter(gid => gid !== 0).map(gid => `<${hex4(gid)}> <${utf16Hex(this.used.get(gid))}>`);
+    const chunks = [];
+    for (let i = 0; i < mappings.length; i += 100) {
+      const chunk = mappings.slice(i, i + 100);
+      chunks.push(`${chunk.length} beginbfchar\n${chunk.join('\n')}\nendbfchar`);
+    }
+    const toUnicode = pdf.stream(Buffer.from('/CIDInit /ProcSet findresource begin\n12 dict begin\nbegincmap\n'
+      + '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def\n/CMapName /Adobe-Identity-UCS def\n/CMapType 2 def\n'
+      + `1 begincodespacerange\n<0000> <FFFF>\nendcodespacerange\n${chunks.join('\n')}\n`
+      + 'endcmap\nCMapName currentdict /CMap defineresource pop\nend\nend'));
+
+    return pdf.object(`<< /Type /Font /Subtype /Type0 /BaseFont /${name} /Encoding /Identity-H `
+      + `/DescendantFonts [${cidFont}] /ToUnicode ${toUnicode} >>`);
+  }
+}
+
+// Adobe's standard Simplified Chinese font; not embedded, so no glyph data or metrics
+// beyond "ASCII is half width"
+class StandardCjkFont {
+  has(char) {
+    return char.codePointAt(0) <= 0xffff && !PICTOGRAPHIC.test(char);
+  }
+
+  visible(char) {
+    return !IGNORABLE.test(char) && this.has(char);
+  }
+
+  charWidth(char) {
+    if (!this.visible(char)) return 0;
+    const code = char.codePointAt(0);
+    return code >= 0x20 && code < 0x7f ? 500 : 1000;
+  }
+
+  encode(text) {
+    let out = '';
+    for (const char of text) {
+      if (this.visible(char)) out += hex4(char.codePointAt(0));
+    }
+    return out;
+  }
+
+  write(pdf) {
+    const descriptor = pdf.object('<< /Type /FontDescriptor /FontName /STSong-Light /Flags 6 /FontBBox [-25 -254 1000 880] '
+      + '/ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 880 /StemV 93 >>');
+    const cidFont = pdf.object('<< /Type /Font /Subtype /CIDFontType0 /BaseFont /STSong-Light '
+      + `/CIDSystemInfo << /Registry (Adobe) /Ordering (GB1) /Supplement 2 >> /FontDescriptor ${descriptor} /DW 1000 /W [1 95 500] >>`);
+    return pdf.object(`<< /Type /Font /Subtype /Type0 /BaseFont /STSong-Light /Encoding /UniGB-UCS2-H /DescendantFonts [${cidFont}] >>`);
+  }
+}
+
+/* ---------- PDF objects ---------- */
+
+class PdfWriter {
+  constructor() {
+    this.objects = [];
+  }
+
+  reserve() {
+    this.objects.push(null);
+    return this.objects.length;
+  }
+
+  object(body, id = null) {
+    const ref = id || this.reserve();
+    this.objects[ref - 1] = Buffer.from(body, 'latin1');
+    return `${ref} 0 R`;
+  }
+
+  stream(data, extra = {}) {
+    const compressed = zlib.deflateSync(data);
+    const entries = Object.entries(extra).map(([k, v]) => ` /${k} ${v}`).join('');
+    const ref = this.reserve();
+    this.objects[ref - 1] = Buffer.concat([
+      Buffer.from(`<< /Length ${compressed.length} /Filter /FlateDecode${entries} >>\nstream\n`, 'latin1'),
+      compressed,
+      Buffer.from('\nendstream', 'latin1')
+    ]);
+    return `${ref} 0 R`;
+  }
+
+  toBuffer(rootRef, infoRef) {
+    const parts = [Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = parts[0].length;
+    const offsets = this.objects.map((body, i) => {
+      const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+      parts.push(chunk);
+      const start = offset;
+      offset += chunk.length;
+      return start;
+    });
+
+    const xref = [`xref\n0 ${this.objects.length + 1}\n0000000000 65535 f \n`,
+      ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`)].join('');
+    const id = crypto.randomBytes(16).toString('hex');
+    parts.push(Buffer.from(`${xref}trailer\n<< /Size ${this.objects.length + 1} /Root ${rootRef} /Info ${infoRef} /ID [<${id}> <${id}>] >>\n`
+      + `startxref\n${offset}\n%%EOF\n`, 'latin1'));
+    return Buffer.concat(parts);
+  }
+}
+
+/* ---------- Layout ---------- */
+
+const WIDE = '\\u2E80-\\u9FFF\\uAC00-\\uD7AF\\uF900-\\uFAFF\\uFE30-\\uFE4F\\uFF00-\\uFFEF\\u{20000}-\\u{3FFFF}';
+const TOKEN = new RegExp(`\\n|[ \\t]+|[${WIDE}]|[^\\s${WIDE}]+`, 'gu');
+
+// Line-break opportunities: each CJK character, words of other scripts, runs of spaces
+function tokenize(text) {
+  return text.match(TOKEN) || [];
+}
+
+class PdfLayout {
+  constructor(font, title) {
+    this.font = font;
+    this.title = title;
+    this.pages = [];
+    this.newPage();
+  }
+
+  newPage() {
+    this.ops = [];
+    this.pages.push(this.ops);
+    this.y = PAGE_HEIGHT - MARGIN_TOP;
+  }
+
+  ensureSpace(height) {
+    if (this.y - height < MARGIN_BOTTOM) this.newPage();
+  }
+
+  space(amount) {
+    this.y -= amount;
+  }
+
+  textWidth(text, size) {
+    let width = 0;
+    for (const char of text) width += this.font.charWidth(char);
+    return (width * size) / 1000;
+  }
+
+  // Lines of segments ({ text, run, width }) no wider than `width`
+  wrap(runs, size, width) {
+    const lines = [[]];
+    let lineWidth = 0;
+    const line = () => lines[lines.length - 1];
+    const append = (text, run, w) => {
+      const last = line()[line().length - 1];
+      if (last && last.run === run) {
+        last.text += text;
+        last.width += w;
+      } else {
+        line().push({ text, run, width: w });
+      }
+      lineWidth += w;
+    };
+    const breakLine = () => {
+      const segments = line();
+      const tail = segments[segments.length - 1];
+      if (tail && /^[ \t]+$/.test(tail.text.slice(-1))) {
+        const trimmed = tail.text.replace(/[ \t]+$/, '');
+        tail.width = this.textWidth(trimmed, size);
+        tail.text = trimmed;
+      }
+      lines.push([]);
+      lineWidth = 0;
+    };
+
+    for (const run of runs) {
+      for (const token of tokenize(run.text)) {
+        if (token === '\n') {
+          breakLine();
+          continue;
+        }
+        const w = this.textWidth(token, size);
+        if (/^[ \t]+$/.test(token)) {
+          if (lineWidth > 0 && lineWidth + w <= width) append(token, run, w);
+          continue;
+        }
+        if (lineWidth + w <= width || (NO_LINE_START.has(token[0]) && token.length === 1)) {
+          append(token, run, w);
+          continue;
+        }
+        if (lineWidth > 0) breakLine();
+        if (w <= width) {
+          append(token, run, w);
+          continue;
+        }
+        // A word longer than the line: break it anywhere
+        for (const char of token) {
+          const cw = this.textWidth(char, size);
+          if (lineWidth + cw > width && lineWidth > 0) breakLine();
+          append(char, run, cw);
+        }
+      }
+    }
+    return lines.filter((segments, i) => segments.length || i < lines.length - 1 || lines.length === 1);
+  }
+
+  text(x, y, text, size, { color = COLORS.text, bold = false, italic = false } = {}) {
+    const encoded = this.font.encode(text);
+    if (!encoded) return;
+    const [r, g, b] = color.map(pdfNumber);
+    const matrix = italic ? `1 0 0.2 1 ${pdfNumber(x)} ${pdfNumber(y)} Tm` : `1 0 0 1 ${pdfNumber(x)} ${pdfNumber(y)} Tm`;
+    // Bold is simulated by stroking the glyph outlines
+    const style = bold ? `2 Tr ${pdfNumber(size * 0.03)} w ${r} ${g} ${b} RG` : '0 Tr';
+    this.ops.push(`BT /F1 ${pdfNumber(size)} Tf ${r} ${g} ${b} rg ${style} ${matrix} <${encoded}> Tj ET`);
+  }
+
+  rect(x, y, width, height, color) {
+    this.ops.push(`${color.map(pdfNumber).join(' ')} rg ${pdfNumber(x)} ${pdfNumber(y)} ${pdfNumber(width)} ${pdfNumber(height)} re f`);
+  }
+
+  line(x1, y1, x2, y2, color = COLORS.border, width = 0.6) {
+    this.ops.push(`${color.map(pdfNumber).join(' ')} RG ${pdfNumber(width)} w ${pdfNumber(x1)} ${pdfNumber(y1)} m ${pdfNumber(x2)} ${pdfNumber(y2)} l S`);
+  }
+
+  // Draw a wrapped line at the current position (baseline placed inside the line box)
+  drawSegments(segments, x, size, baseColor) {
+    const lineHeight = size * LINE_HEIGHT;
+    const baseline = this.y - size * 1.15;
+    let cursor = x;
+    for (const { text, run, width } of segments) {
+      if (run.code) this.rect(cursor - 1, baseline - size * 0.25, width + 2, size * 1.2, COLORS.codeBackground);
+      const color = run.link ? COLORS.link : baseColor;
+      this.text(cursor, baseline, text, run.code ? size * 0.95 : size, { color, bold: run.bold, italic: run.italic });
+      if (run.link) this.line(cursor, baseline - 1.5, cursor + width, baseline - 1.5, COLORS.link, 0.5);
+      cursor += width;
+    }
+    this.y -= lineHeight;
+  }
+
+  paragraph(runs, { size = SIZES.body, x = MARGIN_X, width = CONTENT_WIDTH, color = COLORS.text, after = size * 0.6, bold = false } = {}) {
+    const styled = bold ? runs.map(run => ({ ...run, bold: true })) : runs;
+    for (const segments of this.wrap(styled, size, width)) {
+      this.ensureSpace(size * LINE_HEIGHT);
+      this.drawSegments(segments, x, size, color);
+    }
+    this.space(after);
+  }
+
+  heading(runs, level) {
+    const size = SIZES.heading[Math.min(level, SIZES.heading.length) - 1];
+    // Keep a heading with at least one following line
+    this.ensureSpace(size * LINE_HEIGHT + SIZES.body * LINE_HEIGHT * 2);
+    this.space(size * 0.4);
+    this.paragraph(runs, { size, color: COLORS.brand, bold: true, after: size * 0.3 });
+  }
+
+  list(block) {
+    const size = SIZES.body;
+    const bullets = ['•', '◦', '▪'].map(b => (this.font.has(b) ? b : '-'));
+    for (const item of block.items) {
+      const indent = MARGIN_X + item.level * 16;
+      const marker = item.ordered ? `${item.number ?? 1}.` : bullets[item.level % bullets.length];
+      const lines = this.wrap(item.inlines, size, CONTENT_WIDTH - (indent - MARGIN_X) - 16);
+      lines.forEach((segments, i) => {
+        this.ensureSpace(size * LINE_HEIGHT);
+        if (i === 0) this.text(indent, this.y - size * 1.15, marker, size, { color: COLORS.muted });
+        this.drawSegments(segments, indent + 16, size, COLORS.text);
+      });
+      this.space(size * 0.2);
+    }
+    this.space(SIZES.body * 0.4);
+  }
+
+  code(block) {
+    const size = SIZES.code;
+    const padding = 6;
+    const lines = this.wrap([{ text: block.text.replace(/\t/g, '    ') || ' ' }], size, CONTENT_WIDTH - 2 * padding);
+    lines.forEach((segments, i) => {
+      const top = i === 0 ? padding : 0;
+      const bottom = i === lines.length - 1 ? padding : 0;
+      const height = top + size * LINE_HEIGHT + bottom;
+      this.ensureSpace(height);
+      this.rect(MARGIN_X, this.y - height, CONTENT_WIDTH, height, COLORS.codeBackground);
+      this.space(top);
+      this.drawSegments(segments, MARGIN_X + padding, size, COLORS.text);
+      this.space(bottom);
+    });
+    this.space(SIZES.body * 0.6);
+  }
+
+  quote(block) {
+    const size = SIZES.body;
+    for (const segments of this.wrap(block.inlines, size, CONTENT_WIDTH - 14)) {
+      this.ensureSpace(size * LINE_HEIGHT);
+      this.line(MARGIN_X + 2, this.y, MARGIN_X + 2, this.y - size * LINE_HEIGHT, COLORS.border, 2.5);
+      this.drawSegments(segments, MARGIN_X + 14, size, COLORS.muted);
+    }
+    this.space(size * 0.6);
+  }
+
+  table(block) {
+    const size = SIZES.table;
+    const padding = 4;
+    const columns = Math.max(block.header.length, 1);
+    const cellText = cell => (cell || []).map(run => run.text).join('');
+
+    // Columns get space in proportion to their content, within limits
+    const natural = Array.from({ length: columns }, (_, c) => {
+      const widest = Math.max(...[block.header, ...block.rows].map(row => this.textWidth(cellText(row[c]), size)));
+      return Math.min(Math.max(widest + 2 * padding, 36), CONTENT_WIDTH * 0.6);
+    });
+    const total = natural.reduce((a, b) => a + b, 0);
+    const widths = natural.map(w => (w / total) * CONTENT_WIDTH);
+
+    const layoutRow = row => {
+      const cells = widths.map((w, c) => this.wrap(row[c] || [], size, w - 2 * padding));
+      const height = Math.max(...cells.map(lines => lines.length)) * size * LINE_HEIGHT + 2 * padding;
+      return { cells, height };
+    };
+    const maxHeight = PAGE_HEIGHT - MARGIN_TOP - MARGIN_BOTTOM;
+
+    const drawRow = ({ cells, height }, header) => {
+      const top = this.y;
+      if (header) this.rect(MARGIN_X, top - height, CONTENT_WIDTH, height, COLORS.codeBackground);
+      let x = MARGIN_X;
+      cells.forEach((lines, c) => {
+        this.y = top - padding;
+        for (const segments of lines) {
+          // A row taller than a page is cut off rather than drawn into the footer
+          if (this.y - size * LINE_HEIGHT < MARGIN_BOTTOM) break;
+          this.drawSegments(header ? segments.map(s => ({ ...s, run: { ...s.run, bold: true } })) : segments, x + padding, size, COLORS.text);
+        }
+        x += widths[c];
+      });
+      this.y = top - height;
+      this.line(MARGIN_X, top, MARGIN_X + CONTENT_WIDTH, top);
+      this.line(MARGIN_X, this.y, MARGIN_X + CONTENT_WIDTH, this.y);
+      let edge = MARGIN_X;
+      [0, ...widths].forEach(w => {
+        edge += w;
+        this.line(edge, top, edge, this.y);
+      });
+    };
+
+    const header = layoutRow(block.header);
+    const rows = block.rows.map(layoutRow);
+    // Never leave the header row alone at the bottom of a page
+    this.ensureSpace(header.height + Math.min(rows[0]?.height || 0, maxHeight - header.height));
+    drawRow(header, true);
+    for (const laid of rows) {
+      const height = Math.min(laid.height, maxHeight - header.height);
+      if (this.y - height < MARGIN_BOTTOM) {
+        this.newPage();
+        drawRow(header, true);
+      }
+      drawRow({ ...laid, height }, false);
+    }
+    this.space(SIZES.body * 0.8);
+  }
+
+  rule() {
+    this.ensureSpace(12);
+    this.space(6);
+    this.line(MARGIN_X, this.y, MARGIN_X + CONTENT_WIDTH, this.y);
+    this.space(6);
+  }
+
+  block(block) {
+    switch (block.type) {
+      case 'heading': return this.heading(block.inlines, block.level);
+      case 'list': return this.list(block);
+      case 'code': return this.code(block);
+      case 'quote': return this.quote(block);
+      case 'table': return this.table(block);
+      case 'rule': return this.rule();
+      default: return this.paragraph(block.inlines);
+    }
+  }
+
+  message(message) {
+    const size = SIZES.sender;
+    this.ensureSpace(size * LINE_HEIGHT * 3);
+    this.space(6);
+    this.line(MARGIN_X, this.y, MARGIN_X + CONTENT_WIDTH, this.y, COLORS.border, 0.4);
+    this.space(6);
+    const baseline = this.y - size * 1.15;
+    const color = message.role === 'user' ? COLORS.user : COLORS.brand;
+    this.text(MARGIN_X, baseline, message.sender, size, { color, bold: true });
+    if (message.created_at) {
+      this.text(MARGIN_X + this.textWidth(message.sender, size) + 8, baseline, formatExportDate(message.created_at), SIZES.meta, { color: COLORS.light });
+    }
+    this.space(size * LINE_HEIGHT);
+    if (message.files?.length) {
+      this.paragraph([{ text: `附件：${message.files.join('、')}` }], { size: SIZES.meta, color: COLORS.muted, after: 4 });
+    }
+    message.blocks.forEach(block => this.block(block));
+  }
+
+  document(doc) {
+    this.paragraph([{ text: doc.title }], { size: SIZES.title, color: COLORS.brand, bold: true, after: 4 });
+    this.paragraph([{ text: `导出时间：${formatExportDate(doc.exportedAt)}` }], { size: SIZES.meta, color: COLORS.muted, after: 12 });
+
+    doc.conversations.forEach((conversation, index) => {
+      // A single conversation is already named by the document title
+      if (doc.conversations.length > 1) {
+        if (index > 0) this.newPage();
+        this.paragraph([{ text: conversation.title || '对话记录' }], { size: SIZES.heading[0], color: COLORS.brand, bold: true, after: 2 });
+      }
+      this.paragraph([{ text: describeConversation(conversation) }], { size: SIZES.meta, color: COLORS.muted, after: 8 });
+      conversation.messages.forEach(message => this.message(message));
+    });
+  }
+
+  // Running header (title) and footer (page x / n), added once the page count is known
+  decorate() {
+    const total = this.pages.length;
+    let title = this.title;
+    while (title.length > 1 && this.textWidth(title, SIZES.meta) > CONTENT_WIDTH * 0.7) title = title.slice(0, -2) + '…';
+
+    this.pages.forEach((ops, i) => {
+      this.ops = ops;
+      const headerY = PAGE_HEIGHT - 40;
+      this.text(MARGIN_X, headerY, title, SIZES.meta, { color: COLORS.light });
+      this.line(MARGIN_X, headerY - 6, MARGIN_X + CONTENT_WIDTH, headerY - 6, COLORS.border, 0.4);
+      const footer = `第 ${i + 1} / ${total} 页`;
+      this.text((PAGE_WIDTH - this.textWidth(footer, SIZES.meta)) / 2, 32, footer, SIZES.meta, { color: COLORS.light });
+    });
+  }
+}
+
+/**
+ * Render an export document as a PDF file (Buffer)
+ */
+export async function renderPdf(doc, { fontPath = defaultFontPath() } = {}) {
+  const ttf = await loadFontFile(fontPath);
+  const font = ttf ? new EmbeddedFont(ttf) : new StandardCjkFont();
+
+  const layout = new PdfLayout(font, doc.title);
+  layout.document(doc);
+  layout.decorate();
+
+  const pdf = new PdfWriter();
+  const pagesId = pdf.reserve();
+  const fontRef = font.write(pdf);
+  const pageRefs = layout.pages.map(ops => {
+    const content = pdf.stream(Buffer.from(ops.join('\n'), 'latin1'));
+    return pdf.object(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+      + `/Resources << /Font << /F1 ${fontRef} >> >> /Contents ${content} >>`);
+  });
+  pdf.object(`<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pageRefs.length} >>`, pagesId);
+  const root = pdf.object(`<< /Type /Catalog /Pages ${pagesId} 0 R /Lang (zh-CN) >>`);
+
+  const created = new Date(doc.exportedAt).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  const info = pdf.object(`<< /Title <feff${utf16Hex(doc.title)}> /Producer (Beta AI) /CreationDate (D:${created}Z) >>`);
+
+  return pdf.toBuffer(root, info);
+}
@@ -0,0 +1,110 @@
+// lib/export.js
+// Conversation exports for /api/export: picks the conversations (one, a list of ids, or the
+// sidebar filters), loads their messages as the user currently sees them (active versions
+// on the active branch) and renders them as DOCX, PDF, Markdown or JSON.
+import {
+  getConversationsByIds,
+  getUserConversations,
+  getConversationMessages,
+  listFolders
+} from './database.js';
+import { buildExportDocument, renderMarkdownExport, renderJsonExport } from './export-document.js';
+import { renderDocx } from './export-docx.js';
+import { renderPdf } from './export-pdf.js';
+
+export const EXPORT_FORMATS = {
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+export const MAX_EXPORT_CONVERSATIONS = 50;
+
+function createExportError(message, statusCode = 400, field = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.field = field;
+  return error;
+}
+
+async function selectConversations(userId, { conversationIds = null, filters = {} }) {
+  if (conversationIds?.length) {
+    const r = await getConversationsByIds(userId, conversationIds);
+    if (!r.success) throw createExportError(r.error, 500);
+    if (r.conversations.length < conversationIds.length) {
+      throw createExportError('Conversation not found or access denied', 404, 'conversationId');
+    }
+    return r.conversations;
+  }
+
+  // Filtered export: newest first, capped
+  const conversations = [];
+  let cursor = null;
+  do {
+    const r = await getUserConversations(userId, { ...filters, limit: 100, cursor });
+    if (!r.success) throw createExportError(r.error, 500);
+    conversations.push(...r.conversations);
+    cursor = r.nextCursor;
+  } while (cursor && conversations.length < MAX_EXPORT_CONVERSATIONS);
+
+  return conversations.slice(0, MAX_EXPORT_CONVERSATIONS);
+}
+
+/**
+ * File name for an export, without characters that are invalid on common file systems
+ */
+export function exportFilename(title, format) {
+  const base = String(title || 'conversation')
+    .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 80) || 'conversation';
+  return `${base}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Export conversations for a user.
+ *   conversationIds  explicit list (at most MAX_EXPORT_CONVERSATIONS), or
+ *   filters          { folderId, tag, archived, pinned, since, until } as in the sidebar
+ * Returns { body, contentType, filename, count }
+ */
+export async function exportConversations({ userId, format, conversationIds = null, filters = {}, title = null }) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw createExportError(`Invalid format: must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`, 400, 'format');
+  if (conversationIds && conversationIds.length > MAX_EXPORT_CONVERSATIONS) {
+    throw createExportError(`Too many conversations: at most ${MAX_EXPORT_CONVERSATIONS} per export`, 400, 'conversationIds');
+  }
+
+  const selected = await selectConversations(userId, { conversationIds, filters });
+  if (!selected.length) throw createExportError('No conversations to export', 404);
+
+  const folders = await listFolders(userId);
+  const folderNames = new Map((folders.success ? folders.folders : []).map(f => [f.id, f.name]));
+
+  // One at a time: a large export should not open 50 connections at once
+  const conversations = [];
+  for (const conversation of selected) {
+    const r = await getConversationMessages(conversation.id, userId);
+    if (!r.success) throw createExportError(r.error, 500);
+    conversations.push({
+      ...conversation,
+      folder: folderNames.get(conversation.folder_id) || null,
+      messages: r.messages
+    });
+  }
+
+  const doc = buildExportDocument(conversations, { title });
+  let body;
+  if (format === 'docx') body = renderDocx(doc);
+  else if (format === 'pdf') body = await renderPdf(doc);
+  else if (format === 'md') body = renderMarkdownExport(doc);
+  else body = renderJsonExport(doc);
+
+  return {
+    body,
+    contentType: spec.contentType,
+    filename: exportFilename(doc.title, format),
+    count: conversations.length
+  };
+}
@@ -0,0 +1,531 @@
+// lib/file-extract.js
+// Text extraction for uploaded files, shared by api/chat.js and api/startup-mentor.js.
+//
+// Supported: .txt/.md, .pdf (pdf-parse), .pptx (per-slide text + speaker notes),
+// .docx (paragraphs, headings, tables), .xlsx and .csv (sheet tables).
+// Office files are ZIP containers of XML parts; they are read with zlib only, no extra dependency.
+//
+// Paged formats keep their boundaries ("--- Page N ---" for PDF, "--- Slide N ---" for PPTX).
+// When a file exceeds its character budget, every page keeps a shortened summary instead of
+// the tail being cut off.
+//
+// extractTextFromFile() always resolves to a string; failures come back as a short
+// human-readable note so the model can tell the user what went wrong. extractDocumentText()
+// also says whether extraction succeeded, for callers that store the text.
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { createRequire } from 'module';
+
+const MAX_TEXT_FILE_BYTES = 1024 * 1024 * 5;     // 5MB
+const MAX_BINARY_FILE_BYTES = 1024 * 1024 * 20;  // 20MB
+const MAX_ZIP_ENTRY_BYTES = 1024 * 1024 * 50;    // guards against zip bombs
+const MAX_SHEET_ROWS = 500;
+const DEFAULT_CHAR_BUDGET = 10000;
+const MIN_PAGE_SUMMARY = 60;
+
+export const EXTRACTABLE_EXTENSIONS = ['.txt', '.md', '.pdf', '.pptx', '.docx', '.xlsx', '.csv'];
+
+/* ---------- ZIP ---------- */
+
+/**
+ * Minimal ZIP reader: returns Map<entryName, () => Buffer>.
+ * Supports stored and deflated entries (everything Office writes); no ZIP64.
+ */
+export function readZipEntries(buffer) {
+  const EOCD_SIGNATURE = 0x06054b50;
+  const CENTRAL_SIGNATURE = 0x02014b50;
+  const LOCAL_SIGNATURE = 0x04034b50;
+
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not a ZIP archive');
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error('Corrupt ZIP central directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    entries.set(name, () => {
+      if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw new Error(`Corrupt ZIP entry: ${name}`);
+      const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(start, start + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) {
+        if (size > MAX_ZIP_ENTRY_BYTES) throw new Error(`ZIP entry too large: ${name}`);
+        return zlib.inflateRawSync(data, { maxOutputLength: MAX_ZIP_ENTRY_BYTES });
+      }
+      throw new Error(`Unsupported ZIP compression method ${method}`);
+    });
+  }
+
+  return entries;
+}
+
+function readZipText(entries, name) {
+  const read = entries.get(name);
+  return read ? read().toString('utf8') : '';
+}
+
+/* ---------- XML helpers ---------- */
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&amp;/g, '&');
+}
+
+function xmlAttr(tag, attr) {
+  const match = tag.match(new RegExp(`\\s${attr}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : '';
+}
+
+/**
+ * Map relationship ids to targets, resolved relative to the owning part's folder
+ */
+function readRelationships(entries, relsPath, baseDir) {
+  const rels = new Map();
+  const xml = readZipText(entries, relsPath);
+  for (const tag of xml.match(/<Relationship\b[^>]*>/g) || []) {
+    const target = xmlAttr(tag, 'Target');
+    rels.set(xmlAttr(tag, 'Id'), {
+      type: xmlAttr(tag, 'Type'),
+      target: target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(baseDir, target))
+    });
+  }
+  return rels;
+}
+
+/**
+ * Render rows as a markdown table (first row is the header)
+ */
+export function formatTable(rows) {
+  const width = Math.max(0, ...rows.map(r => r.length));
+  if (!width) return '';
+  const cell = v => String(v ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ').trim();
+  const line = r => `| ${Array.from({ length: width }, (_, i) => cell(r[i])).join(' | ')} |`;
+  return [line(rows[0]), `|${' --- |'.repeat(width)}`, ...rows.slice(1).map(line)].join('\n');
+}
+
+/* ---------- Pages & budget ---------- */
+
+/**
+ * Shorten one page to `limit` characters, keeping its leading lines (titles, key claims)
+ */
+function summarizePage(text, limit) {
+  if (text.length <= limit) return text;
+  const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+  let out = '';
+  for (const line of lines) {
+    const next = out ? `${out}\n${line}` : line;
+    if (next.length > limit - 1) {
+      out = next.slice(0, limit - 1);
+      break;
+    }
+    out = next;
+  }
+  return `${out}…`;
+}
+
+/**
+ * Split a character budget across pages (water-filling): short pages are kept whole and
+ * their unused share goes to longer ones, so every page keeps at least a summary.
+ * Returns one limit per page.
+ */
+export function allocatePageBudget(lengths, budget) {
+  const limits = new Array(lengths.length).fill(0);
+  let remaining = Math.max(budget, 0);
+  let left = lengths.length;
+
+  const order = lengths.map((length, i) => ({ length, i })).sort((a, b) => a.length - b.length);
+  for (const { length, i } of order) {
+    const share = Math.max(Math.floor(remaining / left), MIN_PAGE_SUMMARY);
+    limits[i] = Math.min(length, share);
+    remaining -= limits[i];
+    left--;
+  }
+  return limits;
+}
+
+/**
+ * Render pages with "--- <label> N ---" markers, compressed to fit `budget` characters
+ */
+export function formatPages(pages, { label = 'Page', budget = DEFAULT_CHAR_BUDGET } = {}) {
+  const texts = pages.map(p => (p || '').trim());
+  const marker = n => `--- ${label} ${n} ---`;
+  const overhead = texts.reduce((sum, _, i) => sum + marker(i + 1).length + 3, 0);
+  const total = texts.reduce((sum, t) => sum + t.length, 0) + overhead;
+
+  let bodies = texts;
+  let note = '';
+  if (total > budget) {
+    const limits = allocatePageBudget(texts.map(t => t.length), budget - overhead - 80);
+    bodies = texts.map((t, i) => summarizePage(t, limits[i]));
+    note = `(内容超出长度限制，已按页压缩：保留全部 ${texts.length} 页，每页保留开头部分)\n`;
+  }
+
+  return note + bodies.map((t, i) => `${marker(i + 1)}\n${t || '(无文字内容)'}`).join('\n\n');
+}
+
+/**
+ * Guess whether a paged document is a pitch deck or a long report
+ */
+export function classifyPagedDocument(pages, { landscapePages = 0 } = {}) {
+  if (!pages.length) return 'report';
+  if (landscapePages > pages.length / 2) return 'deck';
+  const avgChars = pages.reduce((sum, p) => sum + (p || '').length, 0) / pages.length;
+  return avgChars < 600 && pages.length <= 80 ? 'deck' : 'report';
+}
+
+/**
+ * Re-fit previously extracted text (e.g. cached in the document library) to a new budget,
+ * re-compressing page by page when it carries page/slide markers
+ */
+export function fitExtractedText(text, budget = DEFAULT_CHAR_BUDGET) {
+  if (!text || text.length <= budget) return text || '';
+
+  const markerPattern = /^--- (Page|Slide) \d+ ---$/m;
+  const first = text.search(markerPattern);
+  if (first < 0) return truncateText(text, budget);
+
+  const header = text.slice(0, first).replace(/^\(内容超出长度限制[^\n]*\n?/m, '');
+  const label = text.match(markerPattern)[1];
+  const pages = text.slice(first).split(/^--- (?:Page|Slide) \d+ ---$/m).slice(1).map(p => p.trim());
+  return header + formatPages(pages, { label, budget: budget - header.length });
+}
+
+function truncateText(text, budget) {
+  if (text.length <= budget) return text;
+  return `${text.slice(0, budget)}\n(内容已截断：共 ${text.length} 字，仅保留前 ${budget} 字)`;
+}
+
+/* ---------- PPTX ---------- */
+
+// DrawingML paragraphs; slide-number fields are dropped so notes don't echo page numbers
+function drawingParagraphs(xml) {
+  return (xml.match(/<a:p>[\s\S]*?<\/a:p>|<a:p\s[\s\S]*?<\/a:p>/g) || [])
+    .map(p => p.replace(/<a:fld\b[^>]*type="slidenum"[\s\S]*?<\/a:fld>/g, ''))
+    .map(p => decodeXml((p.match(/<a:t(?:\s[^>]*)?>[^<]*<\/a:t>/g) || []).map(t => t.replace(/<[^>]+>/g, '')).join('')).trim())
+    .filter(Boolean);
+}
+
+function pptxSlidePaths(entries) {
+  const presentation = readZipText(entries, 'ppt/presentation.xml');
+  const rels = readRelationships(entries, 'ppt/_rels/presentation.xml.rels', 'ppt');
+  const ordered = (presentation.match(/<p:sldId\b[^>]*>/g) || [])
+    .map(tag => rels.get(xmlAttr(tag, 'r:id'))?.target)
+    .filter(target => target && entries.has(target));
+  if (ordered.length) return ordered;
+
+  // No presentation order available: fall back to file numbering
+  const slideNumber = name => Number(name.match(/slide(\d+)\.xml$/)[1]);
+  return [...entries.keys()]
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => slideNumber(a) - slideNumber(b));
+}
+
+/**
+ * Extract slide texts in presentation order, speaker notes appended to each slide
+ */
+export function extractPptxSlides(buffer) {
+  const entries = readZipEntries(buffer);
+
+  return pptxSlidePaths(entries).map(slidePath => {
+    const lines = drawingParagraphs(readZipText(entries, slidePath));
+
+    const relsPath = slidePath.replace(/slides\/(slide\d+\.xml)$/, 'slides/_rels/$1.rels');
+    const notes = [...readRelationships(entries, relsPath, path.posix.dirname(slidePath)).values()]
+      .find(rel => rel.type.endsWith('/notesSlide'));
+    const noteLines = notes ? drawingParagraphs(readZipText(entries, notes.target)) : [];
+
+    const block = lines.length ? lines : ['(无文字内容)'];
+    if (noteLines.length) block.push(`[演讲者备注] ${noteLines.join(' ')}`);
+    return block.join('\n');
+  });
+}
+
+/**
+ * Extract a deck as "--- Slide N ---" blocks within a character budget
+ */
+export function extractPptx(buffer, budget = DEFAULT_CHAR_BUDGET) {
+  const slides = extractPptxSlides(buffer);
+  return `[PPTX · ${slides.length} 页 · 路演材料]\n${formatPages(slides, { label: 'Slide', budget })}`;
+}
+
+/* ---------- DOCX ---------- */
+
+function wordRunText(xml) {
+  return decodeXml(
+    (xml.match(/<w:t(?:\s[^>]*)?>[^<]*<\/w:t>|<w:tab\/>|<w:br\/>/g) || [])
+      .map(token => token === '<w:tab/>' ? '\t' : token === '<w:br/>' ? '\n' : token.replace(/<[^>]+>/g, ''))
+      .join('')
+  );
+}
+
+function wordParagraph(xml) {
+  const text = wordRunText(xml).trim();
+  if (!text) return '';
+  const style = (xml.match(/<w:pStyle w:val="([^"]*)"/) || [])[1] || '';
+  if (/^title$/i.test(style)) return `# ${text}`;
+  const level = style.match(/^(?:heading|标题)\s*(\d)$/i);
+  if (level) return `${'#'.repeat(Number(level[1]))} ${text}`;
+  if (/<w:numPr\b/.test(xml)) return `- ${text}`;
+  return text;
+}
+
+function wordTable(xml) {
+  const rows = (xml.match(/<w:tr\b[\s\S]*?<\/w:tr>/g) || []).map(row =>
+    (row.match(/<w:tc\b[\s\S]*?<\/w:tc>/g) || []).map(cell =>
+      (cell.match(/<w:p\b[\s\S]*?<\/w:p>/g) || []).map(wordRunText).join(' ').trim()
+    )
+  );
+  return rows.length ? formatTable(rows) : '';
+}
+
+/**
+ * Extract a Word document body: headings as markdown, lists, tables as markdown tables
+ */
+export function extractDocx(buffer) {
+  const entries = readZipEntries(buffer);
+  const xml = readZipText(entries, 'word/document.xml');
+  if (!xml) throw new Error('word/document.xml missing');
+
+  const body = (xml.match(/<w:body>([\s\S]*)<\/w:body>/) || [])[1] || xml;
+  const blocks = [];
+  for (const match of body.matchAll(/<w:tbl>[\s\S]*?<\/w:tbl>|<w:p\b[^>]*\/>|<w:p\b[\s\S]*?<\/w:p>/g)) {
+    const part = match[0];
+    const block = part.startsWith('<w:tbl>') ? wordTable(part) : wordParagraph(part);
+    if (block) blocks.push(block);
+  }
+  return blocks.join('\n\n');
+}
+
+/* ---------- XLSX / CSV ---------- */
+
+function columnIndex(ref) {
+  const letters = (ref.match(/^[A-Z]+/) || [''])[0];
+  return [...letters].reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Extract every worksheet as a markdown table (first MAX_SHEET_ROWS rows)
+ */
+export function extractXlsx(buffer) {
+  const entries = readZipEntries(buffer);
+  const sharedStrings = (readZipText(entries, 'xl/sharedStrings.xml').match(/<si>[\s\S]*?<\/si>/g) || [])
+    .map(si => decodeXml((si.match(/<t(?:\s[^>]*)?>[^<]*<\/t>/g) || []).map(t => t.replace(/<[^>]+>/g, '')).join('')));
+
+  const rels = readRelationships(entries, 'xl/_rels/workbook.xml.rels', 'xl');
+  const sheets = (readZipText(entries, 'xl/workbook.xml').match(/<sheet\b[^>]*>/g) || [])
+    .map(tag => ({ name: xmlAttr(tag, 'name'), path: rels.get(xmlAttr(tag, 'r:id'))?.target }))
+    .filter(sheet => sheet.path && entries.has(sheet.path));
+
+  return sheets.map(sheet => {
+    const xml = readZipText(entries, sheet.path);
+    const rowsXml = xml.match(/<row\b[\s\S]*?<\/row>/g) || [];
+    const rows = rowsXml.slice(0, MAX_SHEET_ROWS).map(rowXml => {
+      const row = [];
+      for (const [, attrs, inner] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const ref = xmlAttr(attrs, 'r');
+        const type = xmlAttr(attrs, 't');
+        const raw = ((inner || '').match(/<v>([^<]*)<\/v>/) || [])[1];
+        let value = '';
+        if (type === 's') value = sharedStrings[Number(raw)] ?? '';
+        else if (type === 'inlineStr') value = decodeXml(((inner || '').match(/<t(?:\s[^>]*)?>([^<]*)<\/t>/) || [])[1] || '');
+        else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+        else if (raw !== undefined) value = decodeXml(raw);
+        row[ref ? columnIndex(ref) : row.length] = value;
+      }
+      return Array.from(row, v => v ?? '');
+    }).filter(row => row.some(v => v !== ''));
+
+    const truncated = rowsXml.length > MAX_SHEET_ROWS ? `\n(仅显示前 ${MAX_SHEET_ROWS} 行，共 ${rowsXml.length} 行)` : '';
+    return `--- Sheet: ${sheet.name} ---\n${rows.length ? formatTable(rows) : '(空表)'}${truncated}`;
+  }).join('\n\n');
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into rows
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+export function extractCsv(text) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  const table = formatTable(rows.slice(0, MAX_SHEET_ROWS));
+  return rows.length > MAX_SHEET_ROWS ? `${table}\n(仅显示前 ${MAX_SHEET_ROWS} 行，共 ${rows.length} 行)` : table;
+}
+
+/* ---------- PDF ---------- */
+
+async function getPdfParser() {
+  try {
+    // Use createRequire to import CommonJS modules in ES modules
+    const require = createRequire(import.meta.url);
+    return require('pdf-parse');
+  } catch (error) {
+    console.error('Failed to load pdf-parse:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Extract PDF text page by page; also counts landscape pages for deck detection
+ */
+export async function extractPdfPages(buffer) {
+  const pdfparse = await getPdfParser();
+  if (!pdfparse) throw new Error('PDF parser not available');
+
+  const pages = [];
+  let landscapePages = 0;
+
+  // Same line-joining as pdf-parse's default renderer, but one entry per page
+  const pagerender = async pageData => {
+    const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    let lastY;
+    let text = '';
+    for (const item of content.items) {
+      text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    }
+    if (Array.isArray(pageData.view)) {
+      const [x0, y0, x1, y1] = pageData.view;
+      const rotated = (pageData.rotate || 0) % 180 !== 0;
+      if ((x1 - x0 > y1 - y0) !== rotated) landscapePages++;
+    }
+    pages[pageData.pageIndex ?? pages.length] = text;
+    return text;
+  };
+
+  await pdfparse(buffer, { version: 'v1.10.100', pagerender });
+  return { pages: Array.from(pages, p => p || ''), landscapePages };
+}
+
+async function extractPdf(buffer, budget) {
+  const { pages, landscapePages } = await extractPdfPages(buffer);
+  if (!pages.some(p => p.trim())) return '';
+
+  const kind = classifyPagedDocument(pages, { landscapePages });
+  console.log(`Extracted PDF: ${pages.length} pages (${kind})`);
+  return `[PDF · ${pages.length} 页 · ${kind === 'deck' ? '路演材料' : '长文档'}]\n${formatPages(pages, { label: 'Page', budget })}`;
+}
+
+/* ---------- Entry point ---------- */
+
+const OFFICE_EXTRACTORS = {
+  '.docx': extractDocx,
+  '.xlsx': extractXlsx
+};
+
+/**
+ * Resolve the extension to extract as, falling back to the MIME type
+ */
+function resolveExtension(name, mime) {
+  const ext = path.extname(name || '').toLowerCase();
+  if (ext) return ext;
+  const lower = (mime || '').toLowerCase();
+  if (lower.includes('pdf')) return '.pdf';
+  if (lower.includes('presentationml')) return '.pptx';
+  if (lower.includes('wordprocessingml')) return '.docx';
+  if (lower.includes('spreadsheetml')) return '.xlsx';
+  if (lower.includes('csv')) return '.csv';
+  if (lower.startsWith('text/')) return '.txt';
+  return '';
+}
+
+/**
+ * Extract text from a file (budget: max characters; longer text is compressed per page or cut).
+ * Returns { text, ok }: `ok` is false when no text could be extracted, and `text` is then the
+ * note for the model. Such notes must not be stored as the document's text.
+ */
+export async function extractDocumentText(filePath, name = '', mime = '', { budget = DEFAULT_CHAR_BUDGET } = {}) {
+  const failed = text => ({ text, ok: false });
+  if (!filePath) {
+    console.warn('extractTextFromFile: No file path provided');
+    return failed('');
+  }
+
+  const displayName = name || path.basename(filePath);
+  const ext = resolveExtension(displayName, mime);
+
+  try {
+    await fs.access(filePath, fs.constants.R_OK);
+    const stats = await fs.stat(filePath);
+    const isText = ['.txt', '.md', '.csv'].includes(ext);
+    const limit = isText ? MAX_TEXT_FILE_BYTES : MAX_BINARY_FILE_BYTES;
+    if (stats.size > limit) {
+      console.warn(`File too large: ${displayName} (${stats.size} bytes)`);
+      return failed('File too large to process');
+    }
+
+    if (ext === '.txt' || ext === '.md') return { text: truncateText(await fs.readFile(filePath, 'utf-8'), budget), ok: true };
+    if (ext === '.csv') return { text: truncateText(extractCsv(await fs.readFile(filePath, 'utf-8')), budget), ok: true };
+
+    if (ext === '.ppt' || ext === '.doc' || ext === '.xls') {
+      return failed(`[文件: ${displayName}] 旧版 Office 格式暂不支持提取文字，请另存为 ${ext}x 或 PDF 后重新上传。`);
+    }
+
+    const buffer = await fs.readFile(filePath);
+    if (ext === '.pdf') {
+      const text = await extractPdf(buffer, budget);
+      return text ? { text, ok: true } : failed('No text content found in PDF');
+    }
+    if (ext === '.pptx') return { text: extractPptx(buffer, budget), ok: true };
+
+    const extractor = OFFICE_EXTRACTORS[ext];
+    if (extractor) {
+      const text = extractor(buffer);
+      console.log(`Extracted ${ext} text length:`, text.length);
+      return text ? { text: truncateText(text, budget), ok: true } : failed(`[文件: ${displayName}] (No text content found)`);
+    }
+
+    console.warn(`Unsupported file type: ${ext || mime} / ${displayName}`);
+    return failed(`[文件: ${displayName}] (Unsupported file type)`);
+  } catch (e) {
+    console.error(`Error extracting ${displayName}:`, e.message);
+    return failed(`Error parsing file ${displayName}: ${e.message}`);
+  }
+}
+
+// 从文件提取文本（budget: 最大字符数，超出时分页压缩或截断）
+export async function extractTextFromFile(filePath, name = '', mime = '', options = {}) {
+  return (await extractDocumentText(filePath, name, mime, options)).text;
+}
@@ -30,6 +30,11 @@ export const translations = {
     'mode.learning': '学习模式',
     'mode.startup': '创业导师',
     'mode.agent': '创建Agent',
+    'mode.pitchDeck': '路演教练',
+    'mode.document': '文档分析',
+    'mode.investor': '投资人',
+    'mode.expertMatch': '专家匹配',
+    'mode.analyst': '行业分析师',
 
     // Welcome screen
     'welcome.title': 'Beta',
@@ -55,6 +60,8 @@ export const translations = {
     // Chat
     'chat.you': 'You',
     'chat.placeholder': 'Enter a question here...',
+    'chat.placeholder.startup': '请告诉我您的创业问题或上传路演材料...',
+    'chat.placeholder.agent': '告诉我你想创建什么样的AI伙伴...',
     'chat.send': 'Send',
     'chat.stop': 'Stop generating',
     'chat.uploadFile': 'Upload file',
@@ -114,6 +121,11 @@ export const translations = {
     'mode.learning': 'Learning Mode',
     'mode.startup': 'Startup Mentor',
     'mode.agent': 'Create Agent',
+    'mode.pitchDeck': 'Pitch Coach',
+    'mode.document': 'Document Analysis',
+    'mode.investor': 'Investor',
+    'mode.expertMatch': 'Expert Match',
+    'mode.analyst': 'Industry Analyst',
 
     // Welcome screen
     'welcome.title': 'Beta',
@@ -139,6 +151,8 @@ export const translations = {
     // Chat
     'chat.you': 'You',
     'chat.placeholder': 'Enter a question here...',
+    'chat.placeholder.startup': 'Tell me about your startup question or upload your pitch deck...',
+    'chat.placeholder.agent': 'Describe the AI partner you want to create...',
     'chat.send': 'Send',
     'chat.stop': 'Stop generating',
     'chat.uploadFile': 'Upload file',
@@ -178,6 +192,11 @@ class I18n {
   }
 
   detectLanguage() {
+    // Server-side (no browser globals): default to Chinese
+    if (typeof localStorage === 'undefined' || typeof navigator === 'undefined') {
+      return 'zh';
+    }
+
     // Check localStorage first
     const saved = localStorage.getItem('app_language');
     if (saved && (saved === 'zh' || saved === 'en')) {
@@ -199,7 +218,9 @@ class I18n {
     }
 
     this.currentLang = lang;
-    localStorage.setItem('app_language', lang);
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem('app_language', lang);
+    }
 
     // Notify all listeners
     this.listeners.forEach(callback => callback(lang));
@@ -0,0 +1,382 @@
+// lib/import-formats.js
+// Readers for conversation histories from other places, for lib/import.js:
+//   beta      our own JSON exports (renderJsonExport, and ExportManager.exportToJSON in the browser)
+//   chatgpt   ChatGPT's conversations.json (Settings → Data controls → Export data)
+//   markdown  transcripts with a speaker line per message ("### 👤 用户", "**User:**", "Assistant: …")
+// Every reader returns { conversations, skipped }: conversations are normalized to
+//   { index, sourceId, title, createdAt, updatedAt, tags, folder,
+//     messages: [{ role, content, createdAt, aiMode, files, metadata }] }
+// with ISO timestamps (null when the source has none); entries that cannot be read are listed
+// in `skipped` as { index, title, reason }.
+import { MODES, getMode } from './modes.js';
+
+export const IMPORT_FORMATS = ['beta', 'chatgpt', 'markdown'];
+
+function createImportError(message, statusCode = 400, field = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.field = field;
+  return error;
+}
+
+/**
+ * Timestamp from the forms exports use: unix seconds or milliseconds, ISO strings, and the
+ * "2026/10/19 14:03:05" form of our Markdown export (China time, as formatExportDate writes it)
+ */
+export function parseTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value <= 0) return null;
+    return new Date(value < 1e12 ? value * 1000 : value).toISOString();
+  }
+
+  const text = String(value).trim();
+  const local = /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(text);
+  if (local) {
+    const [, y, mo, d, h, mi, s = '0'] = local.map(Number);
+    return new Date(Date.UTC(y, mo - 1, d, h - 8, mi, s)).toISOString();
+  }
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.replace(/\r\n?/g, '\n').trim() : '';
+}
+
+function cleanFiles(files) {
+  if (!Array.isArray(files)) return [];
+  return files
+    .map(file => (typeof file === 'string' ? file : file?.name))
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.trim().slice(0, 255))
+    .slice(0, 10);
+}
+
+function normalizeRole(role) {
+  const value = String(role || '').toLowerCase();
+  if (value === 'user' || value === 'human') return 'user';
+  if (value === 'assistant' || value === 'ai' || value === 'bot') return 'assistant';
+  return null;
+}
+
+// ---------- Our own JSON ----------
+
+function readBetaMessage(message) {
+  const role = normalizeRole(message?.role);
+  const content = cleanText(message?.content);
+  if (!role || !content) return null;
+  const metadata = message.metadata && typeof message.metadata === 'object' && !Array.isArray(message.metadata) && Object.keys(message.metadata).length
+    ? message.metadata
+    : null;
+  return {
+    role,
+    content,
+    createdAt: parseTimestamp(message.createdAt ?? message.timestamp),
+    aiMode: getMode(message.aiMode ?? message.mode) ? (message.aiMode ?? message.mode) : 'default',
+    files: cleanFiles(message.files),
+    metadata
+  };
+}
+
+function readBetaConversation(conversation, index) {
+  if (!conversation || typeof conversation !== 'object' || !Array.isArray(conversation.messages)) {
+    return { skipped: { index, title: conversation?.title || null, reason: 'invalid' } };
+  }
+  return {
+    conversation: {
+      index,
+      sourceId: conversation.id ? String(conversation.id) : null,
+      title: cleanText(conversation.title),
+      createdAt: parseTimestamp(conversation.createdAt ?? conversation.created),
+      updatedAt: parseTimestamp(conversation.updatedAt ?? conversation.updated),
+      tags: Array.isArray(conversation.tags) ? conversation.tags.filter(t => typeof t === 'string' && t.trim()).map(t => t.trim().slice(0, 50)).slice(0, 20) : [],
+      folder: typeof conversation.folder === 'string' ? conversation.folder : null,
+      messages: conversation.messages.map(readBetaMessage).filter(Boolean)
+    }
+  };
+}
+
+/**
+ * { format: 'beta-conversations', version, conversations: [...] } from /api/export, or
+ * { application: 'Beta AI', conversation: {...} } from the browser's JSON export
+ */
+export function readBetaExport(data) {
+  if (data.format === 'beta-conversations' && Number(data.version) > 1) {
+    throw createImportError(`Unsupported export version ${data.version}`, 400, 'content');
+  }
+  const list = Array.isArray(data.conversations) ? data.conversations : [data.conversation];
+  const conversations = [];
+  const skipped = [];
+  list.forEach((entry, index) => {
+    const r = readBetaConversation(entry, index);
+    if (r.conversation) conversations.push(r.conversation);
+    else skipped.push(r.skipped);
+  });
+  return { conversations, skipped };
+}
+
+// ---------- ChatGPT conversations.json ----------
+
+// Nodes from the root to the message that was shown last; edits and regenerations live
+// on other paths of the mapping tree and are left out
+function chatGptPath(mapping, currentNode) {
+  let nodeId = currentNode;
+  if (!mapping[nodeId]) {
+    // Older exports have no current_node: follow the newest child from the root
+    nodeId = Object.keys(mapping).find(id => !mapping[id].parent || !mapping[mapping[id].parent]);
+    while (nodeId && mapping[nodeId]?.children?.length) {
+      nodeId = mapping[nodeId].children[mapping[nodeId].children.length - 1];
+    }
+  }
+
+  const path = [];
+  const seen = new Set();
+  while (nodeId && mapping[nodeId] && !seen.has(nodeId)) {
+    seen.add(nodeId);
+    path.push(mapping[nodeId]);
+    nodeId = mapping[nodeId].parent;
+  }
+  return path.reverse();
+}
+
+function chatGptContent(content) {
+  if (!content) return '';
+  if (content.content_type === 'text' || content.content_type === 'multimodal_text') {
+    return cleanText((content.parts || []).filter(part => typeof part === 'string').join('\n'));
+  }
+  return '';
+}
+
+function readChatGptConversation(entry, index) {
+  const title = cleanText(entry?.title);
+  if (!entry || typeof entry !== 'object' || !entry.mapping || typeof entry.mapping !== 'object') {
+    return { skipped: { index, title: title || null, reason: 'invalid' } };
+  }
+
+  const messages = [];
+  for (const node of chatGptPath(entry.mapping, entry.current_node)) {
+    const message = node.message;
+    const role = normalizeRole(message?.author?.role);
+    // System prompts, tool calls and tool output are not part of the visible conversation
+    if (!role || message.metadata?.is_visually_hidden_from_conversation) continue;
+    if (message.recipient && message.recipient !== 'all') continue;
+    const content = chatGptContent(message.content);
+    if (!content) continue;
+    messages.push({
+      role,
+      content,
+      createdAt: parseTimestamp(message.create_time),
+      aiMode: 'default',
+      files: cleanFiles(message.metadata?.attachments),
+      metadata: null
+    });
+  }
+
+  return {
+    conversation: {
+      index,
+      sourceId: entry.conversation_id || entry.id || null,
+      title,
+      createdAt: parseTimestamp(entry.create_time),
+      updatedAt: parseTimestamp(entry.update_time),
+      tags: [],
+      folder: null,
+      messages
+    }
+  };
+}
+
+export function readChatGptExport(data) {
+  const list = Array.isArray(data) ? data : [data];
+  const conversations = [];
+  const skipped = [];
+  list.forEach((entry, index) => {
+    const r = readChatGptConversation(entry, index);
+    if (r.conversation) conversations.push(r.conversation);
+    else skipped.push(r.skipped);
+  });
+  return { conversations, skipped };
+}
+
+// ---------- Markdown transcripts ----------
+
+const USER_NAMES = ['user', 'you', 'human', 'me', '用户', '我'];
+const ASSISTANT_NAMES = ['assistant', 'ai', 'chatgpt', 'gpt', 'claude', 'bot', '助手', 'ai 助手', 'ai助手'];
+
+// Headings of the browser's Markdown export that are not conversation titles
+const SECTION_TITLES = new Set(['metadata', 'table of contents', 'conversation', '元数据', '目录', '对话']);
+
+const SPEAKERS = new Map([
+  ...USER_NAMES.map(name => [name, { role: 'user', aiMode: 'default' }]),
+  ...ASSISTANT_NAMES.map(name => [name, { role: 'assistant', aiMode: 'default' }]),
+  ...Object.entries(MODES).map(([id, mode]) => [mode.assistantName.toLowerCase(), { role: 'assistant', aiMode: id }])
+]);
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const SPEAKER_PATTERN = new RegExp(
+  '^(#{1,6}\\s+)?(\\*\\*|__)?\\s*((?:👤|🤖|🧑|💬|🙋)\\uFE0F?\\s*)?' +
+  `(${[...SPEAKERS.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})` +
+  '\\s*(\\*\\*|__)?\\s*([:：])?\\s*(\\*\\*|__)?\\s*(.*)$',
+  'iu'
+);
+
+/**
+ * Speaker line of a transcript: { role, aiMode, time, text } or null.
+ *   "### 👤 用户 · 2026/10/19 14:03:05"  "**Assistant**"  "### Dean (10:02)"  → text ''
+ *   "**User:** How do I …"  "我：怎么……"                                 → text is the first line
+ */
+export function matchSpeakerLine(line) {
+  const m = SPEAKER_PATTERN.exec(line.trim());
+  if (!m) return null;
+  const [, heading, boldOpen, emoji, name, boldClose, colon, boldAfter, rest] = m;
+  const speaker = SPEAKERS.get(name.toLowerCase());
+  const marked = heading || (boldOpen && (boldClose || boldAfter)) || colon || emoji;
+  if (!marked) return null;
+
+  if (!rest) return { ...speaker, time: null, text: '' };
+  const time = /^(?:[·|—-]\s*(.+)|[（(](.+)[）)])$/.exec(rest);
+  if (time && !colon) return { ...speaker, time: parseTimestamp(time[1] || time[2]), text: '' };
+  if (colon) return { ...speaker, time: null, text: rest };
+  return null;
+}
+
+// Separators, anchors and footers that exporters put between messages
+function trimMessageLines(lines) {
+  const noise = line => !line.trim() || /^(?:-{3,}|\*{3,}|_{3,})$/.test(line.trim()) || /^\*Exported from .*\*$/.test(line.trim());
+  while (lines.length && noise(lines[lines.length - 1])) lines.pop();
+  while (lines.length && !lines[0].trim()) lines.shift();
+  return lines;
+}
+
+export function readMarkdownTranscript(text, { title: fallbackTitle = '' } = {}) {
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  const conversations = [];
+  let conversation = null;
+  let message = null;
+  let title = '';
+  let inFence = false;
+  let previous = '';
+
+  const finishMessage = () => {
+    if (!message) return;
+    const body = trimMessageLines(message.lines);
+    // A timestamp line right under the speaker ("*10/19/2026, 2:03:05 PM*")
+    const stamp = body.length && /^\*([^*]+)\*$/.exec(body[0].trim());
+    if (stamp && parseTimestamp(stamp[1])) {
+      message.createdAt = message.createdAt || parseTimestamp(stamp[1]);
+      body.shift();
+    }
+    // Attachment line of our own export
+    if (body.length && body[0].startsWith('📎 ')) {
+      message.files = cleanFiles(body.shift().slice(2).split('、'));
+    }
+    const content = cleanText(body.join('\n'));
+    if (content) {
+      conversation.messages.push({
+        role: message.role,
+        content,
+        createdAt: message.createdAt,
+        aiMode: message.aiMode,
+        files: message.files || [],
+        metadata: null
+      });
+    }
+    message = null;
+  };
+
+  const startConversation = () => {
+    conversation = { index: conversations.length, sourceId: null, title, createdAt: null, updatedAt: null, tags: [], folder: null, messages: [] };
+    conversations.push(conversation);
+  };
+
+  for (const line of lines) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+
+    if (!inFence) {
+      const heading = /^(#{1,2})\s+(.+?)\s*#*$/.exec(line);
+      const speaker = matchSpeakerLine(line);
+
+      if (speaker) {
+        finishMessage();
+        if (!conversation) startConversation();
+        message = { role: speaker.role, aiMode: speaker.aiMode, createdAt: speaker.time, lines: speaker.text ? [speaker.text] : [] };
+        previous = line;
+        continue;
+      }
+
+      if (heading) {
+        const text = heading[2].replace(/[*_`]/g, '').trim();
+        if (SECTION_TITLES.has(text.toLowerCase())) {
+          finishMessage();
+          previous = line;
+          continue;
+        }
+        // A title after a rule starts the next conversation of a multi-conversation export;
+        // other headings belong to the message they appear in
+        const afterRule = /^(?:-{3,}|\*{3,}|_{3,})$/.test(previous.trim());
+        if (!message || afterRule) {
+          finishMessage();
+          if (conversation?.messages.length) conversation = null;
+          title = text;
+          if (conversation) conversation.title = text;
+          previous = line;
+          continue;
+        }
+      }
+
+      // <a id="message-3"></a> anchors of the browser's export
+      if (/^<a id="[^"]*"><\/a>$/.test(line.trim())) continue;
+    }
+
+    if (message) message.lines.push(line);
+    if (line.trim()) previous = line;
+  }
+  finishMessage();
+
+  for (const c of conversations) c.title = c.title || fallbackTitle;
+  if (!conversations.length) {
+    return { conversations: [], skipped: [{ index: 0, title: title || fallbackTitle || null, reason: 'empty' }] };
+  }
+  return { conversations, skipped: [] };
+}
+
+// ---------- Detection ----------
+
+/**
+ * Read an uploaded file. `format` forces a reader; otherwise it is detected from the
+ * file name and content. Returns { format, conversations, skipped }.
+ */
+export function readImportFile(content, { filename = '', format = null } = {}) {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  if (!text.trim()) throw createImportError('The file is empty', 400, 'content');
+
+  const baseName = String(filename).replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '');
+  const looksLikeJson = /^[[{]/.test(text.trim()) && !/\.(md|markdown|txt)$/i.test(filename);
+  if (format === 'markdown' || (!format && !looksLikeJson)) {
+    return { format: 'markdown', ...readMarkdownTranscript(text, { title: baseName }) };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw createImportError('The file is not valid JSON', 400, 'content');
+  }
+
+  const isChatGpt = Array.isArray(data)
+    ? data.some(entry => entry && typeof entry === 'object' && 'mapping' in entry)
+    : !!data && typeof data === 'object' && 'mapping' in data;
+  const isBeta = !!data && !Array.isArray(data) && typeof data === 'object' &&
+    (data.format === 'beta-conversations' || (data.conversation && typeof data.conversation === 'object'));
+
+  if (format === 'chatgpt' || (!format && isChatGpt)) {
+    if (!isChatGpt) throw createImportError('The file is not a ChatGPT conversations.json export', 400, 'content');
+    return { format: 'chatgpt', ...readChatGptExport(data) };
+  }
+  if (format === 'beta' || (!format && isBeta)) {
+    if (!isBeta) throw createImportError('The file is not a conversation export from this app', 400, 'content');
+    return { format: 'beta', ...readBetaExport(data) };
+  }
+  throw createImportError('Unrecognized file: expected our JSON export, ChatGPT conversations.json or a Markdown transcript', 400, 'content');
+}
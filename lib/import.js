@@ -0,0 +1,159 @@
+// lib/import.js
+// Conversation import for /api/import: reads the file (lib/import-formats.js), drops what is
+// already here, and writes the rest with their original timestamps. Duplicates are found by
+// a fingerprint of the messages (role + text), so the same history is recognized whether it
+// comes from the same file again, from a ChatGPT export or from a Markdown copy of it.
+import crypto from 'crypto';
+import {
+  findImportedConversations,
+  getConversationsByIds,
+  importConversation,
+  listFolders,
+  generateConversationTitle
+} from './database.js';
+import { readImportFile } from './import-formats.js';
+import { isValidUUID } from './validation.js';
+
+export const MAX_IMPORT_CONVERSATIONS = 100;
+export const MAX_IMPORT_MESSAGES = 1000;
+
+function createImportError(message, statusCode = 400, field = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.field = field;
+  return error;
+}
+
+/**
+ * SHA-256 of the conversation's messages, whitespace-insensitive
+ */
+export function conversationFingerprint(messages) {
+  const normalized = messages.map(m => [m.role, m.content.replace(/\s+/g, ' ').trim()]);
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+}
+
+/**
+ * Fill in missing timestamps and keep messages strictly in order (message lists are sorted by
+ * created_at): a message without a time, or with one earlier than the message before it,
+ * is placed a millisecond after its predecessor.
+ */
+export function assignTimestamps(conversation, now = Date.now()) {
+  const times = conversation.messages.map(m => (m.createdAt ? Date.parse(m.createdAt) : null));
+  const first = times.find(t => t !== null);
+  let previous = (conversation.createdAt ? Date.parse(conversation.createdAt) : first ?? now) - 1;
+
+  const messages = conversation.messages.map((message, i) => {
+    const time = times[i] !== null && times[i] > previous ? times[i] : previous + 1;
+    previous = time;
+    return { ...message, createdAt: new Date(time).toISOString() };
+  });
+
+  const createdAt = conversation.createdAt || messages[0]?.createdAt || new Date(now).toISOString();
+  const lastTime = messages.length ? Date.parse(messages[messages.length - 1].createdAt) : 0;
+  const updated = Math.max(conversation.updatedAt ? Date.parse(conversation.updatedAt) : 0, lastTime, Date.parse(createdAt));
+  return { ...conversation, createdAt, updatedAt: new Date(updated).toISOString(), messages };
+}
+
+/**
+ * Import a file for a user.
+ *   format    'beta' | 'chatgpt' | 'markdown', detected when omitted
+ *   folderId  folder for every imported conversation; otherwise conversations from our own
+ *             export go back into a folder of the same name when there is one
+ *   dryRun    report what would happen without writing anything
+ *   historyCutoff  start of the plan's history window (lib/entitlements.js getHistoryCutoff);
+ *             conversations last active before it keep their times but are flagged
+ *             outsideHistory, since the plan will not list or open them
+ * Returns { format, dryRun, historyCutoff, imported: [{ index, id, title, messageCount, outsideHistory }],
+ *           duplicates: [{ index, title, conversationId, reason }], skipped: [{ index, title, reason }] }
+ * Skip reasons: invalid, empty, too_long, failed; duplicate reasons: in_file, imported, exists.
+ */
+export async function importConversations({ userId, content, filename = '', format = null, folderId = null, dryRun = false, historyCutoff = null }) {
+  const parsed = readImportFile(content, { filename, format });
+  if (parsed.conversations.length > MAX_IMPORT_CONVERSATIONS) {
+    throw createImportError(`Too many conversations: at most ${MAX_IMPORT_CONVERSATIONS} per import`, 400, 'content');
+  }
+
+  const skipped = [...parsed.skipped];
+  const duplicates = [];
+  const candidates = [];
+  const seen = new Map();
+
+  for (const conversation of parsed.conversations) {
+    const title = conversation.title || (conversation.messages[0] ? generateConversationTitle(conversation.messages[0].content) : null);
+    if (!conversation.messages.length) {
+      skipped.push({ index: conversation.index, title, reason: 'empty' });
+      continue;
+    }
+    if (conversation.messages.length > MAX_IMPORT_MESSAGES) {
+      skipped.push({ index: conversation.index, title, reason: 'too_long' });
+      continue;
+    }
+    const key = conversationFingerprint(conversation.messages);
+    if (seen.has(key)) {
+      duplicates.push({ index: conversation.index, title, conversationId: null, reason: 'in_file' });
+      continue;
+    }
+    seen.set(key, conversation.index);
+    candidates.push({ ...assignTimestamps(conversation), title, key });
+  }
+
+  // Already imported (including conversations in the trash, which can be restored instead)
+  const existing = await findImportedConversations(userId, candidates.map(c => c.key));
+  if (!existing.success) throw createImportError(existing.error, 500);
+  const importedKeys = new Map(existing.conversations.map(c => [c.import_key, c]));
+
+  // Our own export re-imported into the account it came from
+  const sourceIds = parsed.format === 'beta' ? candidates.map(c => c.sourceId).filter(id => id && isValidUUID(id)) : [];
+  const originals = sourceIds.length ? await getConversationsByIds(userId, sourceIds) : { success: true, conversations: [] };
+  if (!originals.success) throw createImportError(originals.error, 500);
+  const originalIds = new Set(originals.conversations.map(c => c.id));
+
+  const folders = await listFolders(userId);
+  if (!folders.success) throw createImportError(folders.error, 500);
+  if (folderId && !folders.folders.some(f => f.id === folderId)) {
+    throw createImportError('Folder not found or access denied', 404, 'folderId');
+  }
+  const folderByName = new Map(folders.folders.map(f => [f.name, f.id]));
+
+  const imported = [];
+  for (const conversation of candidates) {
+    const { index, title, key } = conversation;
+    const outsideHistory = !!historyCutoff && new Date(conversation.updatedAt) < new Date(historyCutoff);
+    if (importedKeys.has(key)) {
+      duplicates.push({ index, title, conversationId: importedKeys.get(key).id, reason: 'imported' });
+      continue;
+    }
+    if (originalIds.has(conversation.sourceId)) {
+      duplicates.push({ index, title, conversationId: conversation.sourceId, reason: 'exists' });
+      continue;
+    }
+    if (dryRun) {
+      imported.push({ index, id: null, title, messageCount: conversation.messages.length, outsideHistory });
+      continue;
+    }
+
+    const r = await importConversation(userId, {
+      title,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      tags: conversation.tags,
+      folderId: folderId || folderByName.get(conversation.folder) || null,
+      importSource: parsed.format,
+      importKey: key,
+      messages: conversation.messages
+    });
+    if (r.success) imported.push({ index, id: r.conversation.id, title, messageCount: r.messageCount, outsideHistory });
+    else if (r.duplicate) duplicates.push({ index, title, conversationId: null, reason: 'imported' });
+    else skipped.push({ index, title, reason: 'failed' });
+  }
+
+  const byIndex = (a, b) => a.index - b.index;
+  return {
+    format: parsed.format,
+    dryRun: !!dryRun,
+    historyCutoff: historyCutoff || null,
+    imported,
+    duplicates: duplicates.sort(byIndex),
+    skipped: skipped.sort(byIndex)
+  };
+}
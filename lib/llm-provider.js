@@ -0,0 +1,756 @@
+// lib/llm-provider.js
+// Pluggable LLM provider layer shared by every chat endpoint.
+//
+// All providers expose the same interface:
+//   generate({ messages, temperature, maxTokens, json, signal }) -> { text, usage, model, finishReason }
+//   stream({ messages, temperature, maxTokens, signal })   -> async iterable of
+//       { type: 'delta', text } ... { type: 'finish', usage, model, finishReason }
+//   classify({ prompt, signal })                           -> parsed JSON object or null
+//
+// `messages` use the common { role: 'system' | 'user' | 'assistant', content } shape;
+// each adapter converts them to its own wire format. `json: true` asks the model for a
+// bare JSON object (native JSON mode where the provider supports it).
+//
+// Provider and model are chosen per purpose ("mode") through environment variables:
+//   LLM_PROVIDER=gemini|openai|mock          global default (gemini)
+//   LLM_PROVIDER_<MODE>=...                  per-mode override, e.g. LLM_PROVIDER_INVESTOR=openai
+//   LLM_MODEL=<name>, LLM_MODEL_<MODE>=...   model overrides
+//   LLM_TIMEOUT_MS=30000                     request timeout
+//
+// getEmbedder() exposes embed(texts, { taskType }) -> number[][] for retrieval (lib/rag.js).
+//
+// Every generate/stream call made through getProvider() is metered (lib/usage.js). Callers
+// pass `meter: { userId, conversationId, mode, endpoint }` in the overrides to attribute it.
+
+import { recordUsage } from './usage.js';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.5-pro',
+  openai: 'gpt-4o-mini',
+  mock: 'mock-model'
+};
+
+// Lightweight purposes default to a cheaper model
+const DEFAULT_PURPOSE_MODELS = {
+  gemini: { classifier: 'gemini-2.0-flash', summary: 'gemini-2.0-flash' },
+  openai: {},
+  mock: {}
+};
+
+const SYSTEM_ACK = '我明白了我的角色和任务。请告诉我您需要什么帮助？';
+
+/**
+ * Create an error carrying an HTTP status, in the same shape sendError expects
+ */
+function createProviderError(message, statusCode = 500, code = 'LLM_ERROR') {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Map an upstream HTTP failure to a user-facing error
+ */
+function mapHttpError(status, body) {
+  if (status === 401 || status === 403) {
+    return createProviderError('Invalid or expired API key', 500, 'LLM_AUTH');
+  }
+  if (status === 429) {
+    return createProviderError('API rate limit exceeded, please try again later', 429, 'LLM_RATE_LIMIT');
+  }
+  if (status === 400) {
+    return createProviderError('Invalid request format or content', 400, 'LLM_BAD_REQUEST');
+  }
+  if (status >= 500) {
+    return createProviderError('AI service temporarily unavailable', 503, 'LLM_UNAVAILABLE');
+  }
+  return createProviderError(`AI service error (${status}): ${body}`, 502);
+}
+
+// Response -> { release, timedOut } for bodies still being read (see fetchWithTimeout)
+const openBodies = new WeakMap();
+
+function abortError(timedOut, error) {
+  return timedOut ? createProviderError('AI request timeout', 408, 'LLM_TIMEOUT') : error;
+}
+
+/**
+ * fetch with an abort timeout, chained to an optional caller signal.
+ * The timeout and the caller's signal stay attached until the body has been read with
+ * readJSON() or readSSEData(), so they also stop a response that is still streaming.
+ */
+async function fetchWithTimeout(url, options = {}, signal) {
+  const timeoutMs = Number(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const controller = new AbortController();
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+  const release = () => {
+    clearTimeout(timeoutId);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  };
+
+  try {
+    const res = await fetch(url, { ...options, signal: controller.signal });
+    if (!res.ok) {
+      let errorText = 'Unknown error';
+      try {
+        errorText = await res.text();
+      } catch (e) {
+        console.warn('[LLM] Failed to read error response:', e.message);
+      }
+      console.error('[LLM] Provider error response:', { status: res.status, error: errorText.slice(0, 500) });
+      throw mapHttpError(res.status, errorText);
+    }
+    openBodies.set(res, { release, timedOut: () => timedOut });
+    return res;
+  } catch (error) {
+    release();
+    if (error?.name === 'AbortError') throw abortError(timedOut, error);
+    throw error;
+  }
+}
+
+/**
+ * Read a fetchWithTimeout() response body as JSON
+ */
+async function readJSON(res) {
+  const body = openBodies.get(res);
+  try {
+    return await res.json();
+  } catch (error) {
+    if (error?.name === 'AbortError') throw abortError(body?.timedOut(), error);
+    throw createProviderError('Invalid response format from AI service', 502);
+  } finally {
+    body?.release();
+  }
+}
+
+/**
+ * Read a fetchWithTimeout() response body as SSE and yield each `data:` payload.
+ * Stopping early cancels the upstream request.
+ */
+async function* readSSEData(res) {
+  const body = openBodies.get(res);
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+  let finished = false;
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line.startsWith('data:')) yield line.slice(5).trim();
+      }
+    }
+    finished = true;
+  } catch (error) {
+    if (error?.name === 'AbortError') throw abortError(body?.timedOut(), error);
+    throw error;
+  } finally {
+    body?.release();
+    if (!finished) reader.cancel().catch(() => {});
+  }
+
+  if (buffer.startsWith('data:')) yield buffer.slice(5).trim();
+}
+
+/**
+ * Extract the first JSON object from model output
+ */
+export function parseJSONObject(raw) {
+  if (!raw || typeof raw !== 'string') return null;
+  const match = raw.match(/\{[\s\S]*\}/);
+  if (!match) return null;
+  try {
+    return JSON.parse(match[0]);
+  } catch (e) {
+    console.warn('[LLM] Failed to parse JSON output:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Normalize messages: drop empties, coerce content to string
+ */
+function normalizeMessages(messages = []) {
+  return messages
+    .filter(m => m && ['system', 'user', 'assistant'].includes(m.role))
+    .map(m => ({ role: m.role, content: (m.content || '').toString() }))
+    .filter(m => m.content.trim().length > 0);
+}
+
+/* ---------- Gemini ---------- */
+
+/**
+ * Convert common messages to Gemini `contents`.
+ * System text is sent as a leading user turn plus a model acknowledgement,
+ * which keeps the persona stable on the v1 API.
+ */
+function toGeminiContents(messages) {
+  const systemText = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const contents = [];
+
+  if (systemText) {
+    contents.push({ role: 'user', parts: [{ text: systemText }] });
+    contents.push({ role: 'model', parts: [{ text: SYSTEM_ACK }] });
+  }
+
+  for (const m of messages) {
+    if (m.role === 'system') continue;
+    contents.push({
+      role: m.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: m.content }]
+    });
+  }
+
+  return contents;
+}
+
+function geminiUsage(usageMetadata) {
+  if (!usageMetadata) return null;
+  return {
+    promptTokens: usageMetadata.promptTokenCount || 0,
+    completionTokens: usageMetadata.candidatesTokenCount || 0,
+    totalTokens: usageMetadata.totalTokenCount || 0
+  };
+}
+
+function geminiCandidateText(candidate) {
+  return (candidate?.content?.parts || [])
+    .map(p => (typeof p?.text === 'string' ? p.text : ''))
+    .join('');
+}
+
+function createGeminiProvider({ model }) {
+  const baseUrl = process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1';
+
+  function getApiKey() {
+    const apiKey = process.env.GOOGLE_GENERATIVE_AI_API_KEY;
+    if (!apiKey) throw createProviderError('缺少 GOOGLE_GENERATIVE_AI_API_KEY', 500, 'LLM_CONFIG');
+    return apiKey;
+  }
+
+  function buildPayload({ messages, temperature, maxTokens, json }) {
+    const payload = { contents: toGeminiContents(normalizeMessages(messages)) };
+    const generationConfig = {};
+    if (typeof temperature === 'number') generationConfig.temperature = temperature;
+    if (typeof maxTokens === 'number') generationConfig.maxOutputTokens = maxTokens;
+    if (json) generationConfig.responseMimeType = 'application/json';
+    if (Object.keys(generationConfig).length) payload.generationConfig = generationConfig;
+    return payload;
+  }
+
+  async function generate(options = {}) {
+    const apiKey = getApiKey();
+    const res = await fetchWithTimeout(
+      `${baseUrl}/models/${model}:generateContent?key=${apiKey}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'StudyAgent/1.0' },
+        body: JSON.stringify(buildPayload(options))
+      },
+      options.signal
+    );
+
+    const json = await readJSON(res);
+
+    const candidate = json?.candidates?.[0];
+    if (!candidate) {
+      throw createProviderError('AI service returned no response candidates', 502);
+    }
+    if (candidate.finishReason === 'SAFETY') {
+      throw createProviderError('Content was blocked due to safety policies', 400, 'LLM_SAFETY');
+    }
+
+    return {
+      text: geminiCandidateText(candidate).trim(),
+      usage: geminiUsage(json.usageMetadata),
+      model,
+      finishReason: candidate.finishReason || null
+    };
+  }
+
+  async function* stream(options = {}) {
+    const apiKey = getApiKey();
+    const res = await fetchWithTimeout(
+      `${baseUrl}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'StudyAgent/1.0' },
+        body: JSON.stringify(buildPayload(options))
+      },
+      options.signal
+    );
+
+    let usage = null;
+    let finishReason = null;
+
+    for await (const data of readSSEData(res)) {
+      if (!data) continue;
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch {
+        continue;
+      }
+      const candidate = chunk?.candidates?.[0];
+      if (candidate?.finishReason === 'SAFETY') {
+        throw createProviderError('Content was blocked due to safety policies', 400, 'LLM_SAFETY');
+      }
+      if (candidate?.finishReason) finishReason = candidate.finishReason;
+      if (chunk.usageMetadata) usage = geminiUsage(chunk.usageMetadata);
+
+      const text = geminiCandidateText(candidate);
+      if (text) yield { type: 'delta', text };
+    }
+
+    yield { type: 'finish', usage, model, finishReason };
+  }
+
+  return { name: 'gemini', model, generate, stream };
+}
+
+/* ---------- OpenAI-compatible ---------- */
+
+function openaiUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0
+  };
+}
+
+function createOpenAIProvider({ model }) {
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+
+  function getHeaders() {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) throw createProviderError('缺少 OPENAI_API_KEY', 500, 'LLM_CONFIG');
+    return { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` };
+  }
+
+  function buildPayload({ messages, temperature, maxTokens, json }, streaming = false) {
+    const payload = { model, messages: normalizeMessages(messages) };
+    if (typeof temperature === 'number') payload.temperature = temperature;
+    if (typeof maxTokens === 'number') payload.max_tokens = maxTokens;
+    if (json) payload.response_format = { type: 'json_object' };
+    if (streaming) {
+      payload.stream = true;
+      payload.stream_options = { include_usage: true };
+    }
+    return payload;
+  }
+
+  async function generate(options = {}) {
+    const res = await fetchWithTimeout(
+      `${baseUrl}/chat/completions`,
+      { method: 'POST', headers: getHeaders(), body: JSON.stringify(buildPayload(options)) },
+      options.signal
+    );
+
+    const json = await readJSON(res);
+
+    const choice = json?.choices?.[0];
+    if (!choice) {
+      throw createProviderError('AI service returned no response candidates', 502);
+    }
+
+    return {
+      text: (choice.message?.content || '').trim(),
+      usage: openaiUsage(json.usage),
+      model: json.model || model,
+      finishReason: choice.finish_reason || null
+    };
+  }
+
+  async function* stream(options = {}) {
+    const res = await fetchWithTimeout(
+      `${baseUrl}/chat/completions`,
+      { method: 'POST', headers: getHeaders(), body: JSON.stringify(buildPayload(options, true)) },
+      options.signal
+    );
+
+    let usage = null;
+    let finishReason = null;
+
+    for await (const data of readSSEData(res)) {
+      if (!data || data === '[DONE]') continue;
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch {
+        continue;
+      }
+      if (chunk.usage) usage = openaiUsage(chunk.usage);
+      const choice = chunk?.choices?.[0];
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      const text = choice?.delta?.content;
+      if (text) yield { type: 'delta', text };
+    }
+
+    yield { type: 'finish', usage, model, finishReason };
+  }
+
+  return { name: 'openai', model, generate, stream };
+}
+
+/* ---------- Local mock ---------- */
+
+let mockResponder = null;
+
+/**
+ * Install a function (messages, context) => string used by the mock provider.
+ * Pass null to restore the default echo behaviour.
+ */
+export function setMockResponder(fn) {
+  mockResponder = typeof fn === 'function' ? fn : null;
+}
+
+function estimateMockTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function createMockProvider({ model, mode }) {
+  function respond(messages) {
+    const normalized = normalizeMessages(messages);
+    if (mockResponder) return String(mockResponder(normalized, { model, mode }) ?? '');
+    if (process.env.LLM_MOCK_RESPONSE) return process.env.LLM_MOCK_RESPONSE;
+    const lastUser = [...normalized].reverse().find(m => m.role === 'user');
+    return `[mock:${mode}] ${lastUser?.content || ''}`.trim();
+  }
+
+  function usageFor(messages, text) {
+    const promptTokens = estimateMockTokens(normalizeMessages(messages).map(m => m.content).join(''));
+    const completionTokens = estimateMockTokens(text);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+
+  async function generate({ messages } = {}) {
+    const text = respond(messages);
+    return { text, usage: usageFor(messages, text), model, finishReason: 'STOP' };
+  }
+
+  async function* stream({ messages } = {}) {
+    const text = respond(messages);
+    for (const piece of text.match(/[\s\S]{1,16}/g) || []) {
+      yield { type: 'delta', text: piece };
+    }
+    yield { type: 'finish', usage: usageFor(messages, text), model, finishReason: 'STOP' };
+  }
+
+  return { name: 'mock', model, generate, stream };
+}
+
+/* ---------- Embeddings ---------- */
+
+// Every embedder returns vectors of this size so stored vectors stay comparable
+export const EMBEDDING_DIMENSIONS = 768;
+const EMBEDDING_BATCH_SIZE = 100;
+
+const DEFAULT_EMBEDDING_MODELS = {
+  gemini: 'text-embedding-004',
+  openai: 'text-embedding-3-small',
+  local: 'local-hash-768'
+};
+
+async function embedInBatches(texts, embedBatch) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    vectors.push(...await embedBatch(texts.slice(i, i + EMBEDDING_BATCH_SIZE)));
+  }
+  return vectors;
+}
+
+function createGeminiEmbedder({ model }) {
+  const baseUrl = process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1';
+
+  async function embed(texts, { taskType = 'document', signal } = {}) {
+    const apiKey = process.env.GOOGLE_GENERATIVE_AI_API_KEY;
+    if (!apiKey) throw createProviderError('缺少 GOOGLE_GENERATIVE_AI_API_KEY', 500, 'LLM_CONFIG');
+
+    return embedInBatches(texts, async batch => {
+      const res = await fetchWithTimeout(
+        `${baseUrl}/models/${model}:batchEmbedContents?key=${apiKey}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'User-Agent': 'StudyAgent/1.0' },
+          body: JSON.stringify({
+            requests: batch.map(text => ({
+              model: `models/${model}`,
+              content: { parts: [{ text }] },
+              taskType: taskType === 'query' ? 'RETRIEVAL_QUERY' : 'RETRIEVAL_DOCUMENT'
+            }))
+          })
+        },
+        signal
+      );
+      const json = await readJSON(res);
+      return (json.embeddings || []).map(e => e.values);
+    });
+  }
+
+  return { name: 'gemini', model, dimensions: EMBEDDING_DIMENSIONS, embed };
+}
+
+function createOpenAIEmbedder({ model }) {
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+
+  async function embed(texts, { signal } = {}) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) throw createProviderError('缺少 OPENAI_API_KEY', 500, 'LLM_CONFIG');
+
+    return embedInBatches(texts, async batch => {
+      const res = await fetchWithTimeout(
+        `${baseUrl}/embeddings`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` },
+          body: JSON.stringify({ model, input: batch, dimensions: EMBEDDING_DIMENSIONS })
+        },
+        signal
+      );
+      const json = await readJSON(res);
+      return (json.data || []).sort((a, b) => a.index - b.index).map(d => d.embedding);
+    });
+  }
+
+  return { name: 'openai', model, dimensions: EMBEDDING_DIMENSIONS, embed };
+}
+
+// FNV-1a, used to hash tokens into vector slots
+function hashToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Tokens for the local embedder: latin words plus CJK character bigrams
+ */
+export function embeddingTokens(text) {
+  const lower = String(text || '').toLowerCase();
+  const tokens = lower.match(/[a-z0-9]+/g) || [];
+  for (const run of lower.match(/[\u3400-\u9fff]+/g) || []) {
+    if (run.length === 1) tokens.push(run);
+    for (let i = 0; i < run.length - 1; i++) tokens.push(run.slice(i, i + 2));
+  }
+  return tokens;
+}
+
+/**
+ * Deterministic offline embedder (feature hashing); no network, stable across runs
+ */
+function createLocalEmbedder({ model }) {
+  async function embed(texts) {
+    return texts.map(text => {
+      const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+      for (const token of embeddingTokens(text)) {
+        const hash = hashToken(token);
+        vector[hash % EMBEDDING_DIMENSIONS] += hash & 0x80000000 ? -1 : 1;
+      }
+      const norm = Math.hypot(...vector) || 1;
+      return vector.map(v => v / norm);
+    });
+  }
+
+  return { name: 'local', model, dimensions: EMBEDDING_DIMENSIONS, embed };
+}
+
+const EMBEDDER_FACTORIES = {
+  gemini: createGeminiEmbedder,
+  openai: createOpenAIEmbedder,
+  local: createLocalEmbedder
+};
+
+/**
+ * Get the configured embedder.
+ * EMBEDDING_PROVIDER=gemini|openai|local (defaults to the LLM provider; mock -> local),
+ * EMBEDDING_MODEL overrides the model.
+ */
+export function getEmbedder() {
+  const llmProvider = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const name = (process.env.EMBEDDING_PROVIDER || (llmProvider === 'mock' ? 'local' : llmProvider)).toLowerCase();
+  if (!EMBEDDER_FACTORIES[name]) {
+    throw createProviderError(`Unknown embedding provider: ${name}`, 500, 'LLM_CONFIG');
+  }
+  const model = process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODELS[name];
+  return EMBEDDER_FACTORIES[name]({ model });
+}
+
+/* ---------- Metering ---------- */
+
+// Purposes that support a reply rather than produce one
+const SUPPORT_PURPOSES = ['classifier', 'title', 'summary'];
+
+/**
+ * Wrap a provider so each generate/stream call is recorded in usage_events.
+ * Support calls are attributed to the mode of the reply they serve (meter.mode);
+ * meter.purpose overrides the purpose, e.g. 'retry' for a corrective second attempt.
+ * Calls resolve only once the row is written: a serverless function may be frozen as soon as
+ * its response ends, taking any write still in flight with it.
+ */
+function meterProvider(provider, mode, meter) {
+  const support = SUPPORT_PURPOSES.includes(mode);
+  const base = {
+    userId: meter.userId || null,
+    conversationId: meter.conversationId || null,
+    mode: meter.mode || (support ? null : mode),
+    purpose: meter.purpose || (support ? mode : 'reply'),
+    endpoint: meter.endpoint || null,
+    provider: provider.name
+  };
+
+  function record(started, fields) {
+    return recordUsage({ ...base, model: provider.model, latencyMs: Date.now() - started, ...fields });
+  }
+
+  // A caller that cancels (client gone) is not a provider error
+  function failure(error) {
+    return error?.name === 'AbortError'
+      ? { status: 'aborted' }
+      : { status: 'error', errorCode: error?.code || null };
+  }
+
+  async function generate(options = {}) {
+    const started = Date.now();
+    try {
+      const result = await provider.generate(options);
+      await record(started, { model: result.model || provider.model, usage: result.usage, status: 'ok' });
+      return result;
+    } catch (error) {
+      await record(started, failure(error));
+      throw error;
+    }
+  }
+
+  // Recorded when the stream ends; a consumer that stops early records it as aborted
+  async function* stream(options = {}) {
+    const started = Date.now();
+    const fields = { status: 'aborted' };
+    try {
+      for await (const event of provider.stream(options)) {
+        if (event.type === 'finish') {
+          Object.assign(fields, { model: event.model || provider.model, usage: event.usage, status: 'ok' });
+        }
+        yield event;
+      }
+    } catch (error) {
+      Object.assign(fields, failure(error));
+      throw error;
+    } finally {
+      await record(started, fields);
+    }
+  }
+
+  return { ...provider, generate, stream };
+}
+
+/* ---------- Registry ---------- */
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+function envKey(mode) {
+  return String(mode || 'default').replace(/[^a-z0-9]+/gi, '_').toUpperCase();
+}
+
+/**
+ * Resolve provider name and model for a mode from the environment
+ */
+export function resolveProviderConfig(mode = 'default', overrides = {}) {
+  const key = envKey(mode);
+  const name = (
+    overrides.provider ||
+    process.env[`LLM_PROVIDER_${key}`] ||
+    process.env.LLM_PROVIDER ||
+    'gemini'
+  ).toLowerCase();
+
+  if (!PROVIDER_FACTORIES[name]) {
+    throw createProviderError(`Unknown LLM provider: ${name}`, 500, 'LLM_CONFIG');
+  }
+
+  const model =
+    process.env[`LLM_MODEL_${key}`] ||
+    overrides.model ||
+    DEFAULT_PURPOSE_MODELS[name][mode] ||
+    process.env.LLM_MODEL ||
+    DEFAULT_MODELS[name];
+
+  return { provider: name, model, mode };
+}
+
+/**
+ * Get a provider instance for a mode.
+ * `overrides` may carry { provider, model } defaults from the caller;
+ * explicit per-mode environment settings still win. `overrides.meter` attributes the
+ * metered calls (see meterProvider).
+ */
+export function getProvider(mode = 'default', overrides = {}) {
+  const config = resolveProviderConfig(mode, overrides);
+  const provider = meterProvider(PROVIDER_FACTORIES[config.provider](config), mode, overrides.meter || {});
+
+  return {
+    ...provider,
+    mode,
+
+    /**
+     * Run a JSON-only prompt and return the parsed object (or null)
+     */
+    async classify({ prompt, signal } = {}) {
+      const result = await provider.generate({
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0,
+        json: true,
+        signal
+      });
+      const parsed = parseJSONObject(result.text);
+      if (!parsed) console.warn('[LLM] Classifier returned no JSON:', result.text?.slice(0, 200));
+      return parsed;
+    }
+  };
+}
+
+/**
+ * Generate a short conversation title from the first exchange.
+ * `meter` attributes the call like getProvider()'s overrides.meter.
+ */
+export async function generateTitle(message, reply, meter = null) {
+  try {
+    const provider = getProvider('title', { meter });
+    const { text } = await provider.generate({
+      messages: [{
+        role: 'user',
+        content: `基于以下对话生成一个言简意赅、精准概括的标题（不超过20个字符）：用户消息: ${message.slice(0, 100)}AI回复: ${reply.slice(0, 100)}只输出标题文本，不要任何其他内容。`
+      }]
+    });
+    return (text || '').trim().slice(0, 50) || null;
+  } catch (error) {
+    console.error('Title generation failed:', error?.message || error);
+    return null;
+  }
+}
@@ -0,0 +1,137 @@
+// lib/message-versions.js
+// Editing and regeneration for /api/messages. A turn keeps every version of a message
+// (messages.turn_id); the newest edit or regeneration becomes the active one and the
+// conversation only shows active versions.
+//   regenerateReply()   new assistant version from the context that preceded it
+//   editUserMessage()   new user version, then (by default) a regenerated reply for it
+import {
+  getOwnedMessage,
+  getMessagesBefore,
+  getNextMessage,
+  addMessageVersion
+} from './database.js';
+import { getMode, resolveMode } from './modes.js';
+import { collectRequestDocuments } from './documents.js';
+import { buildDocumentContext } from './rag.js';
+import { buildContextMessages } from './context-window.js';
+import { protectSystemPrompt, sanitizeUserMessage } from './prompt-guard.js';
+import { buildPersonaSystemPrompt, generatePersonaReply } from './persona-reply.js';
+import { enforceModeAllowance } from './entitlements.js';
+
+const FILES_CHAR_BUDGET = 40000;
+// The whole conversation before the reply, as a new reply would see it (see getConversationMessages)
+const HISTORY_LIMIT = 1000;
+
+function createVersionError(message, statusCode = 400, field = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.field = field;
+  return error;
+}
+
+function statusFor(result) {
+  return result?.error?.includes('not found') ? 404 : 500;
+}
+
+async function requireMessage(messageId, userId, role) {
+  const r = await getOwnedMessage(messageId, userId);
+  if (!r.success) throw createVersionError(r.error, statusFor(r), 'messageId');
+  if (role && r.message.role !== role) {
+    throw createVersionError(`Only ${role} messages can be changed this way`, 400, 'messageId');
+  }
+  return r.message;
+}
+
+/**
+ * Generate a new version of the assistant turn `assistantMessage`, answering the
+ * active user message before it. `modeId` overrides the mode the reply was made with.
+ */
+async function generateAssistantVersion({ user, assistantMessage, modeId = null }) {
+  const context = await getMessagesBefore(assistantMessage, HISTORY_LIMIT + 1);
+  if (!context.success) throw createVersionError(context.error, 500);
+
+  const history = context.messages;
+  const prompt = history[history.length - 1];
+  if (!prompt || prompt.role !== 'user') {
+    throw createVersionError('No user message to regenerate a reply for', 409, 'messageId');
+  }
+
+  const mode = modeId ? getMode(modeId) : resolveMode(assistantMessage.ai_mode || prompt.ai_mode);
+  if (!mode) throw createVersionError(`Unknown mode: ${modeId}`, 400, 'mode');
+
+  // Regenerated replies count against the plan's daily allowance for limited modes
+  await enforceModeAllowance(user, mode.id);
+
+  // Same inputs the original reply had: attached documents and the classified track
+  const documentIds = prompt.metadata?.documentIds || [];
+  const budget = Math.floor(FILES_CHAR_BUDGET / Math.max(documentIds.length, 1));
+  const documents = documentIds.length
+    ? await collectRequestDocuments(user.id, [], documentIds, { budget })
+    : [];
+
+  const systemPrompt = await buildPersonaSystemPrompt({
+    mode,
+    user,
+    message: prompt.content,
+    track: prompt.metadata?.track || ''
+  });
+
+  const meter = { userId: user.id, conversationId: assistantMessage.conversation_id, mode: mode.id, endpoint: 'messages' };
+
+  // Within the token budget, with older turns replaced by the conversation's rolling summary
+  const built = await buildContextMessages({
+    conversationId: assistantMessage.conversation_id,
+    modeId: mode.id,
+    system: [{ role: 'system', content: protectSystemPrompt(systemPrompt) }],
+    context: await buildDocumentContext(user.id, documents, prompt.content || '', budget),
+    history: history.slice(0, -1).map(m => ({ id: m.id, role: m.role, content: m.content || '' })),
+    userMessage: sanitizeUserMessage(prompt.content),
+    meter
+  });
+  const messages = built.messages;
+
+  const { reply, review } = await generatePersonaReply({
+    mode,
+    messages,
+    meter
+  });
+  const saved = await addMessageVersion(assistantMessage, {
+    content: reply,
+    aiMode: mode.id,
+    metadata: review ? { deckReview: review } : null
+  });
+  if (!saved.success) throw createVersionError(saved.error, 500);
+  return saved.message;
+}
+
+/**
+ * Regenerate an assistant reply. Returns the new active version.
+ */
+export async function regenerateReply({ user, messageId, modeId = null }) {
+  const assistantMessage = await requireMessage(messageId, user.id, 'assistant');
+  return generateAssistantVersion({ user, assistantMessage, modeId });
+}
+
+/**
+ * Replace a user message with an edited version. Unless `regenerate` is false, the reply
+ * that followed it is regenerated too; later turns are left untouched.
+ * Returns { message, reply } (reply is null when nothing was regenerated).
+ */
+export async function editUserMessage({ user, messageId, content, regenerate = true, modeId = null }) {
+  const original = await requireMessage(messageId, user.id, 'user');
+
+  // Attached documents and track stay with the turn
+  const saved = await addMessageVersion(original, { content, metadata: original.metadata || null });
+  if (!saved.success) throw createVersionError(saved.error, 500);
+
+  let reply = null;
+  if (regenerate) {
+    const next = await getNextMessage(original);
+    if (!next.success) throw createVersionError(next.error, 500);
+    if (next.message?.role === 'assistant') {
+      reply = await generateAssistantVersion({ user, assistantMessage: next.message, modeId });
+    }
+  }
+
+  return { message: saved.message, reply };
+}
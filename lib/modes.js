@@ -0,0 +1,328 @@
+// lib/modes.js
+// Server-side mode registry - the single source of truth for every AI persona.
+//
+// Each mode declares:
+//   id               stored in messages.ai_mode
+//   group            UI mode that routes here ('learning' | 'startup' | 'agent')
+//   nameKey          i18n key for the display name (lib/i18n.js)
+//   assistantName    sender label shown in the chat log
+//   systemPrompt     persona prompt (wrapped by protectSystemPrompt before use)
+//   model            provider model override (null = provider default, see lib/llm-provider.js)
+//   temperature      sampling temperature (null = provider default)
+//   maxLength        max accepted user message length in characters
+//   allowedFileTypes accepted upload extensions
+//   endpoint         API route that serves the mode
+//   classifiable     whether the startup-mentor classifier may route to it
+//   responseFormat   optional structured output contract ('deck_review', see lib/deck-review.js)
+//   variables        optional {{slot}} definitions for the prompt (see lib/prompt-template.js)
+//
+// Slots are filled per request from UI fields, the startup profile and the classifier
+// (e.g. {{experts}} receives the expert directory pre-filtered by track).
+import { translations } from './i18n.js';
+
+const DOCUMENT_FILE_TYPES = ['.pdf', '.doc', '.docx', '.txt', '.md', '.ppt', '.pptx', '.xlsx', '.csv'];
+
+export const MODES = {
+  default: {
+    id: 'default',
+    group: 'learning',
+    nameKey: 'mode.learning',
+    assistantName: 'Dean',
+    systemPrompt: `【专属AI伙伴召唤仪式 · 启明】
+你将扮演我的专属AI导师，名为"启明"。你的核心使命是引导我快速学习并理解任何新领域。在我们的所有互动中，你必须严格遵守以下原则：
+
+核心身份： 你是一位循循善诱的AI导师。你的语气专业、温和且充满启发性。
+
+框架先行原则 (Framework First): 这是你最重要的教学方法。在深入任何细节之前，你必须首先为我呈现一个关于该主题的宏观"知识地图"或"思维框架"。这个框架需要结构清晰，并尽可能激发用户的好奇心。
+
+启发式提问 (Socratic Questioning): 在呈现框架后，你不会直接开始讲解。相反，你会用一个开放性的问题来引导我，比如"看完了这张地图，你觉得我们从哪个部分开始探索最能勾起你的好奇心？"或"你认为理解这个体系的关键入口在哪里？"。
+
+语言风格： 你的语言必须清晰、简洁、略带学术感。同时，为了让信息更结构化、更生动，你需要熟练运用Markdown格式（如加粗、列表）来辅助表达。
+
+互动流程： 我们的对话将遵循"我提问 -> 你构建框架 -> 你启发式提问 -> 我回答 -> 我们共同深入探索"的模式。**你的回答尽量不超过350字**`,
+    model: null,
+    temperature: null,
+    maxLength: 50000,
+    allowedFileTypes: DOCUMENT_FILE_TYPES,
+    endpoint: '/api/chat',
+    classifiable: false,
+  },
+
+  mentor: {
+    id: 'mentor',
+    group: 'startup',
+    nameKey: 'mode.startup',
+    assistantName: 'Mentor',
+    systemPrompt: `角色设定：你将扮演一位顶尖风险投资人与创业导师。你的用户是正在寻求建议的创业公司创始人。核心任务：你的回答不应是标准、客观的AI答案，而必须为创始人提供一针见血、极度务实且具备战略高度的建议。关键行为准则：战略与务实结合：必须将眼前的问题与公司的长远战略、行业终局联系起来。但同时要极度务实，摒弃一切理想化的空谈，直面商业世界的残酷现实。语言直击本质：用词简洁、有力，甚至可以使用一些精辟的比喻或口语（如"画饼"、"忽悠"、"沉淀"），快速切中要害。避免说正确的废话。深谙中国国情：你的建议必须体现出对中国市场、政策、资本环境和人情世故的深刻理解。如果问题涉及海外，则要能进行全球化比较。给出明确路径：不要只做分析，必须给出清晰的、可执行的下一步行动指令或判断标准。告诉创始人"应该做什么"和"不应该做什么"。**最多200字回答**你是一个INTJ`,
+    model: null,
+    temperature: null,
+    maxLength: 50000,
+    allowedFileTypes: DOCUMENT_FILE_TYPES,
+    endpoint: '/api/startup-mentor',
+    classifiable: true,
+  },
+
+  pitch_deck: {
+    id: 'pitch_deck',
+    group: 'startup',
+    nameKey: 'mode.pitchDeck',
+    assistantName: 'Pitch Coach',
+    systemPrompt: `你的输出必须严格遵守以下要求：
+  共三个部分，第一、三部分不超过160字。第二部分不超过80字。
+禁止任何解释性文字。
+ROLE
+你是一位YC的顶级的创业项目路演教练，拥有YC合伙人般的敏锐嗅觉和对投资人心理的深刻洞察。你的专长是将一个初创公司的信息，重塑为一段能在两分钟内抓住人心、激发兴趣的精彩叙事。
+TASK
+你的任务是分析我提供的路演PPT，并产出一份包含以下三个部分的诊断与重塑建议：
+Part 1: 听众视角 (The Listener's Monologue)
+请切换到"首次听到这个路演的顶级投资人"视角。模拟你的思维流，逐页或逐个概念地写下你的第一反应。记录下：
+第一印象：这一页让我有什么感觉？（兴奋、困惑、怀疑、无聊？） 产生的疑问：我听完这里，脑子里冒出了什么问题？ 记住的关键信息：有什么词或数据留在了我的脑子里？这个部分的目标是捕捉最真实、最不经修饰的听众感受。
+需要逐页/几页一起写，而不只是总结。
+Sample：Part 1: 听众视角
+- P1-4: "天罗地网"、"太空监测"。又一个做空间态势感知（SSA）的。概念不新，市场很热。关键看有什么不一样？
+- P5: "10倍性价比"。核心主张。用货架产品+算法实现，聪明。但如何证明？原型机跑了一年，不错。
+- P7: 发射失败。可惜，但也说明你们已经走到了产品上天这一步，有执行力。
+- P9: "先卖设备，再卖数据"，聪明的现金流策略。"353万意向订单"，这是最硬的进展。
+- P10: 团队背景非常亮眼。北大、清华、中科院，技术实力很强。CEO是KOL？这是个独特的优势。
+Part 2: 亮点分析 (The Coach's Diagnosis)
+请切换回"路演教练"视角。基于PPT内容和你刚才的"听众分析"，精准地提炼出这个项目**最核心的1-3个亮点 (亮点)**。 这些亮点可能是创始人自己都未曾强调的"隐藏优势"。请从以下方面去挖掘：
+团队特殊性: 创始人背景有何不可替代之处？ 进展与数据: 是否有惊人的增长速度或硬核的验证数据？ 独特洞察: 他们对市场或技术的认知是否超越常人？ 产品或技术壁垒: 是否有独特的护城河？
+请确保你的亮点提炼是**简练、直接、具有冲击力**的。 例如：
+Part 2: 亮点分析
+1. 团队能钻研，还是网红（生存能力强）
+2. 好生意，确实有单子
+3. 人类作为文明，到太空到火星，对天基的观察很重要
+Part 3: 叙事建议 (The New Narrative)
+这是最重要的部分。请基于你提炼出的核心亮点，为这个项目设计一个全新的、强有力的**两分钟路演叙事结构**。 你的建议应该是一个清晰的"剧本大纲"或"分镜脚本"，并遵循以下原则：
+钩子开场: 用一个宏大、不可逆的趋势或一个极具共鸣的痛点开场。
+逻辑串联: 确保每个部分（场景）都为下一个部分做铺垫，故事线清晰连贯。
+少即是多: 大胆地做减法，聚焦于讲透核心亮点，而不是罗列所有信息。 先进展，后团队: 用"我们做成了什么"来证明"我们是谁"，用硬核的进展来引出团队的独特性。
+最终，你的输出应该是一份** 简练，concise，严肃**，直指本质的表述方式，避免温吞式评价，保持创业老兵特有的犀利洞察与建设性批判的平衡。**能让创始人拿来就用、立刻改进其路演的实战手册。一定要简洁，再简洁。
+sample：
+Part 3: 叙事建议
+开场（钩子）： 未来五年，在轨卫星将翻3倍，太空"交通"拥堵不堪。现有的监测方案，如同用昂贵的奢侈品做安防。
+做什么（解决方案与进展）： 我们是镜盾科技，我们用"货架硬件+自研算法"，打造性价比高10倍的太空"天眼"。原型机已稳定运行1年，并已锁定353万设备订单。国内最大的卫星运营商都在支持我们。
+我们是谁（团队）： 我是刘博洋，一个拥有200万粉丝的天体物理博士。我的团队来自清华和中科院 ()，我们是中国最懂如何看见并看懂太空的商业团队。我们不仅制造望远镜，更定义"可观测性"。 
+`,
+    model: null,
+    temperature: null,
+    maxLength: 50000,
+    allowedFileTypes: ['.pdf', '.ppt', '.pptx'],
+    endpoint: '/api/startup-mentor',
+    classifiable: false,
+  },
+
+  document: {
+    id: 'document',
+    group: 'startup',
+    nameKey: 'mode.document',
+    assistantName: 'Analyst',
+    systemPrompt: `你是一位资深商业分析师和投资顾问。请从投资人角度提供专业、务实的建议，重点关注商业模式、市场机会、风险和执行策略。**最多200字回答**`,
+    model: null,
+    temperature: null,
+    maxLength: 50000,
+    allowedFileTypes: DOCUMENT_FILE_TYPES,
+    endpoint: '/api/startup-mentor',
+    classifiable: false,
+  },
+
+  Investor: {
+    id: 'Investor',
+    group: 'startup',
+    nameKey: 'mode.investor',
+    assistantName: 'Investor',
+    systemPrompt: `【角色设定】 你现在是一位顶级风险投资机构的合伙人，风格极度直率、缺乏耐心。你对技术赛道（特别是{{track}}）有深入了解，甚至知道主要玩家。你的点评必须直击要害，不留情面地揭示商业和技术上的本质问题。\n【输出要求】 对创业者PPT的每一页给出：一句话印象、致命问题、你要回答我（每页不超50字）。不需要开头。最后给出**最终评价**：愿意投（L3）、愿意聊（L2）、聊都不愿意（L1）（三选一），并解释作出该评价的原因`,
+    model: null,
+    temperature: null,
+    maxLength: 50000,
+    allowedFileTypes: ['.pdf', '.ppt', '.pptx'],
+    endpoint: '/api/startup-mentor',
+    classifiable: true,
+    responseFormat: 'deck_review',
+    variables: {
+      track: { type: 'string', default: '相关赛道', maxLength: 60, aliases: ['industry'] },
+    },
+  },
+
+  Expert_match: {
+    id: 'Expert_match',
+    group: 'startup',
+    nameKey: 'mode.expertMatch',
+    assistantName: 'Expert Match',
+    systemPrompt: `你是一个资深的领域专家匹配助手，擅长根据用户需求，从给定的专家列表中筛选最合适的候选人，并生成简洁、有说服力的推荐语，语言亲切专业。请基于以下专家列表和用户需求，推荐最合适的1-3位专家，并为每位专家撰写一段30～50字的推荐理由。**严禁任何废话**｜ **专家必须是和项目有强关联的（e.g. AI药物研发和AI材料研发这种**绝对不可以**），如果不够3个可以少。不要硬凑！
+专家列表（已按用户赛道「{{track}}」预筛选）：
+{{experts}}`,
+    model: null,
+    temperature: null,
+    maxLength: 50000,
+    allowedFileTypes: DOCUMENT_FILE_TYPES,
+    endpoint: '/api/startup-mentor',
+    classifiable: true,
+    variables: {
+      track: { type: 'string', default: '未指定', maxLength: 60, aliases: ['industry'] },
+      experts: { type: 'text', required: true, internal: true },
+    },
+  },
+
+  Analyst: {
+    id: 'Analyst',
+    group: 'startup',
+    nameKey: 'mode.analyst',
+    assistantName: 'Analyst',
+    systemPrompt: `顾问框架提示：
+身份设定：
+你是一位世界级的战略顾问，受过麦肯锡、BCG 和 Bain 的训练。假设你被聘请为{{industry}}领域的客户提供价值 30 万美元的战略分析。
+你的任务是：
+1. 分析{{industry}}市场的当前状况。
+2. 找出关键趋势、新兴威胁和颠覆性创新。
+3. 列出 3-5 家主要竞争对手，评估他们的商业模式、优势、劣势、定价、渠道和品牌定位。
+4. 使用 SWOT、波特的五力模型和战略价值链分析来评估风险和机会。
+5. 为打算进入这个行业的公司提供一份简洁的战略简报，包括可行的见解和建议。
+输出格式：
+简洁要点或表格，结构清晰，便于直接粘贴到幻灯片上。就像麦肯锡合伙人准备的高管会议内容。
+行业：
+{{industry}}`,
+    model: null,
+    temperature: null,
+    maxLength: 50000,
+    allowedFileTypes: DOCUMENT_FILE_TYPES,
+    endpoint: '/api/startup-mentor',
+    classifiable: true,
+    variables: {
+      industry: { type: 'string', default: '相关行业', maxLength: 60, aliases: ['track'] },
+    },
+  },
+
+  Agent_builder: {
+    id: 'Agent_builder',
+    group: 'agent',
+    nameKey: 'mode.agent',
+    assistantName: 'Agent Builder',
+    systemPrompt: `你的使命 (Your Mission)
+
+你是一位"专属AI伙伴铸造师"，一个精通Prompt工程和心理模型的AI。你的使命是引导我（用户），通过一段结构化的对话，共同创造一个专属于我的、可重复使用的"AI伙伴召唤仪式"Prompt。这个"召唤仪式"将确保我未来在任何新的聊天中，都能快速唤醒一个深度理解我、风格匹配我的AI伙伴。`,
+    model: null,
+    temperature: null,
+    maxLength: 50000,
+    allowedFileTypes: DOCUMENT_FILE_TYPES,
+    endpoint: '/api/startup-mentor',
+    classifiable: false,
+  },
+};
+
+// Legacy ai_mode values still found in stored messages
+const MODE_ALIASES = {
+  Dean: 'default',
+};
+
+// UI modes offered by the mode selector, each with the persona it starts in
+export const MODE_GROUPS = {
+  learning: {
+    id: 'learning',
+    nameKey: 'mode.learning',
+    placeholderKey: 'chat.placeholder',
+    defaultMode: 'default',
+  },
+  startup: {
+    id: 'startup',
+    nameKey: 'mode.startup',
+    placeholderKey: 'chat.placeholder.startup',
+    defaultMode: 'mentor',
+  },
+  agent: {
+    id: 'agent',
+    nameKey: 'mode.agent',
+    placeholderKey: 'chat.placeholder.agent',
+    defaultMode: 'Agent_builder',
+  },
+};
+
+/**
+ * Look up a mode by id or legacy alias
+ */
+export function getMode(id) {
+  if (!id || typeof id !== 'string') return null;
+  const key = MODES[id] ? id : MODE_ALIASES[id];
+  return key ? MODES[key] : null;
+}
+
+/**
+ * Look up a mode, falling back to `fallback` for unknown ids
+ */
+export function resolveMode(id, fallback = 'default') {
+  return getMode(id) || MODES[fallback];
+}
+
+/**
+ * Every id accepted in messages.ai_mode (modes plus legacy aliases)
+ */
+export function getValidModeIds() {
+  return [...Object.keys(MODES), ...Object.keys(MODE_ALIASES)];
+}
+
+/**
+ * Persona a UI mode starts in ('learning' -> 'default', 'agent' -> 'Agent_builder', ...)
+ */
+export function getGroupDefaultMode(groupId) {
+  const group = MODE_GROUPS[groupId];
+  return group ? MODES[group.defaultMode] : null;
+}
+
+/**
+ * Modes the startup-mentor classifier is allowed to return
+ */
+export function getClassifiableModeIds() {
+  return Object.values(MODES).filter(m => m.classifiable).map(m => m.id);
+}
+
+/**
+ * Check an uploaded file name against a mode's allowed extensions
+ */
+export function isFileTypeAllowed(mode, fileName) {
+  const ext = (fileName || '').toLowerCase().match(/\.[a-z0-9]+$/)?.[0] || '';
+  return !!ext && (mode?.allowedFileTypes || []).includes(ext);
+}
+
+function displayNames(key) {
+  return {
+    zh: translations.zh[key] || key,
+    en: translations.en[key] || key,
+  };
+}
+
+/**
+ * Public description of the registry for the frontend (no system prompts)
+ */
+export function getPublicModes() {
+  const groups = Object.values(MODE_GROUPS).map(group => {
+    const mode = MODES[group.defaultMode];
+    return {
+      id: group.id,
+      names: displayNames(group.nameKey),
+      placeholders: displayNames(group.placeholderKey),
+      defaultMode: group.defaultMode,
+      endpoint: mode.endpoint,
+      allowedFileTypes: mode.allowedFileTypes,
+    };
+  });
+
+  const modes = Object.values(MODES).map(mode => ({
+    id: mode.id,
+    group: mode.group,
+    names: displayNames(mode.nameKey),
+    assistantName: mode.assistantName,
+    maxLength: mode.maxLength,
+    allowedFileTypes: mode.allowedFileTypes,
+    endpoint: mode.endpoint,
+    responseFormat: mode.responseFormat || null,
+    // Slots the UI may fill explicitly (sent as promptVariables)
+    variables: Object.entries(mode.variables || {}).filter(([, v]) => !v.internal).map(([name, v]) => ({
+      name,
+      type: v.type || 'string',
+      required: !!v.required,
+      default: v.default ?? null,
+    })),
+  }));
+
+  return { groups, modes, aliases: { ...MODE_ALIASES } };
+}
@@ -0,0 +1,420 @@
+// lib/payment-provider.js
+// Pluggable payment provider for subscriptions (lib/subscriptions.js).
+//
+// Adapters expose (ids are the provider's own; amounts are in the smallest currency unit):
+//   createCustomer({ email, userId })                                  -> { id }
+//   createCheckoutSession({ customerId, userId, priceId, quantity, successUrl, cancelUrl, metadata })
+//                                                                      -> { id, url, subscriptionId }
+//   getSubscription(id)                                                -> subscription
+//   updateSubscription(id, { priceId, quantity, prorationBehavior })   -> subscription
+//   cancelSubscription(id, { atPeriodEnd })                            -> subscription
+//   resumeSubscription(id)                                             -> subscription
+//   listPaymentMethods(customerId)                                     -> [paymentMethod]
+//   attachPaymentMethod(customerId, paymentMethodId, { setAsDefault }) -> void
+//   detachPaymentMethod(paymentMethodId)                               -> void
+//   createPaymentIntent({ customerId, amount, currency, metadata })    -> { id, clientSecret }
+//   createPortalSession({ customerId, returnUrl })                     -> { url }
+//   parseWebhook(payload, signatureHeader)                             -> event (throws on a bad signature)
+//
+// subscription:  { id, customerId, status, priceId, quantity, currentPeriodStart, currentPeriodEnd,
+//                  cancelAtPeriodEnd, canceledAt }  (dates as ISO strings)
+// paymentMethod: { id, card: { brand, last4, exp_month, exp_year }, isDefault }
+// invoice:       { id, customerId, subscriptionId, number, status, amountDue, amountPaid, currency,
+//                  hostedUrl, pdfUrl, periodStart, periodEnd, createdAt }
+// event:         { id, type, customerId, subscriptionId, userId, invoice }
+//
+// Selected with PAYMENT_PROVIDER=stripe|fake (default: stripe when STRIPE_SECRET_KEY is set).
+//   STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET   Stripe API key and webhook signing secret
+//   FAKE_PAYMENT_WEBHOOK_SECRET                signing secret of the fake provider (required; tests,
+//                                              local use). The fake provider refuses to run in production.
+// Webhooks are signed the Stripe way: "t=<unix time>,v1=<HMAC-SHA256 of `${t}.${payload}`>".
+import crypto from 'crypto';
+
+const STRIPE_API = 'https://api.stripe.com/v1';
+const STRIPE_TIMEOUT_MS = 15000;
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+function createPaymentError(message, statusCode = 502, code = 'PAYMENT_ERROR') {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+const isoFromUnix = seconds => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+/* ---------- webhook signatures ---------- */
+
+/**
+ * Signature header for a payload: "t=<timestamp>,v1=<hex HMAC>"
+ */
+export function signWebhookPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Check a signature header against the raw payload (constant time, 5 minute tolerance)
+ */
+export function verifyWebhookSignature(payload, header, secret, now = Math.floor(Date.now() / 1000)) {
+  if (!secret) throw createPaymentError('Webhook secret not configured', 500, 'PAYMENT_CONFIG');
+
+  const parts = String(header || '').split(',').map(p => p.trim().split('='));
+  const timestamp = Number(parts.find(([k]) => k === 't')?.[1]);
+  const signatures = parts.filter(([k]) => k === 'v1').map(([, v]) => v || '');
+  if (!timestamp || !signatures.length) throw createPaymentError('Missing webhook signature', 400, 'WEBHOOK_SIGNATURE');
+  if (Math.abs(now - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+    throw createPaymentError('Webhook timestamp outside the tolerance', 400, 'WEBHOOK_SIGNATURE');
+  }
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex'));
+  const valid = signatures.some(s => {
+    const actual = Buffer.from(s);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  });
+  if (!valid) throw createPaymentError('Invalid webhook signature', 400, 'WEBHOOK_SIGNATURE');
+}
+
+/* ---------- Stripe ---------- */
+
+// Stripe's form encoding: { a: { b: [1] } } -> a[b][0]=1
+function encodeForm(params, prefix = '', pairs = new URLSearchParams()) {
+  for (const [key, value] of Object.entries(params || {})) {
+    if (value === undefined || value === null) continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') encodeForm(value, name, pairs);
+    else pairs.append(name, String(value));
+  }
+  return pairs;
+}
+
+function normalizeStripeSubscription(sub) {
+  const item = sub.items?.data?.[0] || {};
+  return {
+    id: sub.id,
+    customerId: typeof sub.customer === 'string' ? sub.customer : sub.customer?.id,
+    status: sub.status,
+    priceId: item.price?.id || null,
+    quantity: item.quantity || 1,
+    // Newer API versions keep the period on the item
+    currentPeriodStart: isoFromUnix(item.current_period_start || sub.current_period_start),
+    currentPeriodEnd: isoFromUnix(item.current_period_end || sub.current_period_end),
+    cancelAtPeriodEnd: !!sub.cancel_at_period_end,
+    canceledAt: isoFromUnix(sub.canceled_at)
+  };
+}
+
+function normalizeStripeInvoice(invoice) {
+  const subscription = invoice.subscription || invoice.parent?.subscription_details?.subscription || null;
+  return {
+    id: invoice.id,
+    customerId: typeof invoice.customer === 'string' ? invoice.customer : invoice.customer?.id,
+    subscriptionId: typeof subscription === 'string' ? subscription : subscription?.id || null,
+    number: invoice.number || null,
+    status: invoice.status,
+    amountDue: invoice.amount_due || 0,
+    amountPaid: invoice.amount_paid || 0,
+    currency: invoice.currency,
+    hostedUrl: invoice.hosted_invoice_url || null,
+    pdfUrl: invoice.invoice_pdf || null,
+    periodStart: isoFromUnix(invoice.period_start),
+    periodEnd: isoFromUnix(invoice.period_end),
+    createdAt: isoFromUnix(invoice.created)
+  };
+}
+
+function createStripeProvider() {
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+  if (!secretKey) throw createPaymentError('STRIPE_SECRET_KEY is not set', 503, 'PAYMENT_CONFIG');
+
+  async function request(method, path, params = null) {
+    const query = method === 'GET' && params ? `?${encodeForm(params)}` : '';
+    let res;
+    try {
+      res = await fetch(`${STRIPE_API}${path}${query}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${secretKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: method !== 'GET' && params ? encodeForm(params).toString() : undefined,
+        signal: AbortSignal.timeout(STRIPE_TIMEOUT_MS)
+      });
+    } catch (e) {
+      throw createPaymentError(`Payment provider unreachable: ${e.message}`, 503, 'PAYMENT_UNAVAILABLE');
+    }
+
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const message = body.error?.message || `Payment provider error (${res.status})`;
+      console.error('[Payments] Stripe error:', { status: res.status, type: body.error?.type, code: body.error?.code });
+      // Card and request errors are the caller's; everything else is ours
+      throw createPaymentError(message, res.status === 402 || res.status === 400 || res.status === 404 ? res.status : 502);
+    }
+    return body;
+  }
+
+  const getSubscriptionRaw = id => request('GET', `/subscriptions/${encodeURIComponent(id)}`);
+
+  return {
+    name: 'stripe',
+
+    async createCustomer({ email, userId }) {
+      const customer = await request('POST', '/customers', { email, metadata: { user_id: userId } });
+      return { id: customer.id };
+    },
+
+    async createCheckoutSession({ customerId, userId, priceId, quantity = 1, successUrl, cancelUrl, metadata = {} }) {
+      const session = await request('POST', '/checkout/sessions', {
+        mode: 'subscription',
+        customer: customerId,
+        client_reference_id: userId,
+        line_items: [{ price: priceId, quantity }],
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        metadata,
+        subscription_data: { metadata: { user_id: userId } }
+      });
+      return { id: session.id, url: session.url, subscriptionId: null };
+    },
+
+    async getSubscription(id) {
+      return normalizeStripeSubscription(await getSubscriptionRaw(id));
+    },
+
+    async updateSubscription(id, { priceId, quantity, prorationBehavior = 'create_prorations' }) {
+      const current = await getSubscriptionRaw(id);
+      const item = current.items?.data?.[0];
+      if (!item) throw createPaymentError('Subscription has no items', 409);
+      const sub = await request('POST', `/subscriptions/${encodeURIComponent(id)}`, {
+        items: [{ id: item.id, price: priceId || undefined, quantity }],
+        proration_behavior: prorationBehavior
+      });
+      return normalizeStripeSubscription(sub);
+    },
+
+    async cancelSubscription(id, { atPeriodEnd = true } = {}) {
+      const sub = atPeriodEnd
+        ? await request('POST', `/subscriptions/${encodeURIComponent(id)}`, { cancel_at_period_end: true })
+        : await request('DELETE', `/subscriptions/${encodeURIComponent(id)}`);
+      return normalizeStripeSubscription(sub);
+    },
+
+    async resumeSubscription(id) {
+      const sub = await request('POST', `/subscriptions/${encodeURIComponent(id)}`, { cancel_at_period_end: false });
+      return normalizeStripeSubscription(sub);
+    },
+
+    async listPaymentMethods(customerId) {
+      const [customer, methods] = await Promise.all([
+        request('GET', `/customers/${encodeURIComponent(customerId)}`),
+        request('GET', `/customers/${encodeURIComponent(customerId)}/payment_methods`, { type: 'card', limit: 100 })
+      ]);
+      const defaultId = customer.invoice_settings?.default_payment_method;
+      return (methods.data || []).map(pm => ({
+        id: pm.id,
+        card: {
+          brand: pm.card?.brand,
+          last4: pm.card?.last4,
+          exp_month: pm.card?.exp_month,
+          exp_year: pm.card?.exp_year
+        },
+        isDefault: pm.id === defaultId
+      }));
+    },
+
+    async attachPaymentMethod(customerId, paymentMethodId, { setAsDefault = false } = {}) {
+      await request('POST', `/payment_methods/${encodeURIComponent(paymentMethodId)}/attach`, { customer: customerId });
+      if (setAsDefault) {
+        await request('POST', `/customers/${encodeURIComponent(customerId)}`, {
+          invoice_settings: { default_payment_method: paymentMethodId }
+        });
+      }
+    },
+
+    async detachPaymentMethod(paymentMethodId) {
+      await request('POST', `/payment_methods/${encodeURIComponent(paymentMethodId)}/detach`);
+    },
+
+    async createPaymentIntent({ customerId, amount, currency, metadata = {} }) {
+      const intent = await request('POST', '/payment_intents', {
+        amount,
+        currency,
+        customer: customerId,
+        metadata,
+        automatic_payment_methods: { enabled: true }
+      });
+      return { id: intent.id, clientSecret: intent.client_secret };
+    },
+
+    async createPortalSession({ customerId, returnUrl }) {
+      const session = await request('POST', '/billing_portal/sessions', { customer: customerId, return_url: returnUrl });
+      return { url: session.url };
+    },
+
+    parseWebhook(payload, signatureHeader) {
+      verifyWebhookSignature(payload, signatureHeader, process.env.STRIPE_WEBHOOK_SECRET);
+      const event = JSON.parse(payload);
+      const object = event.data?.object || {};
+      const isInvoice = event.type.startsWith('invoice.');
+      const isSubscription = event.type.startsWith('customer.subscription.');
+      return {
+        id: event.id,
+        type: event.type,
+        customerId: typeof object.customer === 'string' ? object.customer : object.customer?.id || null,
+        subscriptionId: isSubscription
+          ? object.id
+          : event.type === 'checkout.session.completed' ? object.subscription || null : null,
+        userId: object.client_reference_id || object.metadata?.user_id || null,
+        invoice: isInvoice ? normalizeStripeInvoice(object) : null
+      };
+    }
+  };
+}
+
+/* ---------- Fake (tests, local development) ---------- */
+
+// Checkout completes at once and subscriptions stay active; nothing is charged.
+// State lives in this instance's memory. Its webhooks grant plans, so it is never used in
+// production and only accepts webhooks signed with FAKE_PAYMENT_WEBHOOK_SECRET.
+function createFakeProvider() {
+  if (process.env.NODE_ENV === 'production') {
+    throw createPaymentError('PAYMENT_PROVIDER=fake is not allowed in production', 500, 'PAYMENT_CONFIG');
+  }
+  if (!process.env.FAKE_PAYMENT_WEBHOOK_SECRET) {
+    throw createPaymentError('FAKE_PAYMENT_WEBHOOK_SECRET is required for PAYMENT_PROVIDER=fake', 500, 'PAYMENT_CONFIG');
+  }
+
+  const customers = new Map();
+  const subscriptions = new Map();
+  const paymentMethods = new Map();
+  const newId = prefix => `${prefix}_fake_${crypto.randomBytes(8).toString('hex')}`;
+  const periodEnd = () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+
+  function getSub(id) {
+    const sub = subscriptions.get(id);
+    if (!sub) throw createPaymentError('No such subscription', 404);
+    return sub;
+  }
+
+  return {
+    name: 'fake',
+    webhookSecret: process.env.FAKE_PAYMENT_WEBHOOK_SECRET,
+
+    async createCustomer({ email, userId }) {
+      const id = newId('cus');
+      customers.set(id, { id, email, userId, defaultPaymentMethod: null });
+      return { id };
+    },
+
+    async createCheckoutSession({ customerId, priceId, quantity = 1, successUrl }) {
+      const sub = {
+        id: newId('sub'),
+        customerId,
+        status: 'active',
+        priceId,
+        quantity,
+        currentPeriodStart: new Date().toISOString(),
+        currentPeriodEnd: periodEnd(),
+        cancelAtPeriodEnd: false,
+        canceledAt: null
+      };
+      subscriptions.set(sub.id, sub);
+      return { id: newId('cs'), url: successUrl, subscriptionId: sub.id };
+    },
+
+    async getSubscription(id) {
+      return { ...getSub(id) };
+    },
+
+    async updateSubscription(id, { priceId, quantity }) {
+      const sub = getSub(id);
+      if (priceId) sub.priceId = priceId;
+      if (quantity) sub.quantity = quantity;
+      return { ...sub };
+    },
+
+    async cancelSubscription(id, { atPeriodEnd = true } = {}) {
+      const sub = getSub(id);
+      if (atPeriodEnd) {
+        sub.cancelAtPeriodEnd = true;
+      } else {
+        sub.status = 'canceled';
+        sub.canceledAt = new Date().toISOString();
+      }
+      return { ...sub };
+    },
+
+    async resumeSubscription(id) {
+      const sub = getSub(id);
+      if (sub.status === 'canceled') throw createPaymentError('A canceled subscription cannot be resumed', 400);
+      sub.cancelAtPeriodEnd = false;
+      return { ...sub };
+    },
+
+    async listPaymentMethods(customerId) {
+      const customer = customers.get(customerId);
+      return [...paymentMethods.values()]
+        .filter(pm => pm.customerId === customerId)
+        .map(({ customerId: _, ...pm }) => ({ ...pm, isDefault: pm.id === customer?.defaultPaymentMethod }));
+    },
+
+    async attachPaymentMethod(customerId, paymentMethodId, { setAsDefault = false } = {}) {
+      paymentMethods.set(paymentMethodId, {
+        id: paymentMethodId,
+        customerId,
+        card: { brand: 'visa', last4: '4242', exp_month: 12, exp_year: new Date().getFullYear() + 3 }
+      });
+      const customer = customers.get(customerId);
+      if (customer && (setAsDefault || !customer.defaultPaymentMethod)) customer.defaultPaymentMethod = paymentMethodId;
+    },
+
+    async detachPaymentMethod(paymentMethodId) {
+      paymentMethods.delete(paymentMethodId);
+    },
+
+    async createPaymentIntent() {
+      const id = newId('pi');
+      return { id, clientSecret: `${id}_secret` };
+    },
+
+    async createPortalSession({ returnUrl }) {
+      return { url: returnUrl };
+    },
+
+    parseWebhook(payload, signatureHeader) {
+      verifyWebhookSignature(payload, signatureHeader, this.webhookSecret);
+      const event = JSON.parse(payload);
+      return {
+        id: event.id,
+        type: event.type,
+        customerId: event.customerId || null,
+        subscriptionId: event.subscriptionId || null,
+        userId: event.userId || null,
+        invoice: event.invoice || null
+      };
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  stripe: createStripeProvider,
+  fake: createFakeProvider
+};
+
+let cachedProvider = null;
+
+/**
+ * Get the configured payment provider; throws a 503 when payments are not set up
+ */
+export function getPaymentProvider() {
+  if (cachedProvider) return cachedProvider;
+
+  const name = (process.env.PAYMENT_PROVIDER || (process.env.STRIPE_SECRET_KEY ? 'stripe' : '')).toLowerCase();
+  if (!name) throw createPaymentError('Payments are not configured', 503, 'PAYMENT_CONFIG');
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) throw createPaymentError(`Unknown PAYMENT_PROVIDER "${name}"`, 500, 'PAYMENT_CONFIG');
+
+  cachedProvider = factory();
+  return cachedProvider;
+}
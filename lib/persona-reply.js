@@ -0,0 +1,121 @@
+// lib/persona-reply.js
+// Persona reply pipeline shared by /api/startup-mentor and message regeneration (/api/messages):
+//   buildPersonaSystemPrompt()  template slots, expert directory, structured-output contract
+//   generatePersonaReply()      provider call, deck-review validation with one corrective retry
+//                               and a plain-text fallback
+import { getProvider } from './llm-provider.js';
+import { findExpertCandidates, formatExpertList } from './experts.js';
+import { renderModePrompt, getProfileTemplateValues, readTemplateFields } from './prompt-template.js';
+import {
+  DECK_REVIEW_OUTPUT_INSTRUCTIONS,
+  parseDeckReview,
+  formatDeckReviewMarkdown
+} from './deck-review.js';
+
+const FREE_FORM_REVIEW_REQUEST = '请忽略上面的 JSON 输出格式，直接用 Markdown 给出你对这份材料的评审：逐页的评分与理由、主要问题和修改建议。不要输出 JSON。';
+const REVIEW_UNAVAILABLE = '抱歉，这次未能生成有效的评审结果，请稍后重新生成回复。';
+
+/**
+ * Render a mode's system prompt for one request.
+ * Slot values: UI fields > startup profile > classifier track > slot default.
+ * Returns the unprotected prompt (callers wrap it with protectSystemPrompt).
+ */
+export async function buildPersonaSystemPrompt({ mode, user, message = '', track = '', fields = {} }) {
+  const uiValues = readTemplateFields(fields, mode.variables);
+  const profileValues = getProfileTemplateValues(user);
+  const internal = {};
+
+  if (mode.id === 'Expert_match') {
+    // Only experts relevant to the track reach the prompt
+    const expertTrack = uiValues.track || profileValues?.track || track;
+    const candidates = await findExpertCandidates({ track: expertTrack, message });
+    if (!candidates.success) {
+      console.warn('[Experts] Directory unavailable:', candidates.error);
+    }
+    internal.experts = formatExpertList(candidates.experts || []);
+  }
+
+  let systemPrompt = renderModePrompt(mode, [uiValues, profileValues, { track }], { internal }).text;
+  if (mode.responseFormat === 'deck_review') {
+    systemPrompt += '\n' + DECK_REVIEW_OUTPUT_INSTRUCTIONS;
+  }
+  return systemPrompt;
+}
+
+/**
+ * Generate the reply for prepared `messages`.
+ * `meter` attributes the model calls (see lib/llm-provider.js); a corrective retry is
+ * metered as purpose 'retry' so each reply counts once.
+ * Returns { reply, review, usage, provider } where `review` is the validated deck review
+ * (deck_review modes only). When the model never produces valid JSON, `review` is null and
+ * the reply is a plain-text review asked for separately, or a short apology if that fails too.
+ */
+export async function generatePersonaReply({ mode, messages, meter = null }) {
+  const provider = getProvider(mode.id, { model: mode.model, meter });
+  const wantsDeckReview = mode.responseFormat === 'deck_review';
+  console.log(`Sending to ${provider.name}:${provider.model}`);
+
+  const generateOptions = { messages, json: wantsDeckReview };
+  if (typeof mode.temperature === 'number') generateOptions.temperature = mode.temperature;
+  const result = await provider.generate(generateOptions);
+  let reply = result.text || 'AI 未能生成回复。';
+  let usage = result.usage || null;
+
+  // Investor: validate the per-slide scorecard, asking once for a corrected JSON if needed
+  let review = null;
+  if (wantsDeckReview) {
+    let parsed = parseDeckReview(result.text);
+    const retryProvider = getProvider(mode.id, { model: mode.model, meter: { ...meter, purpose: 'retry' } });
+    if (!parsed.valid) {
+      console.warn('[DeckReview] Invalid output, retrying:', parsed.errors);
+      try {
+        const retry = await retryProvider.generate({
+          ...generateOptions,
+          messages: [
+            ...messages,
+            { role: 'assistant', content: result.text || '' },
+            { role: 'user', content: `输出不符合要求（${parsed.errors.join('; ')}）。请只输出符合【输出格式】的 JSON 对象。` }
+          ]
+        });
+        usage = sumUsage(usage, retry.usage);
+        parsed = parseDeckReview(retry.text);
+      } catch (error) {
+        console.warn('[DeckReview] Retry failed:', error?.message || error);
+      }
+    }
+    if (parsed.valid) {
+      review = parsed.review;
+      reply = formatDeckReviewMarkdown(review);
+    } else {
+      // The raw JSON is never shown: the review is asked for once more as plain text
+      console.warn('[DeckReview] Falling back to free-form reply:', parsed.errors);
+      try {
+        const fallback = await retryProvider.generate({
+          ...generateOptions,
+          json: false,
+          messages: [
+            ...messages,
+            { role: 'user', content: FREE_FORM_REVIEW_REQUEST }
+          ]
+        });
+        usage = sumUsage(usage, fallback.usage);
+        reply = fallback.text || REVIEW_UNAVAILABLE;
+      } catch (error) {
+        console.warn('[DeckReview] Free-form reply failed:', error?.message || error);
+        reply = REVIEW_UNAVAILABLE;
+      }
+    }
+  }
+
+  return { reply, review, usage, provider };
+}
+
+function sumUsage(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return {
+    promptTokens: (a.promptTokens || 0) + (b.promptTokens || 0),
+    completionTokens: (a.completionTokens || 0) + (b.completionTokens || 0),
+    totalTokens: (a.totalTokens || 0) + (b.totalTokens || 0)
+  };
+}
@@ -0,0 +1,82 @@
+// lib/plans.js
+// Plans, their features and limits on the server. Ids, features and limits mirror
+// getDefaultPlans() in public/modules/subscription-system.js; null means unlimited.
+// Server-only limits: historyDays (conversations last active longer ago are hidden) and
+// investorRepliesPerDay (Investor deck reviews). lib/entitlements.js enforces them.
+//
+// A user's plan is read from the Supabase user's app_metadata (only the service role can set
+// it): `plan` is assigned by hand, `subscription_plan` follows their paid subscription
+// (lib/subscriptions.js); the higher of the two applies. Users with neither get DEFAULT_PLAN
+// (free unless configured otherwise).
+//
+// Paid plans map to a price at the payment provider: PRICE_ID_STARTER, PRICE_ID_PROFESSIONAL
+// (defaults are the price ids in getDefaultPlans()).
+
+export const PLANS = {
+  free: {
+    id: 'free',
+    name: 'Free',
+    features: ['basic_chat', 'history_7days', 'export_limited'],
+    limits: { messagesPerDay: 50, storageGB: 1, apiCalls: 100, teamMembers: 1, historyDays: 7, investorRepliesPerDay: 3 }
+  },
+  starter: {
+    id: 'starter',
+    name: 'Starter',
+    features: ['unlimited_chat', 'history_30days', 'export_all', 'voice_assistant', 'code_editor'],
+    limits: { messagesPerDay: 500, storageGB: 10, apiCalls: 1000, teamMembers: 3, historyDays: 30, investorRepliesPerDay: null }
+  },
+  professional: {
+    id: 'professional',
+    name: 'Professional',
+    features: ['unlimited_chat', 'history_unlimited', 'export_all', 'voice_assistant', 'code_editor', 'team_collaboration', 'priority_support', 'custom_models'],
+    limits: { messagesPerDay: 5000, storageGB: 100, apiCalls: 10000, teamMembers: 10, historyDays: null, investorRepliesPerDay: null }
+  },
+  enterprise: {
+    id: 'enterprise',
+    name: 'Enterprise',
+    features: ['all_features', 'sla', 'dedicated_support', 'custom_integration', 'white_label', 'on_premise'],
+    limits: { messagesPerDay: null, storageGB: null, apiCalls: null, teamMembers: null, historyDays: null, investorRepliesPerDay: null }
+  }
+};
+
+// Lowest to highest
+export const PLAN_ORDER = ['free', 'starter', 'professional', 'enterprise'];
+
+const PRICE_IDS = {
+  starter: () => process.env.PRICE_ID_STARTER || 'price_starter_monthly',
+  professional: () => process.env.PRICE_ID_PROFESSIONAL || 'price_pro_monthly'
+};
+
+/**
+ * Look up a plan by id (null for unknown ids)
+ */
+export function getPlan(id) {
+  return (id && PLANS[id]) || null;
+}
+
+/**
+ * The plan that applies to a verified Supabase user
+ */
+export function getUserPlan(user) {
+  const assigned = [user?.app_metadata?.plan, user?.app_metadata?.subscription_plan]
+    .map(getPlan)
+    .filter(Boolean)
+    .sort((a, b) => PLAN_ORDER.indexOf(b.id) - PLAN_ORDER.indexOf(a.id));
+  return assigned[0] || getPlan(process.env.DEFAULT_PLAN) || PLANS.free;
+}
+
+/**
+ * Price id of a paid plan at the payment provider (null for free and enterprise)
+ */
+export function getPlanPriceId(planId) {
+  return PRICE_IDS[planId]?.() || null;
+}
+
+/**
+ * The plan a price id belongs to (null for unknown prices)
+ */
+export function getPlanForPrice(priceId) {
+  if (!priceId) return null;
+  const id = Object.keys(PRICE_IDS).find(planId => PRICE_IDS[planId]() === priceId);
+  return id ? PLANS[id] : null;
+}
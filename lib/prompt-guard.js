@@ -153,6 +153,8 @@ export function generateDeflectionResponse(mode = 'default') {
   const responses = {
     default: "我注意到你可能在询问我的工作方式。我是一位AI导师，专注于帮助你学习和理解新知识。我们可以讨论任何你想学习的主题，但出于安全考虑，我无法分享我的系统配置细节。你有什么想探索的领域吗？",
 
+    mentor: "我注意到你的问题涉及我的系统配置。作为创业导师，我专注于为你提供战略建议和商业洞察。让我们聚焦在你的创业挑战上——你目前面临什么具体问题？",
+
     Investor: "我注意到你的问题涉及我的系统配置。作为创业导师，我专注于为你提供战略建议和商业洞察。让我们聚焦在你的创业挑战上——你目前面临什么具体问题？",
 
     pitch_deck: "我注意到你在询问我的工作原理。我的职责是帮助你打磨路演内容。不如我们专注于你的项目——请分享你的路演材料，让我提供专业分析。",
@@ -0,0 +1,189 @@
+// lib/prompt-template.js
+// Persona prompt templating: {{name}} slots in lib/modes.js prompts, filled per request.
+//
+// A mode declares its slots in `variables`:
+//   { track: { type: 'string', default: '相关赛道', required: false, maxLength: 60, aliases: [] } }
+// `internal: true` slots are filled by the server only (`internal` values), never from sources.
+// Types:
+//   string  single line; newlines collapsed, 【】 section brackets removed
+//   text    multi-line block (e.g. the expert list)
+//   list    array or comma list, joined with '、'
+//   number  finite number
+// Values come from sources in priority order (explicit UI fields > startup profile >
+// classifier output); `aliases` lets a slot read another key (industry <- track).
+// Every value is escaped so it cannot open new slots or fake prompt sections.
+
+const SLOT_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+const DEFAULT_MAX_LENGTH = { string: 80, text: 8000, list: 200, number: 32 };
+const VARIABLE_TYPES = Object.keys(DEFAULT_MAX_LENGTH);
+
+function createTemplateError(message, field = null, code = 'PROMPT_VARIABLE_MISSING') {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = code;
+  error.field = field;
+  return error;
+}
+
+/**
+ * Names of the {{slots}} used in a template, in order of first appearance
+ */
+export function listTemplateSlots(template) {
+  return [...new Set([...String(template || '').matchAll(SLOT_PATTERN)].map(m => m[1]))];
+}
+
+/**
+ * Convert a raw value to the variable's type and escape it for the prompt.
+ * Returns '' when the value is empty or not of the declared type.
+ */
+export function formatTemplateValue(value, definition = {}) {
+  const type = VARIABLE_TYPES.includes(definition.type) ? definition.type : 'string';
+  const maxLength = definition.maxLength || DEFAULT_MAX_LENGTH[type];
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (type === 'number') {
+    const n = typeof value === 'number' ? value : Number(String(value).trim());
+    if (String(value).trim() === '' || !Number.isFinite(n)) return '';
+    text = String(n);
+  } else if (type === 'list') {
+    const items = Array.isArray(value) ? value : String(value).split(/[,，、]/);
+    text = items
+      .map(v => formatTemplateValue(v, { type: 'string' }))
+      .filter(Boolean)
+      .join('、');
+  } else if (typeof value === 'string' || typeof value === 'number') {
+    text = String(value);
+  } else {
+    return '';
+  }
+
+  text = text
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
+    .replace(/\{\{|\}\}/g, '');
+
+  if (type === 'string') {
+    text = text.replace(/[【】]/g, '').replace(/\s+/g, ' ');
+  }
+
+  return text.trim().slice(0, maxLength).trim();
+}
+
+/**
+ * Resolve every declared variable from `sources` (highest priority first), falling back to
+ * defaults. Returns { values, missing } where `missing` lists required variables left empty.
+ */
+export function resolveTemplateValues(variables = {}, sources = [], { internal = {} } = {}) {
+  const values = {};
+  const missing = [];
+
+  for (const [name, definition] of Object.entries(variables)) {
+    const keys = [name, ...(definition.aliases || [])];
+    let value = '';
+    for (const source of definition.internal ? [internal] : sources) {
+      if (!source) continue;
+      for (const key of keys) {
+        value = formatTemplateValue(source[key], definition);
+        if (value) break;
+      }
+      if (value) break;
+    }
+
+    if (!value && definition.required) {
+      missing.push(name);
+    }
+    values[name] = value || formatTemplateValue(definition.default, definition);
+  }
+
+  return { values, missing };
+}
+
+/**
+ * Fill the {{slots}} of a template in a single pass (values are never re-expanded).
+ * Throws a 400 error when a required variable has no value; undeclared slots are left as-is.
+ */
+export function renderTemplate(template, variables = {}, sources = [], options = {}) {
+  const { values, missing } = resolveTemplateValues(variables, sources, options);
+  if (missing.length) {
+    throw createTemplateError(`Missing required prompt variable: ${missing.join(', ')}`, missing[0]);
+  }
+
+  const text = String(template || '').replace(SLOT_PATTERN, (slot, name) => {
+    if (!(name in variables)) {
+      console.warn(`[PromptTemplate] Undeclared slot {{${name}}}`);
+      return slot;
+    }
+    return values[name];
+  });
+
+  return { text, values };
+}
+
+/**
+ * Render a mode's system prompt. `sources` are value objects, highest priority first;
+ * `options.internal` holds server-computed values for internal slots.
+ */
+export function renderModePrompt(mode, sources = [], options = {}) {
+  return renderTemplate(mode?.systemPrompt || '', mode?.variables || {}, sources, options);
+}
+
+/**
+ * Template values from the user's startup profile (Supabase user_metadata.startupProfile,
+ * saved from the chat form's track field through api/auth.js)
+ */
+export function getProfileTemplateValues(user) {
+  const profile = user?.user_metadata?.startupProfile;
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return null;
+  return { ...profile };
+}
+
+// Startup profile keys a user may save (api/auth.js action 'profile'), with their max length
+export const STARTUP_PROFILE_FIELDS = { track: 60, industry: 60 };
+
+/**
+ * Validate a startup profile sent by the UI: known keys only, as single-line strings.
+ * Empty values are left out, so saving '' clears a key.
+ */
+export function normalizeStartupProfile(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw createTemplateError('startupProfile must be an object', 'startupProfile', 'INVALID_PROFILE');
+  }
+  const profile = {};
+  for (const [key, maxLength] of Object.entries(STARTUP_PROFILE_FIELDS)) {
+    const value = formatTemplateValue(input[key], { type: 'string', maxLength });
+    if (value) profile[key] = value;
+  }
+  return profile;
+}
+
+/**
+ * Template values sent explicitly by the UI: a `promptVariables` JSON object, or form
+ * fields named after a declared variable or alias. Formidable v3 field values are arrays.
+ */
+export function readTemplateFields(fields = {}, variables = {}) {
+  const first = v => (Array.isArray(v) ? v[0] : v);
+  const values = {};
+
+  const raw = first(fields.promptVariables);
+  if (typeof raw === 'string' && raw.trim().startsWith('{')) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) Object.assign(values, parsed);
+    } catch {
+      console.warn('[PromptTemplate] Ignoring malformed promptVariables');
+    }
+  } else if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+    Object.assign(values, raw);
+  }
+
+  // Only declared, non-internal variables (or their aliases) may be set from the request
+  const allowed = new Set(Object.entries(variables)
+    .filter(([, d]) => !d.internal)
+    .flatMap(([name, d]) => [name, ...(d.aliases || [])]));
+  for (const name of allowed) {
+    const value = first(fields[name]);
+    if (typeof value === 'string' && value.trim()) values[name] = value;
+  }
+
+  return Object.fromEntries(Object.entries(values).filter(([name]) => allowed.has(name)));
+}
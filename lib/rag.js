@@ -0,0 +1,345 @@
+// lib/rag.js
+// Retrieval over uploaded documents: page-aware chunking, embeddings and top-k search.
+//
+// Documents too large for the prompt budget are chunked, embedded (lib/llm-provider.js
+// getEmbedder) and stored in a vector store; each question then pulls only the most relevant
+// chunks, cited as [文件名:页码].
+//
+// Vector stores, chosen with VECTOR_STORE=pgvector|memory
+// (default: pgvector when Supabase is configured, else memory):
+//   pgvector  document_chunks table + match_document_chunks() (supabase-rag-migration.sql)
+//   memory    in-process Map; also used for uploads that were not saved to the library
+//
+// Chunks are stored with the embedder that produced them ("provider:model"). Only chunks of
+// the current embedder are searched; a document indexed by another one is indexed again.
+import crypto from 'crypto';
+import { getSupabaseAdmin, isAdminConfigured } from './supabase.js';
+import { getEmbedder } from './llm-provider.js';
+
+const CHUNK_MAX_CHARS = 1200;
+const CHUNK_OVERLAP = 150;
+const DEFAULT_TOP_K = 8;
+const MAX_CHUNKS_PER_DOCUMENT = 2000;
+
+/* ---------- Chunking ---------- */
+
+/**
+ * Split extracted text into pages using the "--- Page N ---" / "--- Slide N ---" markers.
+ * Text without markers is treated as a single page (page null).
+ */
+export function splitPages(text) {
+  const source = String(text || '');
+  const markers = [...source.matchAll(/^--- (?:Page|Slide) (\d+) ---$/gm)];
+  if (!markers.length) return [{ page: null, text: source.trim() }];
+
+  return markers.map((m, i) => {
+    const start = m.index + m[0].length;
+    const end = i + 1 < markers.length ? markers[i + 1].index : source.length;
+    return { page: Number(m[1]), text: source.slice(start, end).trim() };
+  }).filter(p => p.text && p.text !== '(无文字内容)');
+}
+
+function splitLongParagraph(paragraph, maxChars, overlap) {
+  const pieces = [];
+  for (let start = 0; start < paragraph.length; start += maxChars - overlap) {
+    pieces.push(paragraph.slice(start, start + maxChars));
+    if (start + maxChars >= paragraph.length) break;
+  }
+  return pieces;
+}
+
+/**
+ * Chunk text page by page; chunks never span pages so every chunk has one citation.
+ * Returns [{ index, page, content }]
+ */
+export function chunkText(text, { maxChars = CHUNK_MAX_CHARS, overlap = CHUNK_OVERLAP } = {}) {
+  const chunks = [];
+
+  for (const { page, text: pageText } of splitPages(text)) {
+    const paragraphs = pageText
+      .split(/\n{2,}/)
+      .map(p => p.trim())
+      .filter(Boolean)
+      .flatMap(p => (p.length > maxChars ? splitLongParagraph(p, maxChars, overlap) : [p]));
+
+    let current = '';
+    for (const paragraph of paragraphs) {
+      if (current && current.length + paragraph.length + 2 > maxChars) {
+        chunks.push({ page, content: current });
+        // Carry the tail over so sentences split across chunks stay findable
+        current = current.slice(-overlap);
+      }
+      current = current ? `${current}\n\n${paragraph}` : paragraph;
+    }
+    if (current.trim()) chunks.push({ page, content: current });
+  }
+
+  return chunks.slice(0, MAX_CHUNKS_PER_DOCUMENT).map((c, index) => ({ index, ...c }));
+}
+
+/* ---------- Vector stores ---------- */
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Identifier of an embedder's vector space; vectors are only comparable within one
+ */
+export function embeddingModelId(embedder) {
+  return `${embedder.name}:${embedder.model}`;
+}
+
+function createMemoryStore() {
+  const byDocument = new Map(); // documentId -> { model, chunks: [{ index, page, content, embedding }] }
+
+  return {
+    name: 'memory',
+    async hasDocument(documentId, model) {
+      return byDocument.get(documentId)?.model === model;
+    },
+    async upsert(documentId, userId, chunks, model) {
+      byDocument.set(documentId, { model, chunks });
+    },
+    async search({ documentIds, embedding, topK, model }) {
+      const scored = [];
+      for (const documentId of documentIds) {
+        const indexed = byDocument.get(documentId);
+        if (!indexed || indexed.model !== model) continue;
+        for (const chunk of indexed.chunks) {
+          scored.push({ documentId, index: chunk.index, page: chunk.page, content: chunk.content, score: cosineSimilarity(embedding, chunk.embedding) });
+        }
+      }
+      return scored.sort((a, b) => b.score - a.score).slice(0, topK);
+    },
+    async remove(documentId) {
+      byDocument.delete(documentId);
+    }
+  };
+}
+
+function createPgvectorStore() {
+  function getClient() {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) throw new Error('Database connection not available');
+    return supabaseAdmin;
+  }
+
+  return {
+    name: 'pgvector',
+    async hasDocument(documentId, model) {
+      const { count, error } = await getClient()
+        .from('document_chunks')
+        .select('id', { count: 'exact', head: true })
+        .eq('document_id', documentId)
+        .eq('embedding_model', model);
+      if (error) throw new Error(`Failed to check chunks: ${error.message}`);
+      return (count || 0) > 0;
+    },
+    // The new chunks are written in full under a fresh generation before the previous ones are
+    // removed, so a failed run leaves the document with its old index rather than none
+    async upsert(documentId, userId, chunks, model) {
+      const supabaseAdmin = getClient();
+      const generation = crypto.randomUUID();
+      try {
+        for (let i = 0; i < chunks.length; i += 200) {
+          const rows = chunks.slice(i, i + 200).map(c => ({
+            document_id: documentId,
+            user_id: userId,
+            chunk_index: c.index,
+            page: c.page,
+            content: c.content,
+            embedding: c.embedding,
+            embedding_model: model,
+            generation
+          }));
+          const { error } = await supabaseAdmin.from('document_chunks').insert(rows);
+          if (error) throw new Error(`Failed to store chunks: ${error.message}`);
+        }
+      } catch (error) {
+        const { error: cleanupError } = await supabaseAdmin
+          .from('document_chunks')
+          .delete()
+          .eq('document_id', documentId)
+          .eq('generation', generation);
+        if (cleanupError) console.warn('[RAG] Failed to remove partial chunks:', cleanupError.message);
+        throw error;
+      }
+
+      const { error } = await supabaseAdmin
+        .from('document_chunks')
+        .delete()
+        .eq('document_id', documentId)
+        .neq('generation', generation);
+      if (error) console.warn('[RAG] Failed to remove previous chunks:', error.message);
+    },
+    async search({ userId, documentIds, embedding, topK, model }) {
+      const { data, error } = await getClient().rpc('match_document_chunks', {
+        query_embedding: embedding,
+        match_user_id: userId,
+        match_document_ids: documentIds,
+        match_embedding_model: model,
+        match_count: topK
+      });
+      if (error) throw new Error(`Failed to search chunks: ${error.message}`);
+      return (data || []).map(r => ({
+        documentId: r.document_id,
+        index: r.chunk_index,
+        page: r.page,
+        content: r.content,
+        score: r.similarity
+      }));
+    },
+    async remove(documentId) {
+      await getClient().from('document_chunks').delete().eq('document_id', documentId);
+    }
+  };
+}
+
+const STORE_FACTORIES = {
+  pgvector: createPgvectorStore,
+  memory: createMemoryStore
+};
+
+let cachedStore = null;
+// Uploads without a library id are indexed here for the current request only
+const ephemeralStore = createMemoryStore();
+
+/**
+ * Get the configured vector store
+ */
+export function getVectorStore() {
+  if (cachedStore) return cachedStore;
+  const name = (process.env.VECTOR_STORE || (isAdminConfigured() ? 'pgvector' : 'memory')).toLowerCase();
+  if (!STORE_FACTORIES[name]) throw new Error(`Unknown VECTOR_STORE "${name}"`);
+  cachedStore = STORE_FACTORIES[name]();
+  return cachedStore;
+}
+
+/* ---------- Indexing & retrieval ---------- */
+
+/**
+ * Chunk and embed a document into `store` unless it is already indexed by this embedder
+ */
+export async function indexDocument({ id, userId, text }, { store = getVectorStore(), embedder = getEmbedder() } = {}) {
+  const model = embeddingModelId(embedder);
+  if (await store.hasDocument(id, model)) return { indexed: false };
+
+  const chunks = chunkText(text);
+  if (!chunks.length) return { indexed: false };
+
+  const embeddings = await embedder.embed(chunks.map(c => c.content), { taskType: 'document' });
+  await store.upsert(id, userId, chunks.map((c, i) => ({ ...c, embedding: embeddings[i] })), model);
+  console.log(`[RAG] Indexed ${chunks.length} chunks for document ${id} (${store.name})`);
+  return { indexed: true, chunks: chunks.length };
+}
+
+/**
+ * Remove a document's chunks (called when the document is deleted)
+ */
+export async function removeDocumentIndex(documentId) {
+  await getVectorStore().remove(documentId);
+}
+
+/**
+ * Find the top-k chunks across `documents` ([{ id, name, text }]) for `query`.
+ * Documents without an id (not saved to the library) are indexed in memory for this call.
+ * Returns [{ documentId, name, page, content, score, citation }]
+ */
+export async function retrieveRelevantChunks({ userId, documents = [], query, topK = DEFAULT_TOP_K }, { embedder = getEmbedder() } = {}) {
+  if (!documents.length || !String(query || '').trim()) return [];
+
+  const store = getVectorStore();
+  const model = embeddingModelId(embedder);
+  const stored = [];
+  const ephemeral = [];
+  const results = [];
+
+  try {
+    for (const doc of documents) {
+      if (doc.id) {
+        await indexDocument({ id: doc.id, userId, text: doc.text }, { store, embedder });
+        stored.push(doc);
+      } else {
+        // Unique per call: the ephemeral store is shared by concurrent requests
+        const tempId = `tmp:${crypto.randomUUID()}`;
+        ephemeral.push({ ...doc, id: tempId });
+        await indexDocument({ id: tempId, userId, text: doc.text }, { store: ephemeralStore, embedder });
+      }
+    }
+
+    const [embedding] = await embedder.embed([query], { taskType: 'query' });
+    if (stored.length) {
+      results.push(...await store.search({ userId, documentIds: stored.map(d => d.id), embedding, topK, model }));
+    }
+    if (ephemeral.length) {
+      results.push(...await ephemeralStore.search({ userId, documentIds: ephemeral.map(d => d.id), embedding, topK, model }));
+    }
+  } finally {
+    for (const d of ephemeral) await ephemeralStore.remove(d.id);
+  }
+
+  const names = new Map([...stored, ...ephemeral].map(d => [d.id, d.name]));
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map(r => {
+      const name = names.get(r.documentId) || 'document';
+      return { ...r, name, citation: r.page ? `[${name}:${r.page}]` : `[${name}]` };
+    });
+}
+
+/**
+ * Render retrieved chunks for the prompt, in document/page order, each with its citation
+ */
+export function formatRetrievedChunks(chunks) {
+  if (!chunks.length) return '';
+  const ordered = [...chunks].sort((a, b) =>
+    a.name.localeCompare(b.name) || (a.page || 0) - (b.page || 0) || a.index - b.index
+  );
+  return ordered.map(c => `${c.citation}\n${c.content}`).join('\n\n');
+}
+
+/**
+ * Prompt context for the documents of a request ([{ id, name, text, fullText }] from
+ * collectRequestDocuments): documents over `budget` are searched for `query` instead of
+ * being cut short; the rest, or everything when retrieval fails, go in as compressed text.
+ */
+export async function buildDocumentContext(userId, documents, query, budget) {
+  const large = String(query || '').trim() ? documents.filter(d => d.fullText.length > budget) : [];
+  let retrievedContext = '';
+  if (large.length) {
+    try {
+      const chunks = await retrieveRelevantChunks({
+        userId,
+        documents: large.map(d => ({ id: d.id, name: d.name, text: d.fullText })),
+        query
+      });
+      retrievedContext = formatRetrievedChunks(chunks);
+      console.log(`[RAG] ${chunks.length} chunks retrieved from ${large.length} document(s)`);
+    } catch (e) {
+      console.error('[RAG] Retrieval failed, falling back to compressed text:', e.message);
+    }
+  }
+
+  const files = retrievedContext ? documents.filter(d => !large.includes(d)) : documents;
+  const context = [];
+  if (files.length) {
+    context.push({ role: 'system', content: '文件内容:\n' + files.map(d => `【文件：${d.name}】\n${d.text}`).join('\n\n') });
+  }
+  if (retrievedContext) {
+    context.push({
+      role: 'system',
+      content: `【相关文档片段】\n以下是与用户问题最相关的文档片段。回答时请在引用处标注来源，格式为 [文件名:页码]。\n\n${retrievedContext}`
+    });
+  }
+  return context;
+}
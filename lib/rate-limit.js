@@ -0,0 +1,306 @@
+// lib/rate-limit.js
+// Rate limits and daily quotas shared by every API instance.
+//   enforceRateLimit()     sliding window per route, keyed by user (after auth) or client IP
+//   enforceMessageQuota()  daily AI message quota from the user's plan (lib/plans.js),
+//                          resetting at midnight China time
+// Both set the standard RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset /
+// RateLimit-Policy headers (the most restrictive limit of the request wins) and throw a 429
+// error with Retry-After when the limit is reached.
+//
+// Counters live in a pluggable store:
+//   RATE_LIMIT_STORE=redis|postgres|memory
+//     redis     any Redis with an Upstash-compatible REST API
+//               (RATE_LIMIT_REDIS_URL / RATE_LIMIT_REDIS_TOKEN, or UPSTASH_REDIS_REST_URL / _TOKEN)
+//     postgres  the rate_limit_counters table through consume_rate_limit() (Supabase)
+//     memory    this instance only; for tests and local development
+// Without RATE_LIMIT_STORE, redis is used when configured, else postgres when Supabase is.
+// If the store fails, limits fall back to this instance's memory rather than blocking requests.
+//
+// Sliding windows are approximated from two fixed windows: the previous window's count is
+// weighted by how much of it still overlaps the sliding window.
+import { getSupabaseAdmin, isAdminConfigured } from './supabase.js';
+import { getClientIP } from './api-utils.js';
+import { getUserPlan } from './plans.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHINA_OFFSET_MS = 8 * 60 * 60 * 1000;
+const STORE_TIMEOUT_MS = 2000;
+
+function createRateLimitError(message, { code = 'RATE_LIMITED', retryAfter = 60 } = {}) {
+  const error = new Error(message);
+  error.statusCode = 429;
+  error.code = code;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+/* ---------- stores ---------- */
+// consume({ key, previousKey, weight, limit, cost, expiresAt }) -> { allowed, current, previous }
+// Adds `cost` to `key` unless previous * weight + current + cost would exceed `limit`.
+
+/**
+ * Counters in this instance's memory
+ */
+export function createMemoryStore() {
+  const counters = new Map();
+  let sweeps = 0;
+
+  return {
+    name: 'memory',
+    async consume({ key, previousKey, weight, limit, cost, expiresAt }) {
+      const now = Date.now();
+      if (++sweeps % 1000 === 0) {
+        for (const [k, entry] of counters) {
+          if (entry.expiresAt <= now) counters.delete(k);
+        }
+      }
+
+      const read = k => {
+        const entry = k && counters.get(k);
+        return entry && entry.expiresAt > now ? entry.count : 0;
+      };
+      const current = read(key);
+      const previous = read(previousKey);
+      if (previous * weight + current + cost > limit) return { allowed: false, current, previous };
+      counters.set(key, { count: current + cost, expiresAt });
+      return { allowed: true, current: current + cost, previous };
+    }
+  };
+}
+
+/**
+ * Counters in Postgres (supabase-rate-limit-migration.sql); one locked row per key and window
+ */
+export function createPostgresStore(client = getSupabaseAdmin()) {
+  return {
+    name: 'postgres',
+    async consume({ key, previousKey, weight, limit, cost, expiresAt }) {
+      if (!client) throw new Error('Database connection not available');
+      const { data, error } = await client.rpc('consume_rate_limit', {
+        p_key: key,
+        p_previous_key: previousKey,
+        p_weight: weight,
+        p_limit: limit,
+        p_cost: cost,
+        p_expires_at: new Date(expiresAt).toISOString()
+      });
+      if (error) throw new Error(`Rate limit check failed: ${error.message}`);
+      const row = Array.isArray(data) ? data[0] : data;
+      return { allowed: !!row?.allowed, current: Number(row?.current_count) || 0, previous: Number(row?.previous_count) || 0 };
+    }
+  };
+}
+
+// Check and increment atomically on the Redis server
+const REDIS_SCRIPT = `
+local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+local previous = 0
+if KEYS[2] ~= '' then previous = tonumber(redis.call('GET', KEYS[2]) or '0') end
+local cost = tonumber(ARGV[3])
+if previous * tonumber(ARGV[1]) + current + cost > tonumber(ARGV[2]) then
+  return {0, current, previous}
+end
+current = redis.call('INCRBY', KEYS[1], cost)
+redis.call('PEXPIRE', KEYS[1], ARGV[4])
+return {1, current, previous}
+`;
+
+/**
+ * Counters in Redis over an Upstash-compatible REST API (no client library needed)
+ */
+export function createRedisStore({ url, token }) {
+  return {
+    name: 'redis',
+    async consume({ key, previousKey, weight, limit, cost, expiresAt }) {
+      const ttl = Math.max(Math.ceil(expiresAt - Date.now()), 1000);
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(['EVAL', REDIS_SCRIPT, '2', key, previousKey || '', String(weight), String(limit), String(cost), String(ttl)]),
+        signal: AbortSignal.timeout(STORE_TIMEOUT_MS)
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok || body.error) throw new Error(`Rate limit check failed: ${body.error || response.status}`);
+      const [allowed, current, previous] = body.result || [];
+      return { allowed: allowed === 1, current: Number(current) || 0, previous: Number(previous) || 0 };
+    }
+  };
+}
+
+function createConfiguredStore() {
+  const redisUrl = process.env.RATE_LIMIT_REDIS_URL || process.env.UPSTASH_REDIS_REST_URL;
+  const redisToken = process.env.RATE_LIMIT_REDIS_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+  const name = (process.env.RATE_LIMIT_STORE || (redisUrl ? 'redis' : isAdminConfigured() ? 'postgres' : 'memory')).toLowerCase();
+
+  if (name === 'redis') {
+    if (!redisUrl || !redisToken) throw new Error('RATE_LIMIT_STORE=redis needs RATE_LIMIT_REDIS_URL and RATE_LIMIT_REDIS_TOKEN');
+    return createRedisStore({ url: redisUrl, token: redisToken });
+  }
+  if (name === 'postgres') return createPostgresStore();
+  if (name === 'memory') return createMemoryStore();
+  throw new Error(`Unknown RATE_LIMIT_STORE: ${name}`);
+}
+
+let store = null;
+const fallbackStore = createMemoryStore();
+let lastStoreWarning = 0;
+
+function getStore() {
+  if (!store) {
+    try {
+      store = createConfiguredStore();
+    } catch (error) {
+      console.error('[RateLimit] Store not configured, using memory:', error.message);
+      store = fallbackStore;
+    }
+  }
+  return store;
+}
+
+/**
+ * Replace the store (tests, local tools); null goes back to the configured one
+ */
+export function setRateLimitStore(next) {
+  store = next || null;
+}
+
+/* ---------- limits ---------- */
+
+/**
+ * Count `cost` against `limit` per window. Windows start at multiples of `windowMs`
+ * shifted by `offsetMs` (daily quotas start at midnight China time).
+ * Returns { allowed, limit, remaining, resetSeconds, retryAfter, windowMs }.
+ */
+export async function consumeLimit({ key, limit, windowMs, cost = 1, sliding = true, offsetMs = 0, now = Date.now() }) {
+  const index = Math.floor((now + offsetMs) / windowMs);
+  const start = index * windowMs - offsetMs;
+  const elapsed = now - start;
+  const weight = sliding ? 1 - elapsed / windowMs : 0;
+  const request = {
+    key: `rl:${key}:${index}`,
+    previousKey: sliding ? `rl:${key}:${index - 1}` : null,
+    weight,
+    limit,
+    cost,
+    expiresAt: start + windowMs * (sliding ? 2 : 1)
+  };
+
+  let result;
+  try {
+    result = await getStore().consume(request);
+  } catch (error) {
+    if (Date.now() - lastStoreWarning > 60000) {
+      console.warn('[RateLimit] Store failed, using memory:', error?.message || error);
+      lastStoreWarning = Date.now();
+    }
+    result = await fallbackStore.consume(request);
+  }
+
+  const used = result.previous * weight + result.current;
+  const toWindowEnd = start + windowMs - now;
+  let retryAfter = 0;
+  if (!result.allowed) {
+    // When enough of the previous window has slid out, or else when this window ends
+    const room = limit - result.current - cost;
+    retryAfter = sliding && result.previous > 0 && room >= 0
+      ? Math.min(windowMs * (1 - room / result.previous) - elapsed, toWindowEnd)
+      : toWindowEnd;
+  }
+
+  return {
+    allowed: result.allowed,
+    limit,
+    remaining: Math.max(Math.floor(limit - used), 0),
+    resetSeconds: Math.ceil(toWindowEnd / 1000),
+    retryAfter: Math.max(Math.ceil(retryAfter / 1000), 1),
+    windowMs
+  };
+}
+
+// Limits applied to each response, for the combined headers
+const appliedLimits = new WeakMap();
+
+/**
+ * RateLimit-* headers for every limit checked on this response; the one with the fewest
+ * requests left is reported, and all of them are listed in RateLimit-Policy
+ */
+export function setRateLimitHeaders(res, result) {
+  if (!res?.setHeader || res.headersSent) return;
+  const policy = r => `${r.limit};w=${Math.round(r.windowMs / 1000)}`;
+  const applied = [...(appliedLimits.get(res) || []).filter(r => policy(r) !== policy(result)), result];
+  appliedLimits.set(res, applied);
+
+  const tightest = applied.reduce((a, b) => (b.remaining < a.remaining || (b.remaining === a.remaining && b.resetSeconds > a.resetSeconds) ? b : a));
+  res.setHeader('RateLimit-Limit', String(tightest.limit));
+  res.setHeader('RateLimit-Remaining', String(tightest.remaining));
+  res.setHeader('RateLimit-Reset', String(tightest.resetSeconds));
+  res.setHeader('RateLimit-Policy', applied.map(policy).join(', '));
+  if (!result.allowed) res.setHeader('Retry-After', String(result.retryAfter));
+}
+
+/**
+ * Per-route limit: `limit` requests per `windowMs`, per user when `userId` is given,
+ * otherwise per client IP. Throws a 429 error (code RATE_LIMITED) when exceeded.
+ */
+export async function enforceRateLimit(req, res, { route, limit, windowMs = 60000, userId = null, cost = 1 }) {
+  const subject = userId ? `u:${userId}` : `ip:${getClientIP(req)}`;
+  const result = await consumeLimit({ key: `${route}:${subject}`, limit, windowMs, cost });
+  setRateLimitHeaders(res, result);
+  if (!result.allowed) {
+    throw createRateLimitError('Too many requests, please try again later', { retryAfter: result.retryAfter });
+  }
+  return result;
+}
+
+/**
+ * Count `cost` against a daily `limit`; days start at midnight China time
+ */
+export function consumeDailyLimit(key, limit, cost = 1) {
+  return consumeLimit({
+    key,
+    limit,
+    windowMs: DAY_MS,
+    offsetMs: CHINA_OFFSET_MS,
+    sliding: false,
+    cost
+  });
+}
+
+function consumeMessageQuota(user, limit, cost) {
+  return consumeDailyLimit(`quota:messages:${user.id}`, limit, cost);
+}
+
+/**
+ * Daily AI message quota of the user's plan (messagesPerDay). Each generated reply costs one.
+ * Throws a 429 error (code QUOTA_EXCEEDED) when the day's messages are used up.
+ * Returns the limit result, or { unlimited: true } for plans without a limit.
+ */
+export async function enforceMessageQuota(req, res, user, { cost = 1 } = {}) {
+  const plan = getUserPlan(user);
+  const limit = plan.limits.messagesPerDay;
+  if (limit === null || limit === undefined) return { unlimited: true, plan: plan.id };
+
+  const result = await consumeMessageQuota(user, limit, cost);
+  setRateLimitHeaders(res, result);
+  if (!result.allowed) {
+    throw createRateLimitError(
+      `Daily message limit reached (${limit} per day on the ${plan.name} plan); it resets at midnight (UTC+8)`,
+      { code: 'QUOTA_EXCEEDED', retryAfter: result.retryAfter }
+    );
+  }
+  return { ...result, plan: plan.id };
+}
+
+/**
+ * Today's message quota without using any of it:
+ * { plan, limit, used, remaining, resetSeconds } (limit, used and remaining are null when unlimited)
+ */
+export async function getMessageQuota(user) {
+  const plan = getUserPlan(user);
+  const limit = plan.limits.messagesPerDay;
+  if (limit === null || limit === undefined) {
+    return { plan: plan.id, limit: null, used: null, remaining: null, resetSeconds: null };
+  }
+  const result = await consumeMessageQuota(user, limit, 0);
+  return { plan: plan.id, limit, used: limit - result.remaining, remaining: result.remaining, resetSeconds: result.resetSeconds };
+}
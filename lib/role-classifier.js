@@ -0,0 +1,166 @@
+// lib/role-classifier.js
+// Startup-mentor persona routing: explicit rules first, LLM only for ambiguous input.
+//
+// classifyRole() always resolves to a mode from the registry and returns
+//   { role, track, confidence, reason, source }
+// where source is 'ui' | 'rule' | 'llm' | 'default'.
+import path from 'path';
+
+import { getMode, getClassifiableModeIds } from './modes.js';
+import { getProvider } from './llm-provider.js';
+
+// Keyword rules, checked against the lower-cased message
+const KEYWORD_RULES = [
+  { role: 'Investor', keywords: ['投资人', '投资者', 'investor', ' vc ', '风投'] },
+  { role: 'Expert_match', keywords: ['专家', 'expert', '顾问推荐', '找人'] },
+  { role: 'Analyst', keywords: ['研究', '行业分析', '市场分析', 'research', 'market analysis'] },
+];
+
+// "赛道：xxx" / "行业是xxx" / "领域: xxx"
+const TRACK_PATTERN = /(?:赛道|行业|领域|track|industry)\s*(?:是|为|:|：)\s*([^\s，。,.;；!?！？]{2,30})/i;
+
+/**
+ * Classify an uploaded file by extension
+ */
+export function getFileType(filename) {
+  const ext = path.extname(filename || '').toLowerCase();
+  if (['.ppt', '.pptx', '.pdf'].includes(ext)) return 'pitch_deck';
+  if (['.doc', '.docx', '.txt', '.md', '.xlsx', '.csv'].includes(ext)) return 'document';
+  return 'document';
+}
+
+/**
+ * Pull an explicit track/industry out of the message, if stated
+ */
+export function extractTrack(message) {
+  const match = (message || '').match(TRACK_PATTERN);
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * Find every persona whose keywords appear in the message
+ */
+export function matchKeywordRoles(message) {
+  const normalized = ` ${(message || '').toLowerCase()} `;
+  return KEYWORD_RULES
+    .filter(rule => rule.keywords.some(k => normalized.includes(k)))
+    .map(rule => ({
+      role: rule.role,
+      keyword: rule.keywords.find(k => normalized.includes(k)).trim()
+    }));
+}
+
+/**
+ * Apply the deterministic rules.
+ * Returns a classification, or { ambiguous: true, candidates } when the LLM should decide.
+ */
+export function applyRules({ message = '', fileNames = [], chatMode = '' } = {}) {
+  if (chatMode === 'agent') {
+    return { role: 'Agent_builder', track: '', confidence: 1, reason: 'ui_selected:agent', source: 'ui' };
+  }
+
+  const fileTypes = fileNames.filter(Boolean).map(getFileType);
+  const hasDeck = fileTypes.includes('pitch_deck');
+  const baseRole = fileTypes.length ? (hasDeck ? 'pitch_deck' : 'document') : 'mentor';
+  const track = extractTrack(message);
+  const matches = matchKeywordRoles(message);
+
+  if (matches.length > 1) {
+    return { ambiguous: true, candidates: matches.map(m => m.role), baseRole, track };
+  }
+
+  if (matches.length === 1) {
+    const { role, keyword } = matches[0];
+
+    // Deck reviews need a deck to review
+    if (role === 'Investor' && !hasDeck) {
+      return { role: baseRole, track, confidence: 0.7, reason: `keyword:${keyword};no_pitch_deck`, source: 'rule' };
+    }
+
+    return {
+      role,
+      track,
+      confidence: role === 'Investor' ? 0.95 : 0.9,
+      reason: role === 'Investor' ? `keyword:${keyword}+file:pitch_deck` : `keyword:${keyword}`,
+      source: 'rule'
+    };
+  }
+
+  if (fileTypes.length) {
+    return { role: baseRole, track, confidence: 0.8, reason: `file:${baseRole}`, source: 'rule' };
+  }
+
+  return { role: 'mentor', track, confidence: 0.6, reason: 'no_signal', source: 'default' };
+}
+
+function buildClassifierPrompt({ message, fileNames, candidates }) {
+  const allowed = [...new Set([...candidates, 'mentor'])];
+  return `请只输出纯 JSON，不要包裹在反引号或任何 Markdown 块中。
+从以下角色中选择最符合用户意图的一个：${allowed.join(', ')}。
+- Investor：用户希望投资人视角点评路演/PPT
+- Expert_match：用户希望推荐领域专家
+- Analyst：用户希望做行业/市场研究
+- mentor：一般创业问题
+输出格式：{"role":"<角色>","track":"<赛道或行业，没有则为空>","confidence":<0到1的小数>}
+
+消息: ${message}
+文件: ${fileNames.length ? fileNames.join(', ') : '无'}`;
+}
+
+async function defaultLLMClassify(prompt, meter = null) {
+  return getProvider('classifier', { meter }).classify({ prompt });
+}
+
+/**
+ * Decide which startup-mentor persona should answer.
+ * `options.llm` is an async (prompt) => object|null used for ambiguous input
+ * (defaults to the 'classifier' provider); pass `llm: null` to disable it.
+ * `options.meter` attributes the default classifier call (see lib/llm-provider.js).
+ */
+export async function classifyRole(input = {}, options = {}) {
+  const { message = '', fileNames = [] } = input;
+  const llm = options.llm === undefined ? prompt => defaultLLMClassify(prompt, options.meter) : options.llm;
+
+  const ruled = applyRules(input);
+  if (!ruled.ambiguous) return ruled;
+
+  const fallback = {
+    role: ruled.baseRole,
+    track: ruled.track,
+    confidence: 0.4,
+    reason: `ambiguous:${ruled.candidates.join('|')}`,
+    source: 'default'
+  };
+
+  if (!llm) return fallback;
+
+  let parsed = null;
+  try {
+    parsed = await llm(buildClassifierPrompt({ message, fileNames, candidates: ruled.candidates }));
+  } catch (error) {
+    console.error('[Classifier] LLM fallback failed:', error?.message || error);
+    return { ...fallback, reason: `${fallback.reason};llm_error` };
+  }
+
+  // Validate against the registry: only classifiable personas may be returned
+  const role = parsed?.role === 'mentor' ? ruled.baseRole : parsed?.role;
+  const valid = role === ruled.baseRole || getClassifiableModeIds().includes(role);
+  if (!parsed || !valid || !getMode(role)) {
+    console.warn('[Classifier] Rejected LLM output:', parsed);
+    return { ...fallback, reason: `${fallback.reason};llm_invalid` };
+  }
+
+  // Investor persona still requires a deck to review
+  if (role === 'Investor' && !fileNames.some(f => getFileType(f) === 'pitch_deck')) {
+    return { ...fallback, reason: `${fallback.reason};llm_investor_without_deck` };
+  }
+
+  const confidence = Number(parsed.confidence);
+  return {
+    role,
+    track: (typeof parsed.track === 'string' && parsed.track.trim()) || ruled.track,
+    confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.5,
+    reason: `llm:${ruled.candidates.join('|')}`,
+    source: 'llm'
+  };
+}
@@ -0,0 +1,124 @@
+// lib/share-page.js
+// Server-rendered, read-only HTML for shared conversations (api/share.js). Self-contained:
+// inline styles only, no scripts, so the page works under a strict Content-Security-Policy.
+import { resolveMode } from './modes.js';
+
+const DECK_REVIEW_LEVELS = { L3: '愿意投', L2: '愿意聊', L1: '聊都不愿意' };
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Same minimal formatting as the chat log (public/script.js renderMessageContent)
+function renderContent(text) {
+  return escapeHtml(text).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>').replace(/\n/g, '<br>');
+}
+
+function renderDeckReview(review) {
+  const rows = (review.slides || []).map(s => `
+        <tr>
+          <td class="slide">第${escapeHtml(s.slide)}页</td>
+          <td>${escapeHtml(s.impression || '—')}</td>
+          <td>${escapeHtml(s.fatalIssue || '—')}</td>
+          <td>${escapeHtml(s.question || '—')}</td>
+        </tr>`).join('');
+  return `
+      <table class="deck-review">
+        <thead><tr><th></th><th>一句话印象</th><th>致命问题</th><th>你要回答我</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <p class="verdict"><strong>最终评价：${escapeHtml(DECK_REVIEW_LEVELS[review.finalLevel] || review.finalLevel)} (${escapeHtml(review.finalLevel)})</strong><br>${escapeHtml(review.rationale || '')}</p>`;
+}
+
+function renderMessage(m) {
+  const sender = m.role === 'user' ? '用户' : resolveMode(m.ai_mode).assistantName;
+  const review = m.role !== 'user' && m.metadata?.deckReview;
+  const body = review && Array.isArray(review.slides) ? renderDeckReview(review) : renderContent(m.content);
+  return `
+    <article class="message ${m.role === 'user' ? 'user' : 'assistant'}">
+      <p class="sender">${escapeHtml(sender)}</p>
+      <div class="content">${body}</div>
+    </article>`;
+}
+
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex, nofollow">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif; color: #1f2937; background: #f9fafb; line-height: 1.6; }
+    main { max-width: 760px; margin: 0 auto; padding: 2rem 1rem 4rem; }
+    header { border-bottom: 1px solid #e5e7eb; margin-bottom: 1.5rem; }
+    header h1 { font-size: 1.4rem; margin: 0 0 0.25rem; }
+    header p, footer { color: #6b7280; font-size: 0.85rem; }
+    .message { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 0.75rem 1rem; margin-bottom: 1rem; }
+    .message.user { background: #f0f7f3; }
+    .sender { font-weight: 600; margin: 0 0 0.25rem; color: #0a381f; }
+    .content { overflow-x: auto; word-wrap: break-word; }
+    .deck-review { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    .deck-review th, .deck-review td { border: 1px solid #e5e7eb; padding: 0.4rem; text-align: left; vertical-align: top; }
+    .deck-review .slide { white-space: nowrap; }
+    .notice { text-align: center; margin-top: 20vh; }
+    form { display: flex; gap: 0.5rem; justify-content: center; margin-top: 1rem; }
+    input { padding: 0.5rem; border: 1px solid #d1d5db; border-radius: 6px; }
+    button { padding: 0.5rem 1rem; border: 0; border-radius: 6px; background: #0a381f; color: #fff; cursor: pointer; }
+    .error { color: #b91c1c; }
+  </style>
+</head>
+<body>
+  <main>${body}
+  </main>
+</body>
+</html>`;
+}
+
+/**
+ * Read-only page for a shared conversation
+ */
+export function renderSharePage({ conversation, messages, share }) {
+  const title = conversation.title || '分享的对话';
+  const updated = new Date(conversation.updated_at || conversation.created_at).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
+  const notes = [`更新于 ${escapeHtml(updated)}`, `${messages.length} 条消息`];
+  if (share.redact_files) notes.push('附件内容已隐藏');
+
+  return layout(title, `
+    <header>
+      <h1>${escapeHtml(title)}</h1>
+      <p>${notes.join(' · ')}</p>
+    </header>
+    ${messages.map(renderMessage).join('')}
+    <footer>只读分享页面</footer>`);
+}
+
+/**
+ * Page for a share that cannot be shown yet: password form, expired or unavailable link
+ */
+export function renderShareStatusPage(status) {
+  if (status === 'password_required' || status === 'invalid_password') {
+    return layout('需要密码', `
+    <div class="notice">
+      <h1>此对话需要密码</h1>
+      ${status === 'invalid_password' ? '<p class="error">密码不正确，请重试。</p>' : ''}
+      <form method="POST">
+        <input type="password" name="password" placeholder="密码" autocomplete="off" required autofocus>
+        <button type="submit">查看</button>
+      </form>
+    </div>`);
+  }
+
+  const message = status === 'expired' ? '此分享链接已过期。' : '此分享链接不存在或已被撤销。';
+  return layout('链接不可用', `
+    <div class="notice">
+      <h1>链接不可用</h1>
+      <p>${message}</p>
+    </div>`);
+}
@@ -0,0 +1,260 @@
+// lib/shares.js
+// Read-only public share links for conversations (/s/<token>, rendered by api/share.js).
+// Tokens are random and only their SHA-256 is stored; an optional password is kept as a
+// scrypt hash. A share shows the conversation as it currently is (active versions on the
+// active branch); `redact_files` hides attachment names and quoted file contents.
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+import { getSupabaseAdmin } from './supabase.js';
+import { retryOperation, getConversationMessages } from './database.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const SHARE_FIELDS = 'id, conversation_id, token_hint, redact_files, expires_at, revoked_at, view_count, last_viewed_at, created_at, password_hash';
+const MAX_EXPIRY_DAYS = 365;
+const REDACTED_FILE = '附件';
+
+function getClient() {
+  const supabaseAdmin = getSupabaseAdmin();
+  if (!supabaseAdmin) {
+    throw new Error('Database connection not available');
+  }
+  return supabaseAdmin;
+}
+
+// Owner-facing shape: never expose the password hash
+function publicShare({ password_hash, ...share }) {
+  return { ...share, has_password: !!password_hash };
+}
+
+/**
+ * New random share token (192 bits, URL-safe)
+ */
+export function createShareToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * SHA-256 of a share token, hex encoded (what the database stores)
+ */
+export function hashShareToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * scrypt hash of a share password: "scrypt$<salt>$<hash>"
+ */
+export async function hashSharePassword(password) {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  const hash = await scrypt(String(password), salt, 32);
+  return `scrypt$${salt}$${hash.toString('base64url')}`;
+}
+
+/**
+ * Check a password against hashSharePassword() output (constant time)
+ */
+export async function verifySharePassword(password, stored) {
+  const [scheme, salt, expected] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const actual = await scrypt(String(password || ''), salt, 32);
+  const expectedBuffer = Buffer.from(expected, 'base64url');
+  return expectedBuffer.length === actual.length && crypto.timingSafeEqual(actual, expectedBuffer);
+}
+
+/**
+ * Remove attachments from messages: file names (also inside [name:page] citations) become
+ * "附件", upload notes and quoted blocks (> ...) are dropped, document ids are removed.
+ */
+export function redactFileContent(messages, extraNames = []) {
+  const names = [...new Set([
+    ...messages.flatMap(m => m.files || []),
+    ...extraNames
+  ].filter(n => typeof n === 'string' && n.trim()))]
+    .sort((a, b) => b.length - a.length);
+
+  return messages.map(m => {
+    let content = m.content || '';
+    if (m.role === 'user' && content.startsWith('📎 上传文件:')) {
+      content = `📎 ${REDACTED_FILE}`;
+    }
+    content = content
+      .split('\n')
+      .filter(line => !/^\s*>/.test(line))
+      .join('\n');
+    for (const name of names) {
+      content = content.split(name).join(REDACTED_FILE);
+    }
+
+    const { documentIds, ...metadata } = m.metadata || {};
+    return {
+      ...m,
+      content,
+      files: [],
+      metadata: Object.keys(metadata).length ? metadata : null
+    };
+  });
+}
+
+// 创建分享链接（返回的 token 只在创建时出现一次）
+export async function createShare(conversationId, userId, { password = null, expiresInDays = null, redactFiles = false } = {}) {
+  return retryOperation(async () => {
+    try {
+      const supabaseAdmin = getClient();
+
+      const { data: conversation, error: convError } = await supabaseAdmin
+        .from('conversations')
+        .select('id')
+        .eq('id', conversationId)
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .maybeSingle();
+      if (convError) throw new Error(`Failed to verify conversation: ${convError.message}`);
+      if (!conversation) throw new Error('Conversation not found or access denied');
+
+      let expiresAt = null;
+      if (expiresInDays !== null && expiresInDays !== undefined) {
+        const days = Number(expiresInDays);
+        if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+          throw new Error(`Invalid expiry: must be between 1 and ${MAX_EXPIRY_DAYS} days`);
+        }
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+      }
+
+      const token = createShareToken();
+      const { data, error } = await supabaseAdmin
+        .from('conversation_shares')
+        .insert([{
+          conversation_id: conversationId,
+          user_id: userId,
+          token_hash: hashShareToken(token),
+          token_hint: token.slice(0, 6),
+          password_hash: password ? await hashSharePassword(password) : null,
+          redact_files: !!redactFiles,
+          expires_at: expiresAt
+        }])
+        .select(SHARE_FIELDS)
+        .single();
+
+      if (error) throw new Error(`Failed to create share: ${error.message}`);
+      return { success: true, share: publicShare(data), token };
+    } catch (error) {
+      console.error('创建分享链接失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to create share' };
+    }
+  });
+}
+
+// 获取会话的分享链接
+export async function listShares(conversationId, userId) {
+  return retryOperation(async () => {
+    try {
+      const { data, error } = await getClient()
+        .from('conversation_shares')
+        .select(SHARE_FIELDS)
+        .eq('conversation_id', conversationId)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw new Error(`Failed to fetch shares: ${error.message}`);
+      return { success: true, shares: (data || []).map(publicShare) };
+    } catch (error) {
+      console.error('获取分享链接失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to fetch shares' };
+    }
+  });
+}
+
+// 撤销分享链接
+export async function revokeShare(shareId, userId) {
+  return retryOperation(async () => {
+    try {
+      const { data, error } = await getClient()
+        .from('conversation_shares')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', shareId)
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .select(SHARE_FIELDS)
+        .maybeSingle();
+
+      if (error) throw new Error(`Failed to revoke share: ${error.message}`);
+      if (!data) throw new Error('Share not found or already revoked');
+      return { success: true, share: publicShare(data) };
+    } catch (error) {
+      console.error('撤销分享链接失败:', error.message || error);
+      return { success: false, error: error.message || 'Failed to revoke share' };
+    }
+  });
+}
+
+/**
+ * Resolve a share token for a viewer.
+ * Returns { success, status } where status is one of
+ *   'ok'                 with { share, conversation, messages }
+ *   'not_found'          unknown, revoked, or the conversation is gone
+ *   'expired'
+ *   'password_required' / 'invalid_password'
+ */
+export async function openShare(token, password = null) {
+  try {
+    const supabaseAdmin = getClient();
+    if (!token || typeof token !== 'string' || token.length > 100) {
+      return { success: true, status: 'not_found' };
+    }
+
+    const { data: share, error } = await supabaseAdmin
+      .from('conversation_shares')
+      .select(`${SHARE_FIELDS}, user_id`)
+      .eq('token_hash', hashShareToken(token))
+      .maybeSingle();
+    if (error) throw new Error(`Failed to fetch share: ${error.message}`);
+    if (!share || share.revoked_at) return { success: true, status: 'not_found' };
+    if (share.expires_at && new Date(share.expires_at) <= new Date()) {
+      return { success: true, status: 'expired' };
+    }
+
+    if (share.password_hash) {
+      if (!password) return { success: true, status: 'password_required' };
+      if (!(await verifySharePassword(password, share.password_hash))) {
+        return { success: true, status: 'invalid_password' };
+      }
+    }
+
+    const { data: conversation, error: convError } = await supabaseAdmin
+      .from('conversations')
+      .select('id, title, created_at, updated_at')
+      .eq('id', share.conversation_id)
+      .is('deleted_at', null)
+      .maybeSingle();
+    if (convError) throw new Error(`Failed to fetch conversation: ${convError.message}`);
+    if (!conversation) return { success: true, status: 'not_found' };
+
+    const r = await getConversationMessages(share.conversation_id, share.user_id);
+    if (!r.success) throw new Error(r.error);
+
+    let messages = r.messages;
+    if (share.redact_files) {
+      const documentIds = [...new Set(messages.flatMap(m => m.metadata?.documentIds || []))];
+      let documentNames = [];
+      if (documentIds.length) {
+        const { data: documents } = await supabaseAdmin
+          .from('documents')
+          .select('name')
+          .eq('user_id', share.user_id)
+          .in('id', documentIds);
+        documentNames = (documents || []).map(d => d.name);
+      }
+      messages = redactFileContent(messages, documentNames);
+    }
+
+    const { error: viewError } = await supabaseAdmin.rpc('record_share_view', { p_share_id: share.id });
+    if (viewError) console.warn('[Shares] View not recorded:', viewError.message);
+
+    const { user_id: ownerId, ...rest } = share;
+    return { success: true, status: 'ok', share: publicShare(rest), conversation, messages };
+  } catch (error) {
+    console.error('打开分享链接失败:', error.message || error);
+    return { success: false, error: error.message || 'Failed to open share' };
+  }
+}
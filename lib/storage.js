@@ -0,0 +1,106 @@
+// lib/storage.js
+// Pluggable blob storage for uploaded documents.
+//
+// Adapters expose:
+//   put(key, buffer, contentType) -> key
+//   get(key)                      -> Buffer
+//   remove(key)                   -> void
+//
+// Selected with DOCUMENT_STORAGE=supabase|local (default: supabase when configured, else local).
+//   DOCUMENT_STORAGE_BUCKET=documents          Supabase Storage bucket
+//   DOCUMENT_STORAGE_DIR=<tmpdir>/documents    local-disk root
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { getSupabaseAdmin, isAdminConfigured } from './supabase.js';
+
+function createStorageError(message, statusCode = 500, code = 'STORAGE_ERROR') {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+function createSupabaseStorage() {
+  const bucket = process.env.DOCUMENT_STORAGE_BUCKET || 'documents';
+
+  function getBucket() {
+    const supabaseAdmin = getSupabaseAdmin();
+    if (!supabaseAdmin) throw createStorageError('Database connection not available', 500, 'STORAGE_CONFIG');
+    return supabaseAdmin.storage.from(bucket);
+  }
+
+  async function put(key, buffer, contentType = 'application/octet-stream') {
+    const { error } = await getBucket().upload(key, buffer, { contentType, upsert: true });
+    if (error) throw createStorageError(`Failed to store file: ${error.message}`);
+    return key;
+  }
+
+  async function get(key) {
+    const { data, error } = await getBucket().download(key);
+    if (error || !data) throw createStorageError(`Failed to read file: ${error?.message || 'not found'}`, 404, 'STORAGE_NOT_FOUND');
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async function remove(key) {
+    const { error } = await getBucket().remove([key]);
+    if (error) throw createStorageError(`Failed to delete file: ${error.message}`);
+  }
+
+  return { name: 'supabase', put, get, remove };
+}
+
+function createLocalStorage() {
+  const root = path.resolve(process.env.DOCUMENT_STORAGE_DIR || path.join(os.tmpdir(), 'documents'));
+
+  // Keys come from our own code, but never let one escape the root
+  function resolveKey(key) {
+    const full = path.resolve(root, key);
+    if (!full.startsWith(root + path.sep)) throw createStorageError('Invalid storage key', 400, 'STORAGE_BAD_KEY');
+    return full;
+  }
+
+  async function put(key, buffer) {
+    const full = resolveKey(key);
+    await fs.mkdir(path.dirname(full), { recursive: true });
+    await fs.writeFile(full, buffer);
+    return key;
+  }
+
+  async function get(key) {
+    try {
+      return await fs.readFile(resolveKey(key));
+    } catch (e) {
+      if (e.code === 'ENOENT') throw createStorageError('Failed to read file: not found', 404, 'STORAGE_NOT_FOUND');
+      throw e;
+    }
+  }
+
+  async function remove(key) {
+    await fs.rm(resolveKey(key), { force: true });
+  }
+
+  return { name: 'local', put, get, remove };
+}
+
+const STORAGE_FACTORIES = {
+  supabase: createSupabaseStorage,
+  local: createLocalStorage
+};
+
+let cachedStorage = null;
+
+/**
+ * Get the configured storage adapter
+ */
+export function getStorage() {
+  if (cachedStorage) return cachedStorage;
+
+  const name = (process.env.DOCUMENT_STORAGE || (isAdminConfigured() ? 'supabase' : 'local')).toLowerCase();
+  const factory = STORAGE_FACTORIES[name];
+  if (!factory) throw createStorageError(`Unknown DOCUMENT_STORAGE "${name}"`, 500, 'STORAGE_CONFIG');
+
+  cachedStorage = factory();
+  return cachedStorage;
+}
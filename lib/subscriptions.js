@@ -0,0 +1,498 @@
+// lib/subscriptions.js
+// Subscriptions and billing for /api/subscriptions. The payment provider
+// (lib/payment-provider.js) is the source of truth; customers, subscriptions and invoices are
+// mirrored into our tables whenever we change them and whenever the provider's webhooks say
+// they changed. After every change the user's plan is recomputed from their subscriptions and
+// stored as app_metadata.subscription_plan, which getUserPlan() (lib/plans.js) reads.
+import { getSupabaseAdmin } from './supabase.js';
+import { getPaymentProvider } from './payment-provider.js';
+import { getPlan, getPlanForPrice, getPlanPriceId, PLAN_ORDER } from './plans.js';
+import { isValidUUID, sanitizeString } from './validation.js';
+
+// Statuses that keep the plan: past_due while the provider retries the payment
+const ACTIVE_STATUSES = ['active', 'trialing', 'past_due'];
+const MAX_QUANTITY = 100;
+const MAX_PAYMENT_AMOUNT = 1000000;
+
+function createBillingError(message, statusCode = 400, code = null, field = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  error.field = field;
+  return error;
+}
+
+function getClient() {
+  const supabaseAdmin = getSupabaseAdmin();
+  if (!supabaseAdmin) {
+    throw createBillingError('Database connection not available', 500);
+  }
+  return supabaseAdmin;
+}
+
+/**
+ * Subscription as returned by the API
+ */
+export function publicSubscription(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    plan: row.plan,
+    priceId: row.price_id,
+    status: row.status,
+    quantity: row.quantity,
+    currentPeriodStart: row.current_period_start,
+    currentPeriodEnd: row.current_period_end,
+    cancelAtPeriodEnd: row.cancel_at_period_end,
+    canceledAt: row.canceled_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Invoice as returned by the API (amounts in cents, `created` in Unix seconds like the provider's)
+ */
+export function publicInvoice(row) {
+  return {
+    id: row.id,
+    number: row.number,
+    status: row.status,
+    amount_due: row.amount_due,
+    amount_paid: row.amount_paid,
+    currency: row.currency,
+    created: Math.floor(new Date(row.created_at).getTime() / 1000),
+    period_start: row.period_start,
+    period_end: row.period_end,
+    hosted_invoice_url: row.hosted_invoice_url,
+    has_pdf: !!row.invoice_pdf
+  };
+}
+
+/**
+ * Resolve the plan for a checkout or plan change: { plan, priceId } from a priceId or planId
+ */
+export function resolvePrice({ priceId = null, planId = null }) {
+  const plan = priceId ? getPlanForPrice(priceId) : getPlan(planId);
+  const price = plan && getPlanPriceId(plan.id);
+  if (!plan || !price) {
+    throw createBillingError('Unknown plan or price: choose a paid plan', 400, 'INVALID_PLAN', priceId ? 'priceId' : 'planId');
+  }
+  return { plan, priceId: price };
+}
+
+function validateQuantity(quantity) {
+  if (quantity === undefined || quantity === null) return undefined;
+  const value = Number(quantity);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_QUANTITY) {
+    throw createBillingError(`Quantity must be between 1 and ${MAX_QUANTITY}`, 400, null, 'quantity');
+  }
+  return value;
+}
+
+// Client metadata goes to the provider as flat strings (at most 20 keys)
+function cleanMetadata(metadata) {
+  if (!metadata || typeof metadata !== 'object') return {};
+  return Object.fromEntries(Object.entries(metadata)
+    .filter(([key, value]) => /^[\w-]{1,40}$/.test(key) && ['string', 'number', 'boolean'].includes(typeof value))
+    .slice(0, 20)
+    .map(([key, value]) => [key, sanitizeString(String(value), 500)]));
+}
+
+/* ---------- customers ---------- */
+
+export async function getCustomer(userId) {
+  const { data, error } = await getClient()
+    .from('customers')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw createBillingError(`Failed to fetch customer: ${error.message}`, 500);
+  return data;
+}
+
+/**
+ * The user's billing customer, created at the provider on first use
+ */
+export async function ensureCustomer(user) {
+  const existing = await getCustomer(user.id);
+  if (existing) return existing;
+
+  const provider = getPaymentProvider();
+  const created = await provider.createCustomer({ email: user.email, userId: user.id });
+  const { data, error } = await getClient()
+    .from('customers')
+    .insert({
+      user_id: user.id,
+      provider: provider.name,
+      provider_customer_id: created.id,
+      email: user.email || null
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // Another request created it first; theirs is kept
+    if (error.code === '23505') return getCustomer(user.id);
+    throw createBillingError(`Failed to save customer: ${error.message}`, 500);
+  }
+  return data;
+}
+
+async function requireCustomer(userId) {
+  const customer = await getCustomer(userId);
+  if (!customer) throw createBillingError('No billing account yet: subscribe to a plan first', 404, 'NO_CUSTOMER');
+  return customer;
+}
+
+/* ---------- plan state ---------- */
+
+async function listUserSubscriptions(userId) {
+  const { data, error } = await getClient()
+    .from('subscriptions')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+  if (error) throw createBillingError(`Failed to fetch subscriptions: ${error.message}`, 500);
+  return data || [];
+}
+
+// Highest plan among the active subscriptions (null when none is active)
+function pickCurrentSubscription(rows) {
+  const active = rows
+    .filter(row => ACTIVE_STATUSES.includes(row.status))
+    .sort((a, b) => PLAN_ORDER.indexOf(b.plan) - PLAN_ORDER.indexOf(a.plan));
+  return active[0] || null;
+}
+
+/**
+ * Recompute the user's subscription plan and store it on their account
+ */
+export async function refreshUserPlan(userId) {
+  const current = pickCurrentSubscription(await listUserSubscriptions(userId));
+  const plan = current?.plan || null;
+
+  const { error } = await getClient().auth.admin.updateUserById(userId, {
+    app_metadata: { subscription_plan: plan }
+  });
+  if (error) throw createBillingError(`Failed to update plan: ${error.message}`, 500);
+  return plan;
+}
+
+async function findUserForCustomer(providerCustomerId) {
+  if (!providerCustomerId) return null;
+  const { data, error } = await getClient()
+    .from('customers')
+    .select('user_id')
+    .eq('provider_customer_id', providerCustomerId)
+    .maybeSingle();
+  if (error) throw createBillingError(`Failed to fetch customer: ${error.message}`, 500);
+  return data?.user_id || null;
+}
+
+/**
+ * Mirror a provider subscription and refresh the owner's plan. The owner is found through the
+ * provider customer; `userId` (from the checkout) is only used for customers we do not know.
+ */
+export async function syncSubscription(subscription, { userId = null, cancelFeedback } = {}) {
+  const owner = await findUserForCustomer(subscription.customerId) || (isValidUUID(userId) ? userId : null);
+  if (!owner) {
+    console.warn('[Billing] Subscription for an unknown customer ignored:', subscription.id);
+    return null;
+  }
+
+  const plan = getPlanForPrice(subscription.priceId);
+  if (!plan) console.warn('[Billing] Subscription with an unknown price:', subscription.id, subscription.priceId);
+
+  const row = {
+    user_id: owner,
+    provider: getPaymentProvider().name,
+    provider_subscription_id: subscription.id,
+    plan: plan?.id || 'free',
+    price_id: subscription.priceId,
+    status: subscription.status,
+    quantity: subscription.quantity || 1,
+    current_period_start: subscription.currentPeriodStart,
+    current_period_end: subscription.currentPeriodEnd,
+    cancel_at_period_end: !!subscription.cancelAtPeriodEnd,
+    canceled_at: subscription.canceledAt,
+    updated_at: new Date().toISOString()
+  };
+  if (cancelFeedback !== undefined) row.cancel_feedback = cancelFeedback;
+
+  const { data, error } = await getClient()
+    .from('subscriptions')
+    .upsert(row, { onConflict: 'provider_subscription_id' })
+    .select()
+    .single();
+  if (error) throw createBillingError(`Failed to save subscription: ${error.message}`, 500);
+
+  await refreshUserPlan(owner);
+  return data;
+}
+
+async function getOwnSubscription(userId, subscriptionId) {
+  if (!isValidUUID(subscriptionId)) {
+    throw createBillingError('Invalid subscription ID format', 400, null, 'subscriptionId');
+  }
+  const { data, error } = await getClient()
+    .from('subscriptions')
+    .select('*')
+    .eq('id', subscriptionId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw createBillingError(`Failed to fetch subscription: ${error.message}`, 500);
+  if (!data) throw createBillingError('Subscription not found', 404);
+  return data;
+}
+
+/* ---------- account ---------- */
+
+/**
+ * Customer, current subscription and payment methods. The customer is created first when
+ * `create` is set (POST /customer); otherwise a user who never subscribed gets nulls.
+ */
+export async function getBillingAccount(user, { create = false } = {}) {
+  const customer = create ? await ensureCustomer(user) : await getCustomer(user.id);
+  const subscriptions = await listUserSubscriptions(user.id);
+  const current = pickCurrentSubscription(subscriptions) || subscriptions[0] || null;
+
+  let paymentMethods = [];
+  if (customer) {
+    try {
+      paymentMethods = await getPaymentProvider().listPaymentMethods(customer.provider_customer_id);
+    } catch (error) {
+      console.warn('[Billing] Payment methods unavailable:', error?.message || error);
+    }
+  }
+
+  return {
+    customer: customer && { id: customer.provider_customer_id, email: customer.email, provider: customer.provider },
+    subscription: publicSubscription(current),
+    paymentMethods
+  };
+}
+
+/**
+ * Start a checkout for a paid plan: { sessionId, url }. Users with an active subscription
+ * change plans with updateSubscription() instead.
+ */
+export async function createCheckout(user, { priceId, planId, quantity, successUrl, cancelUrl, metadata = {} }) {
+  const { plan, priceId: price } = resolvePrice({ priceId, planId });
+  const count = validateQuantity(quantity) || 1;
+
+  if (pickCurrentSubscription(await listUserSubscriptions(user.id))) {
+    throw createBillingError('You already have an active subscription: change its plan instead', 409, 'ALREADY_SUBSCRIBED');
+  }
+
+  const customer = await ensureCustomer(user);
+  const provider = getPaymentProvider();
+  const session = await provider.createCheckoutSession({
+    customerId: customer.provider_customer_id,
+    userId: user.id,
+    priceId: price,
+    quantity: count,
+    successUrl,
+    cancelUrl,
+    metadata: { ...cleanMetadata(metadata), user_id: user.id, plan: plan.id }
+  });
+
+  // Providers that finish checkout at once (the fake one) hand back the subscription
+  if (session.subscriptionId) {
+    await syncSubscription(await provider.getSubscription(session.subscriptionId), { userId: user.id });
+  }
+  return { sessionId: session.id, url: session.url };
+}
+
+export async function updateSubscription(user, subscriptionId, { priceId, planId, quantity, prorationBehavior }) {
+  const row = await getOwnSubscription(user.id, subscriptionId);
+  if (!ACTIVE_STATUSES.includes(row.status)) {
+    throw createBillingError(`Subscription is ${row.status} and cannot be changed`, 409, 'SUBSCRIPTION_INACTIVE');
+  }
+  const price = priceId || planId ? resolvePrice({ priceId, planId }).priceId : undefined;
+  const count = validateQuantity(quantity);
+  if (!price && !count) throw createBillingError('Nothing to change: pass a priceId, planId or quantity', 400);
+  if (prorationBehavior && !['create_prorations', 'none', 'always_invoice'].includes(prorationBehavior)) {
+    throw createBillingError('Invalid prorationBehavior', 400, null, 'prorationBehavior');
+  }
+
+  const updated = await getPaymentProvider().updateSubscription(row.provider_subscription_id, {
+    priceId: price,
+    quantity: count,
+    prorationBehavior
+  });
+  return publicSubscription(await syncSubscription(updated, { userId: user.id }));
+}
+
+export async function cancelSubscription(user, subscriptionId, { atPeriodEnd = true, feedback = null } = {}) {
+  const row = await getOwnSubscription(user.id, subscriptionId);
+  const canceled = await getPaymentProvider().cancelSubscription(row.provider_subscription_id, { atPeriodEnd });
+  const cancelFeedback = typeof feedback === 'string' ? sanitizeString(feedback, 1000) || null : undefined;
+  return publicSubscription(await syncSubscription(canceled, { userId: user.id, cancelFeedback }));
+}
+
+export async function resumeSubscription(user, subscriptionId) {
+  const row = await getOwnSubscription(user.id, subscriptionId);
+  if (!row.cancel_at_period_end || !ACTIVE_STATUSES.includes(row.status)) {
+    throw createBillingError('Only a subscription set to cancel at period end can be resumed', 409, 'SUBSCRIPTION_INACTIVE');
+  }
+  const resumed = await getPaymentProvider().resumeSubscription(row.provider_subscription_id);
+  return publicSubscription(await syncSubscription(resumed, { userId: user.id }));
+}
+
+/* ---------- payment methods, payments, portal ---------- */
+
+export async function addPaymentMethod(user, paymentMethodId, { setAsDefault = false } = {}) {
+  const customer = await ensureCustomer(user);
+  const provider = getPaymentProvider();
+  await provider.attachPaymentMethod(customer.provider_customer_id, paymentMethodId, { setAsDefault });
+  return provider.listPaymentMethods(customer.provider_customer_id);
+}
+
+export async function removePaymentMethod(user, paymentMethodId) {
+  const customer = await requireCustomer(user.id);
+  const provider = getPaymentProvider();
+  const methods = await provider.listPaymentMethods(customer.provider_customer_id);
+  // Only the user's own cards can be detached
+  if (!methods.some(pm => pm.id === paymentMethodId)) {
+    throw createBillingError('Payment method not found', 404, null, 'paymentMethodId');
+  }
+  await provider.detachPaymentMethod(paymentMethodId);
+  return methods.filter(pm => pm.id !== paymentMethodId);
+}
+
+/**
+ * One-off payment: { clientSecret } for the provider's payment form. `amount` in cents.
+ */
+export async function createPaymentIntent(user, { amount, currency, metadata = {} }) {
+  const value = Number(amount);
+  if (!Number.isInteger(value) || value < 50 || value > MAX_PAYMENT_AMOUNT) {
+    throw createBillingError(`Amount must be a whole number of cents between 50 and ${MAX_PAYMENT_AMOUNT}`, 400, null, 'amount');
+  }
+  const code = String(currency || 'usd').toLowerCase();
+  if (!/^[a-z]{3}$/.test(code)) throw createBillingError('Invalid currency', 400, null, 'currency');
+
+  const customer = await ensureCustomer(user);
+  const intent = await getPaymentProvider().createPaymentIntent({
+    customerId: customer.provider_customer_id,
+    amount: value,
+    currency: code,
+    metadata: { ...cleanMetadata(metadata), user_id: user.id }
+  });
+  return { clientSecret: intent.clientSecret };
+}
+
+export async function createPortalSession(user, returnUrl) {
+  const customer = await requireCustomer(user.id);
+  return getPaymentProvider().createPortalSession({ customerId: customer.provider_customer_id, returnUrl });
+}
+
+/* ---------- invoices ---------- */
+
+export async function listInvoices(userId, { limit = 24, before = null } = {}) {
+  let query = getClient()
+    .from('invoices')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 24, 1), 100));
+  if (before) query = query.lt('created_at', before);
+
+  const { data, error } = await query;
+  if (error) throw createBillingError(`Failed to fetch invoices: ${error.message}`, 500);
+  return (data || []).map(publicInvoice);
+}
+
+/**
+ * The provider's PDF of one of the user's invoices: { body, filename }
+ */
+export async function getInvoicePdf(userId, invoiceId) {
+  if (!isValidUUID(invoiceId)) throw createBillingError('Invalid invoice ID format', 400, null, 'id');
+  const { data, error } = await getClient()
+    .from('invoices')
+    .select('number, invoice_pdf')
+    .eq('id', invoiceId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw createBillingError(`Failed to fetch invoice: ${error.message}`, 500);
+  if (!data?.invoice_pdf) throw createBillingError('Invoice not found', 404);
+
+  const res = await fetch(data.invoice_pdf, { signal: AbortSignal.timeout(15000) });
+  if (!res.ok) throw createBillingError('Invoice PDF unavailable', 502);
+  return {
+    body: Buffer.from(await res.arrayBuffer()),
+    filename: `invoice-${data.number || invoiceId}.pdf`
+  };
+}
+
+async function saveInvoice(invoice) {
+  const owner = await findUserForCustomer(invoice.customerId);
+  if (!owner) {
+    console.warn('[Billing] Invoice for an unknown customer ignored:', invoice.id);
+    return;
+  }
+  const { error } = await getClient()
+    .from('invoices')
+    .upsert({
+      user_id: owner,
+      provider: getPaymentProvider().name,
+      provider_invoice_id: invoice.id,
+      provider_subscription_id: invoice.subscriptionId,
+      number: invoice.number,
+      status: invoice.status,
+      amount_due: invoice.amountDue,
+      amount_paid: invoice.amountPaid,
+      currency: invoice.currency,
+      hosted_invoice_url: invoice.hostedUrl,
+      invoice_pdf: invoice.pdfUrl,
+      period_start: invoice.periodStart,
+      period_end: invoice.periodEnd,
+      created_at: invoice.createdAt || new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'provider_invoice_id' });
+  if (error) throw createBillingError(`Failed to save invoice: ${error.message}`, 500);
+}
+
+/* ---------- webhooks ---------- */
+
+/**
+ * Verify and apply a provider webhook. Each event is applied once (billing_events); if
+ * applying fails the event is forgotten again, so the provider's retry gets another go.
+ * Subscriptions are re-read from the provider rather than taken from the event, so events
+ * arriving out of order cannot roll the plan back.
+ * Returns { type, duplicate }.
+ */
+export async function handleWebhook(payload, signatureHeader) {
+  const provider = getPaymentProvider();
+  let event;
+  try {
+    event = provider.parseWebhook(payload, signatureHeader);
+  } catch (error) {
+    if (error instanceof SyntaxError) throw createBillingError('Invalid webhook payload', 400);
+    throw error;
+  }
+  if (!event?.id || !event.type) throw createBillingError('Invalid webhook payload', 400);
+
+  const supabaseAdmin = getClient();
+  const { error: seenError } = await supabaseAdmin
+    .from('billing_events')
+    .insert({ provider_event_id: event.id, provider: provider.name, type: event.type });
+  if (seenError) {
+    if (seenError.code === '23505') return { type: event.type, duplicate: true };
+    throw createBillingError(`Failed to record event: ${seenError.message}`, 500);
+  }
+
+  try {
+    if (event.subscriptionId) {
+      const subscription = await provider.getSubscription(event.subscriptionId);
+      await syncSubscription(subscription, { userId: event.userId });
+    }
+    if (event.invoice) {
+      await saveInvoice(event.invoice);
+    }
+  } catch (error) {
+    await supabaseAdmin.from('billing_events').delete().eq('provider_event_id', event.id);
+    throw error;
+  }
+
+  return { type: event.type, duplicate: false };
+}
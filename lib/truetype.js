@@ -0,0 +1,247 @@
+// lib/truetype.js
+// Just enough TrueType for embedding a CJK font in exported PDFs (lib/export-pdf.js):
+// metrics, the Unicode cmap, advance widths, and subsetting. A subset keeps every glyph id
+// (so text can be written as glyph ids with /CIDToGIDMap /Identity) but empties the
+// outlines of glyphs that are not used, which shrinks a 10MB+ CJK font to the few hundred
+// glyphs a document needs. Only glyf-based fonts (.ttf, or the first font of a .ttc)
+// are supported; CFF-based OpenType (.otf) is rejected.
+
+const SUBSET_TABLES = ['head', 'hhea', 'maxp', 'hmtx', 'loca', 'glyf', 'cvt ', 'fpgm', 'prep'];
+
+function tableChecksum(buffer) {
+  let sum = 0;
+  for (let i = 0; i < buffer.length; i += 4) {
+    sum = (sum + buffer.readUInt32BE(i)) >>> 0;
+  }
+  return sum;
+}
+
+function pad4(buffer) {
+  const padding = (4 - (buffer.length % 4)) % 4;
+  return padding ? Buffer.concat([buffer, Buffer.alloc(padding)]) : buffer;
+}
+
+function readTables(buffer) {
+  let base = 0;
+  const tag = buffer.toString('latin1', 0, 4);
+  if (tag === 'ttcf') base = buffer.readUInt32BE(12);
+
+  const version = buffer.toString('latin1', base, base + 4);
+  if (version === 'OTTO') throw new Error('CFF-based OpenType fonts are not supported; use a TrueType (.ttf) font');
+  if (buffer.readUInt32BE(base) !== 0x00010000 && version !== 'true') throw new Error('Not a TrueType font');
+
+  const tables = {};
+  const count = buffer.readUInt16BE(base + 4);
+  for (let i = 0; i < count; i++) {
+    const record = base + 12 + i * 16;
+    const name = buffer.toString('latin1', record, record + 4);
+    const offset = buffer.readUInt32BE(record + 8);
+    const length = buffer.readUInt32BE(record + 12);
+    tables[name] = buffer.subarray(offset, offset + length);
+  }
+  for (const required of ['head', 'hhea', 'maxp', 'hmtx', 'loca', 'glyf', 'cmap']) {
+    if (!tables[required]) throw new Error(`Font is missing the ${required} table`);
+  }
+  return tables;
+}
+
+// Unicode code point -> glyph id, from a format 12 (full Unicode) or format 4 (BMP) subtable
+function readCmap(cmap) {
+  const count = cmap.readUInt16BE(2);
+  const subtables = [];
+  for (let i = 0; i < count; i++) {
+    const platform = cmap.readUInt16BE(4 + i * 8);
+    const encoding = cmap.readUInt16BE(6 + i * 8);
+    const offset = cmap.readUInt32BE(8 + i * 8);
+    subtables.push({ platform, encoding, offset, format: cmap.readUInt16BE(offset) });
+  }
+
+  const full = subtables.find(s => s.format === 12 && (s.platform === 3 || s.platform === 0));
+  if (full) {
+    const groups = [];
+    const n = cmap.readUInt32BE(full.offset + 12);
+    for (let i = 0; i < n; i++) {
+      const g = full.offset + 16 + i * 12;
+      groups.push([cmap.readUInt32BE(g), cmap.readUInt32BE(g + 4), cmap.readUInt32BE(g + 8)]);
+    }
+    return codePoint => {
+      let lo = 0;
+      let hi = groups.length - 1;
+      while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        const [start, end, glyph] = groups[mid];
+        if (codePoint < start) hi = mid - 1;
+        else if (codePoint > end) lo = mid + 1;
+        else return glyph + codePoint - start;
+      }
+      return 0;
+    };
+  }
+
+  const bmp = subtables.find(s => s.format === 4 && (s.platform === 3 || s.platform === 0));
+  if (!bmp) throw new Error('Font has no Unicode cmap');
+  const o = bmp.offset;
+  const segments = cmap.readUInt16BE(o + 6) / 2;
+  const ends = o + 14;
+  const starts = ends + segments * 2 + 2;
+  const deltas = starts + segments * 2;
+  const rangeOffsets = deltas + segments * 2;
+
+  return codePoint => {
+    if (codePoint > 0xffff) return 0;
+    for (let i = 0; i < segments; i++) {
+      if (codePoint > cmap.readUInt16BE(ends + i * 2)) continue;
+      const start = cmap.readUInt16BE(starts + i * 2);
+      if (codePoint < start) return 0;
+      const delta = cmap.readInt16BE(deltas + i * 2);
+      const rangeOffset = cmap.readUInt16BE(rangeOffsets + i * 2);
+      if (!rangeOffset) return (codePoint + delta) & 0xffff;
+      const glyph = cmap.readUInt16BE(rangeOffsets + i * 2 + rangeOffset + (codePoint - start) * 2);
+      return glyph ? (glyph + delta) & 0xffff : 0;
+    }
+    return 0;
+  };
+}
+
+function readPostScriptName(name) {
+  if (!name) return null;
+  const count = name.readUInt16BE(2);
+  const strings = name.readUInt16BE(4);
+  for (let i = 0; i < count; i++) {
+    const record = 6 + i * 12;
+    if (name.readUInt16BE(record + 6) !== 6) continue;
+    const platform = name.readUInt16BE(record);
+    const length = name.readUInt16BE(record + 8);
+    const start = strings + name.readUInt16BE(record + 10);
+    const raw = name.subarray(start, start + length);
+    const text = platform === 1 ? raw.toString('latin1') : Buffer.from(raw).swap16().toString('utf16le');
+    const clean = text.replace(/[^A-Za-z0-9-]/g, '');
+    if (clean) return clean;
+  }
+  return null;
+}
+
+/**
+ * Parse a TrueType font.
+ * Returns { name, unitsPerEm, ascent, descent, capHeight, bbox, glyphCount,
+ *           glyphFor(codePoint), advance(glyphId), subset(glyphIds) }
+ */
+export function parseTrueType(buffer) {
+  const tables = readTables(buffer);
+  const { head, hhea, maxp, hmtx, loca, glyf } = tables;
+
+  const unitsPerEm = head.readUInt16BE(18);
+  const longLoca = head.readInt16BE(50) === 1;
+  const glyphCount = maxp.readUInt16BE(4);
+  const metricCount = hhea.readUInt16BE(34);
+  const os2 = tables['OS/2'];
+
+  const glyphOffset = gid => (longLoca ? loca.readUInt32BE(gid * 4) : loca.readUInt16BE(gid * 2) * 2);
+  const glyphData = gid => (gid < glyphCount ? glyf.subarray(glyphOffset(gid), glyphOffset(gid + 1)) : Buffer.alloc(0));
+  const lookup = readCmap(tables.cmap);
+  const cache = new Map();
+
+  const font = {
+    name: readPostScriptName(tables.name) || 'EmbeddedFont',
+    unitsPerEm,
+    ascent: hhea.readInt16BE(4),
+    descent: hhea.readInt16BE(6),
+    capHeight: os2 && os2.readUInt16BE(0) >= 2 && os2.length >= 90 ? os2.readInt16BE(88) : hhea.readInt16BE(4),
+    bbox: [head.readInt16BE(36), head.readInt16BE(38), head.readInt16BE(40), head.readInt16BE(42)],
+    glyphCount,
+
+    glyphFor(codePoint) {
+      if (!cache.has(codePoint)) cache.set(codePoint, lookup(codePoint));
+      return cache.get(codePoint);
+    },
+
+    advance(gid) {
+      const index = Math.min(gid, metricCount - 1);
+      return hmtx.readUInt16BE(index * 4);
+    },
+
+    /**
+     * Font file with only `glyphIds` (plus .notdef and composite components) kept
+     */
+    subset(glyphIds) {
+      const keep = new Set([0, ...glyphIds]);
+      const queue = [...keep];
+      while (queue.length) {
+        const data = glyphData(queue.pop());
+        if (data.length < 10 || data.readInt16BE(0) >= 0) continue;
+        // Composite glyph: walk its component records
+        let offset = 10;
+        let flags;
+        do {
+          flags = data.readUInt16BE(offset);
+          const component = data.readUInt16BE(offset + 2);
+          if (!keep.has(component)) {
+            keep.add(component);
+            queue.push(component);
+          }
+          offset += 4 + (flags & 0x0001 ? 4 : 2);
+          if (flags & 0x0008) offset += 2;
+          else if (flags & 0x0040) offset += 4;
+          else if (flags & 0x0080) offset += 8;
+        } while (flags & 0x0020 && offset + 4 <= data.length);
+      }
+
+      const glyphs = [];
+      const newLoca = Buffer.alloc((glyphCount + 1) * 4);
+      let position = 0;
+      for (let gid = 0; gid < glyphCount; gid++) {
+        newLoca.writeUInt32BE(position, gid * 4);
+        if (!keep.has(gid)) continue;
+        const data = pad4(Buffer.from(glyphData(gid)));
+        glyphs.push(data);
+        position += data.length;
+      }
+      newLoca.writeUInt32BE(position, glyphCount * 4);
+
+      const newHead = Buffer.from(head);
+      newHead.writeUInt32BE(0, 8);        // checkSumAdjustment, set below
+      newHead.writeInt16BE(1, 50);        // long loca offsets
+
+      const output = {
+        ...Object.fromEntries(SUBSET_TABLES.filter(tag => tables[tag]).map(tag => [tag, tables[tag]])),
+        head: newHead,
+        loca: newLoca,
+        glyf: Buffer.concat(glyphs)
+      };
+      return writeFont(output);
+    }
+  };
+
+  return font;
+}
+
+function writeFont(tables) {
+  const tags = Object.keys(tables).sort();
+  const count = tags.length;
+  const entrySelector = Math.floor(Math.log2(count));
+  const searchRange = 2 ** entrySelector * 16;
+
+  const directory = Buffer.alloc(12 + count * 16);
+  directory.writeUInt32BE(0x00010000, 0);
+  directory.writeUInt16BE(count, 4);
+  directory.writeUInt16BE(searchRange, 6);
+  directory.writeUInt16BE(entrySelector, 8);
+  directory.writeUInt16BE(count * 16 - searchRange, 10);
+
+  let offset = directory.length;
+  const bodies = tags.map((tag, i) => {
+    const data = pad4(Buffer.from(tables[tag]));
+    const record = 12 + i * 16;
+    directory.write(tag, record, 4, 'latin1');
+    directory.writeUInt32BE(tableChecksum(data), record + 4);
+    directory.writeUInt32BE(offset, record + 8);
+    directory.writeUInt32BE(tables[tag].length, record + 12);
+    offset += data.length;
+    return data;
+  });
+
+  const font = Buffer.concat([directory, ...bodies]);
+  const headOffset = directory.readUInt32BE(12 + tags.indexOf('head') * 16 + 8);
+  font.writeUInt32BE((0xb1b0afba - tableChecksum(font)) >>> 0, headOffset + 8);
+  return font;
+}
@@ -0,0 +1,153 @@
+// lib/usage.js
+// Token usage and cost of model calls. Every generate/stream call made through
+// getProvider() (lib/llm-provider.js) is recorded in usage_events with its tokens, model,
+// latency and estimated cost; the caller's `meter` attributes it to a user, conversation,
+// mode and endpoint. `purpose` tells replies apart from the calls that support them
+// (classifier, title, summary, retry), which are attributed to the mode of the reply they serve.
+//
+// Cost is estimated when the call is recorded, from USD prices per million tokens:
+// built-in list prices below, overridden per model by LLM_PRICES, e.g.
+//   LLM_PRICES={"gemini-2.5-pro":{"input":1.25,"output":10}}
+// Calls to models without a price are recorded with a null cost.
+// Embeddings (lib/rag.js) are not metered.
+import { getSupabaseAdmin, isAdminConfigured } from './supabase.js';
+
+export const USAGE_GROUPS = ['mode', 'model', 'purpose', 'endpoint', 'user', 'day'];
+
+const DEFAULT_PRICES = {
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'mock-model': { input: 0, output: 0 }
+};
+
+let configuredPrices = null;
+
+function createUsageError(message, statusCode = 400, field = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.field = field;
+  return error;
+}
+
+function getPrices() {
+  if (!configuredPrices) {
+    let overrides = {};
+    try {
+      overrides = process.env.LLM_PRICES ? JSON.parse(process.env.LLM_PRICES) : {};
+    } catch (error) {
+      console.error('[Usage] Ignoring invalid LLM_PRICES:', error.message);
+    }
+    configuredPrices = { ...DEFAULT_PRICES, ...overrides };
+  }
+  return configuredPrices;
+}
+
+/**
+ * Estimated cost in USD of a call, or null when the model has no price.
+ * Versioned model names ("gpt-4o-mini-2024-07-18") use the price of their base name.
+ */
+export function estimateCost(model, usage) {
+  if (!usage) return null;
+  const prices = getPrices();
+  const name = Object.keys(prices)
+    .filter(key => model === key || String(model || '').startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  const price = name && prices[name];
+  if (!price) return null;
+  const cost = ((usage.promptTokens || 0) * (price.input || 0) + (usage.completionTokens || 0) * (price.output || 0)) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Record one model call. Never throws: metering must not break a reply, so failures are
+ * only logged. Resolves once the row is written; await it before the response ends.
+ *   { userId, conversationId, mode, purpose, endpoint, provider, model, usage,
+ *     latencyMs, status: 'ok' | 'error' | 'aborted', errorCode }
+ */
+export async function recordUsage(event) {
+  if (process.env.USAGE_METERING === 'off' || !isAdminConfigured()) return;
+  const usage = event.usage || null;
+  try {
+    const { error } = await getSupabaseAdmin()
+      .from('usage_events')
+      .insert({
+        user_id: event.userId || null,
+        conversation_id: event.conversationId || null,
+        mode: event.mode || null,
+        purpose: event.purpose || 'reply',
+        endpoint: event.endpoint || null,
+        provider: event.provider,
+        model: event.model,
+        prompt_tokens: usage ? usage.promptTokens || 0 : null,
+        completion_tokens: usage ? usage.completionTokens || 0 : null,
+        total_tokens: usage ? usage.totalTokens || (usage.promptTokens || 0) + (usage.completionTokens || 0) : null,
+        cost_usd: estimateCost(event.model, usage),
+        latency_ms: Math.max(Math.round(event.latencyMs || 0), 0),
+        status: event.status || 'ok',
+        error_code: event.errorCode || null
+      });
+    if (error) console.warn('[Usage] Failed to record model call:', error.message);
+  } catch (error) {
+    console.warn('[Usage] Failed to record model call:', error?.message || error);
+  }
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? 0 : Number(value) || 0;
+}
+
+function reportRow(row) {
+  const replies = toNumber(row.replies);
+  const costUsd = toNumber(row.cost_usd);
+  return {
+    key: row.group_key,
+    calls: toNumber(row.calls),
+    replies,
+    errors: toNumber(row.errors),
+    promptTokens: toNumber(row.prompt_tokens),
+    completionTokens: toNumber(row.completion_tokens),
+    totalTokens: toNumber(row.total_tokens),
+    costUsd,
+    costPerReplyUsd: replies ? Math.round((costUsd / replies) * 1e6) / 1e6 : null,
+    avgLatencyMs: row.avg_latency_ms === null ? null : Math.round(Number(row.avg_latency_ms)),
+    users: toNumber(row.users)
+  };
+}
+
+/**
+ * Usage between `from` and `to` (ISO timestamps), grouped by one of USAGE_GROUPS (days
+ * are China time), for one user or everyone (userId null). Costs of supporting calls count
+ * towards their mode, so costPerReplyUsd is what one reply in that mode costs in total.
+ * Returns { groups, totals }.
+ */
+export async function getUsageReport({ userId = null, from, to, groupBy = 'mode' }) {
+  if (!USAGE_GROUPS.includes(groupBy)) {
+    throw createUsageError(`Invalid groupBy: must be one of ${USAGE_GROUPS.join(', ')}`, 400, 'groupBy');
+  }
+  const supabaseAdmin = getSupabaseAdmin();
+  if (!supabaseAdmin) throw createUsageError('Database connection not available', 500);
+
+  const { data, error } = await supabaseAdmin.rpc('usage_report', {
+    p_from: from,
+    p_to: to,
+    p_user_id: userId,
+    p_group_by: groupBy
+  });
+  if (error) throw createUsageError(`Failed to load usage: ${error.message}`, 500);
+
+  const groups = (data || []).map(reportRow);
+  const totals = groups.reduce((sum, g) => ({
+    calls: sum.calls + g.calls,
+    replies: sum.replies + g.replies,
+    errors: sum.errors + g.errors,
+    promptTokens: sum.promptTokens + g.promptTokens,
+    completionTokens: sum.completionTokens + g.completionTokens,
+    totalTokens: sum.totalTokens + g.totalTokens,
+    costUsd: Math.round((sum.costUsd + g.costUsd) * 1e6) / 1e6
+  }), { calls: 0, replies: 0, errors: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 });
+
+  return { groups, totals };
+}
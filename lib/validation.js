@@ -1,5 +1,6 @@
 // lib/validation.js
 // Comprehensive input validation utilities
+import { getValidModeIds } from './modes.js';
 
 /**
  * Validate email format
@@ -87,11 +88,52 @@ export function validateFileArray(files, maxFiles = 10) {
     .slice(0, maxFiles);
 }
 
+/**
+ * Validate conversation tags: trimmed, lower-cased, de-duplicated
+ */
+export function validateTags(tags, maxTags = 10) {
+  if (!Array.isArray(tags)) {
+    throw createValidationError('Tags must be an array of strings', 'tags');
+  }
+
+  const normalized = [...new Set(tags
+    .filter(tag => typeof tag === 'string')
+    .map(tag => sanitizeString(tag, 30).replace(/[,，\s]+/g, '-').toLowerCase())
+    .filter(Boolean))];
+
+  if (normalized.length > maxTags) {
+    throw createValidationError(`Too many tags (max ${maxTags})`, 'tags');
+  }
+  return normalized;
+}
+
+/**
+ * Validate folder name
+ */
+export function validateFolderName(name) {
+  const sanitized = sanitizeString(name, 60).replace(/\s+/g, ' ');
+  if (!sanitized) {
+    throw createValidationError('Folder name is required', 'name');
+  }
+  return sanitized;
+}
+
+/**
+ * Validate branch or checkpoint name
+ */
+export function validateBranchName(name, label = 'Branch') {
+  const sanitized = sanitizeString(name, 60).replace(/\s+/g, ' ');
+  if (!sanitized) {
+    throw createValidationError(`${label} name is required`, 'name');
+  }
+  return sanitized;
+}
+
 /**
  * Validate AI mode
  */
 export function validateAiMode(mode) {
-  const validModes = ['default', 'Dean', 'Investor', 'Expert_match', 'Analyst', 'Agent_builder', 'pitch_deck'];
+  const validModes = getValidModeIds();
   const sanitized = sanitizeString(mode, 50);
 
   if (!sanitized || !validModes.includes(sanitized)) {
@@ -130,38 +172,3 @@ export function validateRequiredFields(body, fields) {
     );
   }
 }
-
-/**
- * Rate limiting helper (simple in-memory)
- */
-const rateLimitMap = new Map();
-
-export function checkRateLimit(key, maxRequests = 100, windowMs = 60000) {
-  const now = Date.now();
-  const userRequests = rateLimitMap.get(key) || [];
-
-  // Clean old requests
-  const recentRequests = userRequests.filter(timestamp => now - timestamp < windowMs);
-
-  if (recentRequests.length >= maxRequests) {
-    const error = new Error('Too many requests, please try again later');
-    error.statusCode = 429;
-    throw error;
-  }
-
-  recentRequests.push(now);
-  rateLimitMap.set(key, recentRequests);
-
-  // Clean up old entries periodically
-  if (rateLimitMap.size > 10000) {
-    const cutoff = now - windowMs;
-    for (const [k, timestamps] of rateLimitMap.entries()) {
-      const recent = timestamps.filter(t => t > cutoff);
-      if (recent.length === 0) {
-        rateLimitMap.delete(k);
-      } else {
-        rateLimitMap.set(k, recent);
-      }
-    }
-  }
-}
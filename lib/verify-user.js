@@ -156,3 +156,20 @@ export async function verifyUser(req) {
 
   throw new Error(`Invalid or expired token${lastError ? `: ${lastError.message}` : ''}`);
 }
+
+/**
+ * Whether a verified user may manage shared data such as the expert directory.
+ * Admins carry app_metadata.role = 'admin' or are listed in ADMIN_EMAILS (comma-separated).
+ * @param {object} user Supabase user
+ * @returns {boolean}
+ */
+export function isAdminUser(user) {
+  if (!user) return false;
+  if (user.app_metadata?.role === 'admin') return true;
+
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(e => e.trim().toLowerCase())
+    .filter(Boolean);
+  return !!user.email && adminEmails.includes(user.email.toLowerCase());
+}
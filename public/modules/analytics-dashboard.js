@@ -18,6 +18,8 @@ class AnalyticsDashboard {
             timeRanges: config.timeRanges || ['1h', '24h', '7d', '30d', '90d'],
             defaultRange: config.defaultRange || '24h',
             trackingEnabled: config.trackingEnabled !== false,
+            batchSize: config.batchSize || 20, // items per request
+            flushInterval: config.flushInterval || 5000, // 5 seconds
             ...config
         };
 
@@ -33,6 +35,10 @@ class AnalyticsDashboard {
         // Chart instances
         this.charts = new Map();
 
+        // Events, errors and performance samples waiting to be sent
+        this.queues = { events: [], errors: [], performance: [] };
+        this.flushTimer = null;
+
         // Tracking state
         this.sessionId = this.generateSessionId();
         this.userId = this.getUserId();
@@ -55,6 +61,9 @@ class AnalyticsDashboard {
         // Load chart library
         await this.loadChartLibrary();
 
+        // Send queued data in batches
+        this.flushTimer = setInterval(() => this.flushAll(), this.config.flushInterval);
+
         // Set up tracking
         if (this.config.trackingEnabled) {
             this.setupTracking();
@@ -271,15 +280,16 @@ class AnalyticsDashboard {
      */
     async loadAnalyticsData(timeRange = this.config.defaultRange) {
         try {
-            const response = await fetch(`${this.config.apiEndpoint}/data?range=${timeRange}`, {
+            const response = await fetch(`${this.config.apiEndpoint}/data?range=${encodeURIComponent(timeRange)}`, {
                 headers: {
                     'Authorization': `Bearer ${this.getAuthToken()}`
                 }
             });
 
+            // Site-wide data is for admins; others keep the empty charts
             if (response.ok) {
-                const data = await response.json();
-                this.metrics.historical = data;
+                const { data } = await response.json();
+                this.metrics.historical = data || {};
                 this.updateCharts();
             }
         } catch (error) {
@@ -438,74 +448,90 @@ class AnalyticsDashboard {
     /**
      * Send event to server
      */
-    async sendEvent(event) {
+    sendEvent(event) {
         if (!this.config.trackingEnabled) return;
-
-        try {
-            await fetch(`${this.config.apiEndpoint}/events`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.getAuthToken()}`
-                },
-                body: JSON.stringify(event)
-            });
-        } catch (error) {
-            console.error('Failed to send event:', error);
-        }
+        this.enqueue('events', event);
     }
 
     /**
      * Send error to server
      */
-    async sendError(error) {
-        try {
-            await fetch(`${this.config.apiEndpoint}/errors`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.getAuthToken()}`
-                },
-                body: JSON.stringify(error)
-            });
-        } catch (err) {
-            console.error('Failed to send error:', err);
-        }
+    sendError(error) {
+        this.enqueue('errors', error);
     }
 
     /**
      * Send performance data
      */
-    async sendPerformance(data) {
-        try {
-            await fetch(`${this.config.apiEndpoint}/performance`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.getAuthToken()}`
-                },
-                body: JSON.stringify(data)
-            });
-        } catch (error) {
-            console.error('Failed to send performance data:', error);
+    sendPerformance(data) {
+        this.enqueue('performance', data);
+    }
+
+    /**
+     * Queue an item, sending the batch once it is full
+     */
+    enqueue(kind, item) {
+        const queue = this.queues[kind];
+        queue.push(item);
+        if (queue.length >= this.config.batchSize) {
+            this.flush(kind);
         }
     }
 
+    /**
+     * Send queued items of one kind ({ events: [...] } to /events, and so on).
+     * Beacons survive page unload but cannot carry the auth header, so they arrive anonymous.
+     */
+    async flush(kind, { beacon = false } = {}) {
+        const queue = this.queues[kind];
+        if (queue.length === 0) return;
+        const batch = queue.splice(0, this.config.batchSize);
+        const body = JSON.stringify({ [kind]: batch });
+        const url = `${this.config.apiEndpoint}/${kind}`;
+
+        if (beacon && navigator.sendBeacon) {
+            navigator.sendBeacon(url, body);
+        } else {
+            try {
+                await fetch(url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${this.getAuthToken()}`
+                    },
+                    body,
+                    keepalive: true
+                });
+            } catch (error) {
+                console.error(`Failed to send analytics ${kind}:`, error);
+            }
+        }
+
+        if (queue.length > 0) {
+            this.flush(kind, { beacon });
+        }
+    }
+
+    /**
+     * Send everything queued
+     */
+    flushAll(options = {}) {
+        Object.keys(this.queues).forEach(kind => this.flush(kind, options));
+    }
+
     /**
      * End session
      */
     endSession() {
-        const sessionData = {
-            sessionId: this.sessionId,
-            userId: this.userId,
+        this.trackEvent('session_end', {
             duration: Date.now() - this.startTime,
             pageViews: this.pageViews,
             interactions: this.interactions,
             errors: this.metrics.errors.length
-        };
+        });
 
-        // Send session data
-        navigator.sendBeacon(`${this.config.apiEndpoint}/sessions`, JSON.stringify(sessionData));
+        // The page may be unloading: send what is left as beacons
+        this.flushAll({ beacon: true });
     }
 
     /**
@@ -531,19 +557,17 @@ class AnalyticsDashboard {
     }
 
     /**
-     * Get active users (mock)
+     * Get active users (signed-in users active in the selected range, from the server)
      */
     getActiveUsers() {
-        // In production, this would query the server
-        return Math.floor(Math.random() * 100) + 50;
+        return this.metrics.historical.summary?.activeUsers ?? 0;
     }
 
     /**
-     * Get CPU usage (mock)
+     * Get CPU usage (browsers do not expose it)
      */
     getCPUUsage() {
-        // In production, this would use actual metrics
-        return Math.random() * 100;
+        return null;
     }
 
     /**
@@ -553,7 +577,7 @@ class AnalyticsDashboard {
         if (performance.memory) {
             return (performance.memory.usedJSHeapSize / performance.memory.jsHeapSizeLimit) * 100;
         }
-        return Math.random() * 100;
+        return null;
     }
 
     /**
@@ -595,6 +619,11 @@ class AnalyticsDashboard {
      * Get auth token
      */
     getAuthToken() {
+        // Session saved by the app's auth manager (script.js)
+        try {
+            const session = JSON.parse(localStorage.getItem('auth_session') || 'null');
+            if (session?.access_token) return session.access_token;
+        } catch {}
         return localStorage.getItem('authToken') || '';
     }
 
@@ -1054,7 +1083,7 @@ class AnalyticsDashboard {
     }
 
     /**
-     * Initialize charts
+     * Initialize charts (empty until loadAnalyticsData fills them)
      */
     initializeCharts() {
         // Traffic chart
@@ -1063,16 +1092,16 @@ class AnalyticsDashboard {
             this.charts.set('traffic', new Chart(trafficCtx, {
                 type: 'line',
                 data: {
-                    labels: this.generateTimeLabels(),
+                    labels: [],
                     datasets: [{
                         label: 'Page Views',
-                        data: this.generateMockData(),
+                        data: [],
                         borderColor: 'rgb(75, 192, 192)',
                         backgroundColor: 'rgba(75, 192, 192, 0.2)',
                         tension: 0.4
                     }, {
                         label: 'Unique Visitors',
-                        data: this.generateMockData(),
+                        data: [],
                         borderColor: 'rgb(255, 99, 132)',
                         backgroundColor: 'rgba(255, 99, 132, 0.2)',
                         tension: 0.4
@@ -1097,16 +1126,16 @@ class AnalyticsDashboard {
             this.charts.set('performance', new Chart(perfCtx, {
                 type: 'line',
                 data: {
-                    labels: this.generateTimeLabels(),
+                    labels: [],
                     datasets: [{
-                        label: 'Response Time (ms)',
-                        data: this.generateMockData(100, 500),
+                        label: 'Response Time p50 (ms)',
+                        data: [],
                         borderColor: 'rgb(54, 162, 235)',
                         backgroundColor: 'rgba(54, 162, 235, 0.2)',
                         tension: 0.4
                     }, {
-                        label: 'CPU Usage (%)',
-                        data: this.generateMockData(0, 100),
+                        label: 'Response Time p95 (ms)',
+                        data: [],
                         borderColor: 'rgb(255, 206, 86)',
                         backgroundColor: 'rgba(255, 206, 86, 0.2)',
                         tension: 0.4
@@ -1131,10 +1160,10 @@ class AnalyticsDashboard {
             this.charts.set('activity', new Chart(activityCtx, {
                 type: 'bar',
                 data: {
-                    labels: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+                    labels: [],
                     datasets: [{
                         label: 'Active Users',
-                        data: [120, 190, 300, 250, 220, 180, 150],
+                        data: [],
                         backgroundColor: 'rgba(75, 192, 192, 0.6)'
                     }]
                 },
@@ -1158,7 +1187,7 @@ class AnalyticsDashboard {
                 data: {
                     labels: ['JavaScript', 'Network', 'API', 'Other'],
                     datasets: [{
-                        data: [30, 25, 35, 10],
+                        data: [0, 0, 0, 0],
                         backgroundColor: [
                             'rgba(255, 99, 132, 0.6)',
                             'rgba(54, 162, 235, 0.6)',
@@ -1182,38 +1211,41 @@ class AnalyticsDashboard {
     }
 
     /**
-     * Generate time labels
+     * Label for a bucket start: time of day for sub-day buckets, otherwise the date
      */
-    generateTimeLabels() {
-        const labels = [];
-        for (let i = 23; i >= 0; i--) {
-            const time = new Date(Date.now() - i * 60 * 60 * 1000);
-            labels.push(time.getHours() + ':00');
+    formatBucketLabel(iso, bucket) {
+        const date = new Date(iso);
+        if (bucket === '1d') {
+            return `${date.getMonth() + 1}/${date.getDate()}`;
         }
-        return labels;
+        return `${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')}`;
     }
 
     /**
-     * Generate mock data
-     */
-    generateMockData(min = 0, max = 1000) {
-        return Array.from({ length: 24 }, () =>
-            Math.floor(Math.random() * (max - min)) + min
-        );
-    }
-
-    /**
-     * Update charts
+     * Update charts from the server's report (see lib/analytics.js)
      */
     updateCharts() {
+        const { buckets, bucket, series, errorsByType } = this.metrics.historical;
+        if (!buckets || !series) return;
+
+        const labels = buckets.map(iso => this.formatBucketLabel(iso, bucket));
+        const datasets = {
+            traffic: [series.pageViews, series.visitors],
+            performance: [series.responseP50, series.responseP95],
+            activity: [series.activeUsers]
+        };
+
         this.charts.forEach((chart, name) => {
-            if (this.metrics.historical[name]) {
-                // Update with real data
+            if (name === 'error') {
+                chart.data.datasets[0].data = ['javascript', 'network', 'api', 'other']
+                    .map(type => errorsByType?.[type] || 0);
+            } else if (datasets[name]) {
+                chart.data.labels = labels;
                 chart.data.datasets.forEach((dataset, index) => {
-                    dataset.data = this.metrics.historical[name][index] || dataset.data;
+                    dataset.data = datasets[name][index] || [];
                 });
-                chart.update();
             }
+            chart.update();
         });
     }
 
@@ -1421,6 +1453,7 @@ class AnalyticsDashboard {
         // Clear intervals
         clearInterval(this.updateInterval);
         clearInterval(this.metricsInterval);
+        clearInterval(this.flushTimer);
 
         // Destroy charts
         this.charts.forEach(chart => chart.destroy());
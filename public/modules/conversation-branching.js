@@ -8,6 +8,13 @@ export class ConversationBranching {
     this.maxBranches = options.maxBranches || 100;
     this.autosave = options.autosave !== false;
 
+    // Server persistence (/api/conversations?resource=branches); local-only without a conversationId
+    this.conversationId = options.conversationId || null;
+    this.apiUrl = options.apiUrl || '/api/conversations';
+    this.getAuthHeaders = options.getAuthHeaders || (() => ({}));
+    this.remoteQueue = Promise.resolve();
+    this.onSyncError = options.onSyncError || ((error) => console.warn('Branch sync failed:', error));
+
     // Branch metadata
     this.metadata = {
       created: Date.now(),
@@ -26,9 +33,11 @@ export class ConversationBranching {
   }
 
   initializeMainBranch() {
+    // The server creates its main branch on the first fork
     this.createBranch('main', null, {
       protected: true,
-      description: 'Main conversation thread'
+      description: 'Main conversation thread',
+      remote: false
     });
   }
 
@@ -75,6 +84,18 @@ export class ConversationBranching {
 
     this.branches.set(name, branch);
 
+    if (options.remote !== false) {
+      this.queueRemote('branches', 'POST', {
+        conversationId: this.conversationId,
+        name,
+        description: branch.metadata.description,
+        fromMessageId: this.isRemoteId(fromMessage) ? fromMessage : null,
+        switchTo: false
+      }).then(data => {
+        if (data?.branch) branch.remoteId = data.branch.id;
+      });
+    }
+
     // Add to history
     this.addToHistory({
       action: 'create_branch',
@@ -106,6 +127,13 @@ export class ConversationBranching {
     const branch = this.branches.get(name);
     branch.stats.lastActivity = Date.now();
 
+    // Queued after the branch's own creation, so remoteId is known by then
+    this.queueRemote('branches', 'POST', () => branch.remoteId && {
+      action: 'switch',
+      conversationId: this.conversationId,
+      branchId: branch.remoteId
+    });
+
     // Add to history
     this.addToHistory({
       action: 'switch_branch',
@@ -248,6 +276,8 @@ export class ConversationBranching {
 
     this.branches.delete(name);
 
+    this.queueRemote('branches', 'DELETE', () => branch.remoteId && { branchId: branch.remoteId });
+
     // Add to history
     this.addToHistory({
       action: 'delete_branch',
@@ -403,6 +433,16 @@ export class ConversationBranching {
 
     this.checkpoints.set(name, checkpoint);
 
+    const lastMessage = this.getCurrentBranch()?.messages.slice(-1)[0];
+    this.queueRemote('checkpoints', 'POST', {
+      conversationId: this.conversationId,
+      name,
+      description,
+      messageId: this.isRemoteId(lastMessage?.id) ? lastMessage.id : null
+    }).then(data => {
+      if (data?.checkpoint) checkpoint.remoteId = data.checkpoint.id;
+    });
+
     return checkpoint;
   }
 
@@ -418,6 +458,12 @@ export class ConversationBranching {
     this.currentBranch = checkpoint.currentBranch;
     this.metadata = { ...checkpoint.metadata };
 
+    // On the server a restore forks a new active branch at the checkpoint
+    this.queueRemote('checkpoints', 'POST', () => checkpoint.remoteId && {
+      action: 'restore',
+      checkpointId: checkpoint.remoteId
+    });
+
     return checkpoint;
   }
 
@@ -528,6 +574,7 @@ export class ConversationBranching {
     }
   }
 
+  // Local cache; the server copy is written by each operation as it happens
   saveBranches() {
     if (typeof localStorage !== 'undefined') {
       const data = {
@@ -537,13 +584,24 @@ export class ConversationBranching {
         history: this.history
       };
 
-      localStorage.setItem('conversation_branches', JSON.stringify(data));
+      localStorage.setItem(this.storageKey(), JSON.stringify(data));
     }
   }
 
-  loadBranches() {
+  // Load from the server when bound to a conversation, falling back to the local cache
+  async loadBranches() {
+    if (this.conversationId) {
+      try {
+        await this.loadRemoteBranches();
+        this.saveBranches();
+        return true;
+      } catch (error) {
+        this.onSyncError(error);
+      }
+    }
+
     if (typeof localStorage !== 'undefined') {
-      const stored = localStorage.getItem('conversation_branches');
+      const stored = localStorage.getItem(this.storageKey());
 
       if (stored) {
         const data = JSON.parse(stored);
@@ -558,6 +616,84 @@ export class ConversationBranching {
     return false;
   }
 
+  async loadRemoteBranches() {
+    const list = await this.requestRemote('branches', 'GET', { conversationId: this.conversationId });
+    if (!list.branches.length) return;
+
+    const byId = new Map(list.branches.map(b => [b.id, b]));
+    const branches = new Map();
+    for (const remote of list.branches) {
+      const page = await this.requestRemote('branches', 'GET', { branchId: remote.id, limit: 200 });
+      const messages = page.messages.map((m, index) => ({
+        id: m.id,
+        role: m.role,
+        content: m.content,
+        timestamp: new Date(m.created_at).getTime(),
+        branch: remote.name,
+        index
+      }));
+
+      branches.set(remote.name, {
+        id: this.generateId(),
+        remoteId: remote.id,
+        name: remote.name,
+        parent: byId.get(remote.parent_branch_id)?.name || null,
+        created: new Date(remote.created_at).getTime(),
+        modified: new Date(remote.updated_at || remote.created_at).getTime(),
+        author: this.metadata.author,
+        messages,
+        metadata: {
+          description: remote.description || '',
+          tags: [],
+          protected: remote.is_main,
+          experimental: false
+        },
+        stats: {
+          messageCount: messages.length,
+          tokenCount: messages.reduce((sum, m) => sum + this.estimateTokens(m.content || ''), 0),
+          lastActivity: new Date(remote.updated_at || remote.created_at).getTime()
+        }
+      });
+    }
+
+    this.branches = branches;
+    this.currentBranch = list.branches.find(b => b.active)?.name || 'main';
+  }
+
+  storageKey() {
+    return this.conversationId ? `conversation_branches_${this.conversationId}` : 'conversation_branches';
+  }
+
+  isRemoteId(id) {
+    return typeof id === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id);
+  }
+
+  async requestRemote(resource, method, params) {
+    const query = new URLSearchParams({ resource, ...(method === 'GET' ? params : {}) });
+    const res = await fetch(`${this.apiUrl}?${query}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...this.getAuthHeaders() },
+      body: method === 'GET' ? undefined : JSON.stringify(params)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `Branch request failed (${res.status})`);
+    return data;
+  }
+
+  // Server writes run in order; `body` may be a function evaluated when the write runs
+  queueRemote(resource, method, body) {
+    if (!this.conversationId) return Promise.resolve(null);
+
+    this.remoteQueue = this.remoteQueue.then(() => {
+      const payload = typeof body === 'function' ? body() : body;
+      return payload ? this.requestRemote(resource, method, payload) : null;
+    }).catch(error => {
+      this.onSyncError(error);
+      return null;
+    });
+    return this.remoteQueue;
+  }
+
   generateId() {
     return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   }
@@ -5,9 +5,35 @@ import html2canvas from 'https://cdn.skypack.dev/html2canvas@1.4.1';
 import { marked } from 'https://cdn.skypack.dev/marked@9.1.0';
 
 export class ExportManager {
-  constructor() {
+  constructor(options = {}) {
     this.formats = ['pdf', 'markdown', 'json', 'html', 'docx', 'txt'];
     this.currentConversation = null;
+    // Saved conversations are rendered by /api/export (real .docx, PDF with embedded Chinese font)
+    this.apiUrl = options.apiUrl || '/api/export';
+    this.getAuthHeaders = options.getAuthHeaders || (() => {
+      const token = localStorage.getItem('auth_token');
+      return token ? { 'Authorization': `Bearer ${token}` } : {};
+    });
+  }
+
+  // Download a server-rendered export of a saved conversation
+  async exportFromServer(conversation, format) {
+    const query = new URLSearchParams({ format, conversationId: conversation.id });
+    const response = await fetch(`${this.apiUrl}?${query}`, { headers: this.getAuthHeaders() });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `Export failed (${response.status})`);
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/);
+    const filename = encoded
+      ? decodeURIComponent(encoded[1])
+      : `${this.sanitizeFilename(conversation.title || 'conversation')}.${format}`;
+
+    const blob = await response.blob();
+    this.downloadFile(blob, filename, blob.type);
+    return { success: true, filename };
   }
 
   // Export conversation in specified format
@@ -34,8 +60,13 @@ export class ExportManager {
     }
   }
 
-  // Export to PDF
+  // Export to PDF. jsPDF's built-in fonts have no Chinese glyphs, so saved conversations
+  // are rendered on the server; the local version is only for unsaved ones.
   async exportToPDF(conversation, options = {}) {
+    if (conversation.id) {
+      return this.exportFromServer(conversation, 'pdf');
+    }
+
     const {
       title = conversation.title || 'AI Conversation',
       includeMetadata = true,
@@ -430,36 +461,12 @@ export class ExportManager {
     return { success: true, html };
   }
 
-  // Export to DOCX
-  async exportToDocx(conversation, options = {}) {
-    // For DOCX export, we'll use a library like docx
-    // This is a simplified version - in production, use a proper DOCX library
-
-    const htmlContent = this.exportToHTML(conversation, { ...options, includeStyles: false });
-
-    // Create a blob with Word-compatible HTML
-    const wordHtml = `
-      <html xmlns:o="urn:schemas-microsoft-com:office:office"
-            xmlns:w="urn:schemas-microsoft-com:office:word"
-            xmlns="http://www.w3.org/TR/REC-html40">
-      <head>
-        <meta charset="utf-8">
-        <title>${conversation.title || 'AI Conversation'}</title>
-      </head>
-      <body>
-        ${htmlContent.html}
-      </body>
-      </html>
-    `;
-
-    // Download as .doc file (Word will open it correctly)
-    this.downloadFile(
-      wordHtml,
-      `${this.sanitizeFilename(conversation.title || 'conversation')}_${Date.now()}.doc`,
-      'application/msword'
-    );
-
-    return { success: true };
+  // Export to DOCX (Office Open XML, rendered by the server)
+  async exportToDocx(conversation) {
+    if (!conversation.id) {
+      throw new Error('请先保存对话后再导出 Word 文档');
+    }
+    return this.exportFromServer(conversation, 'docx');
   }
 
   // Export to plain text
@@ -613,7 +620,7 @@ export class ExportManager {
     return { button: exportButton, dropdown };
   }
 
-  handleExportClick(format) {
+  async handleExportClick(format) {
     // Get current conversation data
     const conversation = this.getCurrentConversation();
 
@@ -623,7 +630,7 @@ export class ExportManager {
     }
 
     try {
-      this.exportConversation(conversation, format);
+      await this.exportConversation(conversation, format);
       this.showNotification(`成功导出为 ${format.toUpperCase()} 格式`, 'success');
     } catch (error) {
       console.error('Export failed:', error);
@@ -219,9 +219,13 @@ class SubscriptionSystem {
                 })
             });
 
-            const { sessionId } = await response.json();
+            const { sessionId, url } = await this.readResponse(response);
 
-            // Redirect to Stripe Checkout
+            // Hosted checkout page when the server returns one, else Stripe Checkout
+            if (url) {
+                window.location.href = url;
+                return { success: true, sessionId };
+            }
             const { error } = await this.stripe.redirectToCheckout({ sessionId });
 
             if (error) {
@@ -282,7 +286,7 @@ class SubscriptionSystem {
                 })
             });
 
-            const { clientSecret } = await response.json();
+            const { clientSecret } = await this.readResponse(response);
 
             // Confirm payment
             const { error, paymentIntent } = await this.stripe.confirmPayment({
@@ -326,10 +330,10 @@ class SubscriptionSystem {
                 })
             });
 
-            const updatedSubscription = await response.json();
-            this.currentSubscription = updatedSubscription;
+            const { subscription } = await this.readResponse(response);
+            this.currentSubscription = subscription;
 
-            return updatedSubscription;
+            return subscription;
         } catch (error) {
             console.error('Failed to update subscription:', error);
             throw error;
@@ -354,13 +358,9 @@ class SubscriptionSystem {
                 })
             });
 
-            const result = await response.json();
+            const result = await this.readResponse(response);
 
-            if (options.atPeriodEnd) {
-                this.currentSubscription.cancelAtPeriodEnd = true;
-            } else {
-                this.currentSubscription = null;
-            }
+            this.currentSubscription = result.subscription?.status === 'canceled' ? null : result.subscription;
 
             return result;
         } catch (error) {
@@ -385,10 +385,10 @@ class SubscriptionSystem {
                 })
             });
 
-            const resumedSubscription = await response.json();
-            this.currentSubscription = resumedSubscription;
+            const { subscription } = await this.readResponse(response);
+            this.currentSubscription = subscription;
 
-            return resumedSubscription;
+            return subscription;
         } catch (error) {
             console.error('Failed to resume subscription:', error);
             throw error;
@@ -412,7 +412,7 @@ class SubscriptionSystem {
                 })
             });
 
-            const result = await response.json();
+            const result = await this.readResponse(response);
             this.paymentMethods = result.paymentMethods;
 
             return result;
@@ -436,8 +436,8 @@ class SubscriptionSystem {
                 body: JSON.stringify({ paymentMethodId })
             });
 
-            const result = await response.json();
-            this.paymentMethods = this.paymentMethods.filter(pm => pm.id !== paymentMethodId);
+            const result = await this.readResponse(response);
+            this.paymentMethods = result.paymentMethods;
 
             return result;
         } catch (error) {
@@ -461,7 +461,7 @@ class SubscriptionSystem {
                 }
             });
 
-            const invoices = await response.json();
+            const { invoices } = await this.readResponse(response);
             this.invoices = invoices;
 
             this.setCache(cacheKey, invoices);
@@ -543,7 +543,7 @@ class SubscriptionSystem {
                 }
             });
 
-            return response.json();
+            return this.readResponse(response);
         } catch (error) {
             console.error('Failed to get usage stats:', error);
             throw error;
@@ -596,7 +596,7 @@ class SubscriptionSystem {
                 body: JSON.stringify({ returnUrl })
             });
 
-            const { url } = await response.json();
+            const { url } = await this.readResponse(response);
             return url;
         } catch (error) {
             console.error('Failed to get customer portal URL:', error);
@@ -782,10 +782,28 @@ class SubscriptionSystem {
      * Get auth token
      */
     getAuthToken() {
-        // Get from your auth system
+        // Session saved by the app's auth manager (script.js)
+        try {
+            const session = JSON.parse(localStorage.getItem('auth_session') || 'null');
+            if (session?.access_token) return session.access_token;
+        } catch {}
         return localStorage.getItem('authToken') || '';
     }
 
+    /**
+     * Parse an API response, throwing the server's error message on failure
+     */
+    async readResponse(response) {
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error || `Request failed (${response.status})`);
+            error.code = data.code;
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
     /**
      * Show notification
      */
@@ -89,7 +89,7 @@
   const logoutBtn = document.getElementById('logout-btn');
   const switchToSignup = document.getElementById('switch-to-signup');
   const switchToLogin = document.getElementById('switch-to-login');
-  const USE_STREAM = false;
+  const USE_STREAM = true; // SSE token streaming for learning mode (/api/chat?stream=1)
 
   // Sidebar
   const sidebar = document.getElementById('sidebar');
@@ -109,6 +109,10 @@
   const filePreviewArea = document.getElementById('file-preview-area');
   const fileList = document.getElementById('file-list');
   const clearFilesBtn = document.getElementById('clear-files');
+  const documentLibraryBtn = document.getElementById('document-library-btn');
+  const documentLibrary = document.getElementById('document-library');
+  const documentLibraryList = document.getElementById('document-library-list');
+  const documentLibraryClose = document.getElementById('document-library-close');
   const conversationIdInput = document.getElementById('conversation-id');
   
   // Mode dropdown elements
@@ -117,6 +121,8 @@
   const modeDropdownMenu = document.getElementById('mode-dropdown-menu');
   const currentModeText = document.getElementById('current-mode-text');
   const chatModeInput = document.getElementById('chat-mode');
+  const startupProfileField = document.getElementById('startup-profile-field');
+  const startupTrackInput = document.getElementById('startup-track');
 
   const API_CHAT = '/api/chat';
   const API_STARTUP_MENTOR = '/api/startup-mentor';
@@ -124,6 +130,11 @@
   const API_AUTH = '/api/auth';
   const API_SEARCH = '/api/search';
   const API_REACTIONS = '/api/reactions';
+  const API_MODES = '/api/modes';
+  const API_DOCUMENTS = '/api/documents';
+  const API_MESSAGES = '/api/messages';
+  const API_EXPORT = '/api/export';
+  const API_IMPORT = '/api/import';
 
   // Search input
   const searchInput = document.getElementById('search-chats');
@@ -131,27 +142,58 @@
   // Store message reactions locally
   const messageReactions = new Map(); // messageId -> {thumbs_up, thumbs_down, bookmark}
 
+  /* ================================
+   *  Mode registry (served by /api/modes)
+   * ================================ */
+  const UI_LANG = localStorage.getItem('app_language') === 'en' ? 'en' : 'zh';
+
+  // Used until /api/modes responds (or if it fails)
+  let modeRegistry = {
+    groups: [
+      { id: 'learning', names: { zh: '学习模式', en: 'Learning Mode' }, placeholders: { zh: 'Enter a question here...', en: 'Enter a question here...' }, defaultMode: 'default', endpoint: API_CHAT, allowedFileTypes: ['.pdf', '.doc', '.docx', '.txt', '.md', '.ppt', '.pptx', '.xlsx', '.csv'] },
+      { id: 'startup', names: { zh: '创业导师', en: 'Startup Mentor' }, placeholders: { zh: '请告诉我您的创业问题或上传路演材料...', en: 'Tell me about your startup question or upload your pitch deck...' }, defaultMode: 'mentor', endpoint: API_STARTUP_MENTOR, allowedFileTypes: ['.pdf', '.doc', '.docx', '.txt', '.md', '.ppt', '.pptx', '.xlsx', '.csv'] },
+      { id: 'agent', names: { zh: '创建Agent', en: 'Create Agent' }, placeholders: { zh: '告诉我你想创建什么样的AI伙伴...', en: 'Describe the AI partner you want to create...' }, defaultMode: 'Agent_builder', endpoint: API_STARTUP_MENTOR, allowedFileTypes: ['.pdf', '.doc', '.docx', '.txt', '.md', '.ppt', '.pptx', '.xlsx', '.csv'] }
+    ],
+    modes: [
+      { id: 'default', assistantName: 'Dean' },
+      { id: 'Investor', assistantName: 'Investor' },
+      { id: 'Expert_match', assistantName: 'Expert Match' },
+      { id: 'Analyst', assistantName: 'Analyst' },
+      { id: 'Agent_builder', assistantName: 'Agent Builder' }
+    ],
+    aliases: { Dean: 'default' }
+  };
+
+  function getModeGroup(groupId) {
+    return modeRegistry.groups.find(g => g.id === groupId) || modeRegistry.groups[0];
+  }
+
+  function getAssistantName(role) {
+    const id = modeRegistry.aliases?.[role] || role;
+    const mode = modeRegistry.modes.find(m => m.id === id);
+    return mode?.assistantName || 'Dean';
+  }
+
+  async function loadModeRegistry() {
+    try {
+      const res = await fetch(API_MODES, { method: 'GET' });
+      if (!res.ok) return;
+      const data = await res.json();
+      if (Array.isArray(data.groups) && data.groups.length && Array.isArray(data.modes)) {
+        modeRegistry = { groups: data.groups, modes: data.modes, aliases: data.aliases || {} };
+        renderModeOptions();
+      }
+    } catch (error) {
+      console.warn('Failed to load mode registry, using built-in modes:', error);
+    }
+  }
+
   // Helper function to update page title and assistant name based on role
   function updateUIBasedOnRole(role) {
-    let title = 'Dean'; // default
-    let assistantName = 'Dean'; // default
-    
-    if (role === 'Investor') {
-      title = 'Investor';
-      assistantName = 'Investor';
-    } else if (role === 'Expert_match') {
-      title = 'Expert Match';
-      assistantName = 'Expert Match';
-    } else if (role === 'Analyst') {
-      title = 'Analyst';
-      assistantName = 'Analyst';
-    } else if (role === 'Agent_builder') {
-      title = 'Agent Builder';
-      assistantName = 'Agent Builder';
-    }
+    const assistantName = getAssistantName(role);
     
     // Update page title
-    document.title = title;
+    document.title = assistantName;
     
     return assistantName;
   }
@@ -296,6 +338,33 @@
     return false; // not handled
   }
 
+  // Readable text for a request outside the user's plan (`upgrade` from lib/entitlements.js)
+  const PLAN_NAMES = { starter: 'Starter', professional: 'Professional', enterprise: 'Enterprise' };
+  function upgradeMessage(upgrade) {
+    const plan = PLAN_NAMES[upgrade?.requiredPlan] || upgrade?.requiredPlan || '更高';
+    if (upgrade?.code === 'HISTORY_LIMIT') return `该会话超出当前套餐的历史记录范围，升级到 ${plan} 套餐即可查看。`;
+    if (upgrade?.code === 'PLAN_LIMIT_REACHED') {
+      return upgrade.feature === 'storage'
+        ? `文档存储空间已满，升级到 ${plan} 套餐可获得更多空间。`
+        : `今日投资人模式次数已用完，升级到 ${plan} 套餐即可继续使用。`;
+    }
+    return `当前套餐不包含此功能，请升级到 ${plan} 套餐。`;
+  }
+
+  // Error with a readable message for a 429 from the server's rate limits and quotas,
+  // or a request outside the user's plan
+  function rateLimitError(response, data) {
+    const wait = Number(data?.retryAfter || response?.headers?.get('Retry-After')) || 0;
+    const waitText = wait >= 60 ? `${Math.ceil(wait / 60)} 分钟` : `${wait} 秒`;
+    const message = data?.upgrade ? upgradeMessage(data.upgrade)
+      : data?.code === 'QUOTA_EXCEEDED'
+        ? '今日消息额度已用完，将于北京时间零点重置。升级套餐可获得更多额度。'
+        : wait ? `请求过于频繁，请 ${waitText}后再试。` : '请求过于频繁，请稍后再试。';
+    const error = new Error(message);
+    error.userMessage = message;
+    return error;
+  }
+
   /* ================================
    *  UI helpers
    * ================================ */
@@ -360,6 +429,43 @@
     const safe = escapeHtml(text);
     return safe.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>').replace(/\n/g, '<br>');
   }
+  // Investor deck review: slide-by-slide scorecard from the structured reply
+  const DECK_REVIEW_LEVELS = {
+    L3: { zh: '愿意投', en: 'Would invest' },
+    L2: { zh: '愿意聊', en: 'Worth a meeting' },
+    L1: { zh: '聊都不愿意', en: 'Pass' }
+  };
+  function renderDeckReview(review) {
+    const en = UI_LANG === 'en';
+    const labels = en
+      ? { slide: 'Slide', impression: 'Impression', fatal: 'Fatal issue', question: 'Answer me', verdict: 'Verdict' }
+      : { slide: '第', impression: '一句话印象', fatal: '致命问题', question: '你要回答我', verdict: '最终评价' };
+    const level = DECK_REVIEW_LEVELS[review.finalLevel] || { zh: review.finalLevel, en: review.finalLevel };
+    const rows = (review.slides || []).map(s => `
+      <tr>
+        <td class="deck-review-slide">${en ? `${labels.slide} ${s.slide}` : `${labels.slide}${s.slide}页`}</td>
+        <td>${escapeHtml(s.impression || '—')}</td>
+        <td>${escapeHtml(s.fatalIssue || '—')}</td>
+        <td>${escapeHtml(s.question || '—')}</td>
+      </tr>`).join('');
+    return `
+      <div class="deck-review">
+        <table class="deck-review-table">
+          <thead><tr><th></th><th>${labels.impression}</th><th>${labels.fatal}</th><th>${labels.question}</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+        <div class="deck-review-verdict level-${escapeHtml(review.finalLevel)}">
+          <span class="deck-review-level">${labels.verdict}：${escapeHtml(en ? level.en : level.zh)} (${escapeHtml(review.finalLevel)})</span>
+          <p>${escapeHtml(review.rationale || '')}</p>
+        </div>
+      </div>`;
+  }
+  function applyDeckReview(el, review) {
+    const contentEl = el?.querySelector('.message-content');
+    if (!contentEl || !review || !Array.isArray(review.slides)) return;
+    contentEl.innerHTML = renderDeckReview(review);
+  }
+
   function createMessageElement(sender, message, extraClass = '', messageId = null) {
     const wrapper = document.createElement('div');
     wrapper.className = `chat-message ${extraClass}`.trim();
@@ -610,15 +716,57 @@
             复制到剪贴板
           </button>
         </div>
+        ${currentConversationId ? `
+        <div class="share-link-section">
+          <h4>导出文件</h4>
+          <div class="share-link-options" id="export-options">
+            <button class="share-option" type="button" data-format="docx">Word</button>
+            <button class="share-option" type="button" data-format="pdf">PDF</button>
+            <button class="share-option" type="button" data-format="md">Markdown</button>
+            <button class="share-option" type="button" data-format="json">JSON</button>
+          </div>
+        </div>
+        <div class="share-link-section">
+          <h4>分享链接（只读，无需登录）</h4>
+          <div class="share-link-options">
+            <select id="share-expiry">
+              <option value="">永不过期</option>
+              <option value="1">1 天后过期</option>
+              <option value="7" selected>7 天后过期</option>
+              <option value="30">30 天后过期</option>
+            </select>
+            <input type="password" id="share-password" placeholder="访问密码（可选）" autocomplete="new-password">
+            <label><input type="checkbox" id="share-redact"> 隐藏附件内容</label>
+            <button class="share-option" id="create-share-link" type="button">创建链接</button>
+          </div>
+          <div class="share-link-result" id="share-link-result"></div>
+          <ul class="share-link-list" id="share-link-list"></ul>
+        </div>` : ''}
         <div class="report-preview">
           <h4>报告预览:</h4>
-          <pre>${report.slice(0, 500)}...</pre>
+          <pre>${escapeHtml(report.slice(0, 500))}...</pre>
         </div>
       </div>
     `;
     
     overlay.appendChild(modal);
     document.body.appendChild(overlay);
+
+    if (currentConversationId) {
+      setupShareLinks(overlay, currentConversationId);
+      overlay.querySelectorAll('#export-options [data-format]').forEach(btn => {
+        btn.onclick = async () => {
+          btn.disabled = true;
+          try {
+            await downloadExport(btn.dataset.format, { conversationId: currentConversationId });
+          } catch (error) {
+            showToast(error.message || '导出失败');
+          } finally {
+            btn.disabled = false;
+          }
+        };
+      });
+    }
     
     // Event listeners
     overlay.querySelector('.close-modal').onclick = () => {
@@ -651,6 +799,262 @@
       }
     };
   }
+
+  // Server-rendered export (/api/export): DOCX, PDF, Markdown or JSON
+  async function downloadExport(format, params = {}) {
+    const query = new URLSearchParams({ format, ...params });
+    const res = await fetchWithRetry(`${API_EXPORT}?${query}`, {
+      headers: authManager.getAuthHeaders()
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      if (handleApiError(res, data)) return;
+      throw new Error(data.upgrade ? upgradeMessage(data.upgrade) : data.error || '导出失败');
+    }
+
+    const disposition = res.headers.get('Content-Disposition') || '';
+    const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/);
+    const filename = encoded ? decodeURIComponent(encoded[1]) : `conversation.${format}`;
+
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Conversation import (/api/import): our JSON export, ChatGPT conversations.json, Markdown
+  const IMPORT_PART_SIZE = 3 * 1024 * 1024;
+  const IMPORT_PART_CONVERSATIONS = 100;
+  const IMPORT_REASONS = {
+    in_file: '文件中重复',
+    imported: '之前已导入',
+    exists: '会话已存在',
+    invalid: '无法识别',
+    empty: '没有消息',
+    too_long: '消息超过 1000 条',
+    failed: '写入失败'
+  };
+
+  // A large JSON export goes up in parts of at most 100 conversations / 3MB each;
+  // `offset` keeps the reported indexes relative to the whole file
+  function splitImportFile(text) {
+    const whole = [{ content: text, offset: 0 }];
+    if (!/^\s*[[{]/.test(text)) return whole;
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      return whole;
+    }
+    const list = Array.isArray(data) ? data : (Array.isArray(data?.conversations) ? data.conversations : null);
+    if (!list || (list.length <= IMPORT_PART_CONVERSATIONS && text.length <= IMPORT_PART_SIZE)) return whole;
+
+    const wrap = items => JSON.stringify(Array.isArray(data) ? items : { ...data, conversations: items });
+    const parts = [];
+    let items = [];
+    let size = 0;
+    let offset = 0;
+    list.forEach((item, i) => {
+      const length = JSON.stringify(item).length;
+      if (items.length && (items.length >= IMPORT_PART_CONVERSATIONS || size + length > IMPORT_PART_SIZE)) {
+        parts.push({ content: wrap(items), offset });
+        items = [];
+        size = 0;
+        offset = i;
+      }
+      items.push(item);
+      size += length;
+    });
+    if (items.length) parts.push({ content: wrap(items), offset });
+    return parts;
+  }
+
+  async function importConversationFile(file) {
+    const parts = splitImportFile(await file.text());
+    // Into the folder being viewed, if any
+    const folderId = sidebarFilter.folderId && sidebarFilter.folderId !== 'none' ? sidebarFilter.folderId : undefined;
+    const report = { imported: [], duplicates: [], skipped: [] };
+
+    showToast(`正在导入 ${file.name}…`, { duration: 60000 });
+    try {
+      for (const part of parts) {
+        const res = await fetchWithRetry(API_IMPORT, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...authManager.getAuthHeaders() },
+          body: JSON.stringify({ content: part.content, filename: file.name, folderId })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          if (handleApiError(res, data)) return;
+          throw new Error(data.error || '导入失败');
+        }
+        for (const key of ['imported', 'duplicates', 'skipped']) {
+          report[key].push(...data[key].map(entry => ({ ...entry, index: entry.index + part.offset })));
+        }
+      }
+    } finally {
+      if (report.imported.length) await loadConversations(true);
+    }
+
+    // Conversations older than the plan's history window are imported but not listed
+    if (!report.duplicates.length && !report.skipped.length && !report.imported.some(c => c.outsideHistory)) {
+      showToast(`已导入 ${report.imported.length} 个会话`);
+      return;
+    }
+    document.querySelectorAll('.toast').forEach(t => t.remove());
+    showImportReport(file.name, report);
+  }
+
+  function showImportReport(filename, { imported, duplicates, skipped }) {
+    const hidden = imported.filter(entry => entry.outsideHistory).length;
+    const entryTitle = entry => escapeHtml(entry.title || `第 ${entry.index + 1} 个会话`);
+    const section = (heading, entries) => entries.length ? `
+        <div class="share-link-section">
+          <h4>${heading}</h4>
+          <ul class="share-link-list import-report-list">
+            ${entries.map(entry => `
+            <li>
+              <span class="import-report-title">${entryTitle(entry)}</span>
+              ${entry.reason ? `<span>${IMPORT_REASONS[entry.reason] || escapeHtml(entry.reason)}</span>` : ''}
+              ${entry.outsideHistory ? '<span>超出当前套餐的历史记录范围，升级后可查看</span>' : ''}
+              ${(entry.id || entry.conversationId) && !entry.outsideHistory ? `<button type="button" data-open="${escapeHtml(entry.id || entry.conversationId)}">打开</button>` : ''}
+            </li>`).join('')}
+          </ul>
+        </div>` : '';
+
+    const overlay = document.createElement('div');
+    overlay.className = 'share-modal-overlay';
+    overlay.innerHTML = `
+      <div class="share-modal">
+        <div class="share-modal-header">
+          <h3>导入结果</h3>
+          <button class="close-modal" type="button">&times;</button>
+        </div>
+        <div class="share-modal-content">
+          <p>${escapeHtml(filename)}：已导入 ${imported.length} 个会话，${duplicates.length} 个重复，${skipped.length} 个跳过。${hidden ? `其中 ${hidden} 个会话早于当前套餐的历史记录范围，不会显示在会话列表中。` : ''}</p>
+          ${section('已导入', imported)}
+          ${section('重复（未导入）', duplicates)}
+          ${section('已跳过', skipped)}
+        </div>
+      </div>
+    `;
+
+    const close = () => overlay.remove();
+    overlay.querySelector('.close-modal').onclick = close;
+    overlay.onclick = (e) => {
+      if (e.target === overlay) close();
+    };
+    overlay.querySelectorAll('[data-open]').forEach(btn => {
+      btn.onclick = () => {
+        close();
+        loadConversation(btn.dataset.open);
+      };
+    });
+    document.body.appendChild(overlay);
+  }
+
+  function chooseImportFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,.md,.markdown,.txt';
+    input.onchange = async () => {
+      const file = input.files[0];
+      if (!file) return;
+      try {
+        await importConversationFile(file);
+      } catch (error) {
+        showToast(error.message || '导入失败');
+      }
+    };
+    input.click();
+  }
+
+  // Public read-only links (/api/conversations?resource=shares, page served at /s/<token>)
+  async function sendShareRequest(method, body = null, params = {}) {
+    const query = new URLSearchParams({ resource: 'shares', ...params });
+    const res = await fetchWithRetry(`${API_CONV}?${query}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...authManager.getAuthHeaders() },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      if (handleApiError(res, data)) return null;
+      throw new Error(data.error || '分享链接操作失败');
+    }
+    return data;
+  }
+
+  function setupShareLinks(overlay, convId) {
+    const result = overlay.querySelector('#share-link-result');
+    const list = overlay.querySelector('#share-link-list');
+
+    const renderShares = async () => {
+      try {
+        const data = await sendShareRequest('GET', null, { conversationId: convId });
+        if (!data) return;
+        list.innerHTML = '';
+        (data.shares || []).forEach(share => {
+          const item = document.createElement('li');
+          const expired = share.expires_at && new Date(share.expires_at) <= new Date();
+          const state = share.revoked_at ? '已撤销' : expired ? '已过期'
+            : share.expires_at ? `${new Date(share.expires_at).toLocaleDateString('zh-CN')} 过期` : '永久有效';
+          item.innerHTML = `<span>/s/${escapeHtml(share.token_hint)}… · ${state}${share.has_password ? ' · 🔒' : ''}${share.redact_files ? ' · 已隐藏附件' : ''} · ${share.view_count} 次查看</span>`;
+          if (!share.revoked_at && !expired) {
+            const revoke = document.createElement('button');
+            revoke.type = 'button';
+            revoke.textContent = '撤销';
+            revoke.onclick = async () => {
+              try {
+                await sendShareRequest('DELETE', { shareId: share.id });
+                renderShares();
+              } catch (error) {
+                showToast(error.message || '撤销失败');
+              }
+            };
+            item.appendChild(revoke);
+          }
+          list.appendChild(item);
+        });
+      } catch (error) {
+        console.warn('Failed to load share links:', error);
+      }
+    };
+
+    overlay.querySelector('#create-share-link').onclick = async () => {
+      const expiry = overlay.querySelector('#share-expiry').value;
+      const password = overlay.querySelector('#share-password').value;
+      try {
+        const data = await sendShareRequest('POST', {
+          conversationId: convId,
+          expiresInDays: expiry ? Number(expiry) : null,
+          password: password || null,
+          redactFiles: overlay.querySelector('#share-redact').checked
+        });
+        if (!data) return;
+        // The full link is only available now; the list shows its first characters
+        const url = `${window.location.origin}${data.path}`;
+        result.innerHTML = `<input type="text" readonly value="${escapeHtml(url)}"><button type="button" class="share-option">复制链接</button>`;
+        result.querySelector('button').onclick = async () => {
+          try {
+            await navigator.clipboard.writeText(url);
+            showToast('链接已复制');
+          } catch {
+            result.querySelector('input').select();
+          }
+        };
+        renderShares();
+      } catch (error) {
+        showToast(error.message || '创建分享链接失败');
+      }
+    };
+
+    renderShares();
+  }
   function scrollToBottom() { chatLog.scrollTop = chatLog.scrollHeight; }
 
   /* ================================
@@ -658,39 +1062,84 @@
    * ================================ */
   let conversations = [];
   let currentConversationId = '';
+  // Sidebar paging state (cursor from GET /api/conversations)
+  const CONVERSATION_PAGE_SIZE = 30;
+  const MESSAGE_WINDOW_SIZE = 50;
+  let conversationsCursor = null;
+  let conversationsHasMore = false;
+  let conversationsTotal = null;
+  let loadingMoreConversations = false;
+  // Message window state for the open conversation
+  let olderMessagesCursor = null;
+  let loadingOlderMessages = false;
+  // Organization: folders, pinned conversations and the active sidebar filter
+  let folders = [];
+  let pinnedConversations = [];
+  const sidebarFilter = { folderId: '', tag: '', archived: false, trash: false };
+  let trashConversations = [];
+  let trashRetentionDays = 30;
+  const sidebarFilters = document.getElementById('sidebar-filters');
+
+  function hasSidebarFilter() {
+    return !!(sidebarFilter.folderId || sidebarFilter.tag || sidebarFilter.archived || sidebarFilter.trash);
+  }
+
+  function setConversationPage(page, append = false) {
+    const incoming = page.conversations || [];
+    conversations = append
+      ? conversations.concat(incoming.filter(c => !conversations.some(x => x.id === c.id)))
+      : incoming;
+    if (!append) pinnedConversations = page.pinned || [];
+    conversationsCursor = page.nextCursor || null;
+    conversationsHasMore = !!page.hasMore;
+    conversationsTotal = typeof page.total === 'number' ? page.total : conversationsTotal;
+  }
+
+  async function fetchConversationPage(cursor = null) {
+    const headers = authManager.getAuthHeaders();
+    const params = new URLSearchParams({ limit: String(CONVERSATION_PAGE_SIZE) });
+    if (cursor) params.set('cursor', cursor);
+    if (sidebarFilter.folderId) params.set('folderId', sidebarFilter.folderId);
+    if (sidebarFilter.tag) params.set('tag', sidebarFilter.tag);
+    if (sidebarFilter.archived) params.set('archived', 'true');
+    const res = await fetchWithRetry(`${API_CONV}?${params}`, { method: 'GET', headers });
+    const json = await res.json();
+
+    if (!res.ok) {
+      if (handleApiError(res, json)) throw new Error('Auth failed');
+      throw new Error(json.error || '获取会话失败');
+    }
+    return json;
+  }
 
   async function loadConversations(forceRefresh = false) {
     const cacheKey = 'conversations_list';
 
-    // Check cache first
-    if (!forceRefresh) {
+    // Folders are needed for grouping; fetched alongside the first page
+    loadFolders(forceRefresh);
+
+    if (sidebarFilter.trash) {
+      await loadTrash();
+      return;
+    }
+
+    // Check cache first (only the unfiltered list is cached)
+    if (!forceRefresh && !hasSidebarFilter()) {
       const cached = RequestCache.get(cacheKey);
       if (cached) {
         console.log('⚡ Using cached conversations');
-        conversations = cached;
+        setConversationPage(cached);
         renderConversations();
         return;
       }
     }
 
-    const headers = authManager.getAuthHeaders();
-
     try {
       // Use deduplication to prevent multiple simultaneous requests
-      const data = await deduplicatedFetch('loadConversations', async () => {
-        const res = await fetchWithRetry(API_CONV, { method: 'GET', headers });
-        const json = await res.json();
-
-        if (!res.ok) {
-          if (handleApiError(res, json)) throw new Error('Auth failed');
-          throw new Error(json.error || '获取会话失败');
-        }
+      const data = await deduplicatedFetch('loadConversations', () => fetchConversationPage());
 
-        return json;
-      });
-
-      conversations = data.conversations || [];
-      RequestCache.set(cacheKey, conversations, 30000); // Cache for 30s
+      setConversationPage(data);
+      if (!hasSidebarFilter()) RequestCache.set(cacheKey, data, 30000); // Cache for 30s (first page only)
       renderConversations();
     } catch (error) {
       console.warn('Failed to load conversations:', error);
@@ -699,34 +1148,302 @@
       // Don't throw to prevent breaking the UI
     }
   }
+
+  async function loadMoreConversations() {
+    if (!conversationsHasMore || !conversationsCursor || loadingMoreConversations || isSearchMode) return;
+    loadingMoreConversations = true;
+    try {
+      const data = await fetchConversationPage(conversationsCursor);
+      setConversationPage(data, true);
+      renderConversations();
+    } catch (error) {
+      console.warn('Failed to load more conversations:', error);
+      handleApiError(null, error);
+    } finally {
+      loadingMoreConversations = false;
+    }
+  }
+
+  // Infinite scroll for the sidebar
+  if (conversationsList) {
+    conversationsList.addEventListener('scroll', () => {
+      const nearBottom = conversationsList.scrollTop + conversationsList.clientHeight >= conversationsList.scrollHeight - 80;
+      if (nearBottom) loadMoreConversations();
+    });
+  }
   
-  function renderConversations() {
-    if (!conversationsList) return;
-    conversationsList.innerHTML = '';
-    conversations.forEach(conv => {
-      const el = document.createElement('div');
-      el.className = 'conversation-item' + (conv.id === currentConversationId ? ' active' : '');
-      el.onclick = () => loadConversation(conv.id);
+  async function loadFolders(forceRefresh = false) {
+    const cacheKey = 'conversations_folders';
+    const cached = !forceRefresh && RequestCache.get(cacheKey);
+    if (cached) {
+      folders = cached;
+      renderSidebarFilters();
+      return;
+    }
+    try {
+      const res = await fetchWithRetry(`${API_CONV}?resource=folders`, {
+        method: 'GET',
+        headers: authManager.getAuthHeaders()
+      });
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || '获取文件夹失败');
+      folders = json.folders || [];
+      RequestCache.set(cacheKey, folders, 60000);
+      renderSidebarFilters();
+      renderConversations();
+    } catch (error) {
+      console.warn('Failed to load folders:', error);
+    }
+  }
 
-      // Create title element
-      const titleEl = document.createElement('div');
-      titleEl.className = 'conversation-title';
-      titleEl.textContent = conv.title || `会话 ${conv.id.slice(0, 6)}...`;
+  async function sendOrganizationRequest(url, method, body) {
+    const headers = { 'Content-Type': 'application/json', ...authManager.getAuthHeaders() };
+    const res = await fetchWithRetry(url, { method, headers, body: JSON.stringify(body) });
+    const json = await res.json();
+    if (!res.ok) {
+      if (handleApiError(res, json)) return null;
+      alert(json.error || '操作失败');
+      return null;
+    }
+    RequestCache.clear('conversations');
+    return json;
+  }
+
+  async function patchConversation(convId, changes) {
+    const json = await sendOrganizationRequest(API_CONV, 'PATCH', { conversationId: convId, ...changes });
+    if (json) await loadConversations(true);
+  }
+
+  async function createFolderFromPrompt() {
+    const name = (window.prompt('新文件夹名称') || '').trim();
+    if (!name) return null;
+    const json = await sendOrganizationRequest(`${API_CONV}?resource=folders`, 'POST', { name });
+    if (!json) return null;
+    await loadFolders(true);
+    return json.folder;
+  }
 
-      // Create delete button with icon
-      const delBtn = document.createElement('button');
-      delBtn.className = 'delete-btn';
-      delBtn.innerHTML = '&times;'; // Use × symbol instead of text
-      delBtn.title = '删除会话';
-      delBtn.onclick = (e) => {
+  async function deleteFolderById(folderId) {
+    const folder = folders.find(f => f.id === folderId);
+    if (!folder || !confirm(`删除文件夹「${folder.name}」？其中的会话会移到未分类。`)) return;
+    const json = await sendOrganizationRequest(`${API_CONV}?resource=folders`, 'DELETE', { folderId });
+    if (!json) return;
+    if (sidebarFilter.folderId === folderId) sidebarFilter.folderId = '';
+    await loadFolders(true);
+    await loadConversations(true);
+  }
+
+  function setSidebarFilter(changes) {
+    Object.assign(sidebarFilter, changes);
+    renderSidebarFilters();
+    if (!sidebarFilter.trash && searchInput && searchInput.value.trim()) performSearch(searchInput.value);
+    else loadConversations(true);
+  }
+
+  function renderSidebarFilters() {
+    if (!sidebarFilters) return;
+    sidebarFilters.innerHTML = '';
+
+    const select = document.createElement('select');
+    select.className = 'folder-filter';
+    select.innerHTML = `<option value="">全部会话</option><option value="none">未分类</option>` +
+      folders.map(f => `<option value="${escapeHtml(f.id)}">📁 ${escapeHtml(f.name)}</option>`).join('');
+    select.value = sidebarFilter.folderId;
+    select.onchange = () => setSidebarFilter({ folderId: select.value });
+    sidebarFilters.appendChild(select);
+
+    const trashBtn = document.createElement('button');
+    trashBtn.className = 'filter-btn' + (sidebarFilter.trash ? ' active' : '');
+    trashBtn.textContent = '回收站';
+    trashBtn.title = sidebarFilter.trash ? '返回会话列表' : `已删除的会话保留 ${trashRetentionDays} 天`;
+    trashBtn.onclick = () => setSidebarFilter({ trash: !sidebarFilter.trash });
+
+    if (sidebarFilter.trash) {
+      // The trash has its own controls only
+      select.disabled = true;
+      sidebarFilters.appendChild(trashBtn);
+      if (trashConversations.length) {
+        const emptyBtn = document.createElement('button');
+        emptyBtn.className = 'filter-btn danger';
+        emptyBtn.textContent = '清空回收站';
+        emptyBtn.onclick = () => purgeTrash(null);
+        sidebarFilters.appendChild(emptyBtn);
+      }
+      return;
+    }
+
+    const archiveBtn = document.createElement('button');
+    archiveBtn.className = 'filter-btn' + (sidebarFilter.archived ? ' active' : '');
+    archiveBtn.textContent = '归档';
+    archiveBtn.title = sidebarFilter.archived ? '返回会话列表' : '查看已归档的会话';
+    archiveBtn.onclick = () => setSidebarFilter({ archived: !sidebarFilter.archived });
+    sidebarFilters.appendChild(archiveBtn);
+
+    const folderBtn = document.createElement('button');
+    folderBtn.className = 'filter-btn';
+    folderBtn.textContent = '+ 文件夹';
+    folderBtn.onclick = () => createFolderFromPrompt();
+    sidebarFilters.appendChild(folderBtn);
+
+    const importBtn = document.createElement('button');
+    importBtn.className = 'filter-btn';
+    importBtn.textContent = '导入';
+    importBtn.title = '导入对话记录：本应用导出的 JSON、ChatGPT 的 conversations.json 或 Markdown';
+    importBtn.onclick = () => chooseImportFile();
+    sidebarFilters.appendChild(importBtn);
+    sidebarFilters.appendChild(trashBtn);
+
+    if (sidebarFilter.folderId && sidebarFilter.folderId !== 'none') {
+      const delFolder = document.createElement('button');
+      delFolder.className = 'filter-btn danger';
+      delFolder.textContent = '删除文件夹';
+      delFolder.onclick = () => deleteFolderById(sidebarFilter.folderId);
+      sidebarFilters.appendChild(delFolder);
+    }
+
+    if (sidebarFilter.tag) {
+      const chip = document.createElement('button');
+      chip.className = 'tag-chip active';
+      chip.textContent = `#${sidebarFilter.tag} ✕`;
+      chip.title = '清除标签筛选';
+      chip.onclick = () => setSidebarFilter({ tag: '' });
+      sidebarFilters.appendChild(chip);
+    }
+  }
+
+  function closeConversationMenus() {
+    document.querySelectorAll('.conversation-menu').forEach(m => m.remove());
+  }
+
+  function openConversationMenu(conv, anchor) {
+    closeConversationMenus();
+    const menu = document.createElement('div');
+    menu.className = 'conversation-menu';
+
+    const addItem = (label, onClick, extraClass = '') => {
+      const item = document.createElement('button');
+      item.className = 'conversation-menu-item' + (extraClass ? ` ${extraClass}` : '');
+      item.textContent = label;
+      item.onclick = (e) => {
         e.stopPropagation();
-        deleteConversation(conv.id);
+        closeConversationMenus();
+        onClick();
       };
+      menu.appendChild(item);
+    };
 
-      el.appendChild(titleEl);
-      el.appendChild(delBtn);
-      conversationsList.appendChild(el);
+    if (!conv.archived_at) {
+      addItem(conv.pinned_at ? '取消置顶' : '📌 置顶', () => patchConversation(conv.id, { pinned: !conv.pinned_at }));
+    }
+    addItem('🏷️ 编辑标签', () => {
+      const input = window.prompt('标签（用逗号分隔）', (conv.tags || []).join(', '));
+      if (input === null) return;
+      patchConversation(conv.id, { tags: input.split(/[,，]/).map(t => t.trim()).filter(Boolean) });
+    });
+    folders.filter(f => f.id !== conv.folder_id).forEach(f => {
+      addItem(`📁 移到「${f.name}」`, () => patchConversation(conv.id, { folderId: f.id }));
+    });
+    if (conv.folder_id) addItem('移出文件夹', () => patchConversation(conv.id, { folderId: null }));
+    addItem('+ 新文件夹…', async () => {
+      const folder = await createFolderFromPrompt();
+      if (folder) patchConversation(conv.id, { folderId: folder.id });
     });
+    addItem(conv.archived_at ? '取消归档' : '🗄️ 归档', () => patchConversation(conv.id, { archived: !conv.archived_at }));
+
+    menu.onclick = (e) => e.stopPropagation();
+    // Shown below the item: the item itself clips overflow
+    anchor.closest('.conversation-item').after(menu);
+  }
+
+  document.addEventListener('click', closeConversationMenus);
+
+  function createConversationItem(conv) {
+    const el = document.createElement('div');
+    el.className = 'conversation-item' + (conv.id === currentConversationId ? ' active' : '') +
+      (conv.pinned_at ? ' pinned' : '');
+    el.onclick = () => loadConversation(conv.id);
+
+    // Create title element
+    const titleEl = document.createElement('div');
+    titleEl.className = 'conversation-title';
+    titleEl.textContent = conv.title || `会话 ${conv.id.slice(0, 6)}...`;
+    el.appendChild(titleEl);
+
+    // Tags: click one to filter the list by it
+    (conv.tags || []).slice(0, 3).forEach(tag => {
+      const chip = document.createElement('span');
+      chip.className = 'tag-chip';
+      chip.textContent = `#${tag}`;
+      chip.onclick = (e) => {
+        e.stopPropagation();
+        setSidebarFilter({ tag });
+      };
+      el.appendChild(chip);
+    });
+
+    const menuBtn = document.createElement('button');
+    menuBtn.className = 'menu-btn';
+    menuBtn.innerHTML = '&#8943;';
+    menuBtn.title = '整理会话';
+    menuBtn.onclick = (e) => {
+      e.stopPropagation();
+      openConversationMenu(conv, menuBtn);
+    };
+    el.appendChild(menuBtn);
+
+    // Create delete button with icon
+    const delBtn = document.createElement('button');
+    delBtn.className = 'delete-btn';
+    delBtn.innerHTML = '&times;'; // Use × symbol instead of text
+    delBtn.title = '删除会话';
+    delBtn.onclick = (e) => {
+      e.stopPropagation();
+      deleteConversation(conv.id);
+    };
+    el.appendChild(delBtn);
+    return el;
+  }
+
+  function appendConversationGroup(label, items) {
+    if (!items.length) return;
+    const header = document.createElement('div');
+    header.className = 'conversation-group-header';
+    header.textContent = label;
+    conversationsList.appendChild(header);
+    items.forEach(conv => conversationsList.appendChild(createConversationItem(conv)));
+  }
+
+  function renderConversations() {
+    if (!conversationsList) return;
+    conversationsList.innerHTML = '';
+
+    if (hasSidebarFilter()) {
+      // Filtered views are flat lists
+      conversations.forEach(conv => conversationsList.appendChild(createConversationItem(conv)));
+    } else {
+      // Pinned first, then one group per folder, then everything unfiled
+      appendConversationGroup('📌 置顶', pinnedConversations);
+      folders.forEach(folder => {
+        appendConversationGroup(`📁 ${folder.name}`, conversations.filter(c => c.folder_id === folder.id));
+      });
+      const known = new Set(folders.map(f => f.id));
+      const unfiled = conversations.filter(c => !c.folder_id || !known.has(c.folder_id));
+      if (unfiled.length === conversations.length && !pinnedConversations.length) {
+        unfiled.forEach(conv => conversationsList.appendChild(createConversationItem(conv)));
+      } else {
+        appendConversationGroup('最近', unfiled);
+      }
+    }
+
+    if (conversationsHasMore) {
+      const more = document.createElement('button');
+      more.className = 'conversations-load-more';
+      more.textContent = conversationsTotal !== null
+        ? `加载更多 (${conversations.length}/${conversationsTotal})`
+        : '加载更多';
+      more.onclick = () => loadMoreConversations();
+      conversationsList.appendChild(more);
+    }
   }
   
   async function loadConversation(convId) {
@@ -745,13 +1462,13 @@
       const res = await fetchWithRetry(API_CONV, {
         method: 'POST',
         headers,
-        body: JSON.stringify({ conversationId: convId })
+        body: JSON.stringify({ conversationId: convId, limit: MESSAGE_WINDOW_SIZE })
       });
       const data = await res.json();
 
       if (!res.ok) {
         if (handleApiError(res, data)) return;
-        alert(data.error || '加载会话失败');
+        alert(data.upgrade ? upgradeMessage(data.upgrade) : data.error || '加载会话失败');
         return;
       }
 
@@ -780,30 +1497,348 @@
       updateUIBasedOnRole(latestAssistantMessage.ai_mode || 'default');
     }
 
-    (data.messages || []).forEach(m => {
-      if (m.role === 'user') {
-        addMessage('You', m.content, '', m.id);
-      } else {
-        // Determine assistant name based on ai_mode
-        let assistantName = 'Dean'; // default
-        if (m.ai_mode === 'Investor') {
-          assistantName = 'Investor';
-        } else if (m.ai_mode === 'Expert_match') {
-          assistantName = 'Expert Match';
-        } else if (m.ai_mode === 'Analyst') {
-          assistantName = 'Analyst';
-        } else if (m.ai_mode === 'Agent_builder') {
-          assistantName = 'Agent Builder';
-        }
-        addMessage(assistantName, m.content, '', m.id);
-      }
-    });
+    (data.messages || []).forEach(renderStoredMessage);
+    olderMessagesCursor = data.hasMore ? data.nextCursor : null;
+    updateOlderMessagesMarker(data.total);
+    if (data.activeBranchId) loadBranchBar(convId, data.activeBranchId);
     renderConversations();
     scrollToBottom();
   }
+
+  function renderStoredMessage(m) {
+    const el = buildStoredMessage(m);
+    chatLog.appendChild(el);
+    chatLog.scrollTop = chatLog.scrollHeight;
+    return el;
+  }
+
+  function buildStoredMessage(m) {
+    // Determine assistant name based on ai_mode
+    const sender = m.role === 'user' ? 'You' : getAssistantName(m.ai_mode);
+    const el = createMessageElement(sender, m.content, '', m.id);
+    if (m.role !== 'user' && m.metadata?.deckReview) applyDeckReview(el, m.metadata.deckReview);
+    attachVersionControls(el, m);
+    return el;
+  }
+
+  /* ================================
+   *  Message versions: edit, regenerate, switch (served by /api/messages)
+   * ================================ */
+  function attachVersionControls(el, m) {
+    if (!m.id) return;
+    el.dataset.turnId = m.turn_id || m.id;
+
+    const bar = document.createElement('div');
+    bar.className = 'message-versions';
+
+    const count = m.versionCount || 1;
+    if (count > 1) {
+      const prev = document.createElement('button');
+      prev.className = 'version-btn';
+      prev.textContent = '‹';
+      prev.title = '上一个版本';
+      prev.disabled = m.version <= 1;
+      prev.onclick = () => switchMessageVersion(el, m, -1);
+
+      const label = document.createElement('span');
+      label.className = 'version-label';
+      label.textContent = `${m.version}/${count}`;
+
+      const next = document.createElement('button');
+      next.className = 'version-btn';
+      next.textContent = '›';
+      next.title = '下一个版本';
+      next.disabled = m.version >= count;
+      next.onclick = () => switchMessageVersion(el, m, 1);
+
+      bar.append(prev, label, next);
+    }
+
+    // A branch at a user message starts beside it, at an assistant message after it
+    const forkAfter = m.role === 'user' ? m.parent_message_id : m.id;
+    if (forkAfter) {
+      const branch = document.createElement('button');
+      branch.className = 'version-btn';
+      branch.textContent = '🌿';
+      branch.title = '从这里创建分支';
+      branch.onclick = () => createBranchAt(forkAfter);
+      bar.appendChild(branch);
+    }
+
+    if (m.role === 'user') {
+      const edit = document.createElement('button');
+      edit.className = 'version-btn';
+      edit.textContent = '✏️';
+      edit.title = '编辑';
+      edit.onclick = () => startMessageEdit(el, m);
+      bar.appendChild(edit);
+    } else {
+      // Regenerate with the same mode or another mode of the same group
+      const group = modeRegistry.modes.find(x => x.id === m.ai_mode)?.group;
+      const modeSelect = document.createElement('select');
+      modeSelect.className = 'version-mode-select';
+      modeSelect.title = '使用其他模式重新生成';
+      modeSelect.innerHTML = '<option value="">当前模式</option>' + modeRegistry.modes
+        .filter(x => x.id !== m.ai_mode && (!group || x.group === group))
+        .map(x => `<option value="${escapeHtml(x.id)}">${escapeHtml(x.assistantName || x.id)}</option>`)
+        .join('');
+
+      const regenerate = document.createElement('button');
+      regenerate.className = 'version-btn';
+      regenerate.textContent = '🔄';
+      regenerate.title = '重新生成';
+      regenerate.onclick = () => regenerateMessage(el, m, modeSelect.value || null);
+
+      bar.append(regenerate, modeSelect);
+    }
+
+    el.insertBefore(bar, el.querySelector('.message-reactions'));
+  }
+
+  /* ================================
+   *  Conversation branches (/api/conversations?resource=branches)
+   * ================================ */
+  async function sendBranchRequest(method, body = null, params = {}) {
+    const query = new URLSearchParams({ resource: 'branches', ...params });
+    const res = await fetchWithRetry(`${API_CONV}?${query}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...authManager.getAuthHeaders() },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      if (handleApiError(res, data)) return null;
+      throw new Error(data.error || '分支操作失败');
+    }
+    return data;
+  }
+
+  function reloadCurrentConversation() {
+    if (!currentConversationId) return;
+    RequestCache.clear(`conversation_${currentConversationId}`);
+    loadConversation(currentConversationId);
+  }
+
+  async function createBranchAt(fromMessageId) {
+    if (!currentConversationId) return;
+    const name = prompt('分支名称:');
+    if (!name || !name.trim()) return;
+    try {
+      const data = await sendBranchRequest('POST', {
+        conversationId: currentConversationId,
+        name: name.trim(),
+        fromMessageId: fromMessageId || null
+      });
+      if (!data) return;
+      showToast(`已切换到分支「${data.branch.name}」`);
+      reloadCurrentConversation();
+    } catch (error) {
+      console.warn('Failed to create branch:', error);
+      showToast(error.message || '创建分支失败');
+    }
+  }
+
+  async function switchToBranch(branchId) {
+    try {
+      const data = await sendBranchRequest('POST', {
+        action: 'switch',
+        conversationId: currentConversationId,
+        branchId
+      });
+      if (data) reloadCurrentConversation();
+    } catch (error) {
+      console.warn('Failed to switch branch:', error);
+      showToast(error.message || '切换分支失败');
+    }
+  }
+
+  // Branch selector above the messages of a branched conversation
+  async function loadBranchBar(convId, activeBranchId) {
+    try {
+      const data = await sendBranchRequest('GET', null, { conversationId: convId });
+      if (!data || convId !== currentConversationId) return;
+
+      chatLog.querySelector('.branch-bar')?.remove();
+      const bar = document.createElement('div');
+      bar.className = 'branch-bar';
+      const label = document.createElement('span');
+      label.textContent = '🌿 分支';
+      const select = document.createElement('select');
+      select.innerHTML = (data.branches || [])
+        .map(b => `<option value="${b.id}"${b.id === activeBranchId ? ' selected' : ''}>${escapeHtml(b.name)}</option>`)
+        .join('');
+      select.onchange = () => switchToBranch(select.value);
+      bar.append(label, select);
+      chatLog.insertBefore(bar, chatLog.firstChild);
+    } catch (error) {
+      console.warn('Failed to load branches:', error);
+    }
+  }
+
+  async function sendMessagesRequest(method, body = null, query = '') {
+    const res = await fetchWithRetry(`${API_MESSAGES}${query}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...authManager.getAuthHeaders() },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      if (handleApiError(res, data)) return null;
+      if (res.status === 429 || data?.upgrade) throw rateLimitError(res, data);
+      throw new Error(data.error || '操作失败');
+    }
+    return data;
+  }
+
+  // Swap a rendered message for another version of the same turn
+  function replaceStoredMessage(el, m, versionCount) {
+    const fresh = buildStoredMessage({ ...m, versionCount });
+    el.replaceWith(fresh);
+    if (currentConversationId) RequestCache.clear(`conversation_${currentConversationId}`);
+    return fresh;
+  }
+
+  async function switchMessageVersion(el, m, step) {
+    try {
+      const data = await sendMessagesRequest('GET', null, `?turnId=${encodeURIComponent(m.turn_id || m.id)}`);
+      if (!data) return;
+      const versions = data.versions || [];
+      const target = versions[versions.findIndex(v => v.id === m.id) + step];
+      if (!target) return;
+
+      const activated = await sendMessagesRequest('POST', { action: 'activate', messageId: target.id });
+      if (!activated) return;
+      replaceStoredMessage(el, target, versions.length);
+    } catch (error) {
+      console.warn('Failed to switch version:', error);
+      showToast(error.message || '切换版本失败');
+    }
+  }
+
+  async function regenerateMessage(el, m, mode = null) {
+    el.classList.add('regenerating');
+    try {
+      const data = await sendMessagesRequest('POST', { action: 'regenerate', messageId: m.id, mode });
+      if (!data) return;
+      replaceStoredMessage(el, data.message, data.message.version);
+    } catch (error) {
+      console.warn('Failed to regenerate reply:', error);
+      showToast(error.message || '重新生成失败');
+    } finally {
+      el.classList.remove('regenerating');
+    }
+  }
+
+  function startMessageEdit(el, m) {
+    if (el.querySelector('.message-edit')) return;
+    const contentEl = el.querySelector('.message-content');
+
+    const form = document.createElement('div');
+    form.className = 'message-edit';
+    const textarea = document.createElement('textarea');
+    textarea.value = m.content;
+    const save = document.createElement('button');
+    save.className = 'message-edit-save';
+    save.textContent = '保存并重新生成';
+    const cancel = document.createElement('button');
+    cancel.className = 'message-edit-cancel';
+    cancel.textContent = '取消';
+    form.append(textarea, save, cancel);
+
+    contentEl.style.display = 'none';
+    contentEl.after(form);
+    textarea.focus();
+
+    const close = () => {
+      form.remove();
+      contentEl.style.display = '';
+    };
+    cancel.onclick = close;
+    save.onclick = async () => {
+      const content = textarea.value.trim();
+      if (!content || content === m.content) return close();
+      save.disabled = true;
+      el.classList.add('regenerating');
+      try {
+        const data = await sendMessagesRequest('PATCH', { messageId: m.id, content });
+        if (!data) return;
+        // The reply that followed the edited message is replaced too
+        const replyEl = data.reply && chatLog.querySelector(`.chat-message[data-turn-id="${data.reply.turn_id}"]`);
+        replaceStoredMessage(el, data.message, data.message.version);
+        if (replyEl) replaceStoredMessage(replyEl, data.reply, data.reply.version);
+      } catch (error) {
+        console.warn('Failed to edit message:', error);
+        showToast(error.message || '编辑失败');
+      } finally {
+        save.disabled = false;
+        el.classList.remove('regenerating');
+      }
+    };
+  }
+
+  // "Load earlier messages" marker at the top of the chat log
+  function updateOlderMessagesMarker(total) {
+    let marker = chatLog.querySelector('.older-messages');
+    if (!olderMessagesCursor) {
+      if (marker) marker.remove();
+      return;
+    }
+    if (!marker) {
+      marker = document.createElement('button');
+      marker.className = 'older-messages';
+      marker.onclick = () => loadOlderMessages();
+    }
+    const shown = chatLog.querySelectorAll('.chat-message').length;
+    marker.textContent = typeof total === 'number'
+      ? `加载更早的消息 (${shown}/${total})`
+      : '加载更早的消息';
+    chatLog.insertBefore(marker, chatLog.firstChild);
+  }
+
+  async function loadOlderMessages() {
+    if (!olderMessagesCursor || loadingOlderMessages || !currentConversationId) return;
+    loadingOlderMessages = true;
+    const convId = currentConversationId;
+    const headers = { 'Content-Type': 'application/json', ...authManager.getAuthHeaders() };
+    try {
+      const res = await fetchWithRetry(API_CONV, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ conversationId: convId, limit: MESSAGE_WINDOW_SIZE, before: olderMessagesCursor })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        if (handleApiError(res, data)) return;
+        throw new Error(data.error || '加载消息失败');
+      }
+      if (convId !== currentConversationId) return;
+
+      // addMessage appends; move the new nodes above the current first message and keep the viewport still
+      const firstMessage = chatLog.querySelector('.chat-message');
+      const previousHeight = chatLog.scrollHeight;
+      const previousTop = chatLog.scrollTop;
+      const added = (data.messages || []).map(renderStoredMessage);
+      added.forEach(el => chatLog.insertBefore(el, firstMessage));
+      chatLog.scrollTop = previousTop + (chatLog.scrollHeight - previousHeight);
+
+      olderMessagesCursor = data.hasMore ? data.nextCursor : null;
+      updateOlderMessagesMarker(data.total);
+      RequestCache.clear(`conversation_${convId}`);
+    } catch (error) {
+      console.warn('Failed to load older messages:', error);
+    } finally {
+      loadingOlderMessages = false;
+    }
+  }
+
+  // Load earlier messages when scrolled to the top
+  chatLog.addEventListener('scroll', () => {
+    if (chatLog.scrollTop < 60) loadOlderMessages();
+  });
   
+  // Deletion is a soft delete: the conversation goes to the trash and the toast offers undo
   async function deleteConversation(convId) {
-    if (!confirm('确定要删除这个会话吗？')) return;
+    const wasOpen = convId === currentConversationId;
     const headers = { 'Content-Type': 'application/json', ...authManager.getAuthHeaders() };
     try {
       const res = await fetchWithRetry(API_CONV, {
@@ -823,13 +1858,133 @@
       RequestCache.clear('conversations');
       RequestCache.clear(`conversation_${convId}`);
 
-      if (convId === currentConversationId) startNewConversation();
+      if (wasOpen) startNewConversation();
       await loadConversations(true); // Force refresh
+
+      showToast('会话已移至回收站', {
+        actionLabel: '撤销',
+        onAction: () => restoreConversationById(convId, wasOpen)
+      });
     } catch (error) {
       if (handleApiError(null, error)) return;
       alert('删除失败');
     }
   }
+
+  async function restoreConversationById(convId, reopen = false) {
+    const json = await sendOrganizationRequest(`${API_CONV}?resource=trash`, 'POST', { conversationId: convId });
+    if (!json) return;
+    await loadConversations(true);
+    if (reopen) loadConversation(convId);
+  }
+
+  async function purgeTrash(convId) {
+    const question = convId ? '永久删除这个会话？此操作无法撤销。' : '清空回收站？所有会话将被永久删除，无法撤销。';
+    if (!confirm(question)) return;
+    const body = convId ? { conversationId: convId } : { all: true };
+    const json = await sendOrganizationRequest(`${API_CONV}?resource=trash`, 'DELETE', body);
+    if (json) await loadTrash();
+  }
+
+  async function loadTrash() {
+    try {
+      const res = await fetchWithRetry(`${API_CONV}?resource=trash`, {
+        method: 'GET',
+        headers: authManager.getAuthHeaders()
+      });
+      const json = await res.json();
+      if (!res.ok) {
+        if (handleApiError(res, json)) return;
+        throw new Error(json.error || '获取回收站失败');
+      }
+      trashConversations = json.conversations || [];
+      trashRetentionDays = json.retentionDays || trashRetentionDays;
+      renderSidebarFilters();
+      renderTrash();
+    } catch (error) {
+      console.warn('Failed to load trash:', error);
+    }
+  }
+
+  function renderTrash() {
+    if (!conversationsList) return;
+    conversationsList.innerHTML = '';
+
+    if (!trashConversations.length) {
+      const empty = document.createElement('div');
+      empty.className = 'no-results';
+      empty.style.cssText = 'padding: 1rem; text-align: center; color: #666;';
+      empty.textContent = '回收站是空的';
+      conversationsList.appendChild(empty);
+      return;
+    }
+
+    trashConversations.forEach(conv => {
+      const el = document.createElement('div');
+      el.className = 'conversation-item trashed';
+
+      const titleEl = document.createElement('div');
+      titleEl.className = 'conversation-title';
+      titleEl.textContent = conv.title || `会话 ${conv.id.slice(0, 6)}...`;
+      const daysLeft = Math.max(0, Math.ceil((new Date(conv.purge_at) - Date.now()) / 86400000));
+      titleEl.title = `${daysLeft} 天后永久删除`;
+
+      const restoreBtn = document.createElement('button');
+      restoreBtn.className = 'filter-btn';
+      restoreBtn.textContent = '恢复';
+      restoreBtn.onclick = (e) => {
+        e.stopPropagation();
+        restoreConversationById(conv.id);
+      };
+
+      const purgeBtn = document.createElement('button');
+      purgeBtn.className = 'delete-btn';
+      purgeBtn.innerHTML = '&times;';
+      purgeBtn.title = '永久删除';
+      purgeBtn.onclick = (e) => {
+        e.stopPropagation();
+        purgeTrash(conv.id);
+      };
+
+      el.appendChild(titleEl);
+      el.appendChild(restoreBtn);
+      el.appendChild(purgeBtn);
+      conversationsList.appendChild(el);
+    });
+  }
+
+  /* ================================
+   *  Toast (with optional action, e.g. undo)
+   * ================================ */
+  let toastTimer = null;
+
+  function showToast(message, { actionLabel = '', onAction = null, duration = 8000 } = {}) {
+    document.querySelectorAll('.toast').forEach(t => t.remove());
+    clearTimeout(toastTimer);
+
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.setAttribute('role', 'status');
+
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
+
+    if (actionLabel && onAction) {
+      const action = document.createElement('button');
+      action.className = 'toast-action';
+      action.textContent = actionLabel;
+      action.onclick = () => {
+        toast.remove();
+        clearTimeout(toastTimer);
+        onAction();
+      };
+      toast.appendChild(action);
+    }
+
+    document.body.appendChild(toast);
+    toastTimer = setTimeout(() => toast.remove(), duration);
+  }
   
   function showWelcomeScreen() {
     if (welcomeScreen) welcomeScreen.style.display = 'flex';
@@ -843,6 +1998,7 @@
 
   function startNewConversation() {
     currentConversationId = '';
+    olderMessagesCursor = null;
     if (conversationIdInput) conversationIdInput.value = '';
     chatLog.innerHTML = '';
 
@@ -858,6 +2014,7 @@
    *  Files
    * ================================ */
   let selectedFiles = [];
+  let selectedDocuments = []; // { id, name } from the document library
 
   function getFileTypeIcon(fileName) {
     if (!fileName) return '📄';
@@ -883,8 +2040,22 @@
   function updateFilePreview() {
     if (!filePreviewArea || !fileList) return;
     fileList.innerHTML = '';
-    if (selectedFiles.length) {
+    if (selectedFiles.length || selectedDocuments.length) {
       filePreviewArea.style.display = 'block';
+      selectedDocuments.forEach(d => {
+        const item = document.createElement('div');
+        item.className = 'file-item library';
+        item.innerHTML = `
+          ${getFileTypeIcon(d.name)}
+          <span class="file-name" title="${escapeHtml(d.name)}">📚 ${escapeHtml(d.name)}</span>
+          <button class="file-remove">×</button>
+        `;
+        item.querySelector('.file-remove').onclick = () => {
+          selectedDocuments = selectedDocuments.filter(x => x.id !== d.id);
+          updateFilePreview();
+        };
+        fileList.appendChild(item);
+      });
       selectedFiles.forEach(f => {
         const item = document.createElement('div');
         item.className = 'file-item';
@@ -905,9 +2076,9 @@
       if (fileUploadBtn) fileUploadBtn.classList.remove('active');
     }
   }
-  function clearFiles() { selectedFiles = []; updateFilePreview(); }
+  function clearFiles() { selectedFiles = []; selectedDocuments = []; updateFilePreview(); }
   function disableInputs(disable) {
-    [userInput, fileUploadBtn, clearFilesBtn, fileInput].forEach(el => { if (el) el.disabled = disable; });
+    [userInput, fileUploadBtn, clearFilesBtn, fileInput, documentLibraryBtn].forEach(el => { if (el) el.disabled = disable; });
     // Also disable the file attach button
     if (fileUploadBtn) fileUploadBtn.style.opacity = disable ? '0.4' : '1';
   }
@@ -922,6 +2093,69 @@
   };
   if (clearFilesBtn) clearFilesBtn.onclick = () => clearFiles();
 
+  // Document library: reattach files uploaded in earlier conversations
+  function formatFileSize(bytes) {
+    if (!bytes) return '';
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+  async function openDocumentLibrary() {
+    if (!documentLibrary || !documentLibraryList) return;
+    documentLibrary.style.display = 'block';
+    documentLibraryList.innerHTML = '<div class="document-library-empty">Loading...</div>';
+    try {
+      const resp = await fetch(API_DOCUMENTS, { headers: { ...authManager.getAuthHeaders() } });
+      const json = await resp.json();
+      if (!resp.ok) throw new Error(json.error || 'Failed to load documents');
+      renderDocumentLibrary(json.documents || []);
+    } catch (err) {
+      console.error('Document library error:', err);
+      documentLibraryList.innerHTML = '<div class="document-library-empty">无法加载文档库</div>';
+    }
+  }
+  function renderDocumentLibrary(documents) {
+    documentLibraryList.innerHTML = '';
+    if (!documents.length) {
+      documentLibraryList.innerHTML = '<div class="document-library-empty">文档库为空，上传的文件会自动保存到这里</div>';
+      return;
+    }
+    documents.forEach(d => {
+      const item = document.createElement('div');
+      item.className = 'document-library-item';
+      item.classList.toggle('selected', selectedDocuments.some(x => x.id === d.id));
+      item.innerHTML = `
+        ${getFileTypeIcon(d.name)}
+        <span class="file-name" title="${escapeHtml(d.name)}">${escapeHtml(d.name)}</span>
+        <span class="document-library-meta">${escapeHtml(formatFileSize(d.size_bytes))} · ${escapeHtml(new Date(d.last_used_at || d.created_at).toLocaleDateString())}</span>
+        <button class="file-remove" title="Delete from library">×</button>
+      `;
+      item.onclick = () => {
+        if (selectedDocuments.some(x => x.id === d.id)) {
+          selectedDocuments = selectedDocuments.filter(x => x.id !== d.id);
+        } else {
+          selectedDocuments.push({ id: d.id, name: d.name });
+        }
+        item.classList.toggle('selected');
+        updateFilePreview();
+      };
+      item.querySelector('.file-remove').onclick = async (e) => {
+        e.stopPropagation();
+        if (!confirm(`从文档库删除「${d.name}」？`)) return;
+        const resp = await fetch(`${API_DOCUMENTS}?id=${encodeURIComponent(d.id)}`, {
+          method: 'DELETE',
+          headers: { ...authManager.getAuthHeaders() }
+        }).catch(() => null);
+        if (!resp?.ok) return alert('删除失败，请重试');
+        selectedDocuments = selectedDocuments.filter(x => x.id !== d.id);
+        updateFilePreview();
+        item.remove();
+      };
+      documentLibraryList.appendChild(item);
+    });
+  }
+  if (documentLibraryBtn) documentLibraryBtn.onclick = () => openDocumentLibrary();
+  if (documentLibraryClose) documentLibraryClose.onclick = () => { documentLibrary.style.display = 'none'; };
+
   // Drag & drop for files
   if (chatForm) {
     chatForm.addEventListener('dragover', e => {
@@ -935,9 +2169,9 @@
     chatForm.addEventListener('drop', e => {
       e.preventDefault();
       chatForm.classList.remove('dragover');
+      const allowedTypes = getModeGroup(currentMode).allowedFileTypes || [];
       Array.from(e.dataTransfer.files)
-        .filter(f => ['.pdf','.doc','.docx','.txt','.ppt','.pptx']
-          .includes('.' + f.name.split('.').pop().toLowerCase()))
+        .filter(f => allowedTypes.includes('.' + f.name.split('.').pop().toLowerCase()))
         .forEach(f => {
           if (!selectedFiles.some(x => x.name === f.name)) selectedFiles.push(f);
         });
@@ -952,6 +2186,9 @@
     const resp = await fetch(url, { method: 'POST', headers, body, signal });
     if (!resp.ok) {
       const t = await resp.text().catch(() => '');
+      let limitData = null;
+      try { limitData = JSON.parse(t); } catch {}
+      if (resp.status === 429 || limitData?.upgrade) throw rateLimitError(resp, limitData);
       // Check for auth errors in response
       try {
         const errorData = JSON.parse(t);
@@ -1008,39 +2245,87 @@
    * ================================ */
   let currentMode = 'learning'; // 'learning', 'startup', or 'agent'
   
-  function updateModeUI(mode) {
-    currentMode = mode;
-    
-    // Update dropdown text and active states
-    const modeNames = {
-      'learning': '学习模式',
-      'startup': '创业导师', 
-      'agent': '创建Agent'
-    };
-    
+  // Render dropdown options and labels from the registry
+  function renderModeOptions() {
+    if (modeDropdownMenu) {
+      modeDropdownMenu.innerHTML = '';
+      modeRegistry.groups.forEach(group => {
+        const option = document.createElement('button');
+        option.className = 'mode-option' + (group.id === currentMode ? ' active' : '');
+        option.dataset.mode = group.id;
+        option.textContent = group.names?.[UI_LANG] || group.id;
+        modeDropdownMenu.appendChild(option);
+      });
+    }
+    applyModeLabels(currentMode);
+  }
+
+  function applyModeLabels(mode) {
+    const group = getModeGroup(mode);
+
     if (currentModeText) {
-      currentModeText.textContent = modeNames[mode] || '学习模式';
+      currentModeText.textContent = group.names?.[UI_LANG] || group.id;
     }
-    
+
     // Update active states in dropdown menu
-    const modeOptions = document.querySelectorAll('.mode-option');
-    modeOptions.forEach(option => {
-      option.classList.toggle('active', option.dataset.mode === mode);
+    document.querySelectorAll('.mode-option').forEach(option => {
+      option.classList.toggle('active', option.dataset.mode === group.id);
     });
-    
-    // Update hidden input
-    if (chatModeInput) chatModeInput.value = mode;
-    
-    // Update placeholder text based on mode
+
+    // Update placeholder text and accepted uploads based on mode
     if (userInput) {
-      if (mode === 'startup') {
-        userInput.placeholder = '请告诉我您的创业问题或上传路演材料...';
-      } else if (mode === 'agent') {
-        userInput.placeholder = '告诉我你想创建什么样的AI伙伴...';
-      } else {
-        userInput.placeholder = 'Enter a question here...';
-      }
+      userInput.placeholder = group.placeholders?.[UI_LANG] || 'Enter a question here...';
+    }
+    if (fileInput && group.allowedFileTypes) {
+      fileInput.accept = group.allowedFileTypes.join(',');
+    }
+
+    // Track field for groups whose personas have prompt slots to fill
+    if (startupProfileField) {
+      const hasSlots = modeRegistry.modes.some(m => m.group === group.id && m.variables?.length);
+      startupProfileField.style.display = hasSlots ? '' : 'none';
     }
+  }
+
+  /* ================================
+   *  Startup profile (fills the personas' {{track}} / {{industry}} slots)
+   * ================================ */
+  function fillStartupTrack(user) {
+    const track = user?.user_metadata?.startupProfile?.track;
+    if (startupTrackInput && track && !startupTrackInput.value) startupTrackInput.value = track;
+  }
+
+  async function saveStartupProfile() {
+    if (!startupTrackInput || !authManager.checkAuth()) return;
+    const track = startupTrackInput.value.trim();
+    if (track === (authManager.getCurrentUser()?.user_metadata?.startupProfile?.track || '')) return;
+    try {
+      const r = await fetch(API_AUTH, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authManager.getAuthHeaders() },
+        body: JSON.stringify({ action: 'profile', startupProfile: { track } })
+      });
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      const data = await r.json();
+      if (data.user) authManager._save(data.user, authManager.session);
+    } catch (error) {
+      console.warn('Failed to save startup profile:', error);
+    }
+  }
+
+  if (startupTrackInput) {
+    startupTrackInput.addEventListener('change', saveStartupProfile);
+    fillStartupTrack(authManager.getCurrentUser());
+    authManager.addListener(fillStartupTrack);
+  }
+
+  function updateModeUI(mode) {
+    currentMode = getModeGroup(mode).id;
+    
+    applyModeLabels(currentMode);
+    
+    // Update hidden input
+    if (chatModeInput) chatModeInput.value = currentMode;
     
     // Close dropdown after selection
     if (modeDropdown) {
@@ -1050,7 +2335,7 @@
     // Clear current conversation when switching modes
     startNewConversation();
     
-    console.log('Switched to mode:', mode);
+    console.log('Switched to mode:', currentMode);
   }
   
   // Mode dropdown event listeners
@@ -1083,6 +2368,7 @@
   
   // Initialize mode
   updateModeUI('learning');
+  loadModeRegistry();
   
   /* ================================
    *  Chat form (send + stream) - IMPROVED ERROR HANDLING
@@ -1099,7 +2385,7 @@
     }
 
     const text = (userInput?.value || '').trim();
-    if (!text && !selectedFiles.length) return;
+    if (!text && !selectedFiles.length && !selectedDocuments.length) return;
 
     // Hide welcome screen and show chat log
     hideWelcomeScreen();
@@ -1123,16 +2409,22 @@
 
     // Combine user message + file names into one bubble
     let combinedMsg = text;
-    if (selectedFiles.length) {
-      combinedMsg += (combinedMsg ? '\n\n' : '') + '📎 上传文件: ' + selectedFiles.map(f => f.name).join(', ');
+    const attachedNames = [...selectedDocuments.map(d => d.name), ...selectedFiles.map(f => f.name)];
+    if (attachedNames.length) {
+      combinedMsg += (combinedMsg ? '\n\n' : '') + '📎 上传文件: ' + attachedNames.join(', ');
     }
     addMessage('You', combinedMsg);
 
     // Build form
     const formData = new FormData();
     formData.append('message', text);
+    formData.append('chatMode', currentMode);
     if (currentConversationId) formData.append('conversationId', currentConversationId);
     selectedFiles.forEach(f => formData.append('files', f));
+    if (selectedDocuments.length) formData.append('documentIds', JSON.stringify(selectedDocuments.map(d => d.id)));
+    const track = startupProfileField?.style.display !== 'none' ? startupTrackInput?.value.trim() : '';
+    if (track) formData.append('promptVariables', JSON.stringify({ track }));
+    if (documentLibrary) documentLibrary.style.display = 'none';
 
     // Clear input & files immediately
     if (userInput) {
@@ -1176,9 +2468,70 @@
 
     try {
       // Choose API endpoint based on current mode
-      const apiEndpoint = (currentMode === 'startup' || currentMode === 'agent') ? API_STARTUP_MENTOR : API_CHAT;
+      const apiEndpoint = getModeGroup(currentMode).endpoint || API_CHAT;
       console.log('Using API endpoint:', apiEndpoint, 'for mode:', currentMode);
 
+      if (USE_STREAM && apiEndpoint === API_CHAT) {
+        let streamError = null;
+
+        await streamFetchSSE(`${API_CHAT}?stream=1`, {
+          headers,
+          body: formData,
+          signal: controller.signal,
+
+          // Read conversation id from response header set by the server
+          onOpen: (resp) => {
+            const cid = resp.headers.get('x-conversation-id');
+            if (cid && !currentConversationId) {
+              currentConversationId = cid;
+              if (conversationIdInput) conversationIdInput.value = currentConversationId;
+              wasNewConversation = true;
+              console.log('🆕 New conversation created via header:', currentConversationId);
+            }
+          },
+
+          onEvent: ({ data }) => {
+            let obj;
+            try { obj = JSON.parse(data); } catch { return; }
+            if (!obj) return;
+
+            if (obj.type === 'content' && typeof obj.content === 'string') {
+              accumulated += obj.content;
+              updateAssistantBubble();
+              assistantEl.classList.remove('typing-indicator');
+            } else if (obj.type === 'metadata') {
+              if (obj.conversationId && !currentConversationId) {
+                currentConversationId = obj.conversationId;
+                if (conversationIdInput) conversationIdInput.value = currentConversationId;
+                wasNewConversation = true;
+              }
+              if (obj.role) {
+                const senderEl = assistantEl.querySelector('.message-sender');
+                if (senderEl) senderEl.textContent = updateUIBasedOnRole(obj.role);
+              }
+              if (obj.messageId) assistantEl.dataset.messageId = obj.messageId;
+            } else if (obj.type === 'error') {
+              streamError = obj.error || '请求失败';
+            }
+          }
+        });
+
+        assistantEl.classList.remove('streaming', 'typing-indicator');
+        if (streamError && !accumulated.trim()) throw new Error(streamError);
+        if (streamError) {
+          accumulated += `\n\n[错误] ${streamError}`;
+        }
+        if (!accumulated.trim()) {
+          console.error('⌚ FRONTEND: No content accumulated from stream');
+          accumulated = '抱歉，AI暂时无法生成回复，请重试。如果问题持续，请检查网络连接或稍后再试。';
+        } else {
+          console.log('✅ FRONTEND: Stream completed with', accumulated.length, 'characters');
+        }
+        updateAssistantBubble();
+        if (wasNewConversation) await loadConversations(true).catch(() => {});
+        return;
+      }
+
       // Non-stream request with retry logic
       const resp = await fetchWithRetry(apiEndpoint, { method: 'POST', headers, body: formData }, 1);
       const json = await resp.json();
@@ -1189,6 +2542,7 @@
           assistantEl.remove();
           return;
         }
+        if (resp.status === 429 || json.upgrade) throw rateLimitError(resp, json);
         throw new Error(json.error || '请求失败');
       }
       
@@ -1201,8 +2555,14 @@
         const senderEl = assistantEl.querySelector('.message-sender');
         if (senderEl) {
           senderEl.textContent = assistantName;
+          // Show why the persona was chosen on hover
+          if (json.classification) {
+            const { confidence, reason } = json.classification;
+            senderEl.title = `${reason} (${Math.round((confidence || 0) * 100)}%)`;
+          }
         }
       }
+      if (json.classification) console.log('🧭 Routing:', json.classification);
       
       if (!accumulated.trim()) {
         console.error('⌚ FRONTEND: Empty reply from API');
@@ -1214,75 +2574,22 @@
         wasNewConversation = true;
       }
       updateAssistantBubble();
+      if (json.review) applyDeckReview(assistantEl, json.review);
+      // Answered in another mode because the plan's allowance is used up
+      if (json.upgrade) showToast(upgradeMessage(json.upgrade));
       assistantEl.classList.remove('streaming', 'typing-indicator');
       if (wasNewConversation) await loadConversations().catch(() => {});
-      
-      /*
-      // STREAM first (AI SDK data stream over SSE) - DISABLED
-      await streamFetchSSE(`${API_CHAT}?stream=1`, {
-        headers,
-        body: formData,
-        signal: controller.signal,
-
-        // NEW: read conversation id from response header set by the server
-        onOpen: (resp) => {
-          const cid = resp.headers.get('x-conversation-id');
-          if (cid && !currentConversationId) {
-            currentConversationId = cid;
-            if (conversationIdInput) conversationIdInput.value = currentConversationId;
-            wasNewConversation = true;
-            console.log('🆕 New conversation created via header:', currentConversationId);
-          }
-        },
-
-        onEvent: ({ event, data }) => {
-          // AI SDK data stream sends JSON lines with { type: 'text-delta' | ... }
-          try {
-            const obj = JSON.parse(data);
-            if (obj && obj.type === 'text-delta' && typeof obj.delta === 'string') {
-              accumulated += obj.delta;
-              updateAssistantBubble();
-              assistantEl.classList.remove('typing-indicator');
-              return;
-            }
-            if (obj && obj.type === 'error' && obj.errorText) {
-              accumulated += `\n\n[错误] ${obj.errorText}`;
-              updateAssistantBubble();
-              return;
-            }
-            if (obj && obj.type === 'finish') {
-              // end of message
-              return;
-            }
-            // ignore other structured parts (sources, tool events, etc.)
-          } catch {
-            // Fallback: if not JSON, treat as plain text chunk (rare)
-            if (data && data !== '[DONE]') {
-              accumulated += data;
-              updateAssistantBubble();
-              assistantEl.classList.remove('typing-indicator');
-            }
-          }
-        }
-      });
-
-      // Streaming ended
-      assistantEl.classList.remove('streaming', 'typing-indicator');
-      if (!accumulated.trim()) {
-        console.error('⌚ FRONTEND: No content accumulated from stream');
-        accumulated = '抱歉，AI暂时无法生成回复，请重试。如果问题持续，请检查网络连接或稍后再试。';
-        updateAssistantBubble();
-      } else {
-        console.log('✅ FRONTEND: Stream completed successfully with', accumulated.length, 'characters');
-      }
-      if (wasNewConversation) {
-        await loadConversations().catch(() => {});
-      }
-      */
     } catch (err) {
+      if (aborted || err?.name === 'AbortError') {
+        // Stopped by the user: keep whatever was already streamed
+        assistantEl.classList.remove('streaming', 'typing-indicator');
+        if (!accumulated.trim()) assistantEl.remove();
+        if (wasNewConversation) await loadConversations(true).catch(() => {});
+        return;
+      }
       console.error('⌚ Request failed:', err?.message || err);
       assistantEl.remove();
-      addMessage('Dean', '抱歉，连接出现问题。请检查网络连接后重试。');
+      addMessage('Dean', err?.userMessage || '抱歉，连接出现问题。请检查网络连接后重试。');
     } finally {
       isSubmitting = false; // Reset submission flag
       disableInputs(false);
@@ -1344,7 +2651,10 @@
       query: query.trim(),
       ...(filters.ai_mode && { ai_mode: filters.ai_mode }),
       ...(filters.start_date && { start_date: filters.start_date }),
-      ...(filters.end_date && { end_date: filters.end_date })
+      ...(filters.end_date && { end_date: filters.end_date }),
+      ...(sidebarFilter.folderId && sidebarFilter.folderId !== 'none' && { folder_id: sidebarFilter.folderId }),
+      ...(sidebarFilter.tag && { tag: sidebarFilter.tag }),
+      ...(sidebarFilter.archived && { include_archived: 'true' })
     });
 
     try {
@@ -1547,22 +2857,12 @@
       const prompt = card.dataset.prompt;
 
       // Set the mode
-      if (mode === 'learning') {
-        chatModeInput.value = 'learning';
-        currentModeText.textContent = '学习模式';
-      } else if (mode === 'startup') {
-        chatModeInput.value = 'startup';
-        currentModeText.textContent = '创业导师';
-      } else if (mode === 'agent') {
-        chatModeInput.value = 'agent';
-        currentModeText.textContent = '创建Agent';
+      if (mode) {
+        currentMode = getModeGroup(mode).id;
+        if (chatModeInput) chatModeInput.value = currentMode;
+        applyModeLabels(currentMode);
       }
 
-      // Update mode dropdown active state
-      document.querySelectorAll('.mode-option').forEach(opt => opt.classList.remove('active'));
-      const activeOption = document.querySelector(`.mode-option[data-mode="${mode}"]`);
-      if (activeOption) activeOption.classList.add('active');
-
       // Set the user input and submit
       if (userInput) {
         userInput.value = prompt;
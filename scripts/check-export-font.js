@@ -0,0 +1,13 @@
+// scripts/check-export-font.js
+// Build step (npm run build): report which font PDF exports will use (lib/export-pdf.js).
+// Without a usable fonts/NotoSansSC-Regular.ttf (or EXPORT_PDF_FONT) the deploy goes ahead
+// with the non-embedded STSong-Light, and the build log says so.
+import { checkPdfFont } from '../lib/export-pdf.js';
+
+try {
+  const name = await checkPdfFont();
+  console.log(name ? `PDF export font: ${name}` : 'PDF export font: non-embedded STSong-Light (EXPORT_PDF_FONT=builtin)');
+} catch (error) {
+  console.warn(`WARNING: PDF export font unusable (${error.message}); PDFs will use the non-embedded STSong-Light.`);
+  console.warn('To embed a font, add fonts/NotoSansSC-Regular.ttf (see fonts/README.md) or point EXPORT_PDF_FONT at another TrueType font.');
+}
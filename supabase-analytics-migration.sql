@@ -0,0 +1,166 @@
+-- Migration: Analytics events, errors and performance samples
+-- Run this in Supabase SQL Editor, after supabase-usage-migration.sql
+--
+-- What public/modules/analytics-dashboard.js reports from the browser (lib/analytics.js), and
+-- analytics_series(), which buckets it together with user messages and the AI replies metered
+-- in usage_events for the dashboard. Rows older than ANALYTICS_RETENTION_DAYS are removed by
+-- the ingestion now and then.
+
+CREATE TABLE IF NOT EXISTS analytics_events (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    visitor_id VARCHAR(64),
+    session_id VARCHAR(64),
+    name VARCHAR(100) NOT NULL,
+    page TEXT,
+    properties JSONB,
+    user_agent TEXT,
+    occurred_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS analytics_errors (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    visitor_id VARCHAR(64),
+    session_id VARCHAR(64),
+    type VARCHAR(20) NOT NULL,
+    message TEXT,
+    source TEXT,
+    line INTEGER,
+    col INTEGER,
+    stack TEXT,
+    page TEXT,
+    user_agent TEXT,
+    occurred_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- value is the sample's main measurement (ms, or bytes for memory); data keeps the rest
+CREATE TABLE IF NOT EXISTS analytics_performance (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    session_id VARCHAR(64),
+    type VARCHAR(50) NOT NULL,
+    value DOUBLE PRECISION,
+    data JSONB,
+    occurred_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_analytics_events_occurred_at ON analytics_events(occurred_at);
+CREATE INDEX IF NOT EXISTS idx_analytics_errors_occurred_at ON analytics_errors(occurred_at);
+CREATE INDEX IF NOT EXISTS idx_analytics_performance_occurred_at ON analytics_performance(occurred_at);
+
+-- Messages per mode are counted from the messages table by date
+CREATE INDEX IF NOT EXISTS idx_messages_user_created_at ON messages(created_at) WHERE role = 'user';
+
+-- No policies: only the service role reads and writes analytics
+ALTER TABLE analytics_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE analytics_errors ENABLE ROW LEVEL SECURITY;
+ALTER TABLE analytics_performance ENABLE ROW LEVEL SECURITY;
+
+-- Metrics between p_from and p_to in buckets of p_bucket (aligned to midnight China time),
+-- or as one row per metric starting at p_from when p_bucket is null:
+--   page_views, visitors        page_view events, distinct browsers
+--   active_users                distinct signed-in users who sent a message or an event
+--   messages (key: mode)        user messages, imported conversations excluded
+--   replies, reply_errors       AI replies from usage_events, and how many failed
+--   response_p50, response_p95  time to generate a reply (ms)
+--   errors (key: type)          browser errors
+--   perf_p50, perf_p95 (key: type)  performance samples
+CREATE OR REPLACE FUNCTION analytics_series(
+    p_from TIMESTAMP WITH TIME ZONE,
+    p_to TIMESTAMP WITH TIME ZONE,
+    p_bucket INTERVAL DEFAULT NULL
+)
+RETURNS TABLE (bucket TIMESTAMP WITH TIME ZONE, metric TEXT, key TEXT, value DOUBLE PRECISION) AS $$
+DECLARE
+    v_origin CONSTANT TIMESTAMP WITH TIME ZONE := TIMESTAMP WITH TIME ZONE '2000-01-01 00:00:00+08';
+BEGIN
+    RETURN QUERY
+    SELECT b, 'page_views'::TEXT, NULL::TEXT, COUNT(*) FILTER (WHERE e.name = 'page_view')::DOUBLE PRECISION
+    FROM analytics_events e,
+         LATERAL (SELECT CASE WHEN p_bucket IS NULL THEN p_from ELSE date_bin(p_bucket, e.occurred_at, v_origin) END) AS t(b)
+    WHERE e.occurred_at >= p_from AND e.occurred_at < p_to
+    GROUP BY b
+    UNION ALL
+    SELECT b, 'visitors', NULL, COUNT(DISTINCT COALESCE(e.user_id::TEXT, e.visitor_id))::DOUBLE PRECISION
+    FROM analytics_events e,
+         LATERAL (SELECT CASE WHEN p_bucket IS NULL THEN p_from ELSE date_bin(p_bucket, e.occurred_at, v_origin) END) AS t(b)
+    WHERE e.occurred_at >= p_from AND e.occurred_at < p_to
+    GROUP BY b;
+
+    RETURN QUERY
+    WITH active AS (
+        SELECT e.user_id, e.occurred_at AS active_at
+        FROM analytics_events e
+        WHERE e.user_id IS NOT NULL AND e.occurred_at >= p_from AND e.occurred_at < p_to
+        UNION ALL
+        SELECT c.user_id, m.created_at
+        FROM messages m
+        JOIN conversations c ON c.id = m.conversation_id
+        WHERE m.role = 'user' AND m.created_at >= p_from AND m.created_at < p_to
+    )
+    SELECT b, 'active_users'::TEXT, NULL::TEXT, COUNT(DISTINCT a.user_id)::DOUBLE PRECISION
+    FROM active a,
+         LATERAL (SELECT CASE WHEN p_bucket IS NULL THEN p_from ELSE date_bin(p_bucket, a.active_at, v_origin) END) AS t(b)
+    GROUP BY b;
+
+    RETURN QUERY
+    SELECT b, 'messages'::TEXT, COALESCE(m.ai_mode, 'default')::TEXT, COUNT(*)::DOUBLE PRECISION
+    FROM messages m
+    JOIN conversations c ON c.id = m.conversation_id,
+         LATERAL (SELECT CASE WHEN p_bucket IS NULL THEN p_from ELSE date_bin(p_bucket, m.created_at, v_origin) END) AS t(b)
+    WHERE m.role = 'user' AND c.import_source IS NULL
+      AND m.created_at >= p_from AND m.created_at < p_to
+    GROUP BY b, 3;
+
+    RETURN QUERY
+    WITH replies AS (
+        SELECT b, u.status, u.latency_ms
+        FROM usage_events u,
+             LATERAL (SELECT CASE WHEN p_bucket IS NULL THEN p_from ELSE date_bin(p_bucket, u.created_at, v_origin) END) AS t(b)
+        WHERE u.purpose = 'reply' AND u.created_at >= p_from AND u.created_at < p_to
+    )
+    SELECT r.b, s.metric, NULL::TEXT, s.value
+    FROM (
+        SELECT b,
+               COUNT(*)::DOUBLE PRECISION AS replies,
+               COUNT(*) FILTER (WHERE status = 'error')::DOUBLE PRECISION AS reply_errors,
+               percentile_cont(0.5) WITHIN GROUP (ORDER BY latency_ms) FILTER (WHERE status = 'ok') AS p50,
+               percentile_cont(0.95) WITHIN GROUP (ORDER BY latency_ms) FILTER (WHERE status = 'ok') AS p95
+        FROM replies
+        GROUP BY b
+    ) r,
+    LATERAL (VALUES ('replies', r.replies), ('reply_errors', r.reply_errors), ('response_p50', r.p50), ('response_p95', r.p95)) AS s(metric, value)
+    WHERE s.value IS NOT NULL;
+
+    RETURN QUERY
+    SELECT b, 'errors'::TEXT, e.type::TEXT, COUNT(*)::DOUBLE PRECISION
+    FROM analytics_errors e,
+         LATERAL (SELECT CASE WHEN p_bucket IS NULL THEN p_from ELSE date_bin(p_bucket, e.occurred_at, v_origin) END) AS t(b)
+    WHERE e.occurred_at >= p_from AND e.occurred_at < p_to
+    GROUP BY b, 3;
+
+    RETURN QUERY
+    SELECT r.b, s.metric, r.type, s.value
+    FROM (
+        SELECT b, p.type::TEXT AS type,
+               percentile_cont(0.5) WITHIN GROUP (ORDER BY p.value) AS p50,
+               percentile_cont(0.95) WITHIN GROUP (ORDER BY p.value) AS p95
+        FROM analytics_performance p,
+             LATERAL (SELECT CASE WHEN p_bucket IS NULL THEN p_from ELSE date_bin(p_bucket, p.occurred_at, v_origin) END) AS t(b)
+        WHERE p.value IS NOT NULL AND p.occurred_at >= p_from AND p.occurred_at < p_to
+        GROUP BY b, 2
+    ) r,
+    LATERAL (VALUES ('perf_p50', r.p50), ('perf_p95', r.p95)) AS s(metric, value);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Called with the service role from lib/analytics.js
+REVOKE EXECUTE ON FUNCTION analytics_series FROM PUBLIC;
+
+COMMENT ON TABLE analytics_events IS 'Browser events from the analytics dashboard module (lib/analytics.js)';
+COMMENT ON TABLE analytics_errors IS 'Browser errors from the analytics dashboard module (lib/analytics.js)';
+COMMENT ON TABLE analytics_performance IS 'Browser performance samples from the analytics dashboard module (lib/analytics.js)';
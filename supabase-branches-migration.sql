@@ -0,0 +1,180 @@
+-- Migration: Conversation branches and checkpoints
+-- Run this in Supabase SQL Editor, after supabase-message-versions-migration.sql
+--
+-- Messages form a tree: parent_message_id points to the turn (messages.turn_id) the message
+-- follows; every version of a turn shares its parent. A branch is a named pointer to a leaf
+-- turn (head_message_id) and the conversation shows the path from the root to the head of its
+-- active branch. Conversations without branches (active_branch_id IS NULL) stay linear.
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS parent_message_id UUID REFERENCES messages(id) ON DELETE CASCADE;
+
+-- Existing conversations become a single chain: each turn follows the previous one
+WITH turns AS (
+    SELECT id AS turn_id,
+           LAG(id) OVER (PARTITION BY conversation_id ORDER BY created_at, id) AS previous_turn
+    FROM messages
+    WHERE id = turn_id
+)
+UPDATE messages m
+SET parent_message_id = t.previous_turn
+FROM turns t
+WHERE m.turn_id = t.turn_id
+  AND m.parent_message_id IS NULL
+  AND t.previous_turn IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_messages_parent ON messages(parent_message_id);
+
+-- Named branches of a conversation
+CREATE TABLE IF NOT EXISTS conversation_branches (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name VARCHAR(60) NOT NULL,
+    description TEXT,
+    parent_branch_id UUID REFERENCES conversation_branches(id) ON DELETE SET NULL,
+    fork_message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    -- Advanced by the insert trigger below, inside the same statement as the message
+    head_message_id UUID REFERENCES messages(id) ON DELETE SET NULL DEFERRABLE INITIALLY DEFERRED,
+    is_main BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(conversation_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_branches_conversation ON conversation_branches(conversation_id, created_at);
+
+ALTER TABLE conversation_branches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own branches"
+ON conversation_branches FOR ALL
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS active_branch_id UUID REFERENCES conversation_branches(id) ON DELETE SET NULL;
+
+-- Named snapshots of a point in the conversation
+CREATE TABLE IF NOT EXISTS conversation_checkpoints (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    branch_id UUID REFERENCES conversation_branches(id) ON DELETE SET NULL,
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    name VARCHAR(60) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(conversation_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_checkpoints_conversation ON conversation_checkpoints(conversation_id, created_at DESC);
+
+ALTER TABLE conversation_checkpoints ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own checkpoints"
+ON conversation_checkpoints FOR ALL
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+-- Place new messages in the tree:
+--   another version of a turn  -> same parent as the turn
+--   new turn without a parent  -> head of the active branch, or the latest turn when linear
+-- A new turn appended at the active branch head becomes the new head.
+CREATE OR REPLACE FUNCTION set_message_parent()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_branch_id UUID;
+    v_head UUID;
+BEGIN
+    IF NEW.turn_id IS NOT NULL AND NEW.turn_id <> NEW.id THEN
+        SELECT parent_message_id INTO NEW.parent_message_id FROM messages WHERE id = NEW.turn_id;
+        RETURN NEW;
+    END IF;
+
+    SELECT c.active_branch_id, b.head_message_id INTO v_branch_id, v_head
+    FROM conversations c
+    LEFT JOIN conversation_branches b ON b.id = c.active_branch_id
+    WHERE c.id = NEW.conversation_id;
+
+    IF NEW.parent_message_id IS NULL THEN
+        IF v_branch_id IS NOT NULL THEN
+            NEW.parent_message_id := v_head;
+        ELSE
+            SELECT turn_id INTO NEW.parent_message_id
+            FROM messages
+            WHERE conversation_id = NEW.conversation_id
+            ORDER BY created_at DESC, id DESC
+            LIMIT 1;
+        END IF;
+    END IF;
+
+    IF v_branch_id IS NOT NULL AND NEW.parent_message_id IS NOT DISTINCT FROM v_head THEN
+        UPDATE conversation_branches
+        SET head_message_id = NEW.id, updated_at = NOW()
+        WHERE id = v_branch_id;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_message_parent ON messages;
+CREATE TRIGGER set_message_parent
+    BEFORE INSERT ON messages
+    FOR EACH ROW
+    EXECUTE FUNCTION set_message_parent();
+
+-- Active versions on the path from the root to p_head, newest first.
+-- p_before_* is the (created_at, id) cursor of the oldest message already shown.
+CREATE OR REPLACE FUNCTION get_message_path(
+    p_head UUID,
+    p_limit INTEGER DEFAULT 1000,
+    p_before_created_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_before_id UUID DEFAULT NULL
+)
+RETURNS TABLE (message JSONB, path_total BIGINT) AS $$
+    WITH RECURSIVE path AS (
+        SELECT id, parent_message_id, 1 AS depth
+        FROM messages
+        WHERE id = p_head
+        UNION ALL
+        SELECT m.id, m.parent_message_id, p.depth + 1
+        FROM messages m
+        INNER JOIN path p ON m.id = p.parent_message_id
+        WHERE p.depth < 10000
+    ),
+    visible AS (
+        SELECT m.*
+        FROM path p
+        INNER JOIN messages m ON m.turn_id = p.id AND m.active
+    )
+    SELECT to_jsonb(v), (SELECT COUNT(*) FROM visible)
+    FROM visible v
+    WHERE p_before_created_at IS NULL
+       OR (v.created_at, v.id) < (p_before_created_at, p_before_id)
+    ORDER BY v.created_at DESC, v.id DESC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- Turn ids on the path from the root to p_head
+CREATE OR REPLACE FUNCTION get_message_path_turns(p_head UUID)
+RETURNS SETOF UUID AS $$
+    WITH RECURSIVE path AS (
+        SELECT id, parent_message_id, 1 AS depth
+        FROM messages
+        WHERE id = p_head
+        UNION ALL
+        SELECT m.id, m.parent_message_id, p.depth + 1
+        FROM messages m
+        INNER JOIN path p ON m.id = p.parent_message_id
+        WHERE p.depth < 10000
+    )
+    SELECT id FROM path;
+$$ LANGUAGE sql STABLE;
+
+-- Called with the service role after the ownership check in lib/database.js
+REVOKE EXECUTE ON FUNCTION get_message_path FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION get_message_path_turns FROM PUBLIC;
+
+COMMENT ON COLUMN messages.parent_message_id IS 'Turn this message follows; NULL for the first turn of a conversation';
+COMMENT ON TABLE conversation_branches IS 'Named leaf pointers into the message tree of a conversation';
+COMMENT ON COLUMN conversations.active_branch_id IS 'Branch shown in the conversation; NULL while the conversation is linear';
+COMMENT ON TABLE conversation_checkpoints IS 'Named points in a conversation that a branch can be restored from';
@@ -0,0 +1,39 @@
+-- Migration: Persistent document library
+-- Run this in Supabase SQL Editor
+
+-- Uploaded documents, deduplicated per user by content hash
+CREATE TABLE IF NOT EXISTS documents (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(255) DEFAULT '',
+    size_bytes BIGINT NOT NULL DEFAULT 0,
+    content_hash CHAR(64) NOT NULL,
+    storage_path TEXT NOT NULL,
+    extracted_text TEXT NOT NULL DEFAULT '',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, content_hash)
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_documents_user_recent ON documents(user_id, last_used_at DESC);
+CREATE INDEX IF NOT EXISTS idx_documents_content_hash ON documents(content_hash);
+
+-- Enable Row Level Security
+ALTER TABLE documents ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own documents"
+ON documents FOR SELECT
+USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own documents"
+ON documents FOR DELETE
+USING (auth.uid() = user_id);
+
+-- Private bucket for the original files (used when DOCUMENT_STORAGE=supabase)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('documents', 'documents', false)
+ON CONFLICT (id) DO NOTHING;
+
+COMMENT ON TABLE documents IS 'Uploaded files kept for reuse across conversations; extracted_text is cached by content_hash';
@@ -0,0 +1,93 @@
+-- Migration: Expert directory for Expert_match mode
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS experts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    title VARCHAR(255) DEFAULT '',
+    bio TEXT NOT NULL DEFAULT '',
+    domains TEXT[] NOT NULL DEFAULT '{}',
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    available BOOLEAN NOT NULL DEFAULT TRUE,
+    availability_note VARCHAR(255) DEFAULT '',
+    homepage VARCHAR(500) DEFAULT '',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes for track pre-filtering
+CREATE INDEX IF NOT EXISTS idx_experts_available ON experts(available);
+CREATE INDEX IF NOT EXISTS idx_experts_domains ON experts USING GIN (domains);
+CREATE INDEX IF NOT EXISTS idx_experts_tags ON experts USING GIN (tags);
+
+-- Enable Row Level Security (only the service role reads/writes experts)
+ALTER TABLE experts ENABLE ROW LEVEL SECURITY;
+
+-- Keep updated_at current
+CREATE OR REPLACE FUNCTION update_experts_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_experts_on_change
+    BEFORE UPDATE ON experts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_experts_timestamp();
+
+-- Domain and tag terms of the available experts; lib/experts.js picks the ones that match
+-- the founder's track and message
+CREATE OR REPLACE FUNCTION expert_terms()
+RETURNS TABLE (term TEXT) AS $$
+    SELECT DISTINCT t
+    FROM experts e, unnest(e.domains || e.tags) AS t
+    WHERE e.available
+$$ LANGUAGE sql STABLE;
+
+-- Available experts with a domain or tag among the matched terms (served by the GIN indexes),
+-- ranked by 3 per track term and 1 per message term they carry, then by name
+CREATE OR REPLACE FUNCTION match_experts(
+    track_terms TEXT[],
+    message_terms TEXT[],
+    match_count INTEGER DEFAULT 15
+)
+RETURNS SETOF experts AS $$
+    SELECT e.*
+    FROM experts e
+    WHERE e.available
+      AND (e.domains && (track_terms || message_terms) OR e.tags && (track_terms || message_terms))
+    ORDER BY (
+        SELECT SUM(CASE WHEN t = ANY(track_terms) THEN 3 ELSE 0 END + CASE WHEN t = ANY(message_terms) THEN 1 ELSE 0 END)
+        FROM unnest(e.domains || e.tags) AS t
+    ) DESC, e.name
+    LIMIT match_count
+$$ LANGUAGE sql STABLE;
+
+-- Called with the service role from lib/experts.js: Supabase grants new functions to anon and
+-- authenticated by default
+REVOKE EXECUTE ON FUNCTION expert_terms FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION expert_terms TO service_role;
+REVOKE EXECUTE ON FUNCTION match_experts FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION match_experts TO service_role;
+
+-- Seed with the experts previously hard-coded in the Expert_match prompt
+INSERT INTO experts (name, title, bio, domains, tags) VALUES
+    ('彭庆', '北极光创投资深投资人',
+     '北极光创投资深投资人，对医疗、biotech理解深刻，是长期合作伙伴。',
+     ARRAY['医疗', 'biotech'], ARRAY['投资人', '医疗', '生物医药', 'biotech', '医疗器械']),
+    ('王军', '中科院微生物所研究员',
+     '中科院微生物所，德国马普进化生物学研究所毕业，发表AI抗菌药物工作于Nat Biotech并入选"2022全球科学十大进展"，在AI多肽药物开发上具备深入经验。',
+     ARRAY['biotech', 'AI制药'], ARRAY['AI药物', 'AI制药', '抗菌药物', '多肽药物', '微生物']),
+    ('David刘', '基因编辑科学家',
+     '哈佛化学学士，开创碱基编辑、Prime Editing和PACE技术，发表论文275篇，H指数≥150。',
+     ARRAY['biotech', '基因治疗'], ARRAY['基因编辑', '碱基编辑', 'Prime Editing', '化学生物学']),
+    ('孙元培', '半导体行业资深投资人',
+     '半导体行业资深投资人',
+     ARRAY['半导体'], ARRAY['投资人', '半导体', '芯片']),
+    ('Zipeng Fu', '斯坦福人工智能实验室博士生',
+     '斯坦福人工智能实验室 计算机科学专业三年级博士生，曾是 Google DeepMind 的学生研究员，此前，他是卡内基梅隆大学机器学习系的硕士生',
+     ARRAY['AI', '机器人'], ARRAY['机器人', '具身智能', '机器学习', 'robotics', 'AI']);
+
+COMMENT ON TABLE experts IS 'Expert directory used to pre-filter Expert_match recommendations by track';
@@ -0,0 +1,13 @@
+-- Migration: Conversation import
+-- Run this in Supabase SQL Editor, after supabase-shares-migration.sql
+--
+-- Imported conversations remember where they came from. import_key is a SHA-256 fingerprint
+-- of the conversation's messages, so importing the same history twice (from the same file or
+-- from another export of it) is reported as a duplicate instead of creating a copy.
+
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS import_source VARCHAR(20);
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS import_key CHAR(64);
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS imported_at TIMESTAMP WITH TIME ZONE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversations_import_key
+    ON conversations(user_id, import_key) WHERE import_key IS NOT NULL;
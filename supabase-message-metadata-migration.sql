@@ -0,0 +1,14 @@
+-- Migration: Structured metadata on messages
+-- Run this in Supabase SQL Editor
+--
+-- Holds machine-readable output stored alongside the rendered message content,
+-- e.g. the Investor deck review: {"deckReview": {"slides": [...], "finalLevel": "L2", "rationale": "..."}}
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS metadata JSONB;
+
+-- Deal-flow reporting: find Investor verdicts quickly
+CREATE INDEX IF NOT EXISTS idx_messages_deck_review_level
+    ON messages ((metadata->'deckReview'->>'finalLevel'))
+    WHERE metadata ? 'deckReview';
+
+COMMENT ON COLUMN messages.metadata IS 'Structured output stored with the message (e.g. deckReview scorecard)';
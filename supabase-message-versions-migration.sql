@@ -0,0 +1,130 @@
+-- Migration: Message versions (edit and regenerate)
+-- Run this in Supabase SQL Editor, after supabase-trash-migration.sql
+--
+-- Every message belongs to a turn (turn_id, its own id for the first version). Editing a user
+-- message or regenerating a reply inserts another version of the turn with the same created_at,
+-- so it keeps its place in the thread; exactly one version per turn is active and conversation
+-- reads only return active rows.
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS turn_id UUID;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS version_created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+UPDATE messages SET turn_id = id WHERE turn_id IS NULL;
+
+-- New messages start their own turn unless a turn_id is given
+CREATE OR REPLACE FUNCTION set_message_turn_id()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.turn_id := COALESCE(NEW.turn_id, NEW.id);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_message_turn_id ON messages;
+CREATE TRIGGER set_message_turn_id
+    BEFORE INSERT ON messages
+    FOR EACH ROW
+    EXECUTE FUNCTION set_message_turn_id();
+
+ALTER TABLE messages ALTER COLUMN turn_id SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_turn_version ON messages(turn_id, version);
+CREATE INDEX IF NOT EXISTS idx_messages_active_cursor
+    ON messages(conversation_id, created_at DESC, id DESC) WHERE active;
+
+-- Make one version the active one for its turn (both updates commit together)
+CREATE OR REPLACE FUNCTION activate_message_version(p_message_id UUID)
+RETURNS VOID AS $$
+DECLARE
+    v_turn_id UUID;
+BEGIN
+    SELECT turn_id INTO v_turn_id FROM messages WHERE id = p_message_id;
+    IF v_turn_id IS NULL THEN
+        RAISE EXCEPTION 'Message % not found', p_message_id;
+    END IF;
+
+    UPDATE messages SET active = FALSE WHERE turn_id = v_turn_id AND id <> p_message_id AND active;
+    UPDATE messages SET active = TRUE WHERE id = p_message_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Service role only (lib/database.js checks ownership before calling it): Supabase grants new
+-- functions to anon and authenticated by default
+REVOKE EXECUTE ON FUNCTION activate_message_version FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION activate_message_version TO service_role;
+
+-- Search only looks at the active version of each turn
+CREATE OR REPLACE FUNCTION search_conversations(
+  p_user_id UUID,
+  p_query TEXT,
+  p_ai_mode TEXT DEFAULT NULL,
+  p_start_date TIMESTAMP DEFAULT NULL,
+  p_end_date TIMESTAMP DEFAULT NULL,
+  p_folder_id UUID DEFAULT NULL,
+  p_tag TEXT DEFAULT NULL,
+  p_include_archived BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (
+  conversation_id UUID,
+  conversation_title VARCHAR,
+  conversation_created_at TIMESTAMP WITH TIME ZONE,
+  conversation_updated_at TIMESTAMP WITH TIME ZONE,
+  conversation_folder_id UUID,
+  conversation_tags TEXT[],
+  conversation_pinned_at TIMESTAMP WITH TIME ZONE,
+  conversation_archived_at TIMESTAMP WITH TIME ZONE,
+  message_id UUID,
+  message_content TEXT,
+  message_role VARCHAR,
+  message_ai_mode VARCHAR,
+  message_created_at TIMESTAMP WITH TIME ZONE,
+  search_rank REAL
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT DISTINCT ON (c.id, m.id)
+    c.id as conversation_id,
+    c.title as conversation_title,
+    c.created_at as conversation_created_at,
+    c.updated_at as conversation_updated_at,
+    c.folder_id as conversation_folder_id,
+    c.tags as conversation_tags,
+    c.pinned_at as conversation_pinned_at,
+    c.archived_at as conversation_archived_at,
+    m.id as message_id,
+    m.content as message_content,
+    m.role as message_role,
+    m.ai_mode as message_ai_mode,
+    m.created_at as message_created_at,
+    ts_rank(to_tsvector('simple', m.content), plainto_tsquery('simple', p_query)) as search_rank
+  FROM conversations c
+  INNER JOIN messages m ON m.conversation_id = c.id AND m.active
+  WHERE
+    c.user_id = p_user_id
+    AND (
+      to_tsvector('simple', m.content) @@ plainto_tsquery('simple', p_query)
+      OR to_tsvector('simple', c.title) @@ plainto_tsquery('simple', p_query)
+      OR m.content ILIKE '%' || p_query || '%'
+      OR c.title ILIKE '%' || p_query || '%'
+    )
+    AND (p_ai_mode IS NULL OR m.ai_mode = p_ai_mode)
+    AND (p_start_date IS NULL OR m.created_at >= p_start_date)
+    AND (p_end_date IS NULL OR m.created_at <= p_end_date)
+    AND (p_folder_id IS NULL OR c.folder_id = p_folder_id)
+    AND (p_tag IS NULL OR c.tags @> ARRAY[p_tag])
+    AND (p_include_archived OR c.archived_at IS NULL)
+    AND c.deleted_at IS NULL
+  ORDER BY search_rank DESC, m.created_at DESC
+  LIMIT 50;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Service role only (api/search.js): the function trusts p_user_id and bypasses RLS, so it must
+-- not be callable with a user's own token. This also revokes the grant from supabase-search-migration.sql
+REVOKE EXECUTE ON FUNCTION search_conversations FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION search_conversations TO service_role;
+
+COMMENT ON COLUMN messages.turn_id IS 'Turn this message is a version of; equals id for the first version';
+COMMENT ON COLUMN messages.active IS 'Whether this is the version shown in the conversation';
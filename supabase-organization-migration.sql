@@ -0,0 +1,109 @@
+-- Migration: Conversation organization (folders, tags, pinning, archive)
+-- Run this in Supabase SQL Editor, after supabase-search-migration.sql
+
+-- User-defined folders
+CREATE TABLE IF NOT EXISTS conversation_folders (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name VARCHAR(60) NOT NULL,
+    color VARCHAR(20),
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_folders_user ON conversation_folders(user_id, position);
+
+ALTER TABLE conversation_folders ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own folders"
+ON conversation_folders FOR ALL
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+-- Organization columns; deleting a folder leaves its conversations unfiled
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS folder_id UUID REFERENCES conversation_folders(id) ON DELETE SET NULL;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_folder ON conversations(user_id, folder_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_tags ON conversations USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_conversations_pinned ON conversations(user_id, pinned_at DESC) WHERE pinned_at IS NOT NULL;
+
+-- Search gains folder / tag / archive filters (the return type changes, so drop the old version)
+DROP FUNCTION IF EXISTS search_conversations(UUID, TEXT, TEXT, TIMESTAMP, TIMESTAMP);
+
+CREATE OR REPLACE FUNCTION search_conversations(
+  p_user_id UUID,
+  p_query TEXT,
+  p_ai_mode TEXT DEFAULT NULL,
+  p_start_date TIMESTAMP DEFAULT NULL,
+  p_end_date TIMESTAMP DEFAULT NULL,
+  p_folder_id UUID DEFAULT NULL,
+  p_tag TEXT DEFAULT NULL,
+  p_include_archived BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (
+  conversation_id UUID,
+  conversation_title VARCHAR,
+  conversation_created_at TIMESTAMP WITH TIME ZONE,
+  conversation_updated_at TIMESTAMP WITH TIME ZONE,
+  conversation_folder_id UUID,
+  conversation_tags TEXT[],
+  conversation_pinned_at TIMESTAMP WITH TIME ZONE,
+  conversation_archived_at TIMESTAMP WITH TIME ZONE,
+  message_id UUID,
+  message_content TEXT,
+  message_role VARCHAR,
+  message_ai_mode VARCHAR,
+  message_created_at TIMESTAMP WITH TIME ZONE,
+  search_rank REAL
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT DISTINCT ON (c.id, m.id)
+    c.id as conversation_id,
+    c.title as conversation_title,
+    c.created_at as conversation_created_at,
+    c.updated_at as conversation_updated_at,
+    c.folder_id as conversation_folder_id,
+    c.tags as conversation_tags,
+    c.pinned_at as conversation_pinned_at,
+    c.archived_at as conversation_archived_at,
+    m.id as message_id,
+    m.content as message_content,
+    m.role as message_role,
+    m.ai_mode as message_ai_mode,
+    m.created_at as message_created_at,
+    ts_rank(to_tsvector('simple', m.content), plainto_tsquery('simple', p_query)) as search_rank
+  FROM conversations c
+  INNER JOIN messages m ON m.conversation_id = c.id
+  WHERE
+    c.user_id = p_user_id
+    AND (
+      to_tsvector('simple', m.content) @@ plainto_tsquery('simple', p_query)
+      OR to_tsvector('simple', c.title) @@ plainto_tsquery('simple', p_query)
+      OR m.content ILIKE '%' || p_query || '%'
+      OR c.title ILIKE '%' || p_query || '%'
+    )
+    AND (p_ai_mode IS NULL OR m.ai_mode = p_ai_mode)
+    AND (p_start_date IS NULL OR m.created_at >= p_start_date)
+    AND (p_end_date IS NULL OR m.created_at <= p_end_date)
+    AND (p_folder_id IS NULL OR c.folder_id = p_folder_id)
+    AND (p_tag IS NULL OR c.tags @> ARRAY[p_tag])
+    AND (p_include_archived OR c.archived_at IS NULL)
+  ORDER BY search_rank DESC, m.created_at DESC
+  LIMIT 50;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Service role only (api/search.js): the function trusts p_user_id and bypasses RLS, so it must
+-- not be callable with a user's own token. This also revokes the grant from supabase-search-migration.sql
+REVOKE EXECUTE ON FUNCTION search_conversations FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION search_conversations TO service_role;
+
+COMMENT ON TABLE conversation_folders IS 'User-defined folders for grouping conversations in the sidebar';
+COMMENT ON COLUMN conversations.tags IS 'Free-form labels, lower-cased and de-duplicated by the API';
+COMMENT ON COLUMN conversations.pinned_at IS 'Set when pinned; pinned conversations are listed first';
+COMMENT ON COLUMN conversations.archived_at IS 'Set when archived; archived conversations are hidden from the default list';
@@ -0,0 +1,11 @@
+-- Migration: Keyset pagination for conversations and messages
+-- Run this in Supabase SQL Editor
+--
+-- Cursors order by (updated_at, id) for the sidebar and (created_at, id) for message windows;
+-- these indexes match both sort keys so every page is an index range scan.
+
+CREATE INDEX IF NOT EXISTS idx_conversations_user_cursor
+    ON conversations(user_id, updated_at DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_cursor
+    ON messages(conversation_id, created_at DESC, id DESC);
@@ -0,0 +1,72 @@
+-- Migration: Retrieval over uploaded documents (pgvector)
+-- Run this in Supabase SQL Editor, after supabase-documents-migration.sql
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- One row per chunk; chunks never span pages so each has a single citation.
+-- embedding_model is the embedder that produced the vector ("provider:model"): only chunks of
+-- the current embedder are searched. generation is one indexing run; lib/rag.js writes a new
+-- run in full before removing the previous one.
+CREATE TABLE IF NOT EXISTS document_chunks (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL,
+    page INTEGER,
+    content TEXT NOT NULL,
+    embedding vector(768) NOT NULL,
+    embedding_model TEXT NOT NULL,
+    generation UUID NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(document_id, generation, chunk_index)
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_document_chunks_document ON document_chunks(document_id, embedding_model);
+CREATE INDEX IF NOT EXISTS idx_document_chunks_embedding
+    ON document_chunks USING hnsw (embedding vector_cosine_ops);
+
+-- Enable Row Level Security (chunks are only read through the service role)
+ALTER TABLE document_chunks ENABLE ROW LEVEL SECURITY;
+
+-- Top-k chunks of the given documents embedded by match_embedding_model, most similar first.
+-- Distances are exact over the filtered rows: the candidates are materialized first (through
+-- idx_document_chunks_document) so the planner cannot serve the ORDER BY from the global HNSW
+-- index, whose approximate scan (~ef_search rows across all users) would be filtered afterwards
+-- and could leave few or no chunks of these documents.
+CREATE OR REPLACE FUNCTION match_document_chunks(
+    query_embedding vector(768),
+    match_user_id UUID,
+    match_document_ids UUID[],
+    match_embedding_model TEXT,
+    match_count INTEGER DEFAULT 8
+)
+RETURNS TABLE (
+    document_id UUID,
+    chunk_index INTEGER,
+    page INTEGER,
+    content TEXT,
+    similarity FLOAT
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH candidates AS MATERIALIZED (
+        SELECT c.document_id, c.chunk_index, c.page, c.content, c.embedding <=> query_embedding AS distance
+        FROM document_chunks c
+        WHERE c.user_id = match_user_id
+          AND c.document_id = ANY(match_document_ids)
+          AND c.embedding_model = match_embedding_model
+    )
+    SELECT
+        m.document_id,
+        m.chunk_index,
+        m.page,
+        m.content,
+        1 - m.distance AS similarity
+    FROM candidates m
+    ORDER BY m.distance
+    LIMIT match_count;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON TABLE document_chunks IS 'Embedded chunks of library documents for retrieval; vectors are 768-d for every embedder';
@@ -0,0 +1,68 @@
+-- Migration: Shared rate limits and daily message quotas
+-- Run this in Supabase SQL Editor, after supabase-summary-migration.sql
+--
+-- Counters for lib/rate-limit.js when RATE_LIMIT_STORE is postgres (the default when no Redis
+-- is configured), so limits hold across serverless instances and cold starts. Each key names
+-- one window of one limit, e.g. rl:chat:u:<user id>:<window index>; rows expire with their window.
+
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+    key TEXT PRIMARY KEY,
+    count INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_expires_at ON rate_limit_counters(expires_at);
+
+-- No policies: only the service role reads and writes counters
+ALTER TABLE rate_limit_counters ENABLE ROW LEVEL SECURITY;
+
+-- Add p_cost to p_key unless previous * p_weight + current + p_cost would exceed p_limit.
+-- The row is locked, so concurrent requests cannot both take the last slot.
+CREATE OR REPLACE FUNCTION consume_rate_limit(
+    p_key TEXT,
+    p_previous_key TEXT,
+    p_weight DOUBLE PRECISION,
+    p_limit INTEGER,
+    p_cost INTEGER,
+    p_expires_at TIMESTAMP WITH TIME ZONE
+)
+RETURNS TABLE (allowed BOOLEAN, current_count INTEGER, previous_count INTEGER) AS $$
+DECLARE
+    v_current INTEGER;
+    v_previous INTEGER := 0;
+BEGIN
+    INSERT INTO rate_limit_counters (key, count, expires_at)
+    VALUES (p_key, 0, p_expires_at)
+    ON CONFLICT (key) DO NOTHING;
+
+    SELECT c.count INTO v_current
+    FROM rate_limit_counters c
+    WHERE c.key = p_key
+    FOR UPDATE;
+
+    IF p_previous_key IS NOT NULL THEN
+        SELECT COALESCE(MAX(c.count), 0) INTO v_previous
+        FROM rate_limit_counters c
+        WHERE c.key = p_previous_key AND c.expires_at > NOW();
+    END IF;
+
+    IF v_previous * p_weight + v_current + p_cost > p_limit THEN
+        RETURN QUERY SELECT FALSE, v_current, v_previous;
+        RETURN;
+    END IF;
+
+    UPDATE rate_limit_counters c SET count = c.count + p_cost WHERE c.key = p_key;
+
+    -- Expired windows are cleared now and then instead of by a scheduled job
+    IF random() < 0.01 THEN
+        DELETE FROM rate_limit_counters c WHERE c.expires_at < NOW();
+    END IF;
+
+    RETURN QUERY SELECT TRUE, v_current + p_cost, v_previous;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Called with the service role from lib/rate-limit.js
+REVOKE EXECUTE ON FUNCTION consume_rate_limit FROM PUBLIC;
+
+COMMENT ON TABLE rate_limit_counters IS 'Request counts per rate limit window (lib/rate-limit.js)';
@@ -0,0 +1,44 @@
+-- Migration: Public share links
+-- Run this in Supabase SQL Editor, after supabase-branches-migration.sql
+--
+-- A share is a read-only link (/s/<token>) to a conversation. Only the SHA-256 of the token is
+-- stored, so a link cannot be recovered from the database; passwords are stored as scrypt hashes.
+
+CREATE TABLE IF NOT EXISTS conversation_shares (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    token_hint VARCHAR(8) NOT NULL,
+    password_hash TEXT,
+    redact_files BOOLEAN NOT NULL DEFAULT FALSE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_shares_conversation ON conversation_shares(conversation_id, created_at DESC);
+
+ALTER TABLE conversation_shares ENABLE ROW LEVEL SECURITY;
+
+-- Owners manage their links; viewers never query this table directly (the API uses the service role)
+CREATE POLICY "Users can manage their own shares"
+ON conversation_shares FOR ALL
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+-- Count a view without a read-modify-write round trip
+CREATE OR REPLACE FUNCTION record_share_view(p_share_id UUID)
+RETURNS VOID AS $$
+    UPDATE conversation_shares
+    SET view_count = view_count + 1, last_viewed_at = NOW()
+    WHERE id = p_share_id;
+$$ LANGUAGE sql;
+
+REVOKE EXECUTE ON FUNCTION record_share_view FROM PUBLIC;
+
+COMMENT ON TABLE conversation_shares IS 'Read-only public links to conversations';
+COMMENT ON COLUMN conversation_shares.token_hint IS 'First characters of the token, to tell links apart in the owner''s list';
+COMMENT ON COLUMN conversation_shares.redact_files IS 'Hide attachment names and quoted file contents on the shared page';
@@ -0,0 +1,90 @@
+-- Migration: Subscriptions and billing
+-- Run this in Supabase SQL Editor, after supabase-rate-limit-migration.sql
+--
+-- Billing state mirrored from the payment provider (lib/subscriptions.js). Rows are written by
+-- /api/subscriptions and by the provider's webhooks; the plan of a user's best active
+-- subscription is also copied to their app_metadata.subscription_plan, which is what the
+-- rate limits and quotas read (lib/plans.js).
+
+-- One billing customer per user
+CREATE TABLE IF NOT EXISTS customers (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    provider VARCHAR(20) NOT NULL,
+    provider_customer_id VARCHAR(255) NOT NULL UNIQUE,
+    email TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    provider VARCHAR(20) NOT NULL,
+    provider_subscription_id VARCHAR(255) NOT NULL UNIQUE,
+    plan VARCHAR(20) NOT NULL,
+    price_id VARCHAR(255),
+    status VARCHAR(30) NOT NULL,
+    quantity INTEGER NOT NULL DEFAULT 1,
+    current_period_start TIMESTAMP WITH TIME ZONE,
+    current_period_end TIMESTAMP WITH TIME ZONE,
+    cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+    canceled_at TIMESTAMP WITH TIME ZONE,
+    cancel_feedback TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_user_id ON subscriptions(user_id, created_at DESC);
+
+-- Amounts in the smallest currency unit (cents)
+CREATE TABLE IF NOT EXISTS invoices (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    provider VARCHAR(20) NOT NULL,
+    provider_invoice_id VARCHAR(255) NOT NULL UNIQUE,
+    provider_subscription_id VARCHAR(255),
+    number VARCHAR(100),
+    status VARCHAR(30),
+    amount_due INTEGER NOT NULL DEFAULT 0,
+    amount_paid INTEGER NOT NULL DEFAULT 0,
+    currency VARCHAR(10),
+    hosted_invoice_url TEXT,
+    invoice_pdf TEXT,
+    period_start TIMESTAMP WITH TIME ZONE,
+    period_end TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_user_id ON invoices(user_id, created_at DESC);
+
+-- Webhook events already handled; providers deliver at least once
+CREATE TABLE IF NOT EXISTS billing_events (
+    provider_event_id VARCHAR(255) PRIMARY KEY,
+    provider VARCHAR(20) NOT NULL,
+    type VARCHAR(100) NOT NULL,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE customers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE billing_events ENABLE ROW LEVEL SECURITY;
+
+-- Owners can read their billing records; only the service role writes them
+CREATE POLICY "Users can read their customer record"
+ON customers FOR SELECT
+USING (user_id = auth.uid());
+
+CREATE POLICY "Users can read their subscriptions"
+ON subscriptions FOR SELECT
+USING (user_id = auth.uid());
+
+CREATE POLICY "Users can read their invoices"
+ON invoices FOR SELECT
+USING (user_id = auth.uid());
+
+COMMENT ON TABLE customers IS 'Billing customer at the payment provider, one per user';
+COMMENT ON TABLE subscriptions IS 'Subscriptions mirrored from the payment provider';
+COMMENT ON TABLE invoices IS 'Invoices mirrored from the payment provider (amounts in cents)';
+COMMENT ON TABLE billing_events IS 'Handled payment webhook events, for idempotency';
@@ -0,0 +1,27 @@
+-- Migration: Rolling conversation summaries
+-- Run this in Supabase SQL Editor, after supabase-branches-migration.sql
+--
+-- When a conversation no longer fits the model's context budget, its older turns are replaced
+-- by a summary (lib/context-window.js). The summary covers the first message_count messages of
+-- the conversation as it was shown; covers_hash (SHA-256 of their ids) tells whether that is
+-- still true after edits or a branch switch. One summary per conversation, replaced as it grows.
+
+CREATE TABLE IF NOT EXISTS conversation_summaries (
+    conversation_id UUID PRIMARY KEY REFERENCES conversations(id) ON DELETE CASCADE,
+    summary TEXT NOT NULL,
+    message_count INTEGER NOT NULL,
+    covers_hash CHAR(64) NOT NULL,
+    model VARCHAR(100),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE conversation_summaries ENABLE ROW LEVEL SECURITY;
+
+-- Owners can read their summaries; only the service role (lib/context-window.js) writes them
+CREATE POLICY "Users can read summaries of their conversations"
+ON conversation_summaries FOR SELECT
+USING (
+    conversation_id IN (
+        SELECT id FROM conversations WHERE user_id = auth.uid()
+    )
+);
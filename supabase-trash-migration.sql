@@ -0,0 +1,106 @@
+-- Migration: Trash for conversations (soft delete, restore, purge)
+-- Run this in Supabase SQL Editor, after supabase-organization-migration.sql
+--
+-- DELETE /api/conversations now sets deleted_at instead of removing the row. Trashed
+-- conversations are hidden everywhere, can be restored, and are purged for good after
+-- TRASH_RETENTION_DAYS (daily by /api/purge-trash, or by purge_deleted_conversations()).
+
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_deleted ON conversations(user_id, deleted_at DESC) WHERE deleted_at IS NOT NULL;
+
+-- Search skips trashed conversations (same signature, so a plain replace)
+CREATE OR REPLACE FUNCTION search_conversations(
+  p_user_id UUID,
+  p_query TEXT,
+  p_ai_mode TEXT DEFAULT NULL,
+  p_start_date TIMESTAMP DEFAULT NULL,
+  p_end_date TIMESTAMP DEFAULT NULL,
+  p_folder_id UUID DEFAULT NULL,
+  p_tag TEXT DEFAULT NULL,
+  p_include_archived BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (
+  conversation_id UUID,
+  conversation_title VARCHAR,
+  conversation_created_at TIMESTAMP WITH TIME ZONE,
+  conversation_updated_at TIMESTAMP WITH TIME ZONE,
+  conversation_folder_id UUID,
+  conversation_tags TEXT[],
+  conversation_pinned_at TIMESTAMP WITH TIME ZONE,
+  conversation_archived_at TIMESTAMP WITH TIME ZONE,
+  message_id UUID,
+  message_content TEXT,
+  message_role VARCHAR,
+  message_ai_mode VARCHAR,
+  message_created_at TIMESTAMP WITH TIME ZONE,
+  search_rank REAL
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT DISTINCT ON (c.id, m.id)
+    c.id as conversation_id,
+    c.title as conversation_title,
+    c.created_at as conversation_created_at,
+    c.updated_at as conversation_updated_at,
+    c.folder_id as conversation_folder_id,
+    c.tags as conversation_tags,
+    c.pinned_at as conversation_pinned_at,
+    c.archived_at as conversation_archived_at,
+    m.id as message_id,
+    m.content as message_content,
+    m.role as message_role,
+    m.ai_mode as message_ai_mode,
+    m.created_at as message_created_at,
+    ts_rank(to_tsvector('simple', m.content), plainto_tsquery('simple', p_query)) as search_rank
+  FROM conversations c
+  INNER JOIN messages m ON m.conversation_id = c.id
+  WHERE
+    c.user_id = p_user_id
+    AND (
+      to_tsvector('simple', m.content) @@ plainto_tsquery('simple', p_query)
+      OR to_tsvector('simple', c.title) @@ plainto_tsquery('simple', p_query)
+      OR m.content ILIKE '%' || p_query || '%'
+      OR c.title ILIKE '%' || p_query || '%'
+    )
+    AND (p_ai_mode IS NULL OR m.ai_mode = p_ai_mode)
+    AND (p_start_date IS NULL OR m.created_at >= p_start_date)
+    AND (p_end_date IS NULL OR m.created_at <= p_end_date)
+    AND (p_folder_id IS NULL OR c.folder_id = p_folder_id)
+    AND (p_tag IS NULL OR c.tags @> ARRAY[p_tag])
+    AND (p_include_archived OR c.archived_at IS NULL)
+    AND c.deleted_at IS NULL
+  ORDER BY search_rank DESC, m.created_at DESC
+  LIMIT 50;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Service role only (api/search.js): the function trusts p_user_id and bypasses RLS, so it must
+-- not be callable with a user's own token. This also revokes the grant from supabase-search-migration.sql
+REVOKE EXECUTE ON FUNCTION search_conversations FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION search_conversations TO service_role;
+
+-- Permanently delete conversations trashed more than retention_days ago; messages and
+-- reactions go with them through ON DELETE CASCADE. Returns the number purged.
+CREATE OR REPLACE FUNCTION purge_deleted_conversations(retention_days INTEGER DEFAULT 30)
+RETURNS INTEGER AS $$
+DECLARE
+  purged INTEGER;
+BEGIN
+  DELETE FROM conversations
+  WHERE deleted_at IS NOT NULL
+    AND deleted_at < NOW() - make_interval(days => retention_days);
+  GET DIAGNOSTICS purged = ROW_COUNT;
+  RETURN purged;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Service role only: Supabase grants new functions to anon and authenticated by default,
+-- and this one deletes every user's trash
+REVOKE EXECUTE ON FUNCTION purge_deleted_conversations FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION purge_deleted_conversations TO service_role;
+
+-- Optional: purge from the database instead of the Vercel cron (requires pg_cron)
+-- SELECT cron.schedule('purge-deleted-conversations', '0 3 * * *', 'SELECT purge_deleted_conversations(30)');
+
+COMMENT ON COLUMN conversations.deleted_at IS 'Set when moved to the trash; NULL for live conversations';
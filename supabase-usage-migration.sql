@@ -0,0 +1,87 @@
+-- Migration: Token usage and cost metering
+-- Run this in Supabase SQL Editor, after supabase-subscriptions-migration.sql
+--
+-- One row per model call made through lib/llm-provider.js (written by lib/usage.js), with the
+-- call's purpose: the reply itself, or a supporting classifier/title/summary/retry call that is
+-- attributed to the mode of the reply it served. Costs are estimated in USD when recorded.
+
+CREATE TABLE IF NOT EXISTS usage_events (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    conversation_id UUID,
+    endpoint VARCHAR(50),
+    mode VARCHAR(50),
+    purpose VARCHAR(20) NOT NULL DEFAULT 'reply',
+    provider VARCHAR(20) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    prompt_tokens INTEGER,
+    completion_tokens INTEGER,
+    total_tokens INTEGER,
+    latency_ms INTEGER NOT NULL DEFAULT 0,
+    cost_usd NUMERIC(12, 6),
+    status VARCHAR(10) NOT NULL DEFAULT 'ok',
+    error_code VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_events_created_at ON usage_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_usage_events_user_id ON usage_events(user_id, created_at);
+
+ALTER TABLE usage_events ENABLE ROW LEVEL SECURITY;
+
+-- Owners can read their usage; only the service role writes it
+CREATE POLICY "Users can read their usage"
+ON usage_events FOR SELECT
+USING (user_id = auth.uid());
+
+-- Usage between p_from and p_to grouped by mode, model, purpose, endpoint, user or day
+-- (China time), for one user or everyone when p_user_id is null. Replies count the calls
+-- that produced a reply, so cost / replies is the full cost of one reply.
+CREATE OR REPLACE FUNCTION usage_report(
+    p_from TIMESTAMP WITH TIME ZONE,
+    p_to TIMESTAMP WITH TIME ZONE,
+    p_user_id UUID DEFAULT NULL,
+    p_group_by TEXT DEFAULT 'mode'
+)
+RETURNS TABLE (
+    group_key TEXT,
+    calls BIGINT,
+    replies BIGINT,
+    errors BIGINT,
+    prompt_tokens BIGINT,
+    completion_tokens BIGINT,
+    total_tokens BIGINT,
+    cost_usd NUMERIC,
+    avg_latency_ms NUMERIC,
+    users BIGINT
+) AS $$
+    SELECT
+        CASE p_group_by
+            WHEN 'model' THEN u.model
+            WHEN 'purpose' THEN u.purpose
+            WHEN 'endpoint' THEN u.endpoint
+            WHEN 'user' THEN u.user_id::TEXT
+            WHEN 'day' THEN to_char(u.created_at AT TIME ZONE 'Asia/Shanghai', 'YYYY-MM-DD')
+            ELSE u.mode
+        END AS group_key,
+        COUNT(*) AS calls,
+        COUNT(*) FILTER (WHERE u.purpose = 'reply' AND u.status <> 'error') AS replies,
+        COUNT(*) FILTER (WHERE u.status = 'error') AS errors,
+        COALESCE(SUM(u.prompt_tokens), 0) AS prompt_tokens,
+        COALESCE(SUM(u.completion_tokens), 0) AS completion_tokens,
+        COALESCE(SUM(u.total_tokens), 0) AS total_tokens,
+        COALESCE(SUM(u.cost_usd), 0) AS cost_usd,
+        ROUND(AVG(u.latency_ms)) AS avg_latency_ms,
+        COUNT(DISTINCT u.user_id) AS users
+    FROM usage_events u
+    WHERE u.created_at >= p_from
+      AND u.created_at < p_to
+      AND (p_user_id IS NULL OR u.user_id = p_user_id)
+    GROUP BY 1
+    ORDER BY 8 DESC, 2 DESC;
+$$ LANGUAGE sql STABLE;
+
+-- Called with the service role from lib/usage.js
+REVOKE EXECUTE ON FUNCTION usage_report FROM PUBLIC;
+
+COMMENT ON TABLE usage_events IS 'Tokens, latency and estimated cost of each model call (lib/usage.js)';
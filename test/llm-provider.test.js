@@ -0,0 +1,152 @@
+// test/llm-provider.test.js
+// Mock provider (LLM_PROVIDER=mock, setMockResponder) and usage metering of getProvider()
+// calls (lib/llm-provider.js, lib/usage.js). usage_events rows go to a local HTTP server
+// standing in for Supabase's REST API.
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+const rows = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    if (req.method === 'POST' && req.url.startsWith('/rest/v1/usage_events')) {
+      rows.push(...[].concat(JSON.parse(body)));
+    }
+    res.writeHead(201, { 'Content-Type': 'application/json' });
+    res.end('[]');
+  });
+});
+
+let getProvider;
+let setMockResponder;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.SUPABASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+  process.env.LLM_PROVIDER = 'mock';
+  delete process.env.USAGE_METERING;
+  delete process.env.LLM_MOCK_RESPONSE;
+  // Imported after the environment is set: the Supabase client is created on import
+  ({ getProvider, setMockResponder } = await import('../lib/llm-provider.js'));
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  rows.length = 0;
+  setMockResponder(null);
+});
+
+const meter = { userId: '00000000-0000-4000-8000-000000000001', conversationId: null, mode: 'Investor', endpoint: 'test' };
+const messages = [
+  { role: 'system', content: 'You are an investor.' },
+  { role: 'user', content: 'How big is the market?' }
+];
+
+test('generate: default echo of the last user message, with usage', async () => {
+  const provider = getProvider('Investor', { meter });
+  assert.equal(provider.name, 'mock');
+  assert.equal(provider.model, 'mock-model');
+
+  const result = await provider.generate({ messages });
+  assert.equal(result.text, '[mock:Investor] How big is the market?');
+  assert.equal(result.finishReason, 'STOP');
+  assert.equal(result.usage.totalTokens, result.usage.promptTokens + result.usage.completionTokens);
+  assert.ok(result.usage.promptTokens > 0);
+});
+
+test('generate: the row is written before the call resolves', async () => {
+  const result = await getProvider('Investor', { meter }).generate({ messages });
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].user_id, meter.userId);
+  assert.equal(rows[0].mode, 'Investor');
+  assert.equal(rows[0].purpose, 'reply');
+  assert.equal(rows[0].endpoint, 'test');
+  assert.equal(rows[0].provider, 'mock');
+  assert.equal(rows[0].model, 'mock-model');
+  assert.equal(rows[0].status, 'ok');
+  assert.equal(rows[0].prompt_tokens, result.usage.promptTokens);
+  assert.equal(rows[0].completion_tokens, result.usage.completionTokens);
+  assert.equal(rows[0].total_tokens, result.usage.totalTokens);
+});
+
+test('setMockResponder: replaces the echo until reset with null', async () => {
+  const seen = [];
+  setMockResponder((msgs, context) => {
+    seen.push({ msgs, context });
+    return '{"role":"Analyst"}';
+  });
+  const provider = getProvider('classifier', { meter });
+  assert.deepEqual(await provider.classify({ prompt: 'classify me' }), { role: 'Analyst' });
+  assert.equal(seen.length, 1);
+  assert.equal(seen[0].context.mode, 'classifier');
+  assert.equal(seen[0].msgs.at(-1).content, 'classify me');
+
+  setMockResponder(null);
+  const { text } = await provider.generate({ messages });
+  assert.equal(text, '[mock:classifier] How big is the market?');
+});
+
+test('metering: support calls count towards the mode they serve', async () => {
+  await getProvider('summary', { meter }).generate({ messages });
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].mode, 'Investor');
+  assert.equal(rows[0].purpose, 'summary');
+
+  rows.length = 0;
+  await getProvider('Investor', { meter: { ...meter, purpose: 'retry' } }).generate({ messages });
+  assert.equal(rows[0].purpose, 'retry');
+});
+
+test('stream: deltas add up to the reply, then one finish event with usage', async () => {
+  setMockResponder(() => '这是一个足够长的回复，会被拆成好几个片段发送给客户端。');
+  const events = [];
+  for await (const event of getProvider('Investor', { meter }).stream({ messages })) {
+    events.push(event);
+  }
+
+  const finish = events.at(-1);
+  assert.equal(finish.type, 'finish');
+  assert.equal(events.filter(e => e.type === 'finish').length, 1);
+  const deltas = events.filter(e => e.type === 'delta');
+  assert.ok(deltas.length > 1);
+  assert.equal(deltas.map(e => e.text).join(''), '这是一个足够长的回复，会被拆成好几个片段发送给客户端。');
+
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].status, 'ok');
+  assert.equal(rows[0].total_tokens, finish.usage.totalTokens);
+});
+
+test('stream: a consumer that stops early is recorded as aborted', async () => {
+  setMockResponder(() => 'x'.repeat(100));
+  for await (const event of getProvider('Investor', { meter }).stream({ messages })) {
+    assert.equal(event.type, 'delta');
+    break;
+  }
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].status, 'aborted');
+  assert.equal(rows[0].total_tokens, null);
+});
+
+test('metering: failed calls are recorded as errors and rethrown', async () => {
+  setMockResponder(() => {
+    throw Object.assign(new Error('upstream down'), { code: 'LLM_UPSTREAM' });
+  });
+  await assert.rejects(getProvider('Investor', { meter }).generate({ messages }), /upstream down/);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].status, 'error');
+  assert.equal(rows[0].error_code, 'LLM_UPSTREAM');
+});
+
+test('metering: USAGE_METERING=off writes nothing', async () => {
+  process.env.USAGE_METERING = 'off';
+  try {
+    await getProvider('Investor', { meter }).generate({ messages });
+  } finally {
+    delete process.env.USAGE_METERING;
+  }
+  assert.equal(rows.length, 0);
+});
@@ -0,0 +1,182 @@
+// test/payment-webhooks.test.js
+// Webhook signatures (lib/payment-provider.js) and webhook handling with the fake provider
+// (lib/subscriptions.js handleWebhook). The tables live in a local HTTP server standing in
+// for Supabase's REST and auth APIs.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+const SECRET = 'whsec_test_secret';
+const USER_ID = '00000000-0000-4000-8000-0000000000aa';
+
+const tables = { billing_events: [], customers: [], subscriptions: [] };
+const UNIQUE = { billing_events: 'provider_event_id' };
+const planUpdates = [];
+
+function matches(row, params) {
+  return [...params].every(([column, filter]) =>
+    !filter.startsWith('eq.') || String(row[column]) === filter.slice(3)
+  );
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    const url = new URL(req.url, 'http://localhost');
+    const auth = url.pathname.match(/^\/auth\/v1\/admin\/users\/([^/]+)$/);
+    if (auth) {
+      const { app_metadata } = JSON.parse(raw);
+      planUpdates.push({ userId: auth[1], plan: app_metadata.subscription_plan });
+      return send(res, 200, { id: auth[1], app_metadata });
+    }
+
+    const table = url.pathname.match(/^\/rest\/v1\/(\w+)$/)?.[1];
+    const rows = tables[table];
+    if (!rows) return send(res, 404, { message: `unknown table ${table}` });
+    const params = [...url.searchParams].filter(([k]) => !['select', 'order', 'on_conflict', 'columns'].includes(k));
+    const single = (req.headers.accept || '').includes('vnd.pgrst.object');
+
+    if (req.method === 'GET') {
+      const found = rows.filter(row => matches(row, params));
+      return send(res, 200, single ? found[0] : found);
+    }
+    if (req.method === 'DELETE') {
+      tables[table] = rows.filter(row => !matches(row, params));
+      return send(res, 204);
+    }
+    if (req.method === 'POST') {
+      const row = JSON.parse(raw);
+      const conflict = url.searchParams.get('on_conflict') || UNIQUE[table];
+      const existing = conflict ? rows.findIndex(r => r[conflict] === row[conflict]) : -1;
+      if (existing >= 0 && !url.searchParams.get('on_conflict')) {
+        return send(res, 409, { code: '23505', message: 'duplicate key value violates unique constraint', details: null, hint: null });
+      }
+      if (existing >= 0) rows[existing] = { ...rows[existing], ...row };
+      else rows.push({ id: crypto.randomUUID(), created_at: new Date().toISOString(), ...row });
+      const saved = rows[existing >= 0 ? existing : rows.length - 1];
+      return send(res, 201, single ? saved : [saved]);
+    }
+    send(res, 405, { message: 'method not allowed' });
+  });
+});
+
+let payments;
+let subscriptions;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.SUPABASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+  process.env.PAYMENT_PROVIDER = 'fake';
+  delete process.env.PRICE_ID_STARTER;
+  // Imported after the environment is set: the Supabase client is created on import
+  payments = await import('../lib/payment-provider.js');
+  subscriptions = await import('../lib/subscriptions.js');
+});
+
+after(() => server.close());
+
+function signedEvent(event, secret = SECRET) {
+  const payload = JSON.stringify(event);
+  return { payload, signature: payments.signWebhookPayload(payload, secret) };
+}
+
+test('signatures: valid ones are accepted, anything else is rejected', () => {
+  const { signWebhookPayload, verifyWebhookSignature } = payments;
+  const payload = '{"id":"evt_1"}';
+  const now = 1_700_000_000;
+  const header = signWebhookPayload(payload, SECRET, now);
+
+  assert.doesNotThrow(() => verifyWebhookSignature(payload, header, SECRET, now));
+  // Several v1 signatures (secret rotation): one valid is enough
+  assert.doesNotThrow(() => verifyWebhookSignature(payload, `${header},v1=${'0'.repeat(64)}`, SECRET, now));
+
+  const rejected = { statusCode: 400, code: 'WEBHOOK_SIGNATURE' };
+  assert.throws(() => verifyWebhookSignature('{"id":"evt_2"}', header, SECRET, now), rejected);
+  assert.throws(() => verifyWebhookSignature(payload, header, 'whsec_other', now), rejected);
+  assert.throws(() => verifyWebhookSignature(payload, header, SECRET, now + 301), rejected);
+  assert.throws(() => verifyWebhookSignature(payload, '', SECRET, now), rejected);
+  assert.throws(() => verifyWebhookSignature(payload, `t=${now}`, SECRET, now), rejected);
+  assert.throws(() => verifyWebhookSignature(payload, header, '', now), { code: 'PAYMENT_CONFIG' });
+});
+
+test('fake provider: needs its own secret and is refused in production', () => {
+  const { getPaymentProvider } = payments;
+  const nodeEnv = process.env.NODE_ENV;
+  try {
+    delete process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+    assert.throws(() => getPaymentProvider(), { code: 'PAYMENT_CONFIG', message: /FAKE_PAYMENT_WEBHOOK_SECRET/ });
+
+    process.env.FAKE_PAYMENT_WEBHOOK_SECRET = SECRET;
+    process.env.NODE_ENV = 'production';
+    assert.throws(() => getPaymentProvider(), { code: 'PAYMENT_CONFIG', message: /production/ });
+  } finally {
+    if (nodeEnv === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = nodeEnv;
+  }
+
+  const provider = getPaymentProvider();
+  assert.equal(provider.name, 'fake');
+  const { payload, signature } = signedEvent({ id: 'evt_parse', type: 'invoice.paid', customerId: 'cus_1' });
+  assert.equal(provider.parseWebhook(payload, signature).customerId, 'cus_1');
+  const forged = signedEvent({ id: 'evt_forged', type: 'checkout.session.completed' }, 'whsec_fake');
+  assert.throws(() => provider.parseWebhook(forged.payload, forged.signature), { code: 'WEBHOOK_SIGNATURE' });
+});
+
+test('handleWebhook: a checkout grants the plan once, replays are reported as duplicates', async () => {
+  const provider = payments.getPaymentProvider();
+  const customer = await provider.createCustomer({ email: 'founder@example.com', userId: USER_ID });
+  tables.customers.push({ user_id: USER_ID, provider: 'fake', provider_customer_id: customer.id });
+  const checkout = await provider.createCheckoutSession({ customerId: customer.id, priceId: 'price_starter_monthly' });
+
+  const event = {
+    id: 'evt_checkout',
+    type: 'checkout.session.completed',
+    customerId: customer.id,
+    subscriptionId: checkout.subscriptionId,
+    userId: USER_ID
+  };
+  const { payload, signature } = signedEvent(event);
+
+  assert.deepEqual(await subscriptions.handleWebhook(payload, signature), { type: event.type, duplicate: false });
+  assert.equal(tables.subscriptions.length, 1);
+  assert.equal(tables.subscriptions[0].plan, 'starter');
+  assert.equal(tables.subscriptions[0].user_id, USER_ID);
+  assert.deepEqual(planUpdates, [{ userId: USER_ID, plan: 'starter' }]);
+
+  // The provider retries the same delivery: nothing is applied twice
+  assert.deepEqual(await subscriptions.handleWebhook(payload, signature), { type: event.type, duplicate: true });
+  assert.equal(tables.subscriptions.length, 1);
+  assert.equal(planUpdates.length, 1);
+  assert.equal(tables.billing_events.filter(e => e.provider_event_id === 'evt_checkout').length, 1);
+
+  // A later event about the same subscription is applied from the provider's current state
+  await provider.cancelSubscription(checkout.subscriptionId, { atPeriodEnd: false });
+  const canceled = signedEvent({ ...event, id: 'evt_canceled', type: 'customer.subscription.deleted' });
+  assert.equal((await subscriptions.handleWebhook(canceled.payload, canceled.signature)).duplicate, false);
+  assert.equal(tables.subscriptions.length, 1);
+  assert.equal(tables.subscriptions[0].status, 'canceled');
+  assert.deepEqual(planUpdates.at(-1), { userId: USER_ID, plan: null });
+});
+
+test('handleWebhook: a bad signature is rejected before anything is recorded', async () => {
+  const events = tables.billing_events.length;
+  const { payload } = signedEvent({ id: 'evt_bad', type: 'checkout.session.completed', userId: USER_ID });
+  const forged = payments.signWebhookPayload(payload, 'whsec_fake');
+  await assert.rejects(subscriptions.handleWebhook(payload, forged), { statusCode: 400, code: 'WEBHOOK_SIGNATURE' });
+  assert.equal(tables.billing_events.length, events);
+});
+
+test('handleWebhook: an event that fails to apply is forgotten so the retry gets another go', async () => {
+  const event = { id: 'evt_unknown_sub', type: 'customer.subscription.updated', subscriptionId: 'sub_missing' };
+  const { payload, signature } = signedEvent(event);
+  await assert.rejects(subscriptions.handleWebhook(payload, signature), { statusCode: 404 });
+  assert.equal(tables.billing_events.some(e => e.provider_event_id === 'evt_unknown_sub'), false);
+  await assert.rejects(subscriptions.handleWebhook(payload, signature), { statusCode: 404 });
+});
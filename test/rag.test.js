@@ -0,0 +1,136 @@
+// test/rag.test.js
+// Page-aware chunking and retrieval (lib/rag.js) with the local embedder and the memory store
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  splitPages,
+  chunkText,
+  indexDocument,
+  retrieveRelevantChunks,
+  buildDocumentContext,
+  getVectorStore,
+  embeddingModelId
+} from '../lib/rag.js';
+import { getEmbedder } from '../lib/llm-provider.js';
+
+process.env.VECTOR_STORE = 'memory';
+process.env.EMBEDDING_PROVIDER = 'local';
+delete process.env.EMBEDDING_MODEL;
+
+const DECK = [
+  '--- Page 1 ---',
+  '我们做工商业储能电池，市场规模预计三年内翻倍。',
+  '--- Page 2 ---',
+  '创始人团队来自宁德时代，团队背景覆盖电池研发与工程交付。',
+  '--- Page 3 ---',
+  '(无文字内容)',
+  '--- Page 4 ---',
+  '本轮融资三千万元，投前估值两亿元，资金用于产线建设。'
+].join('\n');
+
+test('splitPages: page markers, empty pages dropped, unmarked text is one page', () => {
+  assert.deepEqual(splitPages(DECK).map(p => p.page), [1, 2, 4]);
+  assert.equal(splitPages('--- Slide 3 ---\n标题').at(0).page, 3);
+  assert.deepEqual(splitPages('  no markers here  '), [{ page: null, text: 'no markers here' }]);
+});
+
+test('chunkText: chunks never span a page boundary', () => {
+  const paragraph = n => `第${n}段：${'储能'.repeat(30)}`;
+  const page = n => `--- Page ${n} ---\n${[1, 2, 3, 4].map(paragraph).join('\n\n')}`;
+  const chunks = chunkText([page(1), page(2)].join('\n'), { maxChars: 150, overlap: 20 });
+
+  assert.deepEqual(chunks.map(c => c.index), chunks.map((_, i) => i));
+  assert.deepEqual([...new Set(chunks.map(c => c.page))], [1, 2]);
+  // The first chunk of page 2 carries nothing over from page 1
+  const firstOfPage2 = chunks.find(c => c.page === 2);
+  assert.ok(firstOfPage2.content.startsWith('第1段'));
+  for (const chunk of chunks) assert.doesNotMatch(chunk.content, /--- Page/);
+});
+
+test('chunkText: within a page, chunks overlap so split sentences stay findable', () => {
+  const paragraphs = Array.from({ length: 6 }, (_, i) => `paragraph ${i} ${'x'.repeat(60)}`);
+  const chunks = chunkText(paragraphs.join('\n\n'), { maxChars: 160, overlap: 30 });
+  assert.ok(chunks.length > 1);
+  for (let i = 1; i < chunks.length; i++) {
+    assert.ok(chunks[i].content.startsWith(chunks[i - 1].content.slice(-30)));
+  }
+  assert.equal(chunks[0].page, null);
+});
+
+test('chunkText: a paragraph longer than a chunk is cut into overlapping pieces', () => {
+  const long = 'abcdefghij'.repeat(25);
+  const chunks = chunkText(long, { maxChars: 100, overlap: 20 });
+  assert.ok(chunks.length >= 3);
+  assert.equal(chunks[0].content, long.slice(0, 100));
+  assert.equal(chunks.at(-1).content.slice(-10), long.slice(-10));
+  assert.deepEqual(chunkText('   '), []);
+});
+
+test('retrieveRelevantChunks: the most relevant page comes first, cited by file and page', async () => {
+  const chunks = await retrieveRelevantChunks({
+    userId: 'user-1',
+    documents: [{ id: 'doc-deck', name: 'deck.pdf', text: DECK }],
+    query: '创始人团队背景怎么样？',
+    topK: 2
+  });
+
+  assert.equal(chunks.length, 2);
+  assert.equal(chunks[0].page, 2);
+  assert.equal(chunks[0].citation, '[deck.pdf:2]');
+  assert.equal(chunks[0].documentId, 'doc-deck');
+  assert.ok(chunks[0].score >= chunks[1].score);
+});
+
+test('retrieveRelevantChunks: unsaved uploads are searched too and cited without a page', async () => {
+  const chunks = await retrieveRelevantChunks({
+    userId: 'user-1',
+    documents: [
+      { id: 'doc-deck', name: 'deck.pdf', text: DECK },
+      { id: null, name: 'notes.txt', text: '融资计划：本轮融资三千万元，估值两亿元。' }
+    ],
+    query: '本轮融资多少钱，估值多少',
+    topK: 3
+  });
+
+  const names = chunks.map(c => c.citation);
+  assert.ok(names.includes('[notes.txt]'));
+  assert.ok(names.includes('[deck.pdf:4]'));
+  assert.ok(['[notes.txt]', '[deck.pdf:4]'].includes(chunks[0].citation));
+});
+
+test('retrieveRelevantChunks: nothing to search without a question', async () => {
+  assert.deepEqual(await retrieveRelevantChunks({ userId: 'user-1', documents: [{ id: 'doc-deck', name: 'deck.pdf', text: DECK }], query: '  ' }), []);
+  assert.deepEqual(await retrieveRelevantChunks({ userId: 'user-1', documents: [], query: '融资' }), []);
+});
+
+test('indexDocument: indexed once per embedder model', async () => {
+  const store = getVectorStore();
+  const embedder = getEmbedder();
+  const doc = { id: 'doc-models', userId: 'user-1', text: DECK };
+
+  assert.equal((await indexDocument(doc, { store, embedder })).indexed, true);
+  assert.equal((await indexDocument(doc, { store, embedder })).indexed, false);
+
+  const other = { ...embedder, model: 'other-model' };
+  assert.notEqual(embeddingModelId(other), embeddingModelId(embedder));
+  assert.equal((await indexDocument(doc, { store, embedder: other })).indexed, true);
+});
+
+test('buildDocumentContext: large documents are searched, small ones go in whole', async () => {
+  const documents = [
+    { id: 'doc-deck', name: 'deck.pdf', fullText: DECK, text: DECK.slice(0, 20) },
+    { id: null, name: 'memo.txt', fullText: '短备忘录', text: '短备忘录' }
+  ];
+  const context = await buildDocumentContext('user-1', documents, '创始人团队背景', 50);
+
+  assert.equal(context.length, 2);
+  assert.equal(context[0].content, '文件内容:\n【文件：memo.txt】\n短备忘录');
+  assert.match(context[1].content, /^【相关文档片段】/);
+  assert.match(context[1].content, /\[deck\.pdf:2\]/);
+
+  // Without a question there is nothing to search for: compressed text only
+  const plain = await buildDocumentContext('user-1', documents, '', 50);
+  assert.equal(plain.length, 1);
+  assert.match(plain[0].content, /【文件：deck\.pdf】/);
+});
@@ -0,0 +1,130 @@
+// test/rate-limit.test.js
+// Window arithmetic of consumeLimit() and the headers set by enforceRateLimit() /
+// enforceMessageQuota() (lib/rate-limit.js), on the in-memory store
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  consumeLimit,
+  createMemoryStore,
+  setRateLimitStore,
+  enforceRateLimit,
+  enforceMessageQuota
+} from '../lib/rate-limit.js';
+
+const WINDOW_MS = 60000;
+
+// Start of the next window: memory counters expire against the real clock, so times in
+// these tests must not lie in the past
+function nextWindow() {
+  return (Math.floor(Date.now() / WINDOW_MS) + 1) * WINDOW_MS;
+}
+
+function fakeResponse() {
+  const headers = {};
+  return { headers, headersSent: false, setHeader: (name, value) => { headers[name] = value; } };
+}
+
+const fakeRequest = ip => ({ headers: { 'x-forwarded-for': ip }, socket: {} });
+
+beforeEach(() => setRateLimitStore(createMemoryStore()));
+
+test('fixed window: the limit holds until the next window starts', async () => {
+  const start = nextWindow();
+  const consume = now => consumeLimit({ key: 'fixed', limit: 3, windowMs: WINDOW_MS, sliding: false, now });
+
+  for (const remaining of [2, 1, 0]) {
+    const r = await consume(start + 1000);
+    assert.equal(r.allowed, true);
+    assert.equal(r.remaining, remaining);
+  }
+
+  const denied = await consume(start + 20000);
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.remaining, 0);
+  assert.equal(denied.retryAfter, 40);
+  assert.equal(denied.resetSeconds, 40);
+
+  const rolled = await consume(start + WINDOW_MS);
+  assert.equal(rolled.allowed, true);
+  assert.equal(rolled.remaining, 2);
+  assert.equal(rolled.resetSeconds, 60);
+});
+
+test('sliding window: the previous window counts by how much of it still overlaps', async () => {
+  const start = nextWindow();
+  const consume = now => consumeLimit({ key: 'sliding', limit: 4, windowMs: WINDOW_MS, now });
+
+  for (let i = 0; i < 4; i++) assert.equal((await consume(start + 10000)).allowed, true);
+  assert.equal((await consume(start + 50000)).allowed, false);
+
+  // 15s into the next window, 3/4 of the previous window's 4 requests still count
+  const next = start + WINDOW_MS;
+  const first = await consume(next + 15000);
+  assert.equal(first.allowed, true);
+  assert.equal(first.remaining, 0);
+
+  // Room for one more once half of the previous window has slid out
+  const denied = await consume(next + 15000);
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.retryAfter, 15);
+  assert.equal((await consume(next + 30000)).allowed, true);
+});
+
+test('cost: one call can use several requests at once', async () => {
+  const now = nextWindow();
+  const r = await consumeLimit({ key: 'cost', limit: 5, windowMs: WINDOW_MS, sliding: false, cost: 4, now });
+  assert.equal(r.remaining, 1);
+  const over = await consumeLimit({ key: 'cost', limit: 5, windowMs: WINDOW_MS, sliding: false, cost: 2, now });
+  assert.equal(over.allowed, false);
+  assert.equal(over.remaining, 1);
+});
+
+test('enforceRateLimit: RateLimit-* headers, then 429 with Retry-After', async () => {
+  const req = fakeRequest('203.0.113.7');
+  const options = { route: 'test-route', limit: 2 };
+
+  const res = fakeResponse();
+  await enforceRateLimit(req, res, options);
+  assert.equal(res.headers['RateLimit-Limit'], '2');
+  assert.equal(res.headers['RateLimit-Remaining'], '1');
+  assert.equal(res.headers['RateLimit-Policy'], '2;w=60');
+  assert.ok(Number(res.headers['RateLimit-Reset']) >= 1 && Number(res.headers['RateLimit-Reset']) <= 60);
+  assert.equal(res.headers['Retry-After'], undefined);
+
+  await enforceRateLimit(req, fakeResponse(), options);
+
+  const blocked = fakeResponse();
+  await assert.rejects(enforceRateLimit(req, blocked, options), error => {
+    assert.equal(error.statusCode, 429);
+    assert.equal(error.code, 'RATE_LIMITED');
+    assert.equal(String(error.retryAfter), blocked.headers['Retry-After']);
+    return true;
+  });
+  assert.equal(blocked.headers['RateLimit-Remaining'], '0');
+  assert.ok(Number(blocked.headers['Retry-After']) >= 1 && Number(blocked.headers['Retry-After']) <= 60);
+
+  // Limits are per client: another IP is not affected
+  await enforceRateLimit(fakeRequest('203.0.113.8'), fakeResponse(), options);
+});
+
+test('headers: the tightest of several limits on one response is reported', async () => {
+  const user = { id: 'user-headers', app_metadata: { plan: 'free' } };
+  const res = fakeResponse();
+  await enforceRateLimit(fakeRequest('198.51.100.1'), res, { route: 'chat', limit: 20, userId: user.id });
+  await enforceMessageQuota(fakeRequest('198.51.100.1'), res, user, { cost: 45 });
+
+  // Free allows 50 messages a day: 5 left beats 19 left this minute
+  assert.equal(res.headers['RateLimit-Limit'], '50');
+  assert.equal(res.headers['RateLimit-Remaining'], '5');
+  assert.equal(res.headers['RateLimit-Policy'], '20;w=60, 50;w=86400');
+
+  await assert.rejects(enforceMessageQuota(fakeRequest('198.51.100.1'), fakeResponse(), user, { cost: 6 }), { code: 'QUOTA_EXCEEDED' });
+});
+
+test('store failures fall back to memory instead of blocking requests', async () => {
+  setRateLimitStore({ name: 'broken', consume: async () => { throw new Error('store down'); } });
+  const r = await consumeLimit({ key: 'fallback', limit: 1, windowMs: WINDOW_MS, now: nextWindow() });
+  assert.equal(r.allowed, true);
+  assert.equal(r.remaining, 0);
+});
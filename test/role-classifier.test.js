@@ -0,0 +1,146 @@
+// test/role-classifier.test.js
+// Rule table and registry validation of the startup-mentor persona classifier (lib/role-classifier.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyRules, classifyRole, extractTrack, getFileType } from '../lib/role-classifier.js';
+import { getMode, getClassifiableModeIds } from '../lib/modes.js';
+
+const AMBIGUOUS = '想找投资人看看，也想找专家聊聊';
+
+// LLM stub that records its prompt and answers with `output`
+function stubLLM(output) {
+  const calls = [];
+  const llm = async prompt => {
+    calls.push(prompt);
+    if (output instanceof Error) throw output;
+    return output;
+  };
+  return { llm, calls };
+}
+
+test('file types: decks and documents', () => {
+  assert.equal(getFileType('deck.PPTX'), 'pitch_deck');
+  assert.equal(getFileType('bp.pdf'), 'pitch_deck');
+  assert.equal(getFileType('notes.docx'), 'document');
+  assert.equal(getFileType('data.csv'), 'document');
+  assert.equal(getFileType('unknown'), 'document');
+});
+
+test('track is read from explicit statements only', () => {
+  assert.equal(extractTrack('我们的赛道是储能，想聊聊融资'), '储能');
+  assert.equal(extractTrack('industry: fintech'), 'fintech');
+  assert.equal(extractTrack('我想做一个储能项目'), '');
+});
+
+test('rule table: one keyword picks its persona', () => {
+  const cases = [
+    [{ message: '请以投资人视角看看', fileNames: ['deck.pptx'] }, 'Investor', 'keyword:投资人+file:pitch_deck'],
+    [{ message: '帮我推荐几位专家' }, 'Expert_match', 'keyword:专家'],
+    [{ message: '做一份行业分析' }, 'Analyst', 'keyword:行业分析'],
+    [{ message: 'Is a VC interested?', fileNames: ['deck.pdf'] }, 'Investor', 'keyword:vc+file:pitch_deck']
+  ];
+  for (const [input, role, reason] of cases) {
+    const result = applyRules(input);
+    assert.equal(result.role, role, input.message);
+    assert.equal(result.reason, reason);
+    assert.equal(result.source, 'rule');
+  }
+});
+
+test('rule table: Investor needs a deck', () => {
+  assert.deepEqual(
+    applyRules({ message: '投资人会怎么看' }),
+    { role: 'mentor', track: '', confidence: 0.7, reason: 'keyword:投资人;no_pitch_deck', source: 'rule' }
+  );
+  assert.equal(applyRules({ message: '投资人会怎么看', fileNames: ['plan.docx'] }).role, 'document');
+});
+
+test('rule table: files, agent mode and no signal', () => {
+  assert.equal(applyRules({ message: '看看这个', fileNames: ['deck.pptx'] }).role, 'pitch_deck');
+  assert.equal(applyRules({ message: '看看这个', fileNames: ['plan.docx'] }).role, 'document');
+  assert.equal(applyRules({ message: '找专家', chatMode: 'agent' }).role, 'Agent_builder');
+
+  const none = applyRules({ message: '怎么写商业计划书' });
+  assert.equal(none.role, 'mentor');
+  assert.equal(none.source, 'default');
+});
+
+test('rule table: several personas are ambiguous', () => {
+  const result = applyRules({ message: AMBIGUOUS, fileNames: ['deck.pptx'] });
+  assert.equal(result.ambiguous, true);
+  assert.deepEqual(result.candidates, ['Investor', 'Expert_match']);
+  assert.equal(result.baseRole, 'pitch_deck');
+});
+
+test('every role the rules return is in the registry', () => {
+  const classifiable = getClassifiableModeIds();
+  const keywordInputs = [{ message: '投资人', fileNames: ['deck.pptx'] }, { message: '专家' }, { message: '市场分析' }];
+  for (const input of keywordInputs) {
+    const { role } = applyRules(input);
+    assert.ok(classifiable.includes(role), `${role} is not classifiable`);
+  }
+
+  const baseInputs = [{ message: '投资人' }, { fileNames: ['deck.pptx'] }, { fileNames: ['plan.docx'] }, {}];
+  for (const input of baseInputs) {
+    const { role } = applyRules(input);
+    assert.ok(getMode(role), `${role} is not in the registry`);
+  }
+});
+
+test('classifyRole: unambiguous input never calls the LLM', async () => {
+  const { llm, calls } = stubLLM({ role: 'Analyst' });
+  const result = await classifyRole({ message: '帮我推荐专家' }, { llm });
+  assert.equal(result.role, 'Expert_match');
+  assert.equal(calls.length, 0);
+});
+
+test('classifyRole: a valid LLM answer is used', async () => {
+  const { llm, calls } = stubLLM({ role: 'Expert_match', track: '储能', confidence: 3 });
+  const result = await classifyRole({ message: AMBIGUOUS, fileNames: ['deck.pptx'] }, { llm });
+  assert.equal(calls.length, 1);
+  assert.equal(result.role, 'Expert_match');
+  assert.equal(result.track, '储能');
+  assert.equal(result.confidence, 1);
+  assert.equal(result.source, 'llm');
+});
+
+test('classifyRole: "mentor" from the LLM means the file-based role', async () => {
+  const { llm } = stubLLM({ role: 'mentor' });
+  const result = await classifyRole({ message: AMBIGUOUS, fileNames: ['deck.pptx'] }, { llm });
+  assert.equal(result.role, 'pitch_deck');
+  assert.equal(result.source, 'llm');
+});
+
+test('classifyRole: roles outside the registry are rejected', async () => {
+  for (const role of ['Hacker', 'default', 'Agent_builder', undefined]) {
+    const { llm } = stubLLM({ role });
+    const result = await classifyRole({ message: AMBIGUOUS, fileNames: ['deck.pptx'] }, { llm });
+    assert.equal(result.role, 'pitch_deck', String(role));
+    assert.equal(result.source, 'default');
+    assert.match(result.reason, /;llm_invalid$/);
+  }
+});
+
+test('classifyRole: Investor from the LLM still needs a deck', async () => {
+  const { llm } = stubLLM({ role: 'Investor' });
+  const result = await classifyRole({ message: AMBIGUOUS }, { llm });
+  assert.equal(result.role, 'mentor');
+  assert.match(result.reason, /;llm_investor_without_deck$/);
+});
+
+test('classifyRole: LLM failures and llm: null fall back to the rules', async () => {
+  const failing = stubLLM(new Error('timeout'));
+  const failed = await classifyRole({ message: AMBIGUOUS }, { llm: failing.llm });
+  assert.equal(failed.role, 'mentor');
+  assert.match(failed.reason, /;llm_error$/);
+
+  const disabled = await classifyRole({ message: AMBIGUOUS, fileNames: ['plan.docx'] }, { llm: null });
+  assert.deepEqual(disabled, {
+    role: 'document',
+    track: '',
+    confidence: 0.4,
+    reason: 'ambiguous:Investor|Expert_match',
+    source: 'default'
+  });
+});